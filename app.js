@@ -8,14 +8,13 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const path = require('path');
 const bcrypt = require('bcrypt'); 
 
 // Importação de Rotas e Modelos
 const routes = require('./src/routes');
 const db = require('./src/models');
 const { User, Tenant, Plan, TenantMember } = require('./src/models'); 
-const { startReminderJob } = require('./src/services/cron.service');
+const { startReminderJob, startExpirationJob, startArchiveTimestampJob, startBulkSendJob, startFinalizationJob } = require('./src/services/cron.service');
 
 // 3. Inicialização do Express
 const app = express();
@@ -39,8 +38,8 @@ app.use(
 app.use(cors({ origin: '*' })); 
 app.use(express.json());
 
-// 5. Servir Arquivos Estáticos
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// 5. Arquivos não são servidos estaticamente: downloads passam por /api/files (link assinado)
+// ou pelas rotas autenticadas de documentos e envelopes, sempre com auditoria
 
 // 6. Rotas da API
 app.use('/api', routes);
@@ -181,6 +180,10 @@ const startServer = async () => {
     app.listen(PORT, () => {
       console.log(`🚀 Servidor rodando na porta ${PORT}`);
       startReminderJob();
+      startExpirationJob();
+      startArchiveTimestampJob();
+      startBulkSendJob();
+      startFinalizationJob();
     });
 
   } catch (error) {
@@ -2,6 +2,7 @@
 'use strict';
 
 const crypto = require('crypto');
+const { Op } = require('sequelize');
 const { AuditLog, User, Signer, sequelize } = require('../../models');
 const { formatAuditLogDescription, getLogCategory } = require('../../utils/auditFormatter');
 
@@ -153,7 +154,55 @@ const listLogs = async (tenantId, { limit = 20, page = 1, action, search }) => {
   };
 };
 
+/**
+ * Retorna a trilha de auditoria de um documento e de seus signatários, em ordem cronológica.
+ * Não valida acesso: quem chama é responsável por isso.
+ *
+ * @param {string} documentId
+ * @param {Array<string>} signerIds - IDs dos signatários do documento.
+ * @param {object} [options]
+ * @param {import('sequelize').Transaction} [options.transaction]
+ */
+const findDocumentTrail = async (documentId, signerIds, { transaction = null } = {}) => {
+  return AuditLog.findAll({
+    where: {
+      [Op.or]: [
+        { entityType: 'DOCUMENT', entityId: documentId },
+        { entityType: 'SIGNER', entityId: { [Op.in]: signerIds } }
+      ]
+    },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Retorna a trilha de auditoria de um envelope: eventos do envelope, de cada arquivo e dos signatários,
+ * em ordem cronológica. Não valida acesso: quem chama é responsável por isso.
+ *
+ * @param {string} envelopeId
+ * @param {Array<string>} documentIds - IDs dos arquivos do envelope.
+ * @param {Array<string>} signerIds - IDs dos signatários do envelope.
+ * @param {object} [options]
+ * @param {import('sequelize').Transaction} [options.transaction]
+ */
+const findEnvelopeTrail = async (envelopeId, documentIds, signerIds, { transaction = null } = {}) => {
+  return AuditLog.findAll({
+    where: {
+      [Op.or]: [
+        { entityType: 'ENVELOPE', entityId: envelopeId },
+        { entityType: 'DOCUMENT', entityId: { [Op.in]: documentIds } },
+        { entityType: 'SIGNER', entityId: { [Op.in]: signerIds } }
+      ]
+    },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+};
+
 module.exports = {
   createEntry,
-  listLogs
+  listLogs,
+  findDocumentTrail,
+  findEnvelopeTrail
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// src/features/bulkSend/bulkSend.controller.js
+'use strict';
+
+const bulkSendService = require('./bulkSend.service');
+
+// Opções que chegam como JSON em texto quando a lista vem por arquivo (FormData)
+const JSON_OPTIONS = ['fixedRecipients', 'fields', 'placeholders', 'authChannels', 'recipients'];
+
+const createBulkSend = async (req, res, next) => {
+  try {
+    const body = { ...req.body };
+    for (const key of JSON_OPTIONS) {
+      if (typeof body[key] !== 'string') continue;
+      try {
+        body[key] = JSON.parse(body[key]);
+      } catch (e) {
+        return res.status(400).json({ message: `O campo '${key}' deve ser um JSON válido.` });
+      }
+    }
+
+    const { sourceType, sourceId, recipients, ...options } = body;
+    if (!sourceType || !sourceId) {
+      return res.status(400).json({ message: "Informe 'sourceType' (DOCUMENT ou TEMPLATE) e 'sourceId'." });
+    }
+
+    const job = await bulkSendService.createBulkSend({
+      sourceType,
+      sourceId,
+      file: req.file,
+      recipients,
+      options,
+      user: req.user
+    });
+    // 202: as linhas são processadas em segundo plano; acompanhe em GET /bulk-sends/:id
+    return res.status(202).json({
+      id: job.id,
+      status: job.status,
+      totalRows: job.totalRows,
+      invalidRows: job.failedRows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAllBulkSends = async (req, res, next) => {
+  try {
+    const jobs = await bulkSendService.listBulkSends(req.user);
+    return res.status(200).json(jobs);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBulkSendById = async (req, res, next) => {
+  try {
+    const job = await bulkSendService.getBulkSendStatus(req.params.id, req.user);
+    return res.status(200).json(job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBulkSendReport = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const report = await bulkSendService.getBulkSendReport(req.params.id, req.user, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="envio-em-massa-${req.params.id}.csv"`);
+      return res.status(200).send(`\uFEFF${report}`); // BOM para o Excel reconhecer UTF-8
+    }
+    return res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createBulkSend,
+  getAllBulkSends,
+  getBulkSendById,
+  getBulkSendReport
+};
@@ -0,0 +1,31 @@
+// src/features/bulkSend/bulkSend.route.js
+'use strict';
+
+const { Router } = require('express');
+const multer = require('multer');
+const bulkSendController = require('./bulkSend.controller');
+const authGuard = require('../../middlewares/authGuard');
+const roleGuard = require('../../middlewares/roleGuard');
+
+const router = Router();
+
+// Lista de destinatários (CSV ou JSON) mantida em memória: é lida e validada na própria requisição
+const uploadMemory = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+router.use(authGuard);
+
+router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), bulkSendController.getAllBulkSends);
+
+// POST /bulk-sends -> { sourceType, sourceId, ... } + arquivo 'recipientsFile' (ou 'recipients' no corpo JSON)
+router.post('/', roleGuard(['ADMIN', 'MANAGER']), uploadMemory.single('recipientsFile'), bulkSendController.createBulkSend);
+
+// Relatório linha a linha (?format=csv para download)
+router.get('/:id/report', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), bulkSendController.getBulkSendReport);
+
+// Progresso e erros por linha
+router.get('/:id', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), bulkSendController.getBulkSendById);
+
+module.exports = router;
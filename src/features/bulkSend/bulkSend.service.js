@@ -0,0 +1,432 @@
+// src/features/bulkSend/bulkSend.service.js
+'use strict';
+
+const path = require('path');
+const { Op } = require('sequelize');
+const { BulkSendJob, Document, Template, User, sequelize } = require('../../models');
+
+const documentService = require('../document/document.service');
+const templateService = require('../template/template.service');
+const signatureFieldService = require('../../services/signatureField.service');
+const pdfPrefillService = require('../../services/pdfPrefill.service');
+const { parseCsv, toCsv } = require('../../utils/csv');
+const { onlyDigits, isValidEmail, isValidE164, isValidCpf } = require('../../utils/validators');
+
+const MAX_ROWS = Number(process.env.BULK_SEND_MAX_ROWS) || 1000;
+// Job em PROCESSING sem progresso há mais tempo que isso é considerado interrompido (queda do servidor)
+const STALE_JOB_MINUTES = 10;
+
+// Colunas reconhecidas no CSV (as demais viram variáveis de preenchimento)
+const COLUMN_ALIASES = {
+  name: ['name', 'nome'],
+  email: ['email', 'e-mail'],
+  phone: ['phone', 'telefone', 'celular', 'whatsapp'],
+  cpf: ['cpf']
+};
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lê a lista de destinatários enviada como arquivo (CSV ou JSON) ou já como array (corpo JSON).
+ * @returns {Array<object>}
+ */
+const parseRecipients = ({ file, recipients }) => {
+  if (file) {
+    const content = file.buffer.toString('utf8');
+    const isJson = file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json';
+    if (!isJson) return parseCsv(content);
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      throw buildError('O arquivo JSON de destinatários é inválido.');
+    }
+  }
+  return recipients;
+};
+
+/**
+ * Separa as colunas conhecidas (nome, e-mail, telefone, CPF) das variáveis da linha.
+ */
+const mapRecipientColumns = (raw) => {
+  const recipient = { variables: {} };
+  const knownKeys = new Set();
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const key = Object.keys(raw).find(k => aliases.includes(k.trim().toLowerCase()));
+    if (key) {
+      recipient[field] = raw[key] == null ? '' : String(raw[key]).trim();
+      knownKeys.add(key);
+    }
+  }
+  for (const [key, value] of Object.entries(raw)) {
+    if (knownKeys.has(key)) continue;
+    if (key === 'variables' && value && typeof value === 'object') {
+      Object.assign(recipient.variables, value);
+    } else if (value !== '' && value != null) {
+      recipient.variables[key.trim()] = value;
+    }
+  }
+  return recipient;
+};
+
+/**
+ * Valida uma linha: nome obrigatório, e-mail ou telefone, formatos de e-mail, CPF (dígitos
+ * verificadores) e telefone (E.164), além das variáveis exigidas pelas tags do modelo.
+ *
+ * @returns {object} Linha normalizada com 'status' PENDING ou INVALID e a lista de 'errors'.
+ */
+const validateRow = (raw, index, requiredVariables) => {
+  const { name = '', email = '', phone = '', cpf = '', variables } = mapRecipientColumns(raw || {});
+  const errors = [];
+
+  if (!name) errors.push('Nome é obrigatório.');
+  if (!email && !phone) errors.push('Informe e-mail ou telefone.');
+  if (email && !isValidEmail(email)) errors.push(`E-mail inválido: ${email}.`);
+
+  // Aceita "+55 (11) 99999-8888": remove apenas a formatação antes de validar o E.164
+  const normalizedPhone = phone ? phone.replace(/[\s().-]/g, '') : '';
+  if (normalizedPhone && !isValidE164(normalizedPhone)) {
+    errors.push(`Telefone inválido: ${phone} (use o formato internacional, ex.: +5511999998888).`);
+  }
+  if (cpf && !isValidCpf(cpf)) errors.push(`CPF inválido: ${cpf}.`);
+
+  const missing = requiredVariables.filter(variable => variables[variable] === undefined || variables[variable] === '');
+  if (missing.length > 0) errors.push(`Variáveis não informadas: ${missing.join(', ')}.`);
+
+  return {
+    row: index + 1,
+    name,
+    email: email ? email.toLowerCase() : null,
+    phone: normalizedPhone || null,
+    cpf: cpf ? onlyDigits(cpf) : null,
+    variables,
+    status: errors.length > 0 ? 'INVALID' : 'PENDING',
+    documentId: null,
+    errors
+  };
+};
+
+/**
+ * Carrega e valida a origem do envio (documento base ou modelo) e as opções comuns a todas as linhas.
+ * @returns {Promise<{ source: object, options: object, requiredVariables: string[] }>}
+ */
+const prepareSource = async (sourceType, sourceId, options, user) => {
+  if (sourceType === 'TEMPLATE') {
+    const template = await templateService.findTemplateById(sourceId, user);
+    const roles = template.rolesJson || [];
+    const fixedRecipients = options.fixedRecipients || {};
+    const unknownRoles = Object.keys(fixedRecipients).filter(name => !roles.some(role => role.name === name));
+    if (unknownRoles.length > 0) {
+      throw buildError(`Papéis inexistentes no modelo: ${unknownRoles.join(', ')}.`);
+    }
+
+    // O papel preenchido por cada linha; os demais papéis recebem sempre as mesmas pessoas
+    const openRoles = roles.filter(role => !fixedRecipients[role.name]);
+    const role = options.role || (openRoles.length === 1 ? openRoles[0].name : null);
+    if (!role || !roles.some(r => r.name === role)) {
+      throw buildError(`Informe em 'role' qual papel do modelo cada linha preenche (${roles.map(r => r.name).join(', ')}).`);
+    }
+    const unmapped = openRoles.filter(r => r.name !== role);
+    if (unmapped.length > 0) {
+      throw buildError(`Informe em 'fixedRecipients' os signatários dos papéis: ${unmapped.map(r => r.name).join(', ')}.`);
+    }
+
+    const requiredVariables = [...new Set((template.placeholdersJson || [])
+      .flatMap(placeholder => pdfPrefillService.extractVariableNames(placeholder.text)))];
+
+    return { source: template, options: { ...options, role, fixedRecipients }, requiredVariables };
+  }
+
+  if (sourceType === 'DOCUMENT') {
+    const document = await documentService.findDocumentById(sourceId, user);
+    if (document.envelopeId) {
+      throw buildError('Documentos de envelope não podem ser usados como base de envio em massa.');
+    }
+    if (document.mimeType !== 'application/pdf') {
+      throw buildError('O documento base do envio em massa deve ser um PDF.');
+    }
+
+    // Campos e tags valem para todas as linhas: valida uma vez contra as páginas do documento base
+    const hasLayout = (options.fields || []).length > 0 || (options.placeholders || []).length > 0;
+    const pageSizes = hasLayout ? await signatureFieldService.getPdfPageSizes(document) : [];
+    const fields = options.fields ? signatureFieldService.normalizeFieldDefinitions(options.fields, pageSizes) : [];
+    const placeholders = pdfPrefillService.normalizePlaceholders(options.placeholders, pageSizes);
+
+    const requiredVariables = [...new Set(placeholders
+      .flatMap(placeholder => pdfPrefillService.extractVariableNames(placeholder.text)))];
+
+    return { source: document, options: { ...options, fields, placeholders }, requiredVariables };
+  }
+
+  throw buildError("Tipo de origem inválido. Use 'DOCUMENT' ou 'TEMPLATE'.");
+};
+
+/**
+ * Cria o job de envio em massa: valida todas as linhas, reserva o limite do plano para as
+ * linhas válidas (de uma vez, antes de enviar qualquer documento) e agenda o processamento.
+ * A reserva são as linhas ainda não processadas do job (ver assertCanCreateDocuments), gravadas
+ * com a linha do tenant travada para que dois envios simultâneos não usem a mesma cota.
+ *
+ * @param {object} data - { sourceType, sourceId, file, recipients, options, user }
+ *   options: { title, message, deadlineAt, folderId, role, fixedRecipients, fields, placeholders, authChannels }
+ */
+const createBulkSend = async ({ sourceType, sourceId, file, recipients, options = {}, user }) => {
+  const rawRows = parseRecipients({ file, recipients });
+  if (!Array.isArray(rawRows) || rawRows.length === 0) {
+    throw buildError('Envie a lista de destinatários (arquivo CSV/JSON ou o campo "recipients").');
+  }
+  if (rawRows.length > MAX_ROWS) {
+    throw buildError(`A lista tem ${rawRows.length} linhas; o máximo por envio é ${MAX_ROWS}.`);
+  }
+
+  const prepared = await prepareSource(sourceType, sourceId, options, user);
+  const rows = rawRows.map((raw, index) => validateRow(raw, index, prepared.requiredVariables));
+  const invalidRows = rows.filter(row => row.status === 'INVALID');
+  const validCount = rows.length - invalidRows.length;
+
+  if (validCount === 0) {
+    const sample = invalidRows.slice(0, 5).map(row => `linha ${row.row}: ${row.errors.join(' ')}`).join('; ');
+    throw buildError(`Nenhuma linha válida na lista (${sample}).`);
+  }
+
+  const transaction = await sequelize.transaction();
+  let job;
+  try {
+    // Limite do plano para o lote inteiro: ou cabe tudo, ou nada é enviado
+    await documentService.assertCanCreateDocuments(user, validCount, { transaction });
+
+    job = await BulkSendJob.create({
+      tenantId: user.tenantId,
+      ownerId: user.id,
+      sourceType,
+      sourceId,
+      optionsJson: prepared.options,
+      rowsJson: rows,
+      totalRows: rows.length,
+      processedRows: invalidRows.length,
+      failedRows: invalidRows.length,
+      status: 'PENDING'
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  setImmediate(() => {
+    processBulkSendJob(job.id).catch(error => {
+      console.error(`[BULK] Falha ao processar o envio em massa ${job.id}:`, error.message);
+    });
+  });
+
+  return job;
+};
+
+/**
+ * Gera e envia o documento de uma linha.
+ */
+const sendRow = async (job, source, row, user) => {
+  const options = job.optionsJson;
+  const person = { name: row.name, email: row.email, phone: row.phone, cpf: row.cpf };
+  const hasVariables = Object.keys(row.variables || {}).length > 0;
+
+  if (job.sourceType === 'TEMPLATE') {
+    return templateService.sendTemplate(source.id, {
+      recipients: { ...options.fixedRecipients, [options.role]: { ...person, authChannels: options.authChannels } },
+      variables: hasVariables ? row.variables : undefined,
+      title: `${options.title || source.name} - ${row.name}`,
+      message: options.message,
+      deadlineAt: options.deadlineAt,
+      folderId: options.folderId
+    }, user);
+  }
+
+  const placeholders = options.placeholders || [];
+  // A extensão do nome define a do arquivo gerado (ver storeUploadedDocument)
+  const fileName = /\.pdf$/i.test(source.title) ? source.title : `${source.title}.pdf`;
+  return documentService.createDocumentFromStoredFile(
+    { storageKey: source.storageKey, fileName, mimeType: source.mimeType, size: source.size },
+    {
+      title: `${options.title || source.title} - ${row.name}`,
+      deadlineAt: options.deadlineAt || source.deadlineAt,
+      folderId: options.folderId === undefined ? source.folderId : (options.folderId === 'root' ? null : options.folderId),
+      user,
+      prefill: hasVariables || placeholders.length > 0 ? { variables: row.variables, placeholders } : null,
+      settings: {
+        autoReminders: source.autoReminders,
+        reminderIntervalDays: source.reminderIntervalDays,
+        reminderDaysBeforeDeadline: source.reminderDaysBeforeDeadline,
+        maxRemindersPerSigner: source.maxRemindersPerSigner
+      }
+    },
+    [{ ...person, authChannels: options.authChannels, fields: options.fields }],
+    options.message,
+    { declinePolicy: source.declinePolicy }
+  );
+};
+
+/**
+ * Processa as linhas pendentes de um job, uma por vez, gravando o progresso após cada linha.
+ * O job é reivindicado atomicamente (PENDING → PROCESSING) para não rodar em duplicidade.
+ *
+ * @param {string} jobId
+ */
+const processBulkSendJob = async (jobId) => {
+  const [claimed] = await BulkSendJob.update(
+    { status: 'PROCESSING', startedAt: new Date() },
+    { where: { id: jobId, status: 'PENDING' } }
+  );
+  if (!claimed) return;
+
+  const job = await BulkSendJob.findByPk(jobId);
+  try {
+    const owner = await User.findByPk(job.ownerId);
+    if (!owner) throw new Error('O usuário que criou o envio não existe mais.');
+    // Mesmo contexto de tenant do momento da criação (ver authGuard); as linhas usam a cota reservada pelo job
+    const user = { ...owner.toJSON(), tenantId: job.tenantId, bulkSendJobId: job.id };
+
+    const source = job.sourceType === 'TEMPLATE'
+      ? await Template.findOne({ where: { id: job.sourceId, tenantId: job.tenantId } })
+      : await Document.findOne({ where: { id: job.sourceId, tenantId: job.tenantId } });
+    if (!source) throw new Error('O documento ou modelo de origem não existe mais.');
+
+    const rows = job.rowsJson;
+    for (const row of rows) {
+      if (row.status !== 'PENDING') continue;
+
+      try {
+        const document = await sendRow(job, source, row, user);
+        row.status = 'SENT';
+        row.documentId = document.id;
+        job.sentRows += 1;
+      } catch (error) {
+        row.status = 'FAILED';
+        row.errors = [error.message];
+        job.failedRows += 1;
+      }
+      job.processedRows += 1;
+
+      job.rowsJson = rows;
+      job.changed('rowsJson', true); // Mutação dentro do JSONB
+      await job.save();
+    }
+
+    job.status = job.failedRows > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+  } catch (error) {
+    job.status = 'FAILED';
+    job.errorMessage = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+/**
+ * Retoma jobs pendentes ou interrompidos (ex.: reinício do servidor no meio do processamento).
+ * Linhas já enviadas não são reenviadas; a linha em andamento no momento da queda pode ser repetida.
+ *
+ * @returns {Promise<number>} Quantidade de jobs retomados.
+ */
+const resumeBulkSendJobs = async (now = new Date()) => {
+  const staleLimit = new Date(now.getTime() - STALE_JOB_MINUTES * 60 * 1000);
+  await BulkSendJob.update(
+    { status: 'PENDING' },
+    { where: { status: 'PROCESSING', updatedAt: { [Op.lt]: staleLimit } } }
+  );
+
+  const pending = await BulkSendJob.findAll({ attributes: ['id'], where: { status: 'PENDING' } });
+  for (const { id } of pending) {
+    await processBulkSendJob(id);
+  }
+  return pending.length;
+};
+
+const buildProgress = (job) => ({
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  sentRows: job.sentRows,
+  failedRows: job.failedRows,
+  percent: job.totalRows > 0 ? Math.round((job.processedRows / job.totalRows) * 100) : 100
+});
+
+const findJob = async (jobId, user) => {
+  const job = await BulkSendJob.findOne({ where: { id: jobId, tenantId: user.tenantId } });
+  if (!job) throw buildError('Envio em massa não encontrado ou acesso negado.', 404);
+  return job;
+};
+
+/**
+ * Lista os envios em massa do tenant (sem as linhas).
+ */
+const listBulkSends = async (user) => {
+  const jobs = await BulkSendJob.findAll({
+    where: { tenantId: user.tenantId },
+    attributes: { exclude: ['rowsJson'] },
+    order: [['createdAt', 'DESC']],
+    include: [{ model: User, as: 'owner', attributes: ['name'] }]
+  });
+  return jobs.map(job => ({ ...job.toJSON(), progress: buildProgress(job) }));
+};
+
+/**
+ * Progresso do job e os erros por linha (inválidas na validação ou com falha no envio).
+ */
+const getBulkSendStatus = async (jobId, user) => {
+  const job = await findJob(jobId, user);
+  const { rowsJson, ...summary } = job.toJSON();
+
+  return {
+    ...summary,
+    progress: buildProgress(job),
+    errors: rowsJson
+      .filter(row => ['INVALID', 'FAILED'].includes(row.status))
+      .map(({ row, name, email, status, errors }) => ({ row, name, email, status, errors }))
+  };
+};
+
+/**
+ * Relatório final linha a linha (JSON ou CSV).
+ *
+ * @param {'json'|'csv'} [format='json']
+ */
+const getBulkSendReport = async (jobId, user, format = 'json') => {
+  const job = await findJob(jobId, user);
+  const rows = job.rowsJson.map(row => ({
+    row: row.row,
+    name: row.name,
+    email: row.email,
+    phone: row.phone,
+    cpf: row.cpf,
+    status: row.status,
+    documentId: row.documentId,
+    errors: row.errors.join(' ')
+  }));
+
+  if (format === 'csv') {
+    return toCsv(['row', 'name', 'email', 'phone', 'cpf', 'status', 'documentId', 'errors'], rows);
+  }
+  return {
+    id: job.id,
+    status: job.status,
+    sourceType: job.sourceType,
+    sourceId: job.sourceId,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    errorMessage: job.errorMessage,
+    progress: buildProgress(job),
+    rows
+  };
+};
+
+module.exports = {
+  createBulkSend,
+  processBulkSendJob,
+  resumeBulkSendJobs,
+  listBulkSends,
+  getBulkSendStatus,
+  getBulkSendReport
+};
@@ -1,6 +1,9 @@
 // src/features/document/document.controller.js
 
 const documentService = require('./document.service');
+const documentSignerService = require('./documentSigner.service');
+const fileService = require('../file/file.service');
+const { sendDownload } = require('../../utils/sendDownload');
 
 const createDocument = async (req, res, next) => {
   try {
@@ -8,14 +11,28 @@ const createDocument = async (req, res, next) => {
       return res.status(400).json({ message: 'Nenhum arquivo enviado.' });
     }
     // folderId vem como string no FormData
-    const { title, deadlineAt, folderId } = req.body; 
+    const { title, deadlineAt, folderId, variables, placeholders } = req.body; 
+
+    // Pré-preenchimento opcional: variables = { cliente_nome, ... }, placeholders = [{ text, page, x, y }] (JSON no FormData)
+    let prefill = null;
+    if (variables || placeholders) {
+      try {
+        prefill = {
+          variables: typeof variables === 'string' ? JSON.parse(variables) : variables,
+          placeholders: typeof placeholders === 'string' ? JSON.parse(placeholders) : placeholders
+        };
+      } catch (e) {
+        return res.status(400).json({ message: "Os campos 'variables' e 'placeholders' devem ser JSON válidos." });
+      }
+    }
     
     const document = await documentService.createDocumentAndHandleUpload({
       file: req.file,
       title,
       deadlineAt,
       folderId: folderId === 'root' ? null : folderId, // Trata 'root' como null
-      user: req.user
+      user: req.user,
+      prefill
     });
     return res.status(201).json(document);
   } catch (error) {
@@ -26,7 +43,7 @@ const createDocument = async (req, res, next) => {
 const getDocumentById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const document = await documentService.findDocumentById(id, req.user);
+    const document = await documentService.getDocumentDetails(id, req.user);
     return res.status(200).json(document);
   } catch (error) {
     next(error);
@@ -61,13 +78,78 @@ const downloadDocumentFile = async (req, res, next) => {
     }
 };
 
+const getDocumentVersions = async (req, res, next) => {
+    try {
+        const versions = await documentService.listDocumentVersions(req.params.id, req.user);
+        return res.status(200).json(versions);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const downloadDocumentVersion = async (req, res, next) => {
+    try {
+        const downloadData = await documentService.getVersionDownloadUrl(req.params.id, req.params.versionId, req.user);
+        return res.status(200).json(downloadData);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const downloadCertificate = async (req, res, next) => {
+    try {
+        const certificateData = await documentService.getCertificateDownloadUrl(req.params.id, req.user);
+        return res.status(200).json(certificateData);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// --- Downloads autenticados (stream direto, auditados em nome do usuário) ---
+
+const streamFile = async (req, res, file) => {
+    const download = await fileService.openDownload(file, { actorKind: 'USER', actorId: req.user.id }, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        via: 'SESSION',
+        tenantId: req.user.tenantId
+    });
+    await sendDownload(req, res, download);
+};
+
+const streamDocumentFile = async (req, res, next) => {
+    try {
+        await streamFile(req, res, { kind: 'DOCUMENT', id: req.params.id });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const streamDocumentVersion = async (req, res, next) => {
+    try {
+        const version = await documentService.findDocumentVersion(req.params.id, req.params.versionId, req.user);
+        await streamFile(req, res, { kind: 'VERSION', id: version.id });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const streamCertificate = async (req, res, next) => {
+    try {
+        const certificate = await documentService.ensureDocumentCertificate(req.params.id, req.user);
+        await streamFile(req, res, { kind: 'CERTIFICATE', id: certificate.id });
+    } catch (error) {
+        next(error);
+    }
+};
+
 const inviteSigners = async (req, res, next) => {
   try {
     const { id } = req.params;
     
     // --- MUDANÇA AQUI ---
     // Extrai tanto a lista de 'signers' quanto a 'message' opcional do corpo da requisição
-    const { signers, message } = req.body;
+    const { signers, message, signingMode, declinePolicy } = req.body;
     // -------------------
 
     // Validação de entrada
@@ -77,7 +159,7 @@ const inviteSigners = async (req, res, next) => {
 
     // --- MUDANÇA AQUI ---
     // Passa a 'message' como um novo argumento para a função do serviço
-    await documentService.addSignersToDocument(id, signers, message, req.user);
+    await documentService.addSignersToDocument(id, signers, message, req.user, { signingMode, declinePolicy });
     // -------------------
     
     return res.status(200).json({ message: 'Convites enviados com sucesso.' });
@@ -86,6 +168,69 @@ const inviteSigners = async (req, res, next) => {
   }
 };
 
+const resendSignerInvite = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const { authChannels, email, phone, message } = req.body || {};
+
+    const signer = await documentSignerService.resendSignerInvite(id, signerId, { authChannels, email, phone, message }, req.user);
+
+    return res.status(200).json({
+      message: 'Convite reenviado com sucesso. O link anterior foi revogado.',
+      signer: { id: signer.id, name: signer.name, email: signer.email, authChannels: signer.authChannels, invitedAt: signer.invitedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const serializeSigner = (signer) => ({
+  id: signer.id,
+  name: signer.name,
+  email: signer.email,
+  phone: signer.phoneWhatsE164,
+  cpf: signer.cpf,
+  authChannels: signer.authChannels,
+  order: signer.order,
+  requiresCertificate: signer.requiresCertificate,
+  status: signer.status
+});
+
+const updateSigner = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const { name, email, phone, cpf, authChannels, order, requiresCertificate } = req.body || {};
+
+    const signer = await documentSignerService.updateSigner(id, signerId, { name, email, phone, cpf, authChannels, order, requiresCertificate }, req.user);
+    return res.status(200).json({ message: 'Signatário atualizado. Os links anteriores foram revogados.', signer: serializeSigner(signer) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removeSigner = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const { isComplete } = await documentSignerService.removeSigner(id, signerId, req.user);
+    return res.status(200).json({
+      message: isComplete ? 'Signatário removido. Todas as assinaturas foram coletadas e o documento foi finalizado.' : 'Signatário removido com sucesso.',
+      isComplete
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const replaceSigner = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const signer = await documentSignerService.replaceSigner(id, signerId, req.body || {}, req.user);
+    return res.status(201).json({ message: 'Signatário substituído com sucesso.', signer: serializeSigner(signer) });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getDocumentAuditTrail = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -131,8 +276,8 @@ const applyPades = async (req, res, next) => {
 
 const getAllDocuments = async (req, res, next) => {
   try {
-    const { status } = req.query; // Pega o status da URL, ex: ?status=SIGNED
-    const documents = await documentService.findAllDocuments(req.user, status);
+    // ?status=pendentes&folderId=...&includeSubfolders=true&signerEmail=...&sortBy=deadline&sortOrder=asc&page=2&limit=50
+    const documents = await documentService.findAllDocuments(req.user, req.query);
     return res.status(200).json(documents);
   } catch (error) {
     next(error);
@@ -199,12 +344,22 @@ module.exports = {
   getDocumentById,
   updateDocument,
   downloadDocumentFile,
+  downloadCertificate,
+  streamDocumentFile,
+  streamDocumentVersion,
+  streamCertificate,
   inviteSigners,
+  resendSignerInvite,
+  updateSigner,
+  removeSigner,
+  replaceSigner,
   getDocumentAuditTrail,
   cancelDocument,
   expireDocument,
   applyPades,
   getAllDocuments,
+  getDocumentVersions,
+  downloadDocumentVersion,
   getStats,
   verifyChain,
   validateFile
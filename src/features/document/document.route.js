@@ -37,7 +37,7 @@ router.use(authGuard);
 // Estatísticas do dashboard (CRÍTICO: Deve vir antes de /:id para não ser confundido com um UUID)
 router.get('/stats', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getStats);
 
-// Listar todos os documentos do tenant
+// Listar documentos do tenant (paginado; filtros por status, dono, pasta, signatário, datas e título)
 router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getAllDocuments);
 
 // Criar novo documento (Upload)
@@ -53,12 +53,31 @@ router.get('/:id/verify-chain', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), docum
 // Obter trilha de auditoria
 router.get('/:id/audit', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getDocumentAuditTrail);
 
-// Download do arquivo
+// Download do arquivo: '/download' devolve um link assinado e temporário (para abrir em nova aba),
+// '/file' envia o arquivo direto (stream). Ambos auditados como DOWNLOADED no momento do download.
 router.get('/:id/download', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.downloadDocumentFile);
+router.get('/:id/file', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.streamDocumentFile);
+
+// Versões do arquivo (original, carimbado, selado...) e download de cada uma
+router.get('/:id/versions', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getDocumentVersions);
+router.get('/:id/versions/:versionId/download', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.downloadDocumentVersion);
+router.get('/:id/versions/:versionId/file', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.streamDocumentVersion);
+
+// Certificado de Conclusão (documentos finalizados)
+router.get('/:id/certificate', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.downloadCertificate);
+router.get('/:id/certificate/file', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.streamCertificate);
 
 // Convidar signatários
 router.post('/:id/invite', roleGuard(['ADMIN', 'MANAGER']), documentController.inviteSigners);
 
+// Reenviar convite a um signatário (revoga o link anterior)
+router.post('/:id/signers/:signerId/resend', roleGuard(['ADMIN', 'MANAGER']), documentController.resendSignerInvite);
+
+// Editar, substituir e remover signatários que ainda não assinaram
+router.patch('/:id/signers/:signerId', roleGuard(['ADMIN', 'MANAGER']), documentController.updateSigner);
+router.post('/:id/signers/:signerId/replace', roleGuard(['ADMIN', 'MANAGER']), documentController.replaceSigner);
+router.delete('/:id/signers/:signerId', roleGuard(['ADMIN', 'MANAGER']), documentController.removeSigner);
+
 // Cancelar documento
 router.post('/:id/cancel', roleGuard(['ADMIN', 'MANAGER']), documentController.cancelDocument);
 
@@ -2,48 +2,59 @@
 'use strict';
 
 const fs = require('fs/promises');
-const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { Op } = require('sequelize');  
-const { Document, Signer, ShareToken, AuditLog, Certificate, Tenant, Plan, User, Folder, TenantSettings, sequelize } = require('../../models'); 
+const { Document, DocumentVersion, Signer, ShareToken, AuditLog, Certificate, Tenant, Plan, User, Folder, SignatureField, BulkSendJob, Envelope, sequelize } = require('../../models'); 
 
 // Serviços externos
-const notificationService = require('../../services/notification.service');
 const auditService = require('../audit/audit.service');
-const pdfService = require('../../services/pdf.service');
-const padesService = require('../../services/pades.service');
+const signingFlowService = require('../../services/signingFlow.service');
+const finalizationService = require('../../services/finalization.service');
+const certificateService = require('../../services/certificate.service');
+const signatureFieldService = require('../../services/signatureField.service');
+const signatureValidationService = require('../../services/signatureValidation.service');
+const pdfPrefillService = require('../../services/pdfPrefill.service');
+const documentVersionService = require('../../services/documentVersion.service');
+const storageService = require('../../services/storage.service');
+const fileService = require('../file/file.service');
+const { onlyDigits } = require('../../utils/validators');
+const { parsePagination, parseSort, buildPage, escapeLike } = require('../../utils/pagination');
 
 /**
- * Salva a imagem da assinatura (em Base64) como um arquivo PNG no disco.
+ * Salva a imagem da assinatura (em Base64) como um arquivo PNG no armazenamento.
  * @param {string} base64Image - A string Base64 da imagem PNG.
  * @param {string} tenantId - O ID do tenant para organizar os arquivos.
  * @param {string} signerId - O ID do signatário para nomear o arquivo.
- * @returns {Promise<string>} O caminho relativo do arquivo salvo.
+ * @returns {Promise<string>} A chave do arquivo salvo.
  */
 const saveSignatureImage = async (base64Image, tenantId, signerId) => {
   const base64Data = base64Image.replace(/^data:image\/png;base64,/, "");
   const imageBuffer = Buffer.from(base64Data, 'base64');
   
-  const dir = path.join(__dirname, '..', '..', '..', 'uploads', tenantId, 'signatures');
-  await fs.mkdir(dir, { recursive: true });
+  const storageKey = storageService.buildKey(tenantId, 'signatures', `${signerId}.png`);
+  await storageService.put(storageKey, imageBuffer);
   
-  const filePath = path.join(dir, `${signerId}.png`);
-  await fs.writeFile(filePath, imageBuffer);
-  
-  return path.relative(path.join(__dirname, '..', '..', '..'), filePath);
+  return storageKey;
 };
 
 /**
- * Cria um registro de documento, lida com o upload do arquivo, calcula seu hash
- * e cria o primeiro evento de auditoria.
- * Inclui validações de Limite de Plano e Status de Pagamento.
+ * Valida se o tenant pode criar novos documentos (status do pagamento e limite do plano).
+ * Linhas ainda não enviadas de envios em massa em andamento (PENDING/PROCESSING) contam como
+ * documentos reservados; o envio em massa que está gerando os seus documentos vem em
+ * user.bulkSendJobId e não conta a própria reserva.
+ *
+ * @param {object} user - Usuário autenticado.
+ * @param {number} [newDocuments=1] - Quantidade de documentos a criar (envelopes criam vários de uma vez).
+ * @param {object} [options]
+ * @param {object} [options.transaction] - Trava a linha do tenant até o fim da transação (reserva de envio em massa).
  */
-const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId, user }) => {
-  
+const assertCanCreateDocuments = async (user, newDocuments = 1, { transaction = null } = {}) => {
   // 1. Busca dados do Tenant e do Plano atual
   const tenant = await Tenant.findByPk(user.tenantId, {
-      include: [{ model: Plan, as: 'plan' }]
+      include: [{ model: Plan, as: 'plan' }],
+      transaction,
+      lock: transaction ? { level: transaction.LOCK.UPDATE, of: Tenant } : undefined
   });
 
   if (!tenant) throw new Error('Organização não encontrada.');
@@ -59,63 +70,144 @@ const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId
 
   // 3. Verifica quantidade atual vs Limite do Plano
   if (tenant.plan) {
-      const currentCount = await Document.count({ where: { tenantId: user.tenantId } });
-      
-      if (currentCount >= tenant.plan.documentLimit) {
+      const documentCount = await Document.count({ where: { tenantId: user.tenantId }, transaction });
+      const reservations = await BulkSendJob.findAll({
+          attributes: ['totalRows', 'processedRows'],
+          where: {
+              tenantId: user.tenantId,
+              status: { [Op.in]: ['PENDING', 'PROCESSING'] },
+              ...(user.bulkSendJobId && { id: { [Op.ne]: user.bulkSendJobId } })
+          },
+          transaction
+      });
+      const reservedCount = reservations.reduce((sum, job) => sum + Math.max(job.totalRows - job.processedRows, 0), 0);
+      const currentCount = documentCount + reservedCount;
+
+      if (currentCount + newDocuments > tenant.plan.documentLimit) {
           const error = new Error(`Limite de documentos atingido (${currentCount}/${tenant.plan.documentLimit}). Faça upgrade do plano.`);
           error.statusCode = 403; // Forbidden
           throw error;
       }
   }
   // --- FIM DA TRAVA DE LIMITE ---
+};
 
-  const transaction = await sequelize.transaction();
-  try {
-    // 4. Cria o registro no banco de dados (Status Inicial: DRAFT)
-    const doc = await Document.create({
-      tenantId: user.tenantId,
-      ownerId: user.id,
-      folderId: folderId || null, // Vincula à pasta ou Raiz
-      title: title || file.originalname,
-      deadlineAt,
-      mimeType: file.mimetype,
-      size: file.size,
-      status: 'DRAFT',
-    }, { transaction });
-    
-    // 5. Prepara diretório permanente
-    // Caminho: uploads/{tenantId}/{docId}.pdf
-    const permanentDir = path.join(__dirname, '..', '..', '..', 'uploads', user.tenantId);
-    await fs.mkdir(permanentDir, { recursive: true });
-    
-    const fileExtension = path.extname(file.originalname);
-    const permanentPath = path.join(permanentDir, `${doc.id}${fileExtension}`);
-    
-    // 6. Move o arquivo da pasta temporária (multer) para a pasta permanente
-    await fs.rename(file.path, permanentPath);
+/**
+ * Cria o registro do documento a partir do arquivo enviado (multer), grava o arquivo no armazenamento
+ * (uploads/{tenantId}/{docId}), calcula o hash e registra o upload na auditoria, dentro da transação recebida.
+ * Arquivos de envelope ficam em DRAFT até o envelope ser enviado.
+ * Com 'prefill' ({ variables, placeholders }) o PDF é preenchido e achatado antes do hash,
+ * e os valores usados ficam registrados no evento STORAGE_UPLOADED.
+ *
+ * @param {object} data - { file, title, deadlineAt, folderId, user, envelopeId, templateId, prefill }
+ * @param {import('sequelize').Transaction} transaction
+ */
+const storeUploadedDocument = async ({ file, title, deadlineAt, folderId, user, envelopeId = null, templateId = null, prefill = null }, transaction) => {
+  // Preenchimento de variáveis (AcroForm + tags de texto) no arquivo temporário, antes do hash
+  let prefillPayload = null;
+  let size = file.size;
+  if (prefill) {
+    if (file.mimetype !== 'application/pdf') {
+      const error = new Error('O preenchimento de variáveis só é suportado em arquivos PDF.');
+      error.statusCode = 400;
+      throw error;
+    }
+    const originalBuffer = await fs.readFile(file.path);
+    const filled = await pdfPrefillService.fillPdf(originalBuffer, prefill);
+    await fs.writeFile(file.path, filled.buffer);
+    size = filled.buffer.length;
+    prefillPayload = {
+      originalSha256: crypto.createHash('sha256').update(originalBuffer).digest('hex'),
+      variables: prefill.variables || {},
+      formFields: filled.formFields,
+      placeholders: filled.placeholders
+    };
+  }
 
-    // 7. Calcula o Hash SHA256 para garantia de integridade
-    const fileBuffer = await fs.readFile(permanentPath);
-    const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  // 4. Cria o registro no banco de dados (Status Inicial: DRAFT)
+  const doc = await Document.create({
+    tenantId: user.tenantId,
+    ownerId: user.id,
+    envelopeId,
+    templateId,
+    folderId: folderId || null, // Vincula à pasta ou Raiz
+    title: title || file.originalname,
+    deadlineAt,
+    mimeType: file.mimetype,
+    size,
+    status: 'DRAFT',
+  }, { transaction });
+  
+  // 5. Calcula o Hash SHA256 para garantia de integridade
+  const fileBuffer = await fs.readFile(file.path);
+  const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+  // 6. Grava no armazenamento (chave: uploads/{tenantId}/{docId}.pdf) e descarta o arquivo temporário (multer)
+  const storageKey = storageService.buildKey(user.tenantId, `${doc.id}${path.extname(file.originalname)}`);
+  await storageService.put(storageKey, fileBuffer);
+  await fs.rm(file.path, { force: true });
+
+  // 7. Atualiza o documento com a chave do arquivo e o hash
+  doc.storageKey = storageKey;
+  doc.sha256 = sha256;
+  if (!envelopeId) doc.status = 'READY'; // Agora está pronto para assinaturas
+  await doc.save({ transaction });
+
+  // Versão 1: o arquivo original nunca é sobrescrito (as etapas seguintes gravam arquivos próprios)
+  await documentVersionService.recordVersion(doc, {
+    kind: 'ORIGINAL',
+    buffer: fileBuffer,
+    storageKey: doc.storageKey,
+    actorKind: 'USER',
+    actorId: user.id,
+    reason: templateId ? 'Gerado a partir de modelo' : 'Upload do arquivo original'
+  }, transaction);
+
+  // 8. Registra o evento de Upload na Auditoria
+  await auditService.createEntry({
+    tenantId: user.tenantId,
+    actorKind: 'USER',
+    actorId: user.id,
+    entityType: 'DOCUMENT',
+    entityId: doc.id,
+    action: 'STORAGE_UPLOADED',
+    ip: 'SYSTEM', // Upload inicial via API interna
+    userAgent: 'SYSTEM',
+    payload: {
+      fileName: file.originalname,
+      sha256,
+      ...(envelopeId && { envelopeId }),
+      ...(templateId && { templateId }),
+      ...(prefillPayload && { prefill: prefillPayload })
+    }
+  }, transaction);
 
-    // 8. Atualiza o documento com o caminho final e o hash
-    doc.storageKey = path.relative(path.join(__dirname, '..', '..', '..'), permanentPath);
-    doc.sha256 = sha256;
-    doc.status = 'READY'; // Agora está pronto para assinaturas
-    await doc.save({ transaction });
+  return doc;
+};
 
-    // 9. Registra o evento de Upload na Auditoria
-    await auditService.createEntry({
-      tenantId: user.tenantId,
-      actorKind: 'USER',
-      actorId: user.id,
-      entityType: 'DOCUMENT',
-      entityId: doc.id,
-      action: 'STORAGE_UPLOADED',
-      ip: 'SYSTEM', // Upload inicial via API interna
-      userAgent: 'SYSTEM',
-      payload: { fileName: file.originalname, sha256 }
-    }, transaction);
+/**
+ * Arquivos de envelope seguem o fluxo do envelope: signatários e status são geridos em /envelopes.
+ */
+const assertNotInEnvelope = (document) => {
+  if (document.envelopeId) {
+    const error = new Error('Este documento faz parte de um envelope. Gerencie signatários e status pelo envelope.');
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Cria um registro de documento, lida com o upload do arquivo, calcula seu hash
+ * e cria o primeiro evento de auditoria.
+ * Inclui validações de Limite de Plano e Status de Pagamento.
+ * 'prefill' ({ variables, placeholders }) preenche o PDF antes do hash (ver pdfPrefill.service).
+ */
+const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId, user, prefill = null }) => {
+  await assertCanCreateDocuments(user);
+
+  const transaction = await sequelize.transaction();
+  try {
+    const doc = await storeUploadedDocument({ file, title, deadlineAt, folderId, user, prefill }, transaction);
 
     await transaction.commit();
     return doc;
@@ -136,7 +228,11 @@ const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId
 };
 
 /**
- * Valida um Buffer de PDF contra os registros do banco de dados (Prova de Autenticidade).
+ * Valida um Buffer de PDF contra os registros do banco de dados (Prova de Autenticidade)
+ * e verifica criptograficamente as assinaturas PAdES/CMS embutidas.
+ * O hash é procurado em todas as versões do arquivo (original, carimbado, selado...) e a resposta
+ * indica qual versão foi reconhecida. Só a versão atual de um documento assinado é válida como
+ * documento final; um PDF selado pela plataforma é válido em qualquer versão, desde que o selo esteja íntegro.
  */
 const validatePdfIntegrity = async (fileBuffer) => {
   // 1. Calcula o SHA-256 do arquivo recebido
@@ -144,9 +240,18 @@ const validatePdfIntegrity = async (fileBuffer) => {
 
   console.log(`[Validator] Verificando Hash: ${hash}`);
 
-  // 2. Busca no banco pelo Hash
+  // 2. Assinaturas embutidas (ByteRange/CMS)
+  const { signatures, platformSeal } = await signatureValidationService.validatePdfSignatures(fileBuffer);
+  const cryptographic = {
+    signatures,
+    platformSeal,
+    modifiedAfterSigning: signatures.some(s => s.modifiedAfterSigning)
+  };
+
+  // 3. Busca no banco pelo Hash: primeiro nas versões, depois no arquivo atual (documentos anteriores ao versionamento)
+  const matchedVersion = await documentVersionService.findVersionByHash(hash);
   const doc = await Document.findOne({
-    where: { sha256: hash },
+    where: matchedVersion ? { id: matchedVersion.documentId } : { sha256: hash },
     include: [
       { 
         model: User, 
@@ -161,25 +266,58 @@ const validatePdfIntegrity = async (fileBuffer) => {
     ]
   });
 
-  // 3. Regra Estrita: Só é válido se existir E estiver ASSINADO (SIGNED)
+  const documentSummary = doc && {
+    title: doc.title,
+    signedAt: doc.updatedAt,
+    ownerName: doc.owner.name,
+    signers: doc.Signers
+  };
+  const isCurrentVersion = Boolean(doc) && doc.sha256 === hash;
+  const version = matchedVersion && {
+    versionNumber: matchedVersion.versionNumber,
+    kind: matchedVersion.kind,
+    createdAt: matchedVersion.createdAt,
+    isCurrent: isCurrentVersion
+  };
+
+  // 4. Versão anterior de um documento conhecido: identifica a versão, mas não vale como documento final
+  // (dados do documento só são expostos depois que ele foi assinado, como na regra abaixo)
+  if (doc && !isCurrentVersion) {
+    return {
+      valid: platformSeal.intact,
+      hashCalculated: hash,
+      reason: platformSeal.intact ? 'PLATFORM_SEAL_VALID' : 'PREVIOUS_VERSION',
+      ...(doc.status === 'SIGNED' && { document: documentSummary }),
+      version,
+      ...cryptographic
+    };
+  }
+
+  // 5. Regra Estrita: Só é válido se existir E estiver ASSINADO (SIGNED)... ou se o selo da plataforma estiver íntegro
   if (!doc || doc.status !== 'SIGNED') {
+    if (platformSeal.intact) {
+      return { valid: true, hashCalculated: hash, reason: 'PLATFORM_SEAL_VALID', ...cryptographic };
+    }
+
+    let reason = !doc ? 'NOT_FOUND' : 'NOT_SIGNED';
+    if (platformSeal.present) reason = 'PLATFORM_SEAL_BROKEN';
+
     return { 
         valid: false, 
         hashCalculated: hash, 
-        reason: !doc ? 'NOT_FOUND' : 'NOT_SIGNED'
+        reason,
+        ...(version && { version }),
+        ...cryptographic
     };
   }
 
-  // 4. Sucesso: Documento Assinado e Íntegro
+  // 6. Sucesso: Documento Assinado e Íntegro
   return {
     valid: true,
     hashCalculated: hash,
-    document: {
-      title: doc.title,
-      signedAt: doc.updatedAt,
-      ownerName: doc.owner.name,
-      signers: doc.Signers
-    }
+    document: documentSummary,
+    ...(version && { version }),
+    ...cryptographic
   };
 };
 
@@ -256,12 +394,34 @@ const findDocumentById = async (docId, user) => {
     return document;
 };
 
+/**
+ * Retorna o documento com dados derivados do fluxo de assinatura
+ * (campos posicionados, grupo de ordem liberado para assinar e progresso das assinaturas).
+ */
+const getDocumentDetails = async (docId, user) => {
+    const document = await findDocumentById(docId, user);
+    const signers = document.Signers || [];
+
+    const fields = await SignatureField.findAll({ where: { documentId: docId } });
+
+    return {
+        ...document.toJSON(),
+        fields: fields.map(signatureFieldService.serializeField),
+        activeSigningOrder: signingFlowService.getActiveSigningOrder(document, signers),
+        progress: signingFlowService.buildSigningProgress(signers)
+    };
+};
+
 /**
  * Atualiza os detalhes de um documento.
  */
 const updateDocumentDetails = async (docId, updates, user) => {
     const document = await findDocumentById(docId, user);
-    const allowedUpdates = ['title', 'deadlineAt', 'autoReminders'];
+    // Em arquivos de envelope, prazo, fluxo e lembretes são os do envelope
+    const allowedUpdates = document.envelopeId ? ['title'] : [
+        'title', 'deadlineAt', 'autoReminders', 'signingMode', 'declinePolicy',
+        'reminderIntervalDays', 'reminderDaysBeforeDeadline', 'maxRemindersPerSigner'
+    ];
     const validUpdates = {};
     for (const key of allowedUpdates) {
         if (updates[key] !== undefined) {
@@ -273,88 +433,249 @@ const updateDocumentDetails = async (docId, updates, user) => {
 };
 
 /**
- * Obtém o caminho absoluto do arquivo no servidor.
+ * Retorna um link assinado e temporário para download do arquivo atual do documento
+ * (o download é auditado em nome do usuário).
  */
-const getDocumentFilePath = async (docId, user) => {
+const getDocumentDownloadUrl = async (docId, user) => {
     const document = await Document.findOne({
-      where: { id: docId, tenantId: user.tenantId }
+        where: { id: docId, tenantId: user.tenantId }
     });
+    if (!document) {
+        const error = new Error('Documento não encontrado ou acesso negado.');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return fileService.createSignedUrl({ kind: 'DOCUMENT', id: document.id }, { actorKind: 'USER', actorId: user.id });
+};
 
-    if (!document || !document.storageKey) {
-      throw new Error('Arquivo do documento não encontrado ou acesso negado.');
+/**
+ * Lista as versões do arquivo do documento (original, carimbado, selado...), indicando a atual
+ * e quem gerou cada uma.
+ */
+const listDocumentVersions = async (docId, user) => {
+    const document = await findDocumentById(docId, user); // Valida acesso
+    const versions = await documentVersionService.listVersions(document.id);
+
+    const userIds = versions.filter(v => v.createdByKind === 'USER').map(v => v.createdById);
+    const signerIds = versions.filter(v => v.createdByKind === 'SIGNER').map(v => v.createdById);
+    const [users, signers] = await Promise.all([
+        userIds.length ? User.findAll({ where: { id: userIds }, attributes: ['id', 'name'] }) : [],
+        signerIds.length ? Signer.findAll({ where: { id: signerIds }, attributes: ['id', 'name'] }) : []
+    ]);
+    const names = new Map([...users, ...signers].map(actor => [actor.id, actor.name]));
+
+    return versions.map(version => ({
+        id: version.id,
+        versionNumber: version.versionNumber,
+        kind: version.kind,
+        sha256: version.sha256,
+        size: version.size,
+        reason: version.reason,
+        createdByKind: version.createdByKind,
+        createdById: version.createdById,
+        createdByName: version.createdByKind === 'SYSTEM' ? 'Sistema' : (names.get(version.createdById) || null),
+        createdAt: version.createdAt,
+        isCurrent: version.storageKey === document.storageKey
+    }));
+};
+
+/**
+ * Encontra uma versão do arquivo, garantindo que ela pertença ao documento (e este ao tenant do usuário).
+ */
+const findDocumentVersion = async (docId, versionId, user) => {
+    const document = await findDocumentById(docId, user); // Valida acesso
+    const version = await DocumentVersion.findOne({ where: { id: versionId, documentId: document.id } });
+    if (!version) {
+        const error = new Error('Versão não encontrada.');
+        error.statusCode = 404;
+        throw error;
     }
-    
-    const absolutePath = path.join(__dirname, '..', '..', '..', document.storageKey);
-    const originalName = document.title.includes('.') ? document.title : `${document.title}${path.extname(document.storageKey)}`;
-    return { filePath: absolutePath, originalName };
+    return version;
 };
 
 /**
- * Retorna a URL pública para download do documento.
+ * Retorna o link assinado e temporário de uma versão específica do arquivo.
  */
-const getDocumentDownloadUrl = async (docId, user) => {
+const getVersionDownloadUrl = async (docId, versionId, user) => {
+    const version = await findDocumentVersion(docId, versionId, user);
+    const { url, expiresAt } = fileService.createSignedUrl({ kind: 'VERSION', id: version.id }, { actorKind: 'USER', actorId: user.id });
+
+    return {
+        url,
+        expiresAt,
+        versionNumber: version.versionNumber,
+        kind: version.kind,
+        sha256: version.sha256
+    };
+};
+
+/**
+ * Retorna o Certificado de Conclusão de um documento finalizado.
+ * Documentos finalizados antes da geração real do certificado (ou cujo arquivo se perdeu)
+ * têm o certificado gerado sob demanda. Arquivos de envelope retornam o certificado do envelope.
+ */
+const ensureDocumentCertificate = async (docId, user) => {
     const document = await Document.findOne({
-        where: { id: docId, tenantId: user.tenantId }
+        where: { id: docId, tenantId: user.tenantId },
+        include: [{ model: Signer, as: 'Signers' }]
     });
     if (!document) {
-        throw new Error('Documento não encontrado ou acesso negado.');
+        const error = new Error('Documento não encontrado ou acesso negado.');
+        error.statusCode = 404;
+        throw error;
     }
-    
-    // Supondo que a pasta 'uploads' é servida estaticamente em /uploads
-    const fileUrl = `${process.env.API_BASE_URL}/${document.storageKey}`;
-    return { url: fileUrl };
+    if (document.status !== 'SIGNED') {
+        const error = new Error('O certificado só está disponível para documentos finalizados.');
+        error.statusCode = 409;
+        throw error;
+    }
+
+    let certificate = await Certificate.findOne({
+        where: document.envelopeId ? { envelopeId: document.envelopeId } : { documentId: docId }
+    });
+
+    if (!certificate || !(await storageService.exists(certificate.storageKey))) {
+        const transaction = await sequelize.transaction();
+        try {
+            ({ certificate } = document.envelopeId
+                ? await finalizationService.reissueEnvelopeCertificate(document.envelopeId, transaction)
+                : await certificateService.issueCertificate(document, document.Signers, { transaction }));
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    return certificate;
+};
+
+/**
+ * Retorna o link assinado e temporário do Certificado de Conclusão de um documento finalizado.
+ */
+const getCertificateDownloadUrl = async (docId, user) => {
+    const certificate = await ensureDocumentCertificate(docId, user);
+    const { url, expiresAt } = fileService.createSignedUrl({ kind: 'CERTIFICATE', id: certificate.id }, { actorKind: 'USER', actorId: user.id });
+
+    return {
+        url,
+        expiresAt,
+        sha256: certificate.sha256,
+        issuedAt: certificate.issuedAt
+    };
+};
+
+/**
+ * Aplica as opções do fluxo, cadastra os signatários (com seus campos) e dispara os convites,
+ * dentro da transação recebida. Usado no envio manual e no envio a partir de modelo.
+ * Em modo SEQUENTIAL apenas o grupo de menor ordem pendente é convidado agora;
+ * os demais recebem o link quando o grupo anterior concluir (ver signingFlow.service).
+ *
+ * @param {object} document - Instância do Documento.
+ * @param {Array<object>} signers - { name, email, phone, cpf, qualification, authChannels, order, requiresCertificate, fields }
+ * @param {string} [message] - Mensagem do convite.
+ * @param {object} user - Usuário remetente.
+ * @param {object} [options] - { signingMode, declinePolicy }
+ * @param {import('sequelize').Transaction} transaction
+ */
+const applySignersAndInvite = async (document, signers, message, user, options, transaction) => {
+  if (options.signingMode) {
+    if (!['PARALLEL', 'SEQUENTIAL'].includes(options.signingMode)) {
+      const error = new Error('Modo de assinatura inválido. Use PARALLEL ou SEQUENTIAL.');
+      error.statusCode = 400;
+      throw error;
+    }
+    document.signingMode = options.signingMode;
+  }
+  if (options.declinePolicy) {
+    if (!['CANCEL_DOCUMENT', 'REMOVE_SIGNER'].includes(options.declinePolicy)) {
+      const error = new Error('Política de recusa inválida. Use CANCEL_DOCUMENT ou REMOVE_SIGNER.');
+      error.statusCode = 400;
+      throw error;
+    }
+    document.declinePolicy = options.declinePolicy;
+  }
+  if (message) document.inviteMessage = message;
+  await document.save({ transaction });
+
+  // Campos posicionados pelo remetente: valida contra as páginas reais do PDF
+  const hasFields = signers.some(s => Array.isArray(s.fields) && s.fields.length > 0);
+  const pageSizes = hasFields ? await signatureFieldService.getPdfPageSizes(document) : [];
+
+  for (const signerData of signers) {
+    const fields = signerData.fields ? signatureFieldService.normalizeFieldDefinitions(signerData.fields, pageSizes) : [];
+
+    const signer = await Signer.create({
+      documentId: document.id,
+      name: signerData.name,
+      email: signerData.email,
+      phoneWhatsE164: signerData.phone,
+      cpf: onlyDigits(signerData.cpf) || null,
+      qualification: signerData.qualification,
+      authChannels: signerData.authChannels,
+      order: signerData.order || 0,
+      requiresCertificate: Boolean(signerData.requiresCertificate)
+    }, { transaction });
+
+    if (fields.length > 0) {
+      await signatureFieldService.createSignerFields(document, signer, fields, transaction);
+    }
+  }
+
+  // Gera os tokens e envia os convites apenas para quem está liberado
+  await signingFlowService.inviteActiveSigners(document, { message, actor: user, transaction });
+};
+
+/**
+ * Gera um novo documento a partir de um arquivo já armazenado (modelo ou documento base):
+ * copia o arquivo, registra o documento (com pré-preenchimento opcional) e convida os signatários,
+ * tudo em uma única transação. O arquivo de origem não é alterado.
+ *
+ * @param {object} source - { storageKey, fileName, mimeType, size }
+ * @param {object} data - { title, deadlineAt, folderId, user, templateId, prefill, settings }
+ * @param {Array<object>} signers - Mesmo formato de applySignersAndInvite.
+ * @param {string} [message]
+ * @param {object} [options] - { signingMode, declinePolicy }
+ */
+const createDocumentFromStoredFile = async (source, { title, deadlineAt, folderId, user, templateId = null, prefill = null, settings = {} }, signers, message, options = {}) => {
+  // Cópia no formato do multer: o documento gerado tem arquivo próprio
+  const tempPath = path.join(__dirname, '..', '..', '..', 'temp_uploads', `${crypto.randomUUID()}${path.extname(source.storageKey)}`);
+  await fs.mkdir(path.dirname(tempPath), { recursive: true });
+  await fs.writeFile(tempPath, await storageService.getBuffer(source.storageKey));
+
+  const file = { path: tempPath, originalname: source.fileName, mimetype: source.mimeType, size: source.size };
+
+  const transaction = await sequelize.transaction();
+  try {
+    const document = await storeUploadedDocument({ file, title, deadlineAt, folderId, user, templateId, prefill }, transaction);
+    Object.assign(document, settings);
+
+    await applySignersAndInvite(document, signers, message, user, options, transaction);
+
+    await transaction.commit();
+    return document;
+  } catch (error) {
+    await transaction.rollback();
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
 };
 
 /**
  * Adiciona signatários e dispara convites.
  */
-const addSignersToDocument = async (docId, signers, message, user) => {
+const addSignersToDocument = async (docId, signers, message, user, options = {}) => {
   const transaction = await sequelize.transaction();
   try {
     const document = await Document.findOne({ where: { id: docId, tenantId: user.tenantId }, transaction });
     if (!document) {
       throw new Error('Documento não encontrado ou acesso negado.');
     }
+    assertNotInEnvelope(document);
+
+    await applySignersAndInvite(document, signers, message, user, options, transaction);
 
-    for (const signerData of signers) {
-      const signer = await Signer.create({
-        documentId: docId,
-        name: signerData.name,
-        email: signerData.email,
-        phoneWhatsE164: signerData.phone,
-        cpf: signerData.cpf,
-        qualification: signerData.qualification,
-        authChannels: signerData.authChannels,
-        order: signerData.order || 0
-      }, { transaction });
-
-      const token = crypto.randomBytes(32).toString('base64url');
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const expiresAt = document.deadlineAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-
-      await ShareToken.create({
-        documentId: docId,
-        signerId: signer.id,
-        tokenHash,
-        expiresAt,
-      }, { transaction });
-
-      await auditService.createEntry({
-        tenantId: user.tenantId,
-        actorKind: 'USER',
-        actorId: user.id,
-        entityType: 'SIGNER',
-        entityId: signer.id,
-        action: 'INVITED',
-        ip: 'SYSTEM', 
-        userAgent: 'SYSTEM',
-        payload: { documentId: docId, recipient: signer.email }
-      }, transaction);
-      
-      // Envio de notificação (Email/Whatsapp)
-      await notificationService.sendSignInvite(signer, token, message, document.tenantId);
-    }
-    
     await transaction.commit();
   } catch (error) {
     await transaction.rollback();
@@ -364,21 +685,19 @@ const addSignersToDocument = async (docId, signers, message, user) => {
 
 /**
  * Retorna a trilha de auditoria completa de um documento e seus signatários.
+ * Arquivos de envelope retornam a trilha do envelope (envelope, arquivos e signatários).
  */
 const findAuditTrail = async (docId, user) => {
-    await findDocumentById(docId, user); // Valida acesso
+    const document = await findDocumentById(docId, user); // Valida acesso
+    if (document.envelopeId) {
+        const [files, envelopeSigners] = await Promise.all([
+            Document.findAll({ where: { envelopeId: document.envelopeId }, attributes: ['id'] }),
+            Signer.findAll({ where: { envelopeId: document.envelopeId }, attributes: ['id'] })
+        ]);
+        return auditService.findEnvelopeTrail(document.envelopeId, files.map(f => f.id), envelopeSigners.map(s => s.id));
+    }
     const signers = await Signer.findAll({ where: { documentId: docId }, attributes: ['id'] });
-    const signerIds = signers.map(s => s.id);
-
-    return AuditLog.findAll({
-        where: {
-            [Op.or]: [
-                { entityType: 'DOCUMENT', entityId: docId },
-                { entityType: 'SIGNER', entityId: { [Op.in]: signerIds } }
-            ]
-        },
-        order: [['createdAt', 'ASC']]
-    });
+    return auditService.findDocumentTrail(docId, signers.map(s => s.id));
 };
 
 /**
@@ -389,6 +708,7 @@ const changeDocumentStatus = async (docId, newStatus, user) => {
   try {
     const document = await Document.findOne({ where: { id: docId, tenantId: user.tenantId }, transaction });
     if (!document) throw new Error('Documento não encontrado.');
+    assertNotInEnvelope(document);
     
     document.status = newStatus;
     await document.save({ transaction });
@@ -413,29 +733,148 @@ const changeDocumentStatus = async (docId, newStatus, user) => {
   }
 };
 
+// Filtros de status por "aba" da listagem (mantidos por compatibilidade com o frontend)
+const STATUS_BUCKETS = {
+    pendentes: ['READY', 'PARTIALLY_SIGNED'],
+    concluidos: ['SIGNED'],
+    lixeira: ['CANCELLED', 'EXPIRED'],
+};
+const DOCUMENT_STATUSES = ['DRAFT', 'READY', 'PARTIALLY_SIGNED', 'SIGNED', 'EXPIRED', 'CANCELLED'];
+
+// Colunas aceitas em ?sortBy=
+const DOCUMENT_SORT_COLUMNS = {
+    created: 'createdAt',
+    createdAt: 'createdAt',
+    updated: 'updatedAt',
+    updatedAt: 'updatedAt',
+    deadline: 'deadlineAt',
+    deadlineAt: 'deadlineAt',
+    title: 'title'
+};
+
+const parseDateFilter = (value, label) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        const error = new Error(`Data inválida em '${label}'.`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return date;
+};
+
+const buildDateRange = (from, to, labels) => {
+    const range = {};
+    if (from) range[Op.gte] = parseDateFilter(from, labels[0]);
+    if (to) range[Op.lte] = parseDateFilter(to, labels[1]);
+    return range;
+};
+
 /**
- * Lista todos os documentos, filtrados pelo Tenant Atual.
+ * IDs da pasta e de todas as suas subpastas (busca em largura, restrita ao tenant).
  */
-const findAllDocuments = async (user, status) => {
-    const whereClause = {
-        tenantId: user.tenantId,
-    };
+const collectFolderTree = async (folderId, tenantId) => {
+    const ids = [folderId];
+    let frontier = [folderId];
+    while (frontier.length > 0) {
+        const children = await Folder.findAll({
+            where: { parentId: { [Op.in]: frontier }, tenantId },
+            attributes: ['id']
+        });
+        frontier = children.map(child => child.id).filter(id => !ids.includes(id));
+        ids.push(...frontier);
+    }
+    return ids;
+};
 
-    const statusMap = {
-        pendentes: ['READY', 'PARTIALLY_SIGNED'],
-        concluidos: ['SIGNED'],
-        lixeira: ['CANCELLED', 'EXPIRED'],
-    };
-    
-    if (status && statusMap[status]) {
-        whereClause.status = { [Op.in]: statusMap[status] };
+/**
+ * Monta o 'where' da listagem de documentos a partir da query string.
+ *
+ * @param {object} user
+ * @param {object} filters - { status, ownerId, folderId, includeSubfolders, signerEmail, signerCpf,
+ *   createdFrom, createdTo, deadlineFrom, deadlineTo, search }
+ */
+const buildDocumentFilters = async (user, filters) => {
+    const where = { tenantId: user.tenantId };
+    const { status, ownerId, folderId, includeSubfolders, signerEmail, signerCpf, search } = filters;
+
+    // status: aba (pendentes/concluidos/lixeira) ou lista de status separados por vírgula
+    if (status && STATUS_BUCKETS[status]) {
+        where.status = { [Op.in]: STATUS_BUCKETS[status] };
+    } else if (status) {
+        const statuses = String(status).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        const invalid = statuses.filter(s => !DOCUMENT_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            const error = new Error(`Status inválido: ${invalid.join(', ')}.`);
+            error.statusCode = 400;
+            throw error;
+        }
+        where.status = { [Op.in]: statuses };
     } else {
-        whereClause.status = { [Op.notIn]: ['CANCELLED'] };
+        where.status = { [Op.notIn]: ['CANCELLED'] };
     }
 
-    return Document.findAll({
-        where: whereClause,
-        order: [['createdAt', 'DESC']],
+    if (ownerId) where.ownerId = ownerId;
+
+    if (folderId) {
+        const isRoot = folderId === 'root';
+        const withSubfolders = includeSubfolders === true || includeSubfolders === 'true';
+        if (isRoot && !withSubfolders) {
+            where.folderId = null;
+        } else if (!isRoot) {
+            where.folderId = withSubfolders
+                ? { [Op.in]: await collectFolderTree(folderId, user.tenantId) }
+                : folderId;
+        }
+        // Raiz com subpastas = todas as pastas: sem filtro
+    }
+
+    if (search) where.title = { [Op.iLike]: `%${escapeLike(search)}%` };
+
+    const createdAt = buildDateRange(filters.createdFrom, filters.createdTo, ['createdFrom', 'createdTo']);
+    if (Reflect.ownKeys(createdAt).length > 0) where.createdAt = createdAt;
+    const deadlineAt = buildDateRange(filters.deadlineFrom, filters.deadlineTo, ['deadlineFrom', 'deadlineTo']);
+    if (Reflect.ownKeys(deadlineAt).length > 0) where.deadlineAt = deadlineAt;
+
+    // Signatário: documentos avulsos (documentId) e arquivos de envelope (envelopeId) do tenant,
+    // por subconsulta (os IDs não passam pela aplicação)
+    if (signerEmail || signerCpf) {
+        const conditions = [];
+        if (signerEmail) conditions.push(`s."email" ILIKE ${sequelize.escape(escapeLike(String(signerEmail).trim()))}`);
+        // CPFs gravados antes da normalização podem ter máscara
+        if (signerCpf) conditions.push(`regexp_replace(s."cpf", '[^0-9]', '', 'g') = ${sequelize.escape(onlyDigits(signerCpf))}`);
+        const signerFilter = conditions.join(' AND ');
+        const tenantId = sequelize.escape(user.tenantId);
+
+        where[Op.or] = [
+            { id: { [Op.in]: sequelize.literal(`(SELECT s."documentId" FROM "${Signer.getTableName()}" s
+                JOIN "${Document.getTableName()}" d ON d."id" = s."documentId"
+                WHERE d."tenantId" = ${tenantId} AND ${signerFilter})`) } },
+            { envelopeId: { [Op.in]: sequelize.literal(`(SELECT s."envelopeId" FROM "${Signer.getTableName()}" s
+                JOIN "${Envelope.getTableName()}" e ON e."id" = s."envelopeId"
+                WHERE e."tenantId" = ${tenantId} AND ${signerFilter})`) } }
+        ];
+    }
+
+    return where;
+};
+
+/**
+ * Lista os documentos do tenant com paginação, ordenação e filtros.
+ * Retorna { totalItems, totalPages, currentPage, data }.
+ *
+ * @param {object} user
+ * @param {object} [query] - Filtros (ver buildDocumentFilters) + page, limit, sortBy, sortOrder.
+ */
+const findAllDocuments = async (user, query = {}) => {
+    const pagination = parsePagination(query);
+    const [sortColumn, sortDirection] = parseSort(query, DOCUMENT_SORT_COLUMNS, 'createdAt');
+
+    const result = await Document.findAndCountAll({
+        where: await buildDocumentFilters(user, query),
+        order: [[sortColumn, sortDirection], ['id', 'ASC']], // desempate estável entre páginas
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true, // count por documento, não por linha do JOIN com signatários
         include: [
             { model: Signer, as: 'Signers' },
             { model: User, as: 'owner', attributes: ['name'] },
@@ -447,6 +886,15 @@ const findAllDocuments = async (user, status) => {
             }
         ]
     });
+
+    // Anexa o progresso (assinados / total e quem ainda está pendente)
+    return buildPage({
+        count: result.count,
+        rows: result.rows.map(doc => ({
+            ...doc.toJSON(),
+            progress: signingFlowService.buildSigningProgress(doc.Signers || [])
+        }))
+    }, pagination);
 };
 
 /**
@@ -504,173 +952,36 @@ const getDocumentStats = async (user) => {
 };
 
 /**
- * Aplica a assinatura PAdES (Digital) ao documento.
- * Processo final que sela o documento com certificado A1 e gera logs finais.
+ * Aplica a assinatura PAdES (Digital) ao documento já finalizado.
+ * O processo é único para todo o sistema: ver finalization.service.
  */
 const finalizeWithPades = async (docId, user) => {
-    const transaction = await sequelize.transaction();
-    try {
-        // 1. Busca Documento
-        const document = await Document.findOne({ 
-            where: { id: docId, tenantId: user.tenantId },
-            include: [{ model: Signer, as: 'Signers' }],
-            transaction 
-        });
-        
-        if (!document) throw new Error('Documento não encontrado.');
-
-        // 2. Lê o arquivo atual (pode já ter assinaturas visuais ou não)
-        const filePath = path.join(__dirname, '..', '..', '..', document.storageKey);
-        
-        if (!fsSync.existsSync(filePath)) {
-            throw new Error(`Arquivo físico não encontrado: ${filePath}`);
-        }
-        
-        const fileBuffer = await fs.readFile(filePath);
-
-        // 3. Prepara dados para carimbos visuais (posicionamento capturado no front)
-        const signersData = document.Signers.map(s => ({
-            name: s.name,
-            signedAt: s.signedAt,
-            artefactPath: s.signatureArtefactPath,
-            positionX: s.signaturePositionX,
-            positionY: s.signaturePositionY,
-            positionPage: s.signaturePositionPage
-        }));
-
-        // 4. Aplica PAdES + Carimbos Visuais (Service PAdES)
-        const signedPdfBuffer = await padesService.applyPadesSignatureWithStamps(fileBuffer, signersData);
-        
-        // 5. Salva novo arquivo (versão assinada)
-        // Substitui a extensão por -pades.pdf para diferenciar
-        const newStorageKey = document.storageKey.replace(/(\.[\w\d_-]+)$/i, '-pades$1');
-        const newPath = path.join(__dirname, '..', '..', '..', newStorageKey);
-        await fs.writeFile(newPath, signedPdfBuffer);
-
-        // 6. Atualiza Hash e Caminho no Banco
-        const newSha256 = crypto.createHash('sha256').update(signedPdfBuffer).digest('hex');
-        document.storageKey = newStorageKey;
-        document.sha256 = newSha256;
-        
-        // Garante que o status final é SIGNED
-        if (document.status !== 'SIGNED') document.status = 'SIGNED';
-        
-        await document.save({ transaction });
-
-        // 7. Log de Auditoria
-        await auditService.createEntry({
-            tenantId: user.tenantId,
-            actorKind: 'USER',
-            actorId: user.id,
-            entityType: 'DOCUMENT',
-            entityId: docId,
-            action: 'PADES_SIGNED',
-            ip: 'SYSTEM',
-            userAgent: 'SYSTEM',
-            payload: { newSha256 }
-        }, transaction);
-
-        // 8. Emite Certificado de Conclusão (Registro no Banco)
-        const timestampISO = new Date().toISOString();
-        const certificateSha256 = crypto.createHash('sha256').update(`CERT-${document.id}-${timestampISO}`).digest('hex');
-        
-        // Verifica se já existe para não duplicar
-        const existingCert = await Certificate.findOne({ where: { documentId: document.id }, transaction });
-        
-        if (!existingCert) {
-            await Certificate.create({
-                documentId: document.id,
-                storageKey: `certificates/${document.id}.pdf`, // Placeholder lógica futura de geração de PDF do certificado
-                sha256: certificateSha256,
-                issuedAt: new Date()
-            }, { transaction });
-
-            await auditService.createEntry({ 
-                tenantId: document.tenantId, 
-                actorKind: 'SYSTEM', 
-                entityType: 'DOCUMENT', 
-                entityId: document.id, 
-                action: 'CERTIFICATE_ISSUED'
-            }, transaction);
-        }
-
-        // 9. Envia E-mails de Conclusão (Com Template Customizável)
-        const tenantSettings = await TenantSettings.findOne({ 
-            where: { tenantId: document.tenantId },
-            transaction 
-        });
-
-        const owner = await User.findByPk(document.ownerId, { transaction });
-        const { url: downloadUrl } = await getDocumentDownloadUrl(document.id, owner); 
-
-        // Template Padrão (Fallback)
-        let emailBodyTemplate = tenantSettings?.finalEmailTemplate;
-        if (!emailBodyTemplate) {
-            emailBodyTemplate = `
-                <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #2563EB;">Documento Finalizado</h2>
-                    <p>Olá, <strong>{{signer_name}}</strong>.</p>
-                    <p>O processo de assinatura do documento <strong>{{doc_title}}</strong> foi concluído por todas as partes.</p>
-                    <p>O documento possui validade jurídica e integridade garantida.</p>
-                    <p style="margin: 30px 0;">
-                        <a href="{{doc_link}}" style="background-color: #10B981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
-                            Baixar Documento Assinado
-                        </a>
-                    </p>
-                    <p><small style="color: #666;">ID do Documento: {{doc_id}}</small></p>
-                </div>
-            `;
-        }
-
-        let compiledBase = emailBodyTemplate
-            .replace(/{{doc_title}}/g, document.title)
-            .replace(/{{doc_link}}/g, downloadUrl)
-            .replace(/{{doc_id}}/g, document.id);
-
-        // Envio Assíncrono (não bloqueia a transação)
-        if (owner) {
-            const ownerHtml = compiledBase.replace(/{{signer_name}}/g, owner.name);
-            notificationService.sendEmail(document.tenantId, {
-                to: owner.email,
-                subject: `Documento Finalizado: ${document.title}`,
-                html: ownerHtml
-            }).catch(err => console.error("Erro ao notificar dono:", err.message));
-        }
-        
-        document.Signers.forEach(s => {
-             if (s.email) {
-                const signerHtml = compiledBase.replace(/{{signer_name}}/g, s.name);
-                notificationService.sendEmail(document.tenantId, {
-                    to: s.email,
-                    subject: `Cópia do Documento Assinado: ${document.title}`,
-                    html: signerHtml
-                }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message));
-             }
-        });
-
-        await transaction.commit();
-        return document;
-
-    } catch (error) {
-        await transaction.rollback();
-        console.error("Erro ao aplicar PAdES:", error);
-        throw error;
-    }
+    return finalizationService.sealDocument(docId, user);
 };
 
 module.exports = {
+  DOCUMENT_SORT_COLUMNS,
   saveSignatureImage,
+  assertCanCreateDocuments,
+  storeUploadedDocument,
   createDocumentAndHandleUpload,
   validatePdfIntegrity,
   verifyAuditLogChain,
   findDocumentById,
+  getDocumentDetails,
   updateDocumentDetails,
-  getDocumentFilePath,
   getDocumentDownloadUrl,
+  listDocumentVersions,
+  findDocumentVersion,
+  getVersionDownloadUrl,
+  ensureDocumentCertificate,
+  applySignersAndInvite,
+  createDocumentFromStoredFile,
   addSignersToDocument,
   findAuditTrail,
   changeDocumentStatus,
   findAllDocuments,
   getDocumentStats,
-  finalizeWithPades
+  finalizeWithPades,
+  getCertificateDownloadUrl
 };
\ No newline at end of file
@@ -0,0 +1,360 @@
+// src/features/document/documentSigner.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { Document, Signer, AuditLog, SignatureField, sequelize } = require('../../models');
+
+const notificationService = require('../../services/notification.service');
+const signingFlowService = require('../../services/signingFlow.service');
+const auditService = require('../audit/audit.service');
+const { onlyDigits } = require('../../utils/validators');
+
+// Limites de reenvio por signatário (evita spam ao cliente)
+const RESEND_COOLDOWN_MINUTES = 10;
+const RESEND_DAILY_LIMIT = 5;
+
+const VALID_CHANNELS = ['EMAIL', 'SMS', 'WHATSAPP'];
+
+// Campos do signatário que podem ser editados enquanto ele não assinou (chave do body -> coluna)
+const EDITABLE_FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phoneWhatsE164',
+  cpf: 'cpf',
+  authChannels: 'authChannels',
+  order: 'order',
+  requiresCertificate: 'requiresCertificate'
+};
+
+const buildError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Carrega documento (do tenant) e signatário, garantindo que ambos ainda aceitam alterações.
+ */
+const loadEditableSigner = async (docId, signerId, user, transaction) => {
+  const document = await Document.findOne({
+    where: { id: docId, tenantId: user.tenantId },
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+  if (!document) throw buildError('Documento não encontrado ou acesso negado.', 404);
+
+  if (!['READY', 'PARTIALLY_SIGNED'].includes(document.status)) {
+    throw buildError(`O documento não aceita alterações de signatários (status: ${document.status}).`, 409);
+  }
+
+  const signer = await Signer.findOne({ where: { id: signerId, documentId: docId }, transaction });
+  if (!signer) throw buildError('Signatário não encontrado neste documento.', 404);
+
+  if (!signingFlowService.PENDING_STATUSES.includes(signer.status)) {
+    throw buildError(`O signatário não está mais pendente (status: ${signer.status}).`, 409);
+  }
+
+  return { document, signer };
+};
+
+/**
+ * Valida os dados enviados para edição/criação de signatário.
+ */
+const validateSignerData = (data) => {
+  if (data.authChannels !== undefined) {
+    if (!Array.isArray(data.authChannels) || data.authChannels.length === 0 || data.authChannels.some(c => !VALID_CHANNELS.includes(c))) {
+      throw buildError('Canais inválidos. Use EMAIL, SMS e/ou WHATSAPP.', 400);
+    }
+  }
+  if (data.order !== undefined && (!Number.isInteger(data.order) || data.order < 0)) {
+    throw buildError('A ordem de assinatura deve ser um inteiro maior ou igual a zero.', 400);
+  }
+  if (data.name !== undefined && !String(data.name).trim()) {
+    throw buildError('O nome do signatário não pode ficar vazio.', 400);
+  }
+  if (data.requiresCertificate !== undefined && typeof data.requiresCertificate !== 'boolean') {
+    throw buildError('O campo requiresCertificate deve ser booleano.', 400);
+  }
+};
+
+/**
+ * Aplica a limitação de reenvios: intervalo mínimo entre convites e teto diário.
+ */
+const assertResendAllowed = async (signer, transaction) => {
+  const now = Date.now();
+
+  if (signer.invitedAt && now - new Date(signer.invitedAt).getTime() < RESEND_COOLDOWN_MINUTES * 60 * 1000) {
+    throw buildError(`Aguarde ${RESEND_COOLDOWN_MINUTES} minutos entre reenvios para o mesmo signatário.`, 429);
+  }
+
+  const resendsToday = await AuditLog.count({
+    where: {
+      entityId: signer.id,
+      action: 'INVITE_RESENT',
+      createdAt: { [Op.gt]: new Date(now - 24 * 60 * 60 * 1000) }
+    },
+    transaction
+  });
+
+  if (resendsToday >= RESEND_DAILY_LIMIT) {
+    throw buildError(`Limite de ${RESEND_DAILY_LIMIT} reenvios por dia atingido para este signatário.`, 429);
+  }
+};
+
+/**
+ * Reenvia o convite de um signatário pendente com um novo link.
+ * O link anterior é revogado. Opcionalmente troca canal/contato antes do envio.
+ *
+ * @param {string} docId
+ * @param {string} signerId
+ * @param {object} options - { authChannels, email, phone, message }
+ * @param {object} user - Usuário autenticado.
+ */
+const resendSignerInvite = async (docId, signerId, { authChannels, email, phone, message } = {}, user) => {
+  const transaction = await sequelize.transaction();
+  let document;
+  let signer;
+  let token;
+
+  try {
+    ({ document, signer } = await loadEditableSigner(docId, signerId, user, transaction));
+
+    // Fluxo sequencial: não faz sentido reenviar para quem ainda não está liberado
+    const signersInDoc = await Signer.findAll({ where: { documentId: docId }, transaction });
+    if (!signingFlowService.isSignerTurn(document, signer, signersInDoc)) {
+      throw buildError('Este signatário ainda aguarda a vez na ordem de assinatura.', 409);
+    }
+
+    await assertResendAllowed(signer, transaction);
+
+    // Atualiza canal e dados de contato, se enviados
+    const changes = {};
+    if (authChannels !== undefined) {
+      validateSignerData({ authChannels });
+      signer.authChannels = authChannels;
+      changes.authChannels = authChannels;
+    }
+    if (email && email !== signer.email) {
+      changes.email = { from: signer.email, to: email };
+      signer.email = email;
+    }
+    if (phone && phone !== signer.phoneWhatsE164) {
+      changes.phone = { from: signer.phoneWhatsE164, to: phone };
+      signer.phoneWhatsE164 = phone;
+    }
+
+    // Rotação do token: revoga os links antigos e cria um novo
+    const revokedTokens = await signingFlowService.revokeSignerTokens(signer, transaction);
+    token = await signingFlowService.createShareToken(document, signer, transaction);
+
+    signer.invitedAt = new Date();
+    await signer.save({ transaction });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'INVITE_RESENT',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        documentId: document.id,
+        recipient: signer.email,
+        channels: signer.authChannels,
+        revokedTokens,
+        changes
+      }
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await notificationService.sendSignInvite(signer, token, message || document.inviteMessage, document.tenantId);
+  return signer;
+};
+
+/**
+ * Impede que a operação deixe o documento sem nenhum signatário obrigatório.
+ * Nesse caso o caminho correto é cancelar o documento.
+ */
+const assertHasRequiredSigners = async (document, transaction) => {
+  const signers = await Signer.findAll({ where: { documentId: document.id }, transaction });
+  const { total } = signingFlowService.buildSigningProgress(signers);
+  if (total === 0) {
+    throw buildError('O documento ficaria sem signatários. Cancele o documento em vez de remover o último signatário.', 409);
+  }
+};
+
+/**
+ * Atualiza os dados de um signatário que ainda não assinou.
+ * Os links existentes são revogados e, se o signatário estiver liberado para assinar,
+ * um novo convite é enviado com os dados atualizados.
+ *
+ * @param {string} docId
+ * @param {string} signerId
+ * @param {object} data - { name, email, phone, cpf, authChannels, order, requiresCertificate }
+ * @param {object} user - Usuário autenticado.
+ */
+const updateSigner = async (docId, signerId, data, user) => {
+  validateSignerData(data);
+  // CPF gravado só com dígitos (filtros e conferência do certificado comparam assim)
+  if (data.cpf !== undefined) data = { ...data, cpf: onlyDigits(data.cpf) || null };
+
+  const transaction = await sequelize.transaction();
+  try {
+    const { document, signer } = await loadEditableSigner(docId, signerId, user, transaction);
+
+    const changes = {};
+    for (const [key, column] of Object.entries(EDITABLE_FIELDS)) {
+      if (data[key] === undefined) continue;
+      const before = signer[column];
+      if (JSON.stringify(before) === JSON.stringify(data[key])) continue;
+      changes[key] = { from: before, to: data[key] };
+      signer[column] = data[key];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw buildError('Nenhuma alteração informada.', 400);
+    }
+
+    await signer.save({ transaction });
+    const revokedTokens = await signingFlowService.revokeSignerTokens(signer, transaction);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'SIGNER_UPDATED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, recipient: signer.email, changes, revokedTokens }
+    }, transaction);
+
+    // Reconvida quem estiver liberado (a ordem pode ter mudado o grupo ativo)
+    await signingFlowService.advanceSigningFlow(document, { actor: user, transaction });
+
+    await transaction.commit();
+    return signer;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Remove do fluxo um signatário que ainda não assinou.
+ * O registro é mantido (status REMOVED) para preservar a trilha de auditoria.
+ * Se ele era o último pendente, o documento é finalizado.
+ *
+ * @returns {Promise<{ isComplete: boolean }>}
+ */
+const removeSigner = async (docId, signerId, user) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const { document, signer } = await loadEditableSigner(docId, signerId, user, transaction);
+
+    signer.status = 'REMOVED';
+    await signer.save({ transaction });
+    await assertHasRequiredSigners(document, transaction);
+
+    const revokedTokens = await signingFlowService.revokeSignerTokens(signer, transaction);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'SIGNER_REMOVED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, recipient: signer.email, revokedTokens }
+    }, transaction);
+
+    const { isComplete } = await signingFlowService.advanceSigningFlow(document, { actor: user, transaction });
+
+    await transaction.commit();
+    return { isComplete };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Substitui um signatário pendente por outro, na mesma posição da ordem (salvo se informada).
+ * O antigo passa a REMOVED e tem os links revogados; o novo herda os campos e é convidado se estiver liberado.
+ *
+ * @param {object} data - Dados do novo signatário { name, email, phone, cpf, qualification, authChannels, order, requiresCertificate }
+ * @returns {Promise<object>} O novo signatário.
+ */
+const replaceSigner = async (docId, signerId, data, user) => {
+  if (!data.name || !data.email) {
+    throw buildError('Nome e e-mail do novo signatário são obrigatórios.', 400);
+  }
+  validateSignerData(data);
+
+  const transaction = await sequelize.transaction();
+  try {
+    const { document, signer } = await loadEditableSigner(docId, signerId, user, transaction);
+
+    const newSigner = await Signer.create({
+      documentId: document.id,
+      name: data.name,
+      email: data.email,
+      phoneWhatsE164: data.phone,
+      cpf: onlyDigits(data.cpf) || null,
+      qualification: data.qualification,
+      authChannels: data.authChannels || signer.authChannels,
+      order: data.order !== undefined ? data.order : signer.order,
+      requiresCertificate: data.requiresCertificate !== undefined ? Boolean(data.requiresCertificate) : signer.requiresCertificate
+    }, { transaction });
+
+    signer.status = 'REMOVED';
+    await signer.save({ transaction });
+    const revokedTokens = await signingFlowService.revokeSignerTokens(signer, transaction);
+
+    // Os campos posicionados passam para o novo signatário
+    await SignatureField.update({ signerId: newSigner.id, value: null }, { where: { signerId: signer.id }, transaction });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'SIGNER_REPLACED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        documentId: document.id,
+        recipient: signer.email,
+        newSignerId: newSigner.id,
+        newRecipient: newSigner.email,
+        revokedTokens
+      }
+    }, transaction);
+
+    await signingFlowService.advanceSigningFlow(document, { actor: user, transaction });
+
+    await transaction.commit();
+    return newSigner;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  resendSignerInvite,
+  updateSigner,
+  removeSigner,
+  replaceSigner
+};
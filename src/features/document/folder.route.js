@@ -15,8 +15,9 @@ router.use(authGuard);
 
 /**
  * @route   GET /api/folders
- * @desc    Lista o conteúdo (pastas e arquivos) de um diretório ou realiza busca.
- * @query   parentId (opcional), search (opcional)
+ * @desc    Lista o conteúdo (pastas, arquivos e modelos) de um diretório ou realiza busca.
+ *          Os documentos vêm paginados ({ totalItems, totalPages, currentPage, data }).
+ * @query   parentId, search, page, limit, sortBy (created|updated|deadline|title), sortOrder (asc|desc) — todos opcionais
  * @access  ADMIN, MANAGER, VIEWER
  */
 router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), folderController.list);
@@ -34,15 +35,15 @@ router.post('/', roleGuard(['ADMIN', 'MANAGER']), folderController.create);
 
 /**
  * @route   POST /api/folders/move
- * @desc    Move um arquivo ou pasta para outro local.
- * @body    { itemId, itemType, targetFolderId }
+ * @desc    Move um arquivo, modelo ou pasta para outro local.
+ * @body    { itemId, itemType: 'DOCUMENT' | 'TEMPLATE' | 'FOLDER', targetFolderId }
  * @access  ADMIN, MANAGER
  */
 router.post('/move', roleGuard(['ADMIN', 'MANAGER']), folderController.move);
 
 /**
  * @route   DELETE /api/folders/:id
- * @desc    Deleta uma pasta (e move seus arquivos para a raiz/lixeira).
+ * @desc    Deleta uma pasta (e move seus arquivos e modelos para a raiz/lixeira).
  * @access  ADMIN, MANAGER
  */
 router.delete('/:id', roleGuard(['ADMIN', 'MANAGER']), folderController.remove);
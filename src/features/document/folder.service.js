@@ -1,8 +1,11 @@
 // src/features/document/folder.service.js
 'use strict';
 
-const { Folder, Document, User } = require('../../models');
+const { Folder, Document, Template, User } = require('../../models');
 const { Op } = require('sequelize');
+const { parsePagination, parseSort, buildPage } = require('../../utils/pagination');
+// Mesmas colunas de ordenação da listagem de documentos
+const { DOCUMENT_SORT_COLUMNS } = require('./document.service');
 
 // Note que adicionamos 'tenantId' na desestruturação ou como argumento extra
 
@@ -23,19 +26,29 @@ const createFolder = async (user, { name, parentId, color, tenantId }) => {
     });
 };
 
-const listContents = async (user, { parentId, search, tenantId }) => {
+/**
+ * Lista subpastas, modelos e documentos de uma pasta (ou busca por nome).
+ * Os documentos são paginados: { totalItems, totalPages, currentPage, data }.
+ */
+const listContents = async (user, { parentId, search, tenantId, page, limit, sortBy, sortOrder }) => {
+    const pagination = parsePagination({ page, limit });
+    const [sortColumn, sortDirection] = parseSort({ sortBy, sortOrder }, DOCUMENT_SORT_COLUMNS, 'createdAt');
+
     const targetTenant = tenantId || user.tenantId;
 
     const folderWhere = { tenantId: targetTenant };
     const docWhere = { tenantId: targetTenant };
+    const templateWhere = { tenantId: targetTenant };
 
     if (search) {
         folderWhere.name = { [Op.iLike]: `%${search}%` };
         docWhere.title = { [Op.iLike]: `%${search}%` };
+        templateWhere.name = { [Op.iLike]: `%${search}%` };
     } else {
         const targetId = (parentId === 'root' || !parentId) ? null : parentId;
         folderWhere.parentId = targetId;
         docWhere.folderId = targetId;
+        templateWhere.folderId = targetId;
     }
 
     const folders = await Folder.findAll({
@@ -46,9 +59,18 @@ const listContents = async (user, { parentId, search, tenantId }) => {
 
     docWhere.status = { [Op.ne]: 'CANCELLED' }; 
     
-    const documents = await Document.findAll({
+    const documents = await Document.findAndCountAll({
         where: docWhere,
-        order: [['createdAt', 'DESC']],
+        order: [[sortColumn, sortDirection], ['id', 'ASC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        include: [{ model: User, as: 'owner', attributes: ['name'] }]
+    });
+
+    // Modelos reutilizáveis ficam na mesma árvore de pastas
+    const templates = await Template.findAll({
+        where: templateWhere,
+        order: [['name', 'ASC']],
         include: [{ model: User, as: 'owner', attributes: ['name'] }]
     });
 
@@ -69,7 +91,7 @@ const listContents = async (user, { parentId, search, tenantId }) => {
         breadcrumbs.unshift({ id: 'root', name: 'Início' });
     }
 
-    return { breadcrumbs, folders, documents };
+    return { breadcrumbs, folders, templates, documents: buildPage(documents, pagination) };
 };
 
 const moveItem = async (user, { itemId, itemType, targetFolderId, tenantId }) => {
@@ -88,6 +110,11 @@ const moveItem = async (user, { itemId, itemType, targetFolderId, tenantId }) =>
         if (!doc) throw new Error('Documento não encontrado.');
         doc.folderId = targetId;
         await doc.save();
+    } else if (itemType === 'TEMPLATE') {
+        const template = await Template.findOne({ where: { id: itemId, tenantId: targetTenant } });
+        if (!template) throw new Error('Modelo não encontrado.');
+        template.folderId = targetId;
+        await template.save();
     } else {
         const folder = await Folder.findOne({ where: { id: itemId, tenantId: targetTenant } });
         if (!folder) throw new Error('Pasta não encontrada.');
@@ -104,6 +131,7 @@ const deleteFolder = async (user, folderId, tenantId) => {
     if (!folder) throw new Error('Pasta não encontrada.');
 
     await Document.update({ folderId: null }, { where: { folderId } });
+    await Template.update({ folderId: null }, { where: { folderId } });
     await folder.destroy();
     return { message: 'Pasta removida.' };
 };
@@ -0,0 +1,114 @@
+// src/features/envelope/envelope.controller.js
+'use strict';
+
+const envelopeService = require('./envelope.service');
+const fileService = require('../file/file.service');
+const { sendDownload } = require('../../utils/sendDownload');
+
+const createEnvelope = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'Envie ao menos um arquivo para o envelope.' });
+    }
+    // folderId vem como string no FormData
+    const { title, deadlineAt, folderId, ...settings } = req.body;
+
+    const envelope = await envelopeService.createEnvelope({
+      files: req.files,
+      title,
+      deadlineAt,
+      folderId: folderId === 'root' ? null : folderId, // Trata 'root' como null
+      settings,
+      user: req.user
+    });
+    return res.status(201).json(envelope);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAllEnvelopes = async (req, res, next) => {
+  try {
+    const envelopes = await envelopeService.listEnvelopes(req.user, req.query.status);
+    return res.status(200).json(envelopes);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEnvelopeById = async (req, res, next) => {
+  try {
+    const envelope = await envelopeService.getEnvelopeDetails(req.params.id, req.user);
+    return res.status(200).json(envelope);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const inviteSigners = async (req, res, next) => {
+  try {
+    // Cada campo dos signatários indica o arquivo em que fica: { documentId, type, page, x, y, ... }
+    const { signers, message, signingMode, declinePolicy } = req.body;
+    if (!Array.isArray(signers) || signers.length === 0) {
+      return res.status(400).json({ message: 'A lista de signatários é obrigatória.' });
+    }
+
+    await envelopeService.inviteSigners(req.params.id, signers, message, req.user, { signingMode, declinePolicy });
+    return res.status(200).json({ message: 'Convites enviados com sucesso.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelEnvelope = async (req, res, next) => {
+  try {
+    const envelope = await envelopeService.cancelEnvelope(req.params.id, req.user);
+    return res.status(200).json({ message: 'Envelope cancelado com sucesso.', envelope });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEnvelopeAuditTrail = async (req, res, next) => {
+  try {
+    const auditTrail = await envelopeService.findAuditTrail(req.params.id, req.user);
+    return res.status(200).json(auditTrail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const downloadCertificate = async (req, res, next) => {
+  try {
+    const certificateData = await envelopeService.getCertificateDownloadUrl(req.params.id, req.user);
+    return res.status(200).json(certificateData);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const streamCertificate = async (req, res, next) => {
+  try {
+    const certificate = await envelopeService.ensureEnvelopeCertificate(req.params.id, req.user);
+    const download = await fileService.openDownload({ kind: 'CERTIFICATE', id: certificate.id }, { actorKind: 'USER', actorId: req.user.id }, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      via: 'SESSION',
+      tenantId: req.user.tenantId
+    });
+    await sendDownload(req, res, download);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createEnvelope,
+  getAllEnvelopes,
+  getEnvelopeById,
+  inviteSigners,
+  cancelEnvelope,
+  getEnvelopeAuditTrail,
+  downloadCertificate,
+  streamCertificate
+};
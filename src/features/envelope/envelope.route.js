@@ -0,0 +1,42 @@
+// src/features/envelope/envelope.route.js
+'use strict';
+
+const { Router } = require('express');
+const multer = require('multer');
+const path = require('path');
+const envelopeController = require('./envelope.controller');
+const authGuard = require('../../middlewares/authGuard');
+const roleGuard = require('../../middlewares/roleGuard');
+
+const router = Router();
+
+// Upload dos arquivos do envelope (mesmos limites do upload de documentos, até 20 arquivos)
+const uploadTemp = multer({
+  dest: path.join(__dirname, '..', '..', '..', 'temp_uploads/'),
+  limits: { fileSize: 20 * 1024 * 1024, files: 20 }
+});
+
+router.use(authGuard);
+
+// GET /envelopes?status=pendentes|concluidos|lixeira
+router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), envelopeController.getAllEnvelopes);
+
+// POST /envelopes -> cria o envelope com os arquivos enviados no campo 'files'
+router.post('/', roleGuard(['ADMIN', 'MANAGER']), uploadTemp.array('files'), envelopeController.createEnvelope);
+
+// Trilha de auditoria (envelope + arquivos + signatários)
+router.get('/:id/audit', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), envelopeController.getEnvelopeAuditTrail);
+
+// Certificado de Conclusão único do envelope: link assinado (JSON) ou o arquivo direto (/file)
+// (cada arquivo continua disponível individualmente em /documents/:id/download e /documents/:id/file)
+router.get('/:id/certificate', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), envelopeController.downloadCertificate);
+router.get('/:id/certificate/file', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), envelopeController.streamCertificate);
+
+// Signatários (um link, um OTP e uma assinatura para todos os arquivos)
+router.post('/:id/invite', roleGuard(['ADMIN', 'MANAGER']), envelopeController.inviteSigners);
+
+router.post('/:id/cancel', roleGuard(['ADMIN', 'MANAGER']), envelopeController.cancelEnvelope);
+
+router.get('/:id', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), envelopeController.getEnvelopeById);
+
+module.exports = router;
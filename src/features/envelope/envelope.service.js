@@ -0,0 +1,356 @@
+// src/features/envelope/envelope.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const { Op } = require('sequelize');
+const { Envelope, Document, Signer, Certificate, SignatureField, User, Folder, sequelize } = require('../../models');
+
+const documentService = require('../document/document.service');
+const auditService = require('../audit/audit.service');
+const signingFlowService = require('../../services/signingFlow.service');
+const signatureFieldService = require('../../services/signatureField.service');
+const finalizationService = require('../../services/finalization.service');
+const storageService = require('../../services/storage.service');
+const fileService = require('../file/file.service');
+const { onlyDigits } = require('../../utils/validators');
+
+// Configurações de lembrete aceitas na criação (mesma semântica do Documento)
+const REMINDER_SETTINGS = ['autoReminders', 'reminderIntervalDays', 'reminderDaysBeforeDeadline', 'maxRemindersPerSigner'];
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Cria um envelope com os arquivos enviados (multer). Cada arquivo vira um Documento
+ * vinculado ao envelope, com hash e evento de upload próprios; tudo em uma única transação.
+ *
+ * @param {object} data - { files, title, deadlineAt, folderId, settings, user }
+ */
+const createEnvelope = async ({ files, title, deadlineAt, folderId, settings = {}, user }) => {
+  const cleanupTempFiles = () => Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+
+  if (!title || !String(title).trim()) {
+    await cleanupTempFiles();
+    throw buildError('O título do envelope é obrigatório.');
+  }
+  // Os arquivos recebem carimbos, campos e assinaturas PAdES: apenas PDF
+  const invalid = files.find(file => file.mimetype !== 'application/pdf');
+  if (invalid) {
+    await cleanupTempFiles();
+    throw buildError(`O arquivo "${invalid.originalname}" não é um PDF.`);
+  }
+
+  try {
+    await documentService.assertCanCreateDocuments(user, files.length);
+  } catch (error) {
+    await cleanupTempFiles();
+    throw error;
+  }
+
+  const reminderSettings = {};
+  for (const key of REMINDER_SETTINGS) {
+    if (settings[key] !== undefined) reminderSettings[key] = settings[key];
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const envelope = await Envelope.create({
+      tenantId: user.tenantId,
+      ownerId: user.id,
+      folderId: folderId || null,
+      title: String(title).trim(),
+      deadlineAt: deadlineAt || null,
+      ...reminderSettings,
+      status: 'DRAFT'
+    }, { transaction });
+
+    const documents = [];
+    for (const file of files) {
+      documents.push(await documentService.storeUploadedDocument({
+        file,
+        title: file.originalname,
+        folderId,
+        user,
+        envelopeId: envelope.id
+      }, transaction));
+    }
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'ENVELOPE',
+      entityId: envelope.id,
+      action: 'CREATED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        title: envelope.title,
+        documents: documents.map(doc => ({ documentId: doc.id, fileName: doc.title, sha256: doc.sha256 }))
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return { ...envelope.toJSON(), documents };
+  } catch (error) {
+    await transaction.rollback();
+    // Arquivos que ainda não tinham sido movidos para a pasta permanente
+    await cleanupTempFiles();
+    throw error;
+  }
+};
+
+/**
+ * Encontra um envelope pelo ID, garantindo que ele pertença ao tenant do usuário.
+ */
+const findEnvelopeById = async (envelopeId, user, transaction = null) => {
+  const envelope = await Envelope.findOne({
+    where: { id: envelopeId, tenantId: user.tenantId },
+    include: [
+      { model: Document, as: 'documents' },
+      { model: Signer, as: 'Signers' }
+    ],
+    order: [[{ model: Document, as: 'documents' }, 'createdAt', 'ASC']],
+    transaction
+  });
+  if (!envelope) throw buildError('Envelope não encontrado ou acesso negado.', 404);
+  return envelope;
+};
+
+/**
+ * Retorna o envelope com os arquivos, campos posicionados e o progresso das assinaturas.
+ */
+const getEnvelopeDetails = async (envelopeId, user) => {
+  const envelope = await findEnvelopeById(envelopeId, user);
+  const signers = envelope.Signers || [];
+
+  const fields = await SignatureField.findAll({
+    where: { documentId: { [Op.in]: envelope.documents.map(doc => doc.id) } }
+  });
+
+  return {
+    ...envelope.toJSON(),
+    fields: fields.map(field => ({ ...signatureFieldService.serializeField(field), documentId: field.documentId })),
+    activeSigningOrder: signingFlowService.getActiveSigningOrder(envelope, signers),
+    progress: signingFlowService.buildSigningProgress(signers)
+  };
+};
+
+/**
+ * Lista os envelopes do tenant (mesmos filtros de status da listagem de documentos).
+ */
+const listEnvelopes = async (user, status) => {
+  const where = { tenantId: user.tenantId };
+
+  const statusMap = {
+    pendentes: ['READY', 'PARTIALLY_SIGNED'],
+    concluidos: ['SIGNED'],
+    lixeira: ['CANCELLED', 'EXPIRED'],
+  };
+  where.status = status && statusMap[status]
+    ? { [Op.in]: statusMap[status] }
+    : { [Op.notIn]: ['CANCELLED'] };
+
+  const envelopes = await Envelope.findAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    include: [
+      { model: Document, as: 'documents', attributes: ['id', 'title', 'status', 'sha256'] },
+      { model: Signer, as: 'Signers' },
+      { model: User, as: 'owner', attributes: ['name'] },
+      { model: Folder, as: 'folder', attributes: ['id', 'name'], required: false }
+    ]
+  });
+
+  return envelopes.map(envelope => ({
+    ...envelope.toJSON(),
+    progress: signingFlowService.buildSigningProgress(envelope.Signers || [])
+  }));
+};
+
+/**
+ * Cadastra os signatários do envelope e dispara os convites (um link por signatário para todos os arquivos).
+ * Os campos de cada signatário indicam em qual arquivo ficam ('documentId').
+ * Em modo SEQUENTIAL apenas o grupo de menor ordem pendente é convidado agora.
+ */
+const inviteSigners = async (envelopeId, signers, message, user, options = {}) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const envelope = await Envelope.findOne({
+      where: { id: envelopeId, tenantId: user.tenantId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!envelope) throw buildError('Envelope não encontrado ou acesso negado.', 404);
+    if (envelope.status !== 'DRAFT') {
+      throw buildError('Os signatários deste envelope já foram convidados.', 409);
+    }
+
+    if (options.signingMode) {
+      if (!['PARALLEL', 'SEQUENTIAL'].includes(options.signingMode)) {
+        throw buildError('Modo de assinatura inválido. Use PARALLEL ou SEQUENTIAL.');
+      }
+      envelope.signingMode = options.signingMode;
+    }
+    if (options.declinePolicy) {
+      if (!['CANCEL_DOCUMENT', 'REMOVE_SIGNER'].includes(options.declinePolicy)) {
+        throw buildError('Política de recusa inválida. Use CANCEL_DOCUMENT ou REMOVE_SIGNER.');
+      }
+      envelope.declinePolicy = options.declinePolicy;
+    }
+    if (message) envelope.inviteMessage = message;
+
+    const documents = await signingFlowService.getUnitDocuments(envelope, transaction);
+    const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+    const pageSizesCache = new Map();
+
+    for (const signerData of signers) {
+      const signer = await Signer.create({
+        envelopeId: envelope.id,
+        name: signerData.name,
+        email: signerData.email,
+        phoneWhatsE164: signerData.phone,
+        cpf: onlyDigits(signerData.cpf) || null,
+        qualification: signerData.qualification,
+        authChannels: signerData.authChannels,
+        order: signerData.order || 0,
+        requiresCertificate: Boolean(signerData.requiresCertificate)
+      }, { transaction });
+
+      // Campos agrupados por arquivo e validados contra as páginas reais de cada PDF
+      const fieldsByDocument = new Map();
+      for (const field of signerData.fields || []) {
+        if (!documentsById.has(field.documentId)) {
+          throw buildError(`Campo de ${signerData.email || signerData.name}: 'documentId' não pertence a este envelope.`);
+        }
+        if (!fieldsByDocument.has(field.documentId)) fieldsByDocument.set(field.documentId, []);
+        fieldsByDocument.get(field.documentId).push(field);
+      }
+
+      for (const [documentId, fields] of fieldsByDocument) {
+        const document = documentsById.get(documentId);
+        if (!pageSizesCache.has(documentId)) {
+          pageSizesCache.set(documentId, await signatureFieldService.getPdfPageSizes(document));
+        }
+        const normalized = signatureFieldService.normalizeFieldDefinitions(fields, pageSizesCache.get(documentId));
+        await signatureFieldService.createSignerFields(document, signer, normalized, transaction);
+      }
+    }
+
+    // Envelope e arquivos passam a aceitar assinaturas
+    await signingFlowService.setUnitStatus(envelope, 'READY', transaction);
+
+    // Gera os tokens e envia os convites apenas para quem está liberado
+    await signingFlowService.inviteActiveSigners(envelope, { message, actor: user, transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cancela o envelope e todos os seus arquivos. Os links dos signatários deixam de funcionar.
+ */
+const cancelEnvelope = async (envelopeId, user) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const envelope = await Envelope.findOne({
+      where: { id: envelopeId, tenantId: user.tenantId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!envelope) throw buildError('Envelope não encontrado ou acesso negado.', 404);
+    if (['SIGNED', 'CANCELLED', 'EXPIRED'].includes(envelope.status)) {
+      throw buildError(`O envelope não pode ser cancelado (status: ${envelope.status}).`, 409);
+    }
+
+    await signingFlowService.setUnitStatus(envelope, 'CANCELLED', transaction);
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'ENVELOPE',
+      entityId: envelope.id,
+      action: 'STATUS_CHANGED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { newStatus: 'CANCELLED' }
+    }, transaction);
+
+    await transaction.commit();
+    return envelope;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Trilha de auditoria do envelope: eventos do envelope, de cada arquivo e dos signatários.
+ */
+const findAuditTrail = async (envelopeId, user) => {
+  const envelope = await findEnvelopeById(envelopeId, user);
+  return auditService.findEnvelopeTrail(
+    envelope.id,
+    envelope.documents.map(doc => doc.id),
+    (envelope.Signers || []).map(s => s.id)
+  );
+};
+
+/**
+ * Retorna o Certificado de Conclusão do envelope (gerado sob demanda se o arquivo se perdeu).
+ */
+const ensureEnvelopeCertificate = async (envelopeId, user) => {
+  const envelope = await findEnvelopeById(envelopeId, user);
+  if (envelope.status !== 'SIGNED') {
+    throw buildError('O certificado só está disponível para envelopes finalizados.', 409);
+  }
+
+  let certificate = await Certificate.findOne({ where: { envelopeId: envelope.id } });
+
+  if (!certificate || !(await storageService.exists(certificate.storageKey))) {
+    const transaction = await sequelize.transaction();
+    try {
+      ({ certificate } = await finalizationService.reissueEnvelopeCertificate(envelope.id, transaction));
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  return certificate;
+};
+
+/**
+ * Retorna o link assinado e temporário do Certificado de Conclusão do envelope.
+ */
+const getCertificateDownloadUrl = async (envelopeId, user) => {
+  const certificate = await ensureEnvelopeCertificate(envelopeId, user);
+  const { url, expiresAt } = fileService.createSignedUrl({ kind: 'CERTIFICATE', id: certificate.id }, { actorKind: 'USER', actorId: user.id });
+
+  return {
+    url,
+    expiresAt,
+    sha256: certificate.sha256,
+    issuedAt: certificate.issuedAt
+  };
+};
+
+module.exports = {
+  createEnvelope,
+  findEnvelopeById,
+  getEnvelopeDetails,
+  listEnvelopes,
+  inviteSigners,
+  cancelEnvelope,
+  findAuditTrail,
+  ensureEnvelopeCertificate,
+  getCertificateDownloadUrl
+};
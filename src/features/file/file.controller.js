@@ -0,0 +1,26 @@
+// src/features/file/file.controller.js
+'use strict';
+
+const fileService = require('./file.service');
+const { sendDownload } = require('../../utils/sendDownload');
+
+/**
+ * Download público por link assinado (signatários, e-mails e links gerados pelo painel).
+ */
+const downloadSignedFile = async (req, res, next) => {
+  try {
+    const { file, actor } = fileService.verifySignedToken(req.params.token);
+    const download = await fileService.openDownload(file, actor, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      via: 'SIGNED_URL'
+    });
+    await sendDownload(req, res, download);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  downloadSignedFile
+};
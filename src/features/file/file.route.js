@@ -0,0 +1,16 @@
+// src/features/file/file.route.js
+'use strict';
+
+const { Router } = require('express');
+const fileController = require('./file.controller');
+
+const router = Router();
+
+/**
+ * @route   GET /api/files/:token
+ * @desc    Baixa um arquivo por link assinado (HMAC) e com validade. O download é auditado em nome de quem recebeu o link.
+ * @access  Public (o token é a autorização)
+ */
+router.get('/:token', fileController.downloadSignedFile);
+
+module.exports = router;
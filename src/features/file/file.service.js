@@ -0,0 +1,194 @@
+// src/features/file/file.service.js
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { Document, DocumentVersion, Envelope, Certificate } = require('../../models');
+
+const auditService = require('../audit/audit.service');
+const storageService = require('../../services/storage.service');
+const documentVersionService = require('../../services/documentVersion.service');
+
+// Arquivos que podem ser baixados: o atual do documento, uma versão específica ou um certificado
+const FILE_KINDS = ['DOCUMENT', 'VERSION', 'CERTIFICATE'];
+const ACTOR_KINDS = ['USER', 'SIGNER', 'SYSTEM'];
+
+// Validade padrão dos links assinados (painel e página do signatário)
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getUrlTtlSeconds = () => Number(process.env.DOWNLOAD_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+const signToken = (encodedPayload) => {
+  const secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('Configure DOWNLOAD_URL_SECRET (ou JWT_SECRET) para gerar links de download.');
+  return crypto.createHmac('sha256', secret).update(`download:${encodedPayload}`).digest('base64url');
+};
+
+/**
+ * Gera um link de download assinado (HMAC-SHA256) e com expiração, para quem não envia o token
+ * de sessão: signatários, destinatários de e-mail e links abertos em nova aba pelo painel.
+ * O link identifica o arquivo e quem o recebeu; o download é auditado em nome desse ator.
+ *
+ * @param {{ kind: 'DOCUMENT'|'VERSION'|'CERTIFICATE', id: string }} file - 'id' do documento, da versão ou do certificado.
+ * @param {{ actorKind: 'USER'|'SIGNER'|'SYSTEM', actorId: string|null }} actor
+ * @param {object} [options]
+ * @param {number} [options.ttlSeconds] - Padrão: DOWNLOAD_URL_TTL_SECONDS (15 minutos).
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+const createSignedUrl = ({ kind, id }, { actorKind, actorId = null }, { ttlSeconds = getUrlTtlSeconds() } = {}) => {
+  if (!FILE_KINDS.includes(kind) || !ACTOR_KINDS.includes(actorKind)) {
+    throw new Error(`Link de download inválido: arquivo ${kind}, ator ${actorKind}.`);
+  }
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  const encodedPayload = Buffer.from(JSON.stringify({
+    k: kind,
+    i: id,
+    a: actorKind,
+    u: actorId,
+    e: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return {
+    url: `${process.env.API_BASE_URL}/api/files/${encodedPayload}.${signToken(encodedPayload)}`,
+    expiresAt
+  };
+};
+
+/**
+ * Confere assinatura e validade do token de um link de download.
+ * @returns {{ file: { kind: string, id: string }, actor: { actorKind: string, actorId: string|null } }}
+ */
+const verifySignedToken = (token) => {
+  const [encodedPayload, signature, extra] = String(token || '').split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw buildError('Link de download inválido.', 403);
+  }
+
+  const expected = Buffer.from(signToken(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw buildError('Link de download inválido.', 403);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw buildError('Link de download inválido.', 403);
+  }
+  if (!FILE_KINDS.includes(payload.k) || !ACTOR_KINDS.includes(payload.a)) {
+    throw buildError('Link de download inválido.', 403);
+  }
+  if (payload.e * 1000 < Date.now()) {
+    throw buildError('Este link de download expirou. Solicite um novo link.', 410);
+  }
+
+  return { file: { kind: payload.k, id: payload.i }, actor: { actorKind: payload.a, actorId: payload.u || null } };
+};
+
+const documentFileName = (document, storageKey, suffix = '') => {
+  const extension = path.extname(storageKey) || '.pdf';
+  const base = document.title.toLowerCase().endsWith(extension.toLowerCase())
+    ? document.title.slice(0, -extension.length)
+    : document.title;
+  return `${base}${suffix}${extension}`;
+};
+
+/**
+ * Localiza o arquivo a baixar e os dados da auditoria. Com 'tenantId' (acesso pelo painel)
+ * o arquivo precisa pertencer ao tenant.
+ */
+const resolveFile = async ({ kind, id }, { tenantId = null } = {}) => {
+  const notFound = buildError('Arquivo não encontrado ou acesso negado.', 404);
+  const belongsToTenant = (record) => record && (!tenantId || record.tenantId === tenantId);
+
+  if (kind === 'DOCUMENT') {
+    const document = await Document.findByPk(id);
+    if (!belongsToTenant(document) || !document.storageKey) throw notFound;
+    const version = await documentVersionService.findVersionByStorageKey(document.id, document.storageKey);
+    return {
+      storageKey: document.storageKey,
+      fileName: documentFileName(document, document.storageKey),
+      mimeType: document.mimeType,
+      tenantId: document.tenantId,
+      auditEntity: { entityType: 'DOCUMENT', entityId: document.id },
+      details: { file: kind, versionNumber: version?.versionNumber ?? null, versionKind: version?.kind ?? null, sha256: document.sha256 }
+    };
+  }
+
+  if (kind === 'VERSION') {
+    const version = await DocumentVersion.findByPk(id, { include: [{ model: Document }] });
+    if (!version || !belongsToTenant(version.Document)) throw notFound;
+    return {
+      storageKey: version.storageKey,
+      fileName: documentFileName(version.Document, version.storageKey, ` (v${version.versionNumber})`),
+      mimeType: version.mimeType || version.Document.mimeType,
+      tenantId: version.Document.tenantId,
+      auditEntity: { entityType: 'DOCUMENT', entityId: version.documentId },
+      details: { file: kind, versionNumber: version.versionNumber, versionKind: version.kind, sha256: version.sha256 }
+    };
+  }
+
+  // Certificado de um documento ou de um envelope
+  const certificate = await Certificate.findByPk(id, { include: [{ model: Document }, { model: Envelope }] });
+  const owner = certificate && (certificate.Document || certificate.Envelope);
+  if (!belongsToTenant(owner)) throw notFound;
+  return {
+    storageKey: certificate.storageKey,
+    fileName: `Certificado de Conclusão - ${owner.title}.pdf`,
+    mimeType: 'application/pdf',
+    tenantId: owner.tenantId,
+    auditEntity: certificate.envelopeId
+      ? { entityType: 'ENVELOPE', entityId: certificate.envelopeId }
+      : { entityType: 'DOCUMENT', entityId: certificate.documentId },
+    details: { file: kind, versionNumber: null, versionKind: null, sha256: certificate.sha256 }
+  };
+};
+
+/**
+ * Abre o arquivo para download e registra o evento DOWNLOADED (ator, IP, versão e hash entregue).
+ *
+ * @param {{ kind: string, id: string }} file
+ * @param {{ actorKind: string, actorId: string|null }} actor
+ * @param {object} context
+ * @param {string} context.ip
+ * @param {string} context.userAgent
+ * @param {'SESSION'|'SIGNED_URL'|'SIGNER_LINK'} context.via - Painel autenticado, link assinado ou link do signatário (cópia assinada).
+ * @param {string} [context.tenantId] - Exigido no acesso pelo painel.
+ * @returns {Promise<{ stream: import('stream').Readable, fileName: string, mimeType: string }>}
+ */
+const openDownload = async (file, { actorKind, actorId }, { ip, userAgent, via, tenantId = null }) => {
+  const resolved = await resolveFile(file, { tenantId });
+  const stream = await storageService.get(resolved.storageKey);
+
+  try {
+    await auditService.createEntry({
+      tenantId: resolved.tenantId,
+      actorKind,
+      actorId,
+      ...resolved.auditEntity,
+      action: 'DOWNLOADED',
+      ip,
+      userAgent,
+      payload: { ...resolved.details, fileName: resolved.fileName, via }
+    });
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+
+  return { stream, fileName: resolved.fileName, mimeType: resolved.mimeType || 'application/octet-stream' };
+};
+
+module.exports = {
+  FILE_KINDS,
+  createSignedUrl,
+  verifySignedToken,
+  openDownload
+};
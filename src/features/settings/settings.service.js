@@ -1,5 +1,15 @@
 'use strict';
 const { TenantSettings } = require('../../models');
+const { FINALIZATION_POLICIES } = require('../../services/finalization.service');
+const { TSA_FAILURE_POLICIES } = require('../../services/tsa.service');
+const { assertPublicHttpUrl } = require('../../utils/networkGuard');
+const { encryptSecret } = require('../../utils/secretEncryption');
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 const getSettings = async (tenantId) => {
   const [settings] = await TenantSettings.findOrCreate({
@@ -10,6 +20,22 @@ const getSettings = async (tenantId) => {
 };
 
 const updateSettings = async (tenantId, data) => {
+  if (data.finalizationPolicy !== undefined && !FINALIZATION_POLICIES.includes(data.finalizationPolicy)) {
+    throw buildError(`Política de finalização inválida. Use ${FINALIZATION_POLICIES.join(', ')}.`);
+  }
+  if (data.tsaFailurePolicy != null && !TSA_FAILURE_POLICIES.includes(data.tsaFailurePolicy)) {
+    throw buildError(`Política de falha da TSA inválida. Use ${TSA_FAILURE_POLICIES.join(', ')}.`);
+  }
+  // Sem valor (null) usa SIGNED_COPY_ACCESS_DAYS do .env; 0 desativa o acesso pelo link
+  if (data.signedCopyAccessDays !== undefined && data.signedCopyAccessDays !== null
+    && !(Number.isInteger(data.signedCopyAccessDays) && data.signedCopyAccessDays >= 0)) {
+    throw buildError("O prazo da cópia assinada ('signedCopyAccessDays') deve ser um número inteiro de dias maior ou igual a zero.");
+  }
+  // A URL da TSA é acessada pelo servidor: só http(s) e hosts públicos (vazio volta a usar TSA_URL do .env)
+  if (data.tsaUrl) {
+    await assertPublicHttpUrl(data.tsaUrl, 'URL da TSA');
+  }
+
   const settings = await getSettings(tenantId);
   
   // Atualiza apenas campos permitidos
@@ -22,7 +48,16 @@ const updateSettings = async (tenantId, data) => {
     zapiClientToken: data.zapiClientToken,
     zapiActive: data.zapiActive,
     resendApiKey: data.resendApiKey,
-    resendActive: data.resendActive
+    resendActive: data.resendActive,
+    appendCertificateToPdf: data.appendCertificateToPdf,
+    finalizationPolicy: data.finalizationPolicy,
+    tsaUrl: data.tsaUrl,
+    tsaUsername: data.tsaUsername,
+    // Gravada cifrada; ausente mantém a atual, vazia remove
+    tsaPassword: data.tsaPassword === undefined ? undefined : (data.tsaPassword ? encryptSecret(data.tsaPassword) : null),
+    tsaFailurePolicy: data.tsaFailurePolicy,
+    longTermValidation: data.longTermValidation,
+    signedCopyAccessDays: data.signedCopyAccessDays
   });
 
   return settings;
@@ -1,13 +1,15 @@
 // src/features/signer/signer.controller.js
 
 const signerService = require('./signer.service');
+const qualifiedSignatureService = require('../../services/qualifiedSignature.service');
 const documentService = require('../document/document.service'); // <-- IMPORTAR O document.service
 const { User } = require('../../models'); // <-- IMPORTAR O User
+const { sendDownload } = require('../../utils/sendDownload');
 
 const getSummary = async (req, res, next) => {
   try {
-    // A requisição já tem `req.document` e `req.signer` do middleware.
-    const summary = await signerService.getSignerSummary(req.document, req.signer, req);
+    // A requisição já tem `req.signingUnit` (Documento ou Envelope) e `req.signer` do middleware.
+    const summary = await signerService.getSignerSummary(req.signingUnit, req.signer, req);
     res.status(200).json(summary);
   } catch (error) {
     next(error);
@@ -19,7 +21,7 @@ const identifySigner = async (req, res, next) => {
     const { cpf } = req.body;
     if (!cpf) return res.status(400).json({ message: 'CPF é obrigatório.' });
     
-    await signerService.identifySigner(req.signer, cpf, req);
+    await signerService.identifySigner(req.signer, { cpf });
     res.status(200).json({ message: 'Identificação confirmada com sucesso.' });
   } catch (error) {
     next(error);
@@ -62,18 +64,19 @@ const confirmSignatureArt = async (req, res, next) => {
 
 const commitSignature = async (req, res, next) => {
   try {
-    const { clientFingerprint, signatureImage } = req.body;
+    const { clientFingerprint, signatureImage, fieldValues } = req.body;
     
     // Pega o IP real (considerando proxies/load balancers)
     const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
 
     const result = await signerService.commitSignature(
-        req.document, 
+        req.signingUnit, 
         req.signer, 
         clientFingerprint, 
         signatureImage, 
         req,
-        ip // <--- Passando IP explicitamente
+        ip, // <--- Passando IP explicitamente
+        fieldValues
     );
     
     res.status(200).json({ 
@@ -85,6 +88,82 @@ const commitSignature = async (req, res, next) => {
   }
 };
 
+// Contexto da requisição registrado na auditoria da assinatura
+const requestContext = (req) => ({
+  ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress,
+  userAgent: req.headers['user-agent']
+});
+
+const signWithCertificateFile = async (req, res, next) => {
+  try {
+    const { p12, password, fieldValues, clientFingerprint } = req.body;
+    if (!p12) return res.status(400).json({ message: 'O certificado A1 (.p12) é obrigatório.' });
+
+    const result = await qualifiedSignatureService.signWithP12(
+      req.signingUnit,
+      req.signer,
+      { p12, password, fieldValues, clientFingerprint },
+      requestContext(req)
+    );
+    res.status(200).json({
+      message: 'Assinado com certificado digital com sucesso!',
+      ...result // { shortCode, signatureHash, isComplete }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const prepareRemoteSignature = async (req, res, next) => {
+  try {
+    const { certificate, fieldValues } = req.body;
+    if (!certificate) return res.status(400).json({ message: 'O certificado do signatário é obrigatório.' });
+
+    const prepared = await qualifiedSignatureService.prepareRemoteSignature(req.signingUnit, req.signer, { certificate, fieldValues });
+    res.status(200).json(prepared);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const completeRemoteSignature = async (req, res, next) => {
+  try {
+    // Envelopes: uma assinatura CMS por arquivo em 'signatures' ([{ documentId, cms }])
+    const { cms, signatures, clientFingerprint } = req.body;
+    if (!cms && !Array.isArray(signatures)) return res.status(400).json({ message: 'A assinatura CMS é obrigatória.' });
+
+    const result = await qualifiedSignatureService.completeRemoteSignature(
+      req.signingUnit,
+      req.signer,
+      { cms, signatures, clientFingerprint },
+      requestContext(req)
+    );
+    res.status(200).json({
+      message: 'Assinado com certificado digital com sucesso!',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const declineSignature = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'O motivo da recusa é obrigatório.' });
+    }
+
+    const result = await signerService.declineSignature(req.signingUnit, req.signer, String(reason).trim(), req);
+    res.status(200).json({
+      message: 'Recusa registrada com sucesso.',
+      ...result // { documentCancelled }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const savePosition = async (req, res, next) => {
   try {
     const { position } = req.body;
@@ -100,8 +179,44 @@ const savePosition = async (req, res, next) => {
 
 
 
+// --- Cópia assinada (somente leitura, após a conclusão) ---
 
+const getSignedCopy = async (req, res, next) => {
+  try {
+    const summary = await signerService.getSignedCopySummary(req.signingUnit, req.signer, req.signedCopyAccessUntil);
+    res.status(200).json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
 
+const downloadSignedCopy = async (req, res, next) => {
+  try {
+    const download = await signerService.openSignedCopy(
+      req.signingUnit,
+      req.signer,
+      { kind: 'DOCUMENT', documentId: req.query.documentId },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    await sendDownload(req, res, download);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const downloadSignedCopyCertificate = async (req, res, next) => {
+  try {
+    const download = await signerService.openSignedCopy(
+      req.signingUnit,
+      req.signer,
+      { kind: 'CERTIFICATE' },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
+    await sendDownload(req, res, download);
+  } catch (error) {
+    next(error);
+  }
+};
 
 module.exports = {
   getSummary,
@@ -110,5 +225,12 @@ module.exports = {
   verifyOtp,
   confirmSignatureArt,
   commitSignature,
+  signWithCertificateFile,
+  prepareRemoteSignature,
+  completeRemoteSignature,
+  declineSignature,
   savePosition,
+  getSignedCopy,
+  downloadSignedCopy,
+  downloadSignedCopyCertificate,
 };
\ No newline at end of file
@@ -3,9 +3,21 @@
 const { Router } = require('express');
 const signerController = require('./signer.controller');
 const resolveSignerToken = require('../../middlewares/resolveSignerToken');
+const resolveCompletedSignerToken = require('../../middlewares/resolveCompletedSignerToken');
 
 const router = Router();
 
+// Cópia assinada: após a conclusão, o signatário volta pelo seu link (somente leitura).
+// Registradas antes do middleware geral, que bloqueia links de quem já assinou.
+// GET /sign/:token/completed -> status final, quem assinou e quando
+router.get('/:token/completed', resolveCompletedSignerToken, signerController.getSignedCopy);
+
+// GET /sign/:token/completed/file[?documentId=] -> PDF final assinado (em envelopes, o arquivo indicado)
+router.get('/:token/completed/file', resolveCompletedSignerToken, signerController.downloadSignedCopy);
+
+// GET /sign/:token/completed/certificate -> Certificado de Conclusão
+router.get('/:token/completed/certificate', resolveCompletedSignerToken, signerController.downloadSignedCopyCertificate);
+
 // Aplica o middleware de resolução de token a todas as rotas com /:token
 router.use('/:token', resolveSignerToken);
 
@@ -30,6 +42,19 @@ router.post('/:token/draw', signerController.confirmSignatureArt);
 // POST /sign/:token/commit -> realiza a assinatura (gera signatureHash, atualiza Signer)
 router.post('/:token/commit', signerController.commitSignature);
 
+// Assinatura com certificado digital do signatário (e-CPF ICP-Brasil), em revisão PAdES própria
+// POST /sign/:token/certificate/p12 -> assina com o A1 (.p12 em Base64 + senha)
+router.post('/:token/certificate/p12', signerController.signWithCertificateFile);
+
+// POST /sign/:token/certificate/prepare -> assinatura remota: devolve o digest do ByteRange
+router.post('/:token/certificate/prepare', signerController.prepareRemoteSignature);
+
+// POST /sign/:token/certificate/complete -> assinatura remota: recebe o CMS gerado pelo cliente
+router.post('/:token/certificate/complete', signerController.completeRemoteSignature);
+
+// POST /sign/:token/decline -> recusa a assinatura (motivo obrigatório)
+router.post('/:token/decline', signerController.declineSignature);
+
 router.post('/:token/position', signerController.savePosition);
 
 
@@ -1,11 +1,9 @@
 // src/features/signer/signer.service.js
 'use strict';
 
-const fs = require('fs/promises');
-const fsSync = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid'); // Necessário para o ID da assinatura visual
 
 // Importação dos Modelos
@@ -14,49 +12,52 @@ const {
   Signer, 
   OtpCode, 
   AuditLog, 
-  Certificate, 
   User, 
-  TenantSettings, 
+  SignatureField,
+  Certificate,
   sequelize 
 } = require('../../models');
 
 // Importação dos Serviços
 const notificationService = require('../../services/notification.service');
-const documentService = require('../document/document.service');
-const pdfService = require('../../services/pdf.service');
 const auditService = require('../audit/audit.service');
+const storageService = require('../../services/storage.service');
+const fileService = require('../file/file.service');
+const signingFlowService = require('../../services/signingFlow.service');
+const signatureFieldService = require('../../services/signatureField.service');
+const { onlyDigits } = require('../../utils/validators');
+
+// Verificação por OTP no link de assinatura
+const OTP_TTL_MINUTES = 10;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5; // erros por código antes de invalidá-lo
+const OTP_LOCKOUT_THRESHOLD = 10; // erros seguidos (em qualquer código) antes de bloquear o link
+const OTP_LOCKOUT_MINUTES = 30;
 
 /**
- * Salva a imagem da assinatura (em Base64) como um arquivo PNG no disco.
- * Retorna o caminho relativo para armazenamento no banco de dados.
+ * Salva a imagem da assinatura (em Base64) como um arquivo PNG no armazenamento.
+ * Retorna a chave do arquivo para armazenamento no banco de dados.
  */
 const saveSignatureImage = async (base64Image, tenantId, signerId) => {
   if (!base64Image) {
     throw new Error("Imagem da assinatura (Base64) não fornecida.");
   }
   
-  // Define o diretório de upload absoluto usando a raiz do projeto
-  const uploadDir = path.join(process.cwd(), 'uploads', tenantId, 'signatures');
-  
-  // Garante que o diretório existe
-  await fs.mkdir(uploadDir, { recursive: true });
-  
   // Limpa o cabeçalho do base64 e cria o buffer
   const base64Data = base64Image.replace(/^data:image\/png;base64,/, "");
   const imageBuffer = Buffer.from(base64Data, 'base64');
   
-  const fileName = `${signerId}.png`;
-  const filePath = path.join(uploadDir, fileName);
+  // Chave no padrão POSIX (uploads/{tenantId}/signatures/{signerId}.png)
+  const storageKey = storageService.buildKey(tenantId, 'signatures', `${signerId}.png`);
+  await storageService.put(storageKey, imageBuffer);
   
-  await fs.writeFile(filePath, imageBuffer);
-  
-  // Retorna o caminho RELATIVO (padrão POSIX para compatibilidade no banco)
-  return path.join('uploads', tenantId, 'signatures', fileName);
+  return storageKey;
 };
 
 /**
  * Obtém o resumo do documento para o signatário (Visualização do Link).
  * Registra o evento de visualização se for a primeira vez.
+ * Em envelopes, 'document' é o Envelope e o resumo lista cada arquivo com o seu link e os seus campos.
  */
 const getSignerSummary = async (document, signer, req) => {
   // Se for a primeira visualização, atualiza status e loga
@@ -68,19 +69,55 @@ const getSignerSummary = async (document, signer, req) => {
       tenantId: document.tenantId,
       actorKind: 'SIGNER',
       actorId: signer.id,
-      entityType: 'DOCUMENT',
-      entityId: document.id,
+      ...signingFlowService.unitAuditEntity(document),
       action: 'VIEWED',
       ip: req.ip,
       userAgent: req.headers['user-agent'],
     });
   }
 
-  const owner = await User.findByPk(document.ownerId);
-  if (!owner) throw new Error("Proprietário do documento não encontrado.");
-  
-  // Gera URL segura para visualização do PDF
-  const { url: documentUrl } = await documentService.getDocumentDownloadUrl(document.id, owner);
+  // Campos onde este signatário deve assinar/preencher (definidos pelo remetente)
+  const fields = await SignatureField.findAll({
+    where: { signerId: signer.id },
+    order: [['page', 'ASC'], ['y', 'DESC']]
+  });
+
+  const signerData = {
+    name: signer.name,
+    email: signer.email,
+    phoneWhatsE164: signer.phoneWhatsE164,
+    status: signer.status,
+    requiresCertificate: signer.requiresCertificate,
+  };
+
+  if (signingFlowService.isEnvelope(document)) {
+    const files = await signingFlowService.getUnitDocuments(document);
+    const documents = [];
+    for (const file of files) {
+      const { url } = fileService.createSignedUrl({ kind: 'DOCUMENT', id: file.id }, { actorKind: 'SIGNER', actorId: signer.id });
+      documents.push({
+        id: file.id,
+        title: file.title,
+        url,
+        fields: fields.filter(f => f.documentId === file.id).map(signatureFieldService.serializeField)
+      });
+    }
+
+    return {
+      envelope: {
+        id: document.id,
+        title: document.title,
+        createdAt: document.createdAt,
+        deadlineAt: document.deadlineAt,
+      },
+      documents,
+      signer: signerData,
+      fields: fields.map(signatureFieldService.serializeField)
+    };
+  }
+
+  // Link assinado e temporário para visualização do PDF (o acesso é auditado em nome do signatário)
+  const { url: documentUrl } = fileService.createSignedUrl({ kind: 'DOCUMENT', id: document.id }, { actorKind: 'SIGNER', actorId: signer.id });
   
   return {
     document: {
@@ -95,26 +132,78 @@ const getSignerSummary = async (document, signer, req) => {
       email: signer.email,
       phoneWhatsE164: signer.phoneWhatsE164,
       status: signer.status,
-    }
+      requiresCertificate: signer.requiresCertificate,
+    },
+    fields: fields.map(signatureFieldService.serializeField)
   };
 };
 
 /**
  * Atualiza dados cadastrais do signatário (CPF/Fone) antes da assinatura.
+ * Quem assina com certificado digital não troca um CPF já cadastrado (pelo remetente ou numa
+ * identificação anterior): é com ele que o CPF do certificado é comparado na assinatura.
  */
 const identifySigner = async (signer, { cpf, phone }) => {
-  if (cpf) signer.cpf = cpf;
+  if (cpf) {
+    const lockedCpf = signer.requiresCertificate ? onlyDigits(signer.cpf) : '';
+    if (lockedCpf && lockedCpf !== onlyDigits(cpf)) {
+      const error = new Error('O CPF informado não corresponde ao cadastrado para este signatário.');
+      error.statusCode = 403;
+      throw error;
+    }
+    if (!lockedCpf) signer.cpf = onlyDigits(cpf);
+  }
   if (phone) signer.phoneWhatsE164 = phone;
   await signer.save();
 };
 
+/**
+ * Erro de bloqueio do link por excesso de códigos OTP incorretos (HTTP 423).
+ * O resolveSignerToken já barra o link bloqueado; aqui a checagem é repetida com a linha travada.
+ */
+const assertOtpNotLocked = (signer) => {
+  if (signer.otpLockedUntil && new Date(signer.otpLockedUntil) > new Date()) {
+    const minutes = Math.ceil((new Date(signer.otpLockedUntil).getTime() - Date.now()) / 60000);
+    const error = new Error(`Muitas tentativas com código incorreto. Tente novamente em ${minutes} minuto(s).`);
+    error.statusCode = 423;
+    throw error;
+  }
+};
+
+// Códigos do signatário solicitados por este link e ainda utilizáveis
+const activeOtpWhere = (signer, shareToken) => ({
+  signerId: signer.id,
+  shareTokenId: shareToken.id,
+  context: 'SIGNING',
+  invalidatedAt: null,
+  expiresAt: { [Op.gt]: new Date() }
+});
+
 /**
  * Envia o código OTP (One-Time Password) para os canais configurados.
+ * O código fica vinculado ao signatário e ao link usado (req.shareToken) e substitui os anteriores.
+ * Novos envios respeitam um intervalo mínimo (OTP_RESEND_COOLDOWN_SECONDS).
  */
 const startOtpVerification = async (signer, req) => {
+  const lastCode = await OtpCode.findOne({
+    where: { signerId: signer.id, context: 'SIGNING' },
+    order: [['createdAt', 'DESC']]
+  });
+  const elapsedSeconds = lastCode ? (Date.now() - new Date(lastCode.createdAt).getTime()) / 1000 : Infinity;
+  if (elapsedSeconds < OTP_RESEND_COOLDOWN_SECONDS) {
+    const error = new Error(`Aguarde ${Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds)} segundos para solicitar um novo código.`);
+    error.statusCode = 429;
+    throw error;
+  }
+
   const otp = crypto.randomInt(100000, 999999).toString();
   const codeHash = await bcrypt.hash(otp, 10);
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutos
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  // Só o código mais recente vale
+  await OtpCode.update({ invalidatedAt: new Date() }, {
+    where: { signerId: signer.id, context: 'SIGNING', invalidatedAt: null }
+  });
 
   const channels = signer.authChannels || ['EMAIL'];
 
@@ -128,15 +217,17 @@ const startOtpVerification = async (signer, req) => {
         channel, 
         codeHash, 
         expiresAt, 
-        context: 'SIGNING' 
+        context: 'SIGNING',
+        signerId: signer.id,
+        shareTokenId: req.shareToken.id
     });
     
     // Envia via provedor (Z-API / Resend)
-    notificationService.sendOtp(recipient, channel, otp, req.document.tenantId).catch(console.error);
+    notificationService.sendOtp(recipient, channel, otp, req.signingUnit.tenantId).catch(console.error);
     
     // Log de Auditoria
     await auditService.createEntry({
-        tenantId: req.document.tenantId,
+        tenantId: req.signingUnit.tenantId,
         actorKind: 'SYSTEM',
         entityType: 'OTP',
         entityId: signer.id,
@@ -149,69 +240,143 @@ const startOtpVerification = async (signer, req) => {
 };
 
 /**
- * Valida o código OTP inserido pelo usuário.
+ * Valida o código OTP inserido pelo signatário contra o último código emitido para ele neste link.
+ * Cada erro conta uma tentativa: após OTP_MAX_ATTEMPTS o código é invalidado e, após
+ * OTP_LOCKOUT_THRESHOLD erros seguidos, o link do signatário fica bloqueado por OTP_LOCKOUT_MINUTES.
+ * Falhas e bloqueio são gravados (OTP_FAILED / ACCOUNT_LOCKED) antes de o erro ser devolvido.
  */
 const verifyOtp = async (signer, otp, req) => {
-    const recipients = [signer.email, signer.phoneWhatsE164].filter(Boolean);
-    
-    const otpRecord = await OtpCode.findOne({
-      where: { recipient: recipients, context: 'SIGNING' },
-      order: [['createdAt', 'DESC']]
-    });
+    const auditContext = {
+        tenantId: req.signingUnit.tenantId,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+    };
 
-    // Valida Existência e Expiração
-    if (!otpRecord || new Date() > new Date(otpRecord.expiresAt)) {
-        await auditService.createEntry({
-             tenantId: req.document.tenantId, 
-             actorKind: 'SIGNER', 
-             actorId: signer.id, 
-             entityType: 'OTP', 
-             entityId: signer.id, 
-             action: 'OTP_FAILED',
-             ip: req.ip,
-             userAgent: req.headers['user-agent'],
-             payload: { reason: 'Expired or Not Found' }
+    let failure = null;
+    const transaction = await sequelize.transaction();
+    try {
+        // Trava o signatário: tentativas simultâneas são contadas uma a uma
+        const lockedSigner = await Signer.findByPk(signer.id, { lock: transaction.LOCK.UPDATE, transaction });
+        assertOtpNotLocked(lockedSigner);
+
+        const codes = await OtpCode.findAll({
+            where: activeOtpWhere(lockedSigner, req.shareToken),
+            order: [['createdAt', 'DESC']],
+            transaction
         });
-        throw new Error('Código OTP inválido ou expirado.');
-    }
 
-    // Valida Hash
-    const isMatch = await bcrypt.compare(otp, otpRecord.codeHash);
-    if (!isMatch) {
-         await auditService.createEntry({
-             tenantId: req.document.tenantId, 
-             actorKind: 'SIGNER', 
-             actorId: signer.id, 
-             entityType: 'OTP', 
-             entityId: signer.id, 
-             action: 'OTP_FAILED',
-             ip: req.ip,
-             userAgent: req.headers['user-agent'],
-             payload: { reason: 'Incorrect Code' }
-        });
-        throw new Error('Código OTP inválido.');
+        // Valida Existência e Expiração
+        if (codes.length === 0) {
+            await auditService.createEntry({
+                ...auditContext,
+                actorKind: 'SIGNER',
+                actorId: signer.id,
+                entityType: 'OTP',
+                entityId: signer.id,
+                action: 'OTP_FAILED',
+                payload: { reason: 'Expired or Not Found' }
+            }, transaction);
+            failure = { message: 'Código OTP inválido ou expirado. Solicite um novo código.', statusCode: 400 };
+        } else if (await bcrypt.compare(String(otp), codes[0].codeHash)) {
+            // Sucesso: queima o código (todos os canais) para evitar reuso
+            await OtpCode.destroy({ where: { id: codes.map(code => code.id) }, transaction });
+            lockedSigner.otpFailedAttempts = 0;
+            await lockedSigner.save({ transaction });
+
+            await auditService.createEntry({
+                ...auditContext,
+                actorKind: 'SIGNER',
+                actorId: signer.id,
+                entityType: 'OTP',
+                entityId: signer.id,
+                action: 'OTP_VERIFIED'
+            }, transaction);
+        } else {
+            const codeAttempts = codes[0].attempts + 1;
+            const codeExhausted = codeAttempts >= OTP_MAX_ATTEMPTS;
+            await OtpCode.update(
+                { attempts: codeAttempts, ...(codeExhausted ? { invalidatedAt: new Date() } : {}) },
+                { where: { id: codes.map(code => code.id) }, transaction }
+            );
+
+            lockedSigner.otpFailedAttempts += 1;
+            const locked = lockedSigner.otpFailedAttempts >= OTP_LOCKOUT_THRESHOLD;
+            if (locked) {
+                lockedSigner.otpLockedUntil = new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+                lockedSigner.otpFailedAttempts = 0;
+                await OtpCode.update({ invalidatedAt: new Date() }, {
+                    where: { signerId: signer.id, context: 'SIGNING', invalidatedAt: null },
+                    transaction
+                });
+            }
+            await lockedSigner.save({ transaction });
+
+            await auditService.createEntry({
+                ...auditContext,
+                actorKind: 'SIGNER',
+                actorId: signer.id,
+                entityType: 'OTP',
+                entityId: signer.id,
+                action: 'OTP_FAILED',
+                payload: { reason: 'Incorrect Code', attempts: codeAttempts, codeInvalidated: codeExhausted }
+            }, transaction);
+
+            if (locked) {
+                await auditService.createEntry({
+                    ...auditContext,
+                    actorKind: 'SYSTEM',
+                    entityType: 'SIGNER',
+                    entityId: signer.id,
+                    action: 'ACCOUNT_LOCKED',
+                    payload: {
+                        ...signingFlowService.unitScope(req.signingUnit),
+                        reason: 'OTP_FAILED',
+                        failedAttempts: OTP_LOCKOUT_THRESHOLD,
+                        lockedUntil: lockedSigner.otpLockedUntil
+                    }
+                }, transaction);
+                failure = { message: `Muitas tentativas com código incorreto. O link foi bloqueado por ${OTP_LOCKOUT_MINUTES} minutos.`, statusCode: 423 };
+            } else if (codeExhausted) {
+                failure = { message: 'Código OTP inválido. Limite de tentativas atingido: solicite um novo código.', statusCode: 400 };
+            } else {
+                failure = { message: `Código OTP inválido. Restam ${OTP_MAX_ATTEMPTS - codeAttempts} tentativa(s).`, statusCode: 400 };
+            }
+        }
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
     }
 
-    // Sucesso
-    await auditService.createEntry({ 
-        tenantId: req.document.tenantId, 
-        actorKind: 'SIGNER', 
-        actorId: signer.id, 
-        entityType: 'OTP', 
-        entityId: signer.id, 
-        action: 'OTP_VERIFIED',
-        ip: req.ip,
-        userAgent: req.headers['user-agent']
-    });
-    
-    // Queima o token para evitar reuso
-    await otpRecord.destroy();
+    // As falhas ficam registradas (commit acima) antes de o erro ser devolvido
+    if (failure) {
+        const error = new Error(failure.message);
+        error.statusCode = failure.statusCode;
+        throw error;
+    }
 };
 
 /**
  * Salva metadados de posição da assinatura visual (X, Y, Página).
+ * Só é permitido quando o remetente não definiu campos para o signatário.
  */
 const saveSignaturePosition = async (signer, position) => {
+  // Em envelopes a posição precisa de arquivo e página: só vale o que o remetente definiu
+  if (signer.envelopeId) {
+    const error = new Error('Em envelopes, as posições de assinatura são definidas pelo remetente.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Quando o remetente definiu os campos, a posição não pode ser escolhida pelo signatário
+  const fieldsCount = await SignatureField.count({ where: { signerId: signer.id } });
+  if (fieldsCount > 0) {
+    const error = new Error('As posições de assinatura deste documento foram definidas pelo remetente.');
+    error.statusCode = 409;
+    throw error;
+  }
+
   signer.signaturePositionX = position.x;
   signer.signaturePositionY = position.y;
   signer.signaturePositionPage = position.page;
@@ -226,17 +391,32 @@ const saveSignaturePosition = async (signer, position) => {
  * 4. Se TODOS assinaram: Gera PDF Final (com carimbos detalhados), e-mails customizados e certificado.
  * 
  * @param {string} userIp - IP do cliente passado pelo controller.
+ * @param {object} [fieldValues] - Valores dos campos TEXT ({ [fieldId]: valor }).
  */
-const commitSignature = async (document, signer, clientFingerprint, signatureImageBase64, req, userIp) => {
+const commitSignature = async (document, signer, clientFingerprint, signatureImageBase64, req, userIp, fieldValues = {}) => {
+    if (signer.requiresCertificate) {
+        const error = new Error('Este documento exige assinatura com certificado digital (ICP-Brasil).');
+        error.statusCode = 409;
+        throw error;
+    }
+
     const transaction = await sequelize.transaction();
     let resultData = {};
 
     try {
+        // Trava a linha do documento (ou envelope): commits simultâneos são serializados,
+        // evitando que dois signatários do mesmo grupo liberem (ou finalizem) o fluxo em dobro.
+        await signingFlowService.lockSigningUnit(document, transaction);
+
         const timestampISO = new Date().toISOString();
+
+        // Em envelopes, uma única assinatura cobre todos os arquivos: o hash parte dos hashes de cada um
+        const files = await signingFlowService.getUnitDocuments(document, transaction);
+        const contentHash = files.map(file => file.sha256).join('');
         
         // 1. Gera o Hash SHA256 da Assinatura (Integridade)
         const signatureHash = crypto.createHash('sha256')
-            .update(document.sha256 + signer.id + timestampISO + clientFingerprint)
+            .update(contentHash + signer.id + timestampISO + clientFingerprint)
             .digest('hex');
         
         // 2. Gera Código Curto de Verificação
@@ -249,6 +429,7 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
         signer.status = 'SIGNED';
         signer.signedAt = new Date();
         signer.signatureHash = signatureHash;
+        signer.shortCode = shortCode;
         signer.signatureArtefactPath = artefactPath;
         
         // --- NOVOS CAMPOS ---
@@ -258,139 +439,34 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
 
         await signer.save({ transaction });
 
+        // Preenche os campos de texto/data definidos pelo remetente
+        await signatureFieldService.applyFieldValues(signer, fieldValues, signer.signedAt, transaction);
+
         // 5. Log de Auditoria: SIGNED
         await auditService.createEntry({
             tenantId: document.tenantId,
             actorKind: 'SIGNER',
             actorId: signer.id,
-            entityType: 'DOCUMENT',
-            entityId: document.id,
+            ...signingFlowService.unitAuditEntity(document),
             action: 'SIGNED',
             ip: userIp || req.ip,
             userAgent: req.headers['user-agent'],
-            payload: { signatureHash, artefactPath, shortCode, clientFingerprint, ip: userIp }
-        }, transaction);
-
-        // 6. Verifica se TODOS os signatários já assinaram
-        const signersInDoc = await Signer.findAll({ where: { documentId: document.id }, transaction });
-        const allSigned = signersInDoc.every(s => s.status === 'SIGNED');
-
-        if (allSigned) {
-            console.log(`[FINALIZE] Documento ${document.id} completo. Iniciando geração do PDF final...`);
-            
-            // CAMINHO ABSOLUTO: Garante que achamos o arquivo original
-            const originalFilePath = path.join(process.cwd(), document.storageKey);
-            
-            if (!fsSync.existsSync(originalFilePath)) {
-                console.error(`[ERRO CRÍTICO] Arquivo não encontrado: ${originalFilePath}`);
-                throw new Error("Arquivo original do documento não encontrado no servidor.");
-            }
-
-            // 6a. Embute assinaturas visuais (Carimbo Detalhado: IP, CPF, Hash, UUID)
-            // Agora passamos o objeto 'document' também para o PDF Service pegar o hash do doc e ID
-            const signedPdfBuffer = await pdfService.embedSignatures(originalFilePath, signersInDoc, document);
-            
-            // 6b. Salva novo PDF Assinado
-            const signedFileStorageKey = document.storageKey.replace(/(\.[\w\d_-]+)$/i, '-signed$1');
-            const signedFilePath = path.join(process.cwd(), signedFileStorageKey);
-            await fs.writeFile(signedFilePath, signedPdfBuffer);
-
-            // 6c. Calcula novo Hash e Atualiza Documento
-            const newSha256 = crypto.createHash('sha256').update(signedPdfBuffer).digest('hex');
-            
-            document.status = 'SIGNED';
-            document.storageKey = signedFileStorageKey; // Aponta para o novo arquivo
-            document.sha256 = newSha256;
-            await document.save({ transaction });
-
-            await auditService.createEntry({ 
-                tenantId: document.tenantId, 
-                actorKind: 'SYSTEM', 
-                entityType: 'DOCUMENT', 
-                entityId: document.id, 
-                action: 'STATUS_CHANGED', 
-                payload: { newStatus: 'SIGNED', newSha256 }
-            }, transaction);
-
-            // 6d. Emite Certificado de Conclusão (Registro no Banco)
-            const certificateSha256 = crypto.createHash('sha256').update(`CERT-${document.id}-${timestampISO}`).digest('hex');
-            await Certificate.create({
-                documentId: document.id,
-                storageKey: `certificates/${document.id}.pdf`, // Caminho virtual/futuro do PDF do certificado
-                sha256: certificateSha256,
-                issuedAt: new Date()
-            }, { transaction });
-
-            await auditService.createEntry({ 
-                tenantId: document.tenantId, 
-                actorKind: 'SYSTEM', 
-                entityType: 'DOCUMENT', 
-                entityId: document.id, 
-                action: 'CERTIFICATE_ISSUED'
-            }, transaction);
-
-            // 6e. Envia E-mails de Conclusão (Com Template Customizável)
-            
-            // 1. Busca Configurações do Tenant para ver se tem template
-            const tenantSettings = await TenantSettings.findOne({ 
-                where: { tenantId: document.tenantId },
-                transaction 
-            });
-
-            // 2. Prepara dados para link de download
-            const owner = await User.findByPk(document.ownerId, { transaction });
-            const { url: downloadUrl } = await documentService.getDocumentDownloadUrl(document.id, owner); // Usando owner como proxy de auth
-
-            // 3. Define o Template (Customizado ou Padrão)
-            let emailBodyTemplate = tenantSettings?.finalEmailTemplate;
-
-            if (!emailBodyTemplate) {
-                // Template Padrão (Fallback)
-                emailBodyTemplate = `
-                    <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #2563EB;">Documento Finalizado</h2>
-                        <p>Olá, <strong>{{signer_name}}</strong>.</p>
-                        <p>O processo de assinatura do documento <strong>{{doc_title}}</strong> foi concluído por todas as partes.</p>
-                        <p>O documento possui validade jurídica e integridade garantida.</p>
-                        <p style="margin: 30px 0;">
-                            <a href="{{doc_link}}" style="background-color: #10B981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
-                                Baixar Documento Assinado
-                            </a>
-                        </p>
-                        <p><small style="color: #666;">ID do Documento: {{doc_id}}</small></p>
-                    </div>
-                `;
+            payload: {
+                signatureHash,
+                artefactPath,
+                shortCode,
+                clientFingerprint,
+                ip: userIp,
+                ...(signingFlowService.isEnvelope(document) && {
+                    documents: files.map(file => ({ documentId: file.id, sha256: file.sha256 }))
+                })
             }
+        }, transaction);
 
-            // 4. Compilação Parcial (variáveis comuns)
-            let compiledBase = emailBodyTemplate
-                .replace(/{{doc_title}}/g, document.title)
-                .replace(/{{doc_link}}/g, downloadUrl)
-                .replace(/{{doc_id}}/g, document.id);
-
-            // 5. Envio para o Dono
-            if (owner) {
-                const ownerHtml = compiledBase.replace(/{{signer_name}}/g, owner.name);
-                notificationService.sendEmail(document.tenantId, {
-                    to: owner.email,
-                    subject: `Documento Finalizado: ${document.title}`,
-                    html: ownerHtml
-                }).catch(err => console.error("Erro ao notificar dono:", err.message));
-            }
-            
-            // 6. Envio para Signatários
-            signersInDoc.forEach(s => {
-                 if (s.email) {
-                    const signerHtml = compiledBase.replace(/{{signer_name}}/g, s.name);
-                    
-                    notificationService.sendEmail(document.tenantId, {
-                        to: s.email,
-                        subject: `Cópia do Documento Assinado: ${document.title}`,
-                        html: signerHtml
-                    }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message));
-                 }
-            });
-        }
+        // 6. Verifica se todos os signatários obrigatórios já assinaram.
+        // Se sim, finaliza o documento (PDF final, certificado e e-mails) logo após o commit;
+        // se não, libera o próximo grupo quando o fluxo for sequencial.
+        const { isComplete } = await signingFlowService.advanceSigningFlow(document, { transaction });
 
         await transaction.commit();
 
@@ -398,7 +474,7 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
         resultData = {
             shortCode,
             signatureHash,
-            isComplete: allSigned
+            isComplete
         };
 
     } catch (error) {
@@ -410,8 +486,163 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
     return resultData;
 };
 
+/**
+ * Registra a recusa do signatário e aplica a política do documento (ou do envelope, com todos os arquivos).
+ * - CANCEL_DOCUMENT: cancela o documento.
+ * - REMOVE_SIGNER: retira o signatário do conjunto obrigatório e reavalia o fluxo
+ *   (pode finalizar o documento ou liberar o próximo grupo).
+ */
+const declineSignature = async (document, signer, reason, req) => {
+    const transaction = await sequelize.transaction();
+    let documentCancelled = false;
+
+    try {
+        await signingFlowService.lockSigningUnit(document, transaction);
+
+        signer.status = 'DECLINED';
+        signer.declinedAt = new Date();
+        signer.declineReason = reason;
+        await signer.save({ transaction });
+
+        await auditService.createEntry({
+            tenantId: document.tenantId,
+            actorKind: 'SIGNER',
+            actorId: signer.id,
+            ...signingFlowService.unitAuditEntity(document),
+            action: 'DECLINED',
+            ip: req.ip,
+            userAgent: req.headers['user-agent'],
+            payload: { reason, policy: document.declinePolicy, recipient: signer.email }
+        }, transaction);
+
+        if (document.declinePolicy === 'REMOVE_SIGNER') {
+            const signersInDoc = await Signer.findAll({ where: signingFlowService.unitScope(document), transaction });
+            const remaining = signersInDoc.filter(s => s.status !== 'DECLINED');
+
+            // Se ninguém mais pode assinar, o documento não tem como ser concluído
+            documentCancelled = remaining.length === 0;
+        } else {
+            documentCancelled = true;
+        }
+
+        if (documentCancelled) {
+            await signingFlowService.setUnitStatus(document, 'CANCELLED', transaction);
+
+            await auditService.createEntry({
+                tenantId: document.tenantId,
+                actorKind: 'SYSTEM',
+                ...signingFlowService.unitAuditEntity(document),
+                action: 'STATUS_CHANGED',
+                payload: { newStatus: 'CANCELLED', reason: 'SIGNER_DECLINED', signerId: signer.id }
+            }, transaction);
+        } else {
+            await signingFlowService.advanceSigningFlow(document, { transaction });
+        }
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    // Notifica o dono (não bloqueia a resposta)
+    const owner = await User.findByPk(document.ownerId);
+    if (owner) {
+        notificationService.sendDeclineNotice(owner, document, signer, reason, documentCancelled)
+            .catch(err => console.error("Erro ao notificar dono sobre recusa:", err.message));
+    }
+
+    return { documentCancelled };
+};
+
+/**
+ * Resumo da unidade concluída para o signatário (rota /sign/:token/completed): status final,
+ * quem assinou e quando, os arquivos finais e a disponibilidade do Certificado de Conclusão.
+ * Somente leitura: não altera o signatário nem registra visualização.
+ *
+ * @param {object} unit - Documento ou Envelope finalizado.
+ * @param {object} signer - Signatário dono do link (status SIGNED).
+ * @param {Date} accessUntil - Fim do acesso à cópia assinada.
+ */
+const getSignedCopySummary = async (unit, signer, accessUntil) => {
+  const [signers, files, certificate] = await Promise.all([
+    Signer.findAll({
+      where: signingFlowService.unitScope(unit),
+      order: [['order', 'ASC'], ['signedAt', 'ASC']]
+    }),
+    signingFlowService.getUnitDocuments(unit),
+    Certificate.findOne({ where: signingFlowService.unitScope(unit), attributes: ['sha256', 'issuedAt'] })
+  ]);
+
+  return {
+    [signingFlowService.isEnvelope(unit) ? 'envelope' : 'document']: {
+      id: unit.id,
+      title: unit.title,
+      status: unit.status,
+      createdAt: unit.createdAt,
+      finalizedAt: unit.finalizedAt
+    },
+    documents: files.map(file => ({ id: file.id, title: file.title, sha256: file.sha256 })),
+    signers: signers
+      .filter(s => s.status !== 'REMOVED')
+      .map(s => ({
+        name: s.name,
+        qualification: s.qualification,
+        status: s.status,
+        signedAt: s.signedAt,
+        isYou: s.id === signer.id
+      })),
+    certificate: certificate ? { sha256: certificate.sha256, issuedAt: certificate.issuedAt } : null,
+    accessUntil
+  };
+};
+
+/**
+ * Abre para download o PDF final (ou o Certificado de Conclusão) da unidade concluída.
+ * O download é auditado em nome do signatário (DOWNLOADED, via SIGNER_LINK).
+ *
+ * @param {object} unit - Documento ou Envelope finalizado.
+ * @param {object} signer
+ * @param {object} options
+ * @param {'DOCUMENT'|'CERTIFICATE'} options.kind
+ * @param {string} [options.documentId] - Arquivo do envelope (opcional se houver um só).
+ * @param {{ ip: string, userAgent: string }} context
+ */
+const openSignedCopy = async (unit, signer, { kind, documentId }, context) => {
+  let file;
+  if (kind === 'CERTIFICATE') {
+    const certificate = await Certificate.findOne({ where: signingFlowService.unitScope(unit) });
+    if (!certificate) {
+      const error = new Error('O Certificado de Conclusão ainda não está disponível.');
+      error.statusCode = 404;
+      throw error;
+    }
+    file = { kind, id: certificate.id };
+  } else {
+    const files = await signingFlowService.getUnitDocuments(unit);
+    const target = documentId
+      ? files.find(f => f.id === documentId)
+      : (files.length === 1 ? files[0] : null);
+    if (!target) {
+      const error = new Error(documentId ? 'Arquivo não encontrado neste envelope.' : 'Informe o arquivo do envelope (documentId).');
+      error.statusCode = documentId ? 404 : 400;
+      throw error;
+    }
+    file = { kind: 'DOCUMENT', id: target.id };
+  }
+
+  return fileService.openDownload(
+    file,
+    { actorKind: 'SIGNER', actorId: signer.id },
+    { ...context, via: 'SIGNER_LINK', tenantId: unit.tenantId }
+  );
+};
+
 module.exports = {
   getSignerSummary,
+  getSignedCopySummary,
+  openSignedCopy,
+  declineSignature,
   identifySigner,
   startOtpVerification,
   verifyOtp,
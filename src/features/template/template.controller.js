@@ -0,0 +1,83 @@
+// src/features/template/template.controller.js
+'use strict';
+
+const templateService = require('./template.service');
+
+const createTemplate = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Nenhum arquivo enviado.' });
+    }
+    // folderId e roles vêm como string no FormData
+    const { folderId, ...data } = req.body;
+
+    const template = await templateService.createTemplate({
+      ...data,
+      file: req.file,
+      folderId: folderId === 'root' ? null : folderId, // Trata 'root' como null
+      user: req.user
+    });
+    return res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAllTemplates = async (req, res, next) => {
+  try {
+    const { folderId, search } = req.query;
+    const templates = await templateService.listTemplates(req.user, { folderId, search });
+    return res.status(200).json(templates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await templateService.findTemplateById(req.params.id, req.user);
+    return res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await templateService.updateTemplate(req.params.id, req.body, req.user);
+    return res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteTemplate = async (req, res, next) => {
+  try {
+    await templateService.deleteTemplate(req.params.id, req.user);
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sendTemplate = async (req, res, next) => {
+  try {
+    // recipients: { "Contratante": { name, email, phone, cpf }, "Testemunha 1": { ... } }
+    // variables: { cliente_nome, cliente_cpf, valor, ... } (campos AcroForm e tags {{...}} do modelo)
+    const { recipients, variables, title, message, deadlineAt, folderId } = req.body;
+
+    const document = await templateService.sendTemplate(req.params.id, { recipients, variables, title, message, deadlineAt, folderId }, req.user);
+    return res.status(201).json({ message: 'Documento gerado e convites enviados com sucesso.', document });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTemplate,
+  getAllTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  sendTemplate
+};
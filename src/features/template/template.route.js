@@ -0,0 +1,34 @@
+// src/features/template/template.route.js
+'use strict';
+
+const { Router } = require('express');
+const multer = require('multer');
+const path = require('path');
+const templateController = require('./template.controller');
+const authGuard = require('../../middlewares/authGuard');
+const roleGuard = require('../../middlewares/roleGuard');
+
+const router = Router();
+
+// Upload do PDF do modelo (mesmos limites do upload de documentos)
+const uploadTemp = multer({
+  dest: path.join(__dirname, '..', '..', '..', 'temp_uploads/'),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+router.use(authGuard);
+
+// GET /templates?folderId=...&search=...
+router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.getAllTemplates);
+
+// POST /templates -> PDF no campo 'templateFile' + papéis em 'roles' (JSON)
+router.post('/', roleGuard(['ADMIN', 'MANAGER']), uploadTemp.single('templateFile'), templateController.createTemplate);
+
+// Gera um documento a partir do modelo e convida os signatários de cada papel
+router.post('/:id/send', roleGuard(['ADMIN', 'MANAGER']), templateController.sendTemplate);
+
+router.get('/:id', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.getTemplateById);
+router.patch('/:id', roleGuard(['ADMIN', 'MANAGER']), templateController.updateTemplate);
+router.delete('/:id', roleGuard(['ADMIN', 'MANAGER']), templateController.deleteTemplate);
+
+module.exports = router;
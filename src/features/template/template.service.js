@@ -0,0 +1,378 @@
+// src/features/template/template.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Template, Folder, User, sequelize } = require('../../models');
+
+const documentService = require('../document/document.service');
+const auditService = require('../audit/audit.service');
+const signatureFieldService = require('../../services/signatureField.service');
+const pdfPrefillService = require('../../services/pdfPrefill.service');
+const storageService = require('../../services/storage.service');
+
+// Campos do modelo que podem ser alterados via PATCH (o PDF é fixo: para trocar, crie outro modelo)
+const UPDATABLE_KEYS = [
+  'name', 'description', 'defaultMessage', 'deadlineDays', 'signingMode', 'declinePolicy',
+  'autoReminders', 'reminderIntervalDays', 'reminderDaysBeforeDeadline', 'maxRemindersPerSigner'
+];
+const REMINDER_COUNT_KEYS = ['reminderIntervalDays', 'reminderDaysBeforeDeadline', 'maxRemindersPerSigner'];
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * No multipart (FormData) listas e números chegam como texto.
+ */
+const parseJsonField = (value, label) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw buildError(`O campo '${label}' deve ser um JSON válido.`);
+  }
+};
+
+const parseSettings = (data) => {
+  const settings = {};
+  for (const key of UPDATABLE_KEYS) {
+    if (data[key] === undefined) continue;
+    let value = data[key];
+    if (key === 'deadlineDays') {
+      value = value === null || value === '' ? null : Number(value);
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        throw buildError("O prazo ('deadlineDays') deve ser um número inteiro de dias maior que zero.");
+      }
+    } else if (key === 'autoReminders') {
+      value = value === true || value === 'true';
+    } else if (REMINDER_COUNT_KEYS.includes(key)) {
+      value = value === null || value === '' ? NaN : Number(value);
+      if (!Number.isInteger(value) || value < 0) {
+        throw buildError(`O campo '${key}' deve ser um número inteiro maior ou igual a zero.`);
+      }
+    } else if (key === 'signingMode' && !['PARALLEL', 'SEQUENTIAL'].includes(value)) {
+      throw buildError('Modo de assinatura inválido. Use PARALLEL ou SEQUENTIAL.');
+    } else if (key === 'declinePolicy' && !['CANCEL_DOCUMENT', 'REMOVE_SIGNER'].includes(value)) {
+      throw buildError('Política de recusa inválida. Use CANCEL_DOCUMENT ou REMOVE_SIGNER.');
+    }
+    settings[key] = value;
+  }
+  if (settings.name !== undefined) {
+    settings.name = String(settings.name || '').trim();
+    if (!settings.name) throw buildError('O nome do modelo é obrigatório.');
+  }
+  return settings;
+};
+
+/**
+ * Valida os papéis do modelo e normaliza os campos de cada papel contra as páginas do PDF.
+ *
+ * @param {Array<object>} roles - [{ name, order, authChannels, requiresCertificate, qualification, fields }]
+ * @param {{ storageKey?: string, buffer?: Buffer }} template - Modelo (ou conteúdo do arquivo) cujo PDF define as páginas.
+ * @returns {Promise<Array<object>>}
+ */
+const normalizeRoles = async (roles, template) => {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    throw buildError('Defina ao menos um papel de signatário (ex.: "Contratante").');
+  }
+
+  const hasFields = roles.some(role => Array.isArray(role.fields) && role.fields.length > 0);
+  const pageSizes = hasFields ? await signatureFieldService.getPdfPageSizes(template) : [];
+  const names = new Set();
+
+  return roles.map((role, index) => {
+    const name = String(role.name || '').trim();
+    if (!name) throw buildError(`Papel ${index + 1}: o nome é obrigatório.`);
+    const key = name.toLowerCase();
+    if (names.has(key)) throw buildError(`O papel "${name}" está repetido.`);
+    names.add(key);
+
+    return {
+      name,
+      order: Number(role.order) || 0,
+      authChannels: Array.isArray(role.authChannels) && role.authChannels.length > 0 ? role.authChannels : undefined,
+      requiresCertificate: Boolean(role.requiresCertificate),
+      qualification: role.qualification || name,
+      fields: role.fields ? signatureFieldService.normalizeFieldDefinitions(role.fields, pageSizes) : []
+    };
+  });
+};
+
+/**
+ * Cria um modelo a partir do PDF enviado (multer) e da definição dos papéis.
+ * O arquivo fica no armazenamento em uploads/{tenantId}/templates/{templateId}.pdf.
+ *
+ * @param {object} data - { file, name, description, roles, placeholders, folderId, ...configurações, user }
+ */
+const createTemplate = async ({ file, user, folderId, roles, placeholders, ...data }) => {
+  let storageKey = null;
+  const transaction = await sequelize.transaction();
+  try {
+    if (file.mimetype !== 'application/pdf') {
+      throw buildError('O modelo deve ser um arquivo PDF.');
+    }
+    const settings = parseSettings({ name: data.name ?? file.originalname, ...data });
+
+    if (folderId) {
+      const folder = await Folder.findOne({ where: { id: folderId, tenantId: user.tenantId }, transaction });
+      if (!folder) throw buildError('Pasta não encontrada ou acesso negado.', 404);
+    }
+
+    // Os campos são validados contra o arquivo ainda na pasta temporária
+    const fileBuffer = await fs.readFile(file.path);
+    const tempFile = { buffer: fileBuffer };
+    const normalizedRoles = await normalizeRoles(parseJsonField(roles, 'roles'), tempFile);
+    const normalizedPlaceholders = placeholders
+      ? pdfPrefillService.normalizePlaceholders(parseJsonField(placeholders, 'placeholders'), await signatureFieldService.getPdfPageSizes(tempFile))
+      : [];
+
+    const template = await Template.create({
+      tenantId: user.tenantId,
+      ownerId: user.id,
+      folderId: folderId || null,
+      ...settings,
+      rolesJson: normalizedRoles,
+      placeholdersJson: normalizedPlaceholders,
+      storageKey: '',
+      mimeType: file.mimetype,
+      size: file.size
+    }, { transaction });
+
+    storageKey = storageService.buildKey(user.tenantId, 'templates', `${template.id}.pdf`);
+    await storageService.put(storageKey, fileBuffer);
+    await fs.rm(file.path, { force: true });
+
+    template.storageKey = storageKey;
+    template.sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    await template.save({ transaction });
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'TEMPLATE',
+      entityId: template.id,
+      action: 'CREATED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        name: template.name,
+        fileName: file.originalname,
+        sha256: template.sha256,
+        roles: normalizedRoles.map(role => role.name),
+        variables: [...new Set(normalizedPlaceholders.flatMap(placeholder => pdfPrefillService.extractVariableNames(placeholder.text)))]
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return template;
+  } catch (error) {
+    await transaction.rollback();
+    await fs.rm(file.path, { force: true });
+    if (storageKey) await storageService.delete(storageKey);
+    throw error;
+  }
+};
+
+/**
+ * Encontra um modelo pelo ID, garantindo que ele pertença ao tenant do usuário.
+ */
+const findTemplateById = async (templateId, user, transaction = null) => {
+  const template = await Template.findOne({
+    where: { id: templateId, tenantId: user.tenantId },
+    include: [
+      { model: User, as: 'owner', attributes: ['name'] },
+      { model: Folder, as: 'folder', attributes: ['id', 'name'], required: false }
+    ],
+    transaction
+  });
+  if (!template) throw buildError('Modelo não encontrado ou acesso negado.', 404);
+  return template;
+};
+
+/**
+ * Lista os modelos do tenant, opcionalmente filtrando por pasta ('root' = raiz) ou nome.
+ */
+const listTemplates = async (user, { folderId, search } = {}) => {
+  const where = { tenantId: user.tenantId };
+  if (folderId) where.folderId = folderId === 'root' ? null : folderId;
+  if (search) where.name = { [Op.iLike]: `%${search}%` };
+
+  return Template.findAll({
+    where,
+    order: [['name', 'ASC']],
+    include: [
+      { model: User, as: 'owner', attributes: ['name'] },
+      { model: Folder, as: 'folder', attributes: ['id', 'name'], required: false }
+    ]
+  });
+};
+
+/**
+ * Atualiza configurações e papéis do modelo. Documentos já gerados não são afetados.
+ */
+const updateTemplate = async (templateId, updates, user) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const template = await findTemplateById(templateId, user, transaction);
+    const settings = parseSettings(updates);
+
+    if (updates.roles !== undefined) {
+      template.rolesJson = await normalizeRoles(parseJsonField(updates.roles, 'roles'), template);
+    }
+    if (updates.placeholders !== undefined) {
+      template.placeholdersJson = pdfPrefillService.normalizePlaceholders(
+        parseJsonField(updates.placeholders, 'placeholders'),
+        await signatureFieldService.getPdfPageSizes(template)
+      );
+    }
+    Object.assign(template, settings);
+    const changes = template.changed() || [];
+    await template.save({ transaction });
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'TEMPLATE',
+      entityId: template.id,
+      action: 'UPDATED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        name: template.name,
+        changes,
+        roles: (template.rolesJson || []).map(role => role.name)
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return template;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Remove o modelo e o seu PDF. Documentos gerados a partir dele permanecem intactos.
+ */
+const deleteTemplate = async (templateId, user) => {
+  const transaction = await sequelize.transaction();
+  let template;
+  try {
+    template = await findTemplateById(templateId, user, transaction);
+    await template.destroy({ transaction });
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'TEMPLATE',
+      entityId: template.id,
+      action: 'DELETED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { name: template.name, sha256: template.sha256 }
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  // O arquivo só é apagado depois que a remoção do registro foi confirmada
+  await storageService.delete(template.storageKey);
+};
+
+/**
+ * Gera um Documento a partir do modelo e convida os signatários.
+ * Cada papel do modelo deve ser mapeado para uma pessoa: { "Contratante": { name, email, phone, cpf } }.
+ * Prazo, mensagem, modo de assinatura, política de recusa e lembretes vêm do modelo,
+ * podendo o prazo e a mensagem ser sobrescritos no envio.
+ * 'variables' preenche os campos AcroForm e as tags {{variavel}} do modelo antes do hash.
+ *
+ * @param {string} templateId
+ * @param {object} data - { recipients, variables, title, message, deadlineAt, folderId }
+ * @param {object} user
+ */
+const sendTemplate = async (templateId, { recipients, variables, title, message, deadlineAt, folderId }, user) => {
+  const template = await findTemplateById(templateId, user);
+  const roles = template.rolesJson || [];
+
+  if (!recipients || typeof recipients !== 'object' || Array.isArray(recipients)) {
+    throw buildError("Informe 'recipients' como um mapa papel → signatário.");
+  }
+  const unknownRoles = Object.keys(recipients).filter(roleName => !roles.some(role => role.name === roleName));
+  if (unknownRoles.length > 0) {
+    throw buildError(`Papéis inexistentes no modelo: ${unknownRoles.join(', ')}.`);
+  }
+  const missingRoles = roles.filter(role => !recipients[role.name]?.name);
+  if (missingRoles.length > 0) {
+    throw buildError(`Informe o signatário dos papéis: ${missingRoles.map(role => role.name).join(', ')}.`);
+  }
+
+  const signers = roles.map(role => {
+    const person = recipients[role.name];
+    return {
+      name: person.name,
+      email: person.email,
+      phone: person.phone,
+      cpf: person.cpf,
+      authChannels: person.authChannels || role.authChannels,
+      qualification: role.qualification,
+      order: role.order,
+      requiresCertificate: role.requiresCertificate,
+      fields: role.fields
+    };
+  });
+
+  const placeholders = template.placeholdersJson || [];
+  const prefill = variables || placeholders.length > 0
+    ? { variables: pdfPrefillService.normalizeVariables(variables), placeholders }
+    : null;
+
+  await documentService.assertCanCreateDocuments(user);
+
+  return documentService.createDocumentFromStoredFile(
+    {
+      storageKey: template.storageKey,
+      fileName: `${template.name}.pdf`,
+      mimeType: template.mimeType || 'application/pdf',
+      size: template.size
+    },
+    {
+      title: title || template.name,
+      deadlineAt: deadlineAt || (template.deadlineDays
+        ? new Date(Date.now() + template.deadlineDays * 24 * 60 * 60 * 1000)
+        : null),
+      folderId: folderId === 'root' ? null : (folderId || template.folderId),
+      user,
+      templateId: template.id,
+      prefill,
+      settings: {
+        autoReminders: template.autoReminders,
+        reminderIntervalDays: template.reminderIntervalDays,
+        reminderDaysBeforeDeadline: template.reminderDaysBeforeDeadline,
+        maxRemindersPerSigner: template.maxRemindersPerSigner
+      }
+    },
+    signers,
+    message || template.defaultMessage,
+    { signingMode: template.signingMode, declinePolicy: template.declinePolicy }
+  );
+};
+
+module.exports = {
+  createTemplate,
+  findTemplateById,
+  listTemplates,
+  updateTemplate,
+  deleteTemplate,
+  sendTemplate
+};
@@ -0,0 +1,20 @@
+// src/features/verify/verify.controller.js
+'use strict';
+
+const verifyService = require('./verify.service');
+
+/**
+ * Controller público de verificação (QR Code / código curto / hash).
+ */
+const verify = async (req, res, next) => {
+  try {
+    const summary = await verifyService.verifyCode(req.params.code);
+    res.status(200).json(summary);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verify
+};
@@ -0,0 +1,25 @@
+// src/features/verify/verify.route.js
+'use strict';
+
+const { Router } = require('express');
+const verifyController = require('./verify.controller');
+const rateLimit = require('../../middlewares/rateLimit');
+
+const router = Router();
+
+// Rota pública: limita tentativas por IP para dificultar a varredura de códigos
+const verifyRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.VERIFY_RATE_LIMIT_PER_MINUTE) || 20,
+  message: 'Muitas verificações em sequência. Aguarde um minuto e tente novamente.'
+});
+
+/**
+ * @route   GET /api/verify/:code
+ * @desc    Verifica uma assinatura pelo código curto, ID da assinatura (QR Code) ou hash do documento.
+ *          O código curto confirma apenas a validade e a data; os detalhes exigem o ID ou o hash.
+ * @access  Public (com limite de requisições por IP)
+ */
+router.get('/:code', verifyRateLimit, verifyController.verify);
+
+module.exports = router;
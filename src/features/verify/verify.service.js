@@ -0,0 +1,194 @@
+// src/features/verify/verify.service.js
+'use strict';
+
+const { Document, DocumentVersion, Envelope, Signer, Tenant } = require('../../models');
+const { onlyDigits } = require('../../utils/validators');
+
+const HASH_REGEX = /^[a-f0-9]{64}$/i;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHORT_CODE_REGEX = /^[A-F0-9]{6}$/i;
+
+/**
+ * Monta a URL pública de verificação impressa no QR Code dos carimbos.
+ * @param {string} code - UUID da assinatura, código curto ou hash do documento.
+ */
+const buildVerificationUrl = (code) => `${process.env.API_BASE_URL}/api/verify/${code}`;
+
+// --- Mascaramento (a rota é pública: nunca expor dados pessoais completos) ---
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [user, domain] = email.split('@');
+  return `${user.slice(0, 2)}***@${domain}`;
+};
+
+const maskCpf = (cpf) => {
+  const digits = onlyDigits(cpf);
+  if (digits.length !== 11) return null;
+  return `***.${digits.slice(3, 6)}.${digits.slice(6, 9)}-**`;
+};
+
+const summarizeSigner = (signer) => ({
+  name: signer.name,
+  email: maskEmail(signer.email),
+  cpf: maskCpf(signer.cpf),
+  status: signer.status,
+  signedAt: signer.signedAt,
+  signatureId: signer.status === 'SIGNED' ? signer.signatureUuid : null,
+  shortCode: signer.status === 'SIGNED' ? signer.shortCode : null,
+  // Assinatura com certificado digital próprio, com cadeia conferida até uma raiz ICP-Brasil
+  qualified: signer.status === 'SIGNED' && signer.certificateInfoJson?.chainTrusted === true,
+  certificateIssuer: signer.status === 'SIGNED' ? signer.certificateInfoJson?.issuer || null : null
+});
+
+const summarizeFile = (document) => ({
+  id: document.id,
+  title: document.title,
+  status: document.status,
+  createdAt: document.createdAt,
+  finalizedAt: document.finalizedAt,
+  sha256: document.status === 'SIGNED' ? document.sha256 : null,
+  padesSealed: Boolean(document.padesSignedAt)
+});
+
+/**
+ * Monta o resumo público. Em arquivos de envelope, os signatários são os do envelope
+ * e o resumo traz também o envelope com todos os seus arquivos.
+ *
+ * @param {object} unit - { document, envelope } (ao menos um dos dois).
+ */
+const buildSummary = ({ document = null, envelope = null }, matchedBy, matchedSigner = null) => {
+  const owner = envelope || document;
+  // Apenas quem participou do fluxo (removidos/substituídos não aparecem)
+  const signers = (owner.Signers || [])
+    .filter(s => s.status !== 'REMOVED')
+    .sort((a, b) => a.order - b.order);
+  const organization = owner.Tenant ? owner.Tenant.name : null;
+
+  return {
+    matchedBy,
+    document: document ? { ...summarizeFile(document), organization } : null,
+    envelope: envelope
+      ? {
+        id: envelope.id,
+        title: envelope.title,
+        status: envelope.status,
+        organization,
+        createdAt: envelope.createdAt,
+        finalizedAt: envelope.finalizedAt,
+        documents: [...(envelope.documents || [])]
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+          .map(summarizeFile)
+      }
+      : null,
+    signature: matchedSigner ? summarizeSigner(matchedSigner) : null,
+    signatures: signers.map(summarizeSigner)
+  };
+};
+
+const loadEnvelope = (id) => Envelope.findByPk(id, {
+  include: [
+    { model: Signer, as: 'Signers' },
+    { model: Document, as: 'documents' },
+    { model: Tenant, attributes: ['name'] }
+  ]
+});
+
+const loadDocument = async (id) => {
+  const document = await Document.findByPk(id, {
+    include: [
+      { model: Signer, as: 'Signers' },
+      { model: Tenant, attributes: ['name'] }
+    ]
+  });
+  const envelope = document.envelopeId ? await loadEnvelope(document.envelopeId) : null;
+  return { document, envelope };
+};
+
+/**
+ * Localiza o documento pelo hash da versão atual ou de qualquer versão anterior
+ * (original, revisões assinadas, cópia carimbada etc.; ver DocumentVersion).
+ * @returns {Promise<{ documentId: string, versionKind: string|null }|null>}
+ */
+const findDocumentByHash = async (sha256) => {
+  const current = await Document.findOne({ where: { sha256 }, attributes: ['id'] });
+  if (current) return { documentId: current.id, versionKind: null };
+
+  const versions = await DocumentVersion.findAll({ where: { sha256 }, attributes: ['documentId', 'kind'] });
+  const documentIds = [...new Set(versions.map(version => version.documentId))];
+  if (documentIds.length === 0) return null;
+  if (documentIds.length > 1) {
+    // Ex.: o mesmo PDF base enviado em vários documentos: o original não identifica um só
+    const error = new Error('Este arquivo corresponde a mais de um documento. Verifique pela versão assinada ou pelo ID da assinatura (QR Code).');
+    error.statusCode = 409;
+    throw error;
+  }
+  return { documentId: documentIds[0], versionKind: versions[0].kind };
+};
+
+/**
+ * Verifica um código impresso/informado: UUID da assinatura, código curto ou hash do documento.
+ * Retorna um resumo sem dados pessoais completos. O código curto (6 caracteres, fácil de
+ * adivinhar) confirma apenas que a assinatura existe e quando foi feita.
+ *
+ * @param {string} rawCode
+ */
+const verifyCode = async (rawCode) => {
+  const code = String(rawCode || '').trim();
+  const notFound = () => {
+    const error = new Error('Nenhum documento ou assinatura encontrado para este código.');
+    error.statusCode = 404;
+    return error;
+  };
+
+  if (HASH_REGEX.test(code)) {
+    const match = await findDocumentByHash(code.toLowerCase());
+    if (!match) throw notFound();
+    return {
+      ...buildSummary(await loadDocument(match.documentId), 'DOCUMENT_HASH'),
+      // Hash de uma versão anterior (ex.: o original enviado): qual etapa ele representa
+      matchedVersion: match.versionKind
+    };
+  }
+
+  let signers = [];
+  let matchedBy;
+  if (UUID_REGEX.test(code)) {
+    matchedBy = 'SIGNATURE_ID';
+    signers = await Signer.findAll({ where: { signatureUuid: code.toLowerCase(), status: 'SIGNED' } });
+  } else if (SHORT_CODE_REGEX.test(code)) {
+    matchedBy = 'SHORT_CODE';
+    signers = await Signer.findAll({ where: { shortCode: code.toUpperCase(), status: 'SIGNED' } });
+  } else {
+    const error = new Error('Código inválido. Informe o código curto, o ID da assinatura ou o hash do documento.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (signers.length === 0) throw notFound();
+  if (signers.length > 1) {
+    const error = new Error('Código curto ambíguo. Utilize o ID da assinatura (QR Code) para verificar.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const [signer] = signers;
+  if (matchedBy === 'SHORT_CODE') {
+    return {
+      matchedBy,
+      valid: true,
+      signedAt: signer.signedAt,
+      message: 'Assinatura válida. Para ver os detalhes, use o QR Code (ID da assinatura) ou o hash do documento.'
+    };
+  }
+
+  // Signatário de envelope: uma única assinatura cobre todos os arquivos
+  const unit = signer.envelopeId
+    ? { envelope: await loadEnvelope(signer.envelopeId) }
+    : await loadDocument(signer.documentId);
+  return buildSummary(unit, matchedBy, signer);
+};
+
+module.exports = {
+  buildVerificationUrl,
+  verifyCode
+};
@@ -0,0 +1,38 @@
+// src/middlewares/rateLimit.js
+'use strict';
+
+/**
+ * Limite de requisições por IP em janela fixa, mantido em memória (por processo).
+ * Para rotas públicas sem autenticação, como a verificação de assinaturas.
+ *
+ * @param {object} options
+ * @param {number} options.windowMs - Duração da janela.
+ * @param {number} options.max - Requisições permitidas por IP na janela.
+ * @param {string} options.message - Mensagem da resposta 429.
+ * @returns {Function} Middleware do Express.
+ */
+const rateLimit = ({ windowMs, max, message }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      // Descarta janelas vencidas para o mapa não crescer indefinidamente
+      if (hits.size >= 10000) {
+        for (const [ip, item] of hits) if (item.resetAt <= now) hits.delete(ip);
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ message });
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,55 @@
+// src/middlewares/resolveCompletedSignerToken.js
+
+const signingFlowService = require('../services/signingFlow.service');
+const signedCopyService = require('../services/signedCopy.service');
+
+/**
+ * Resolve o link do signatário para a cópia assinada (rotas /sign/:token/completed).
+ * Somente leitura: aceita quem assinou uma unidade já finalizada, dentro do prazo de acesso
+ * contado da conclusão (a validade original do link, ligada ao prazo de assinatura, não se aplica).
+ */
+const resolveCompletedSignerToken = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    if (!token) {
+      return res.status(400).json({ message: 'Token de assinatura não fornecido.' });
+    }
+
+    const shareToken = await signingFlowService.findShareToken(token);
+
+    const unit = shareToken && (shareToken.Envelope || shareToken.Document);
+    if (!unit || !shareToken.Signer) {
+      return res.status(404).json({ message: 'Link de assinatura inválido ou não encontrado.' });
+    }
+
+    if (shareToken.revokedAt) {
+      return res.status(403).json({ message: 'Link de assinatura revogado. Utilize o link mais recente que você recebeu.' });
+    }
+
+    const signer = shareToken.Signer;
+    if (signer.status !== 'SIGNED') {
+      return res.status(403).json({ message: 'A cópia assinada fica disponível apenas para quem assinou o documento.' });
+    }
+    if (unit.status !== 'SIGNED' || !unit.finalizedAt) {
+      return res.status(409).json({ message: 'O documento ainda não foi concluído por todas as partes.' });
+    }
+
+    const accessUntil = await signedCopyService.getAccessUntil(unit);
+    if (new Date() > accessUntil) {
+      return res.status(410).json({ message: 'O prazo para baixar a cópia assinada terminou. Solicite o documento ao remetente.' });
+    }
+
+    req.signingUnit = unit;
+    req.document = shareToken.Envelope ? null : unit;
+    req.envelope = shareToken.Envelope || null;
+    req.signer = signer;
+    req.shareToken = shareToken;
+    req.signedCopyAccessUntil = accessUntil;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = resolveCompletedSignerToken;
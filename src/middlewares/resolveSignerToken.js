@@ -1,7 +1,7 @@
 // src/middlewares/resolveSignerToken.js
 
-const crypto = require('crypto');
-const { ShareToken, Document, Signer } = require('../models');
+const { Signer } = require('../models');
+const signingFlowService = require('../services/signingFlow.service');
 
 const resolveSignerToken = async (req, res, next) => {
   try {
@@ -10,25 +10,28 @@ const resolveSignerToken = async (req, res, next) => {
       return res.status(400).json({ message: 'Token de assinatura não fornecido.' });
     }
 
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const shareToken = await signingFlowService.findShareToken(token);
 
-    const shareToken = await ShareToken.findOne({
-      where: { tokenHash },
-      include: [
-        { model: Document, as: 'Document' },
-        { model: Signer, as: 'Signer' }
-      ]
-    });
-
-    if (!shareToken || !shareToken.Document || !shareToken.Signer) {
+    // O link aponta para um documento avulso ou para um envelope (vários arquivos)
+    const unit = shareToken && (shareToken.Envelope || shareToken.Document);
+    if (!unit || !shareToken.Signer) {
       return res.status(404).json({ message: 'Link de assinatura inválido ou não encontrado.' });
     }
     
+    if (shareToken.revokedAt) {
+        return res.status(403).json({ message: 'Link de assinatura revogado. Utilize o link mais recente que você recebeu.' });
+    }
+
+    // Concluído: o mesmo link dá acesso à cópia assinada em /sign/:token/completed (mesmo após a validade original)
+    if (shareToken.Signer.status === 'SIGNED' && unit.status === 'SIGNED') {
+        return res.status(403).json({ message: 'O documento já foi concluído por todas as partes.', completed: true });
+    }
+
     if (new Date() > new Date(shareToken.expiresAt)) {
         return res.status(403).json({ message: 'Link de assinatura expirado.' });
     }
 
-    const doc = shareToken.Document;
+    const doc = unit;
     const signer = shareToken.Signer;
 
     // Validações de status
@@ -39,8 +42,24 @@ const resolveSignerToken = async (req, res, next) => {
         return res.status(403).json({ message: `Acesso negado. O documento não está mais disponível para assinatura (status: ${doc.status}).` });
     }
 
-    // Anexa os dados à requisição para uso posterior
-    req.document = doc;
+    // Bloqueio temporário por excesso de códigos OTP incorretos (ver signer.service)
+    if (signer.otpLockedUntil && new Date(signer.otpLockedUntil) > new Date()) {
+        return res.status(423).json({ message: 'Link bloqueado temporariamente por excesso de tentativas com código incorreto.', lockedUntil: signer.otpLockedUntil });
+    }
+
+    // Fluxo sequencial: só o grupo de menor ordem pendente pode abrir o link
+    if (doc.signingMode === 'SEQUENTIAL') {
+        const signersInDoc = await Signer.findAll({ where: signingFlowService.unitScope(doc) });
+        if (!signingFlowService.isSignerTurn(doc, signer, signersInDoc)) {
+            return res.status(403).json({ message: 'Aguarde: este documento ainda está com signatários anteriores na ordem de assinatura.' });
+        }
+    }
+
+    // Anexa os dados à requisição para uso posterior.
+    // 'signingUnit' é o que o signatário assina: o Documento ou o Envelope.
+    req.signingUnit = unit;
+    req.document = shareToken.Envelope ? null : unit;
+    req.envelope = shareToken.Envelope || null;
     req.signer = signer;
     req.shareToken = shareToken;
 
@@ -25,13 +25,13 @@ module.exports = (sequelize, DataTypes) => {
     
     // --- CORREÇÃO AQUI ---
     // Adicionado 'USER' e 'TENANT' à lista de tipos de entidade permitidos
-    entityType: DataTypes.ENUM('DOCUMENT', 'SIGNER', 'TOKEN', 'OTP', 'STORAGE', 'SYSTEM', 'USER', 'TENANT'),
+    entityType: DataTypes.ENUM('DOCUMENT', 'ENVELOPE', 'TEMPLATE', 'SIGNER', 'TOKEN', 'OTP', 'STORAGE', 'SYSTEM', 'USER', 'TENANT'),
     
     entityId: DataTypes.UUID, 
     action: DataTypes.ENUM(
-      'CREATED', 'INVITED', 'VIEWED', 'OTP_SENT', 'OTP_VERIFIED',
-      'SIGNED', 'EMAILED', 'DOWNLOADED', 'EXPIRED', 'CANCELLED',
-      'STATUS_CHANGED', 'STORAGE_UPLOADED', 'PADES_SIGNED', 'CERTIFICATE_ISSUED', 'OTP_FAILED',
+      'CREATED', 'UPDATED', 'DELETED', 'INVITED', 'INVITE_RESENT', 'VIEWED', 'OTP_SENT', 'OTP_VERIFIED',
+      'SIGNED', 'DECLINED', 'REMINDER_SENT', 'SIGNER_UPDATED', 'SIGNER_REMOVED', 'SIGNER_REPLACED', 'EMAILED', 'DOWNLOADED', 'EXPIRED', 'CANCELLED',
+      'STATUS_CHANGED', 'STORAGE_UPLOADED', 'PADES_SIGNED', 'LTV_APPLIED', 'CERTIFICATE_ISSUED', 'OTP_FAILED',
       'LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'USER_CREATED', 'SETTINGS_CHANGED', 'ACCOUNT_LOCKED', 'USER_DELETED'
     ),
     ip: DataTypes.STRING,
@@ -0,0 +1,96 @@
+// src/models/bulkSendJob.js
+'use strict';
+const { Model } = require('sequelize');
+
+/**
+ * Envio em massa: um documento base (ou modelo) enviado a uma lista de destinatários (CSV/JSON).
+ * Cada linha válida gera um Documento próprio com o seu signatário e as suas variáveis.
+ * O processamento roda em segundo plano (ver bulkSend.service); o progresso fica em rowsJson.
+ */
+module.exports = (sequelize, DataTypes) => {
+  class BulkSendJob extends Model {
+    static associate(models) {
+      BulkSendJob.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
+      BulkSendJob.belongsTo(models.User, { foreignKey: 'ownerId', as: 'owner' });
+    }
+  }
+  BulkSendJob.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' }
+    },
+    sourceType: {
+      type: DataTypes.ENUM('DOCUMENT', 'TEMPLATE'),
+      allowNull: false
+    },
+    sourceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Documento base ou modelo usado em todas as linhas'
+    },
+    // Opções comuns a todas as linhas: { title, message, deadlineAt, folderId, role, fixedRecipients, fields, authChannels }
+    optionsJson: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Uma entrada por linha: { row, name, email, phone, cpf, variables, status, documentId, errors }
+    // status: INVALID (reprovada na validação) | PENDING | SENT | FAILED
+    rowsJson: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    totalRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processedRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    sentRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failedRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Linhas inválidas + falhas no envio'
+    },
+    status: {
+      type: DataTypes.ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED'),
+      defaultValue: 'PENDING',
+      allowNull: false
+    },
+    startedAt: DataTypes.DATE,
+    finishedAt: DataTypes.DATE,
+    errorMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Erro que interrompeu o job inteiro (ex.: documento base removido)'
+    }
+  }, {
+    sequelize,
+    modelName: 'BulkSendJob',
+    timestamps: true,
+    updatedAt: true
+  });
+  return BulkSendJob;
+};
@@ -5,6 +5,7 @@ module.exports = (sequelize, DataTypes) => {
   class Certificate extends Model {
     static associate(models) {
       Certificate.belongsTo(models.Document, { foreignKey: 'documentId' });
+      Certificate.belongsTo(models.Envelope, { foreignKey: 'envelopeId' });
     }
   }
   Certificate.init({
@@ -14,12 +15,19 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Certificado de um documento avulso OU de um envelope (um dos dois)
     documentId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       unique: true, // Cada documento tem apenas um certificado
       references: { model: 'Documents', key: 'id' }
     },
+    envelopeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      unique: true,
+      references: { model: 'Envelopes', key: 'id' }
+    },
     storageKey: {
       type: DataTypes.STRING,
       allowNull: false
@@ -14,8 +14,16 @@ module.exports = (sequelize, DataTypes) => {
           Document.belongsTo(models.Folder, { foreignKey: 'folderId', as: 'folder' });
       }
 
+      // Arquivo que faz parte de um envelope (signatários, prazo e conclusão ficam no envelope)
+      Document.belongsTo(models.Envelope, { foreignKey: 'envelopeId', as: 'envelope' });
+      // Modelo de origem (documentos gerados por POST /templates/:id/send)
+      Document.belongsTo(models.Template, { foreignKey: 'templateId', as: 'template' });
+      // Histórico de arquivos (original, carimbado, selado...)
+      Document.hasMany(models.DocumentVersion, { foreignKey: 'documentId', as: 'versions' });
+
       Document.hasMany(models.Signer, { foreignKey: 'documentId', as: 'Signers' });
       Document.hasOne(models.Certificate, { foreignKey: 'documentId' });
+      Document.hasMany(models.SignatureField, { foreignKey: 'documentId', as: 'fields' });
     }
   }
   Document.init({
@@ -42,11 +50,63 @@ module.exports = (sequelize, DataTypes) => {
       references: { model: 'Folders', key: 'id' }
     },
     // ------------------
+    envelopeId: {
+      type: DataTypes.UUID,
+      allowNull: true, // null = documento avulso
+      references: { model: 'Envelopes', key: 'id' }
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true, // null = enviado por upload
+      references: { model: 'Templates', key: 'id' }
+    },
     autoReminders: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       allowNull: false,
     },
+    // --- LEMBRETES AUTOMÁTICOS (usados quando autoReminders = true) ---
+    reminderIntervalDays: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 },
+      comment: 'Envia lembrete a cada N dias desde o convite/último lembrete (0 = desativado)'
+    },
+    reminderDaysBeforeDeadline: {
+      type: DataTypes.INTEGER,
+      defaultValue: 2,
+      allowNull: false,
+      validate: { min: 0 },
+      comment: 'Envia um lembrete X dias antes do prazo (0 = desativado)'
+    },
+    maxRemindersPerSigner: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    // --- FLUXO DE ASSINATURA ---
+    // PARALLEL: todos recebem o convite juntos.
+    // SEQUENTIAL: apenas o grupo de menor 'order' pendente é convidado/liberado.
+    signingMode: {
+      type: DataTypes.ENUM('PARALLEL', 'SEQUENTIAL'),
+      defaultValue: 'PARALLEL',
+      allowNull: false,
+    },
+    // O que acontece quando um signatário recusa:
+    // CANCEL_DOCUMENT: o documento inteiro é cancelado.
+    // REMOVE_SIGNER: o signatário sai do conjunto obrigatório e o fluxo continua com os demais.
+    declinePolicy: {
+      type: DataTypes.ENUM('CANCEL_DOCUMENT', 'REMOVE_SIGNER'),
+      defaultValue: 'CANCEL_DOCUMENT',
+      allowNull: false,
+    },
+    inviteMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Mensagem do convite, reutilizada ao liberar os próximos grupos de assinatura'
+    },
     title: {
       type: DataTypes.STRING,
       allowNull: false
@@ -56,6 +116,33 @@ module.exports = (sequelize, DataTypes) => {
     size: DataTypes.INTEGER, // in bytes
     sha256: DataTypes.STRING(64),
     deadlineAt: DataTypes.DATE,
+    // --- FINALIZAÇÃO (preenchidos uma única vez, ver finalization.service) ---
+    finalizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Momento em que o PDF final foi gerado'
+    },
+    padesSignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Momento em que o selo PAdES da plataforma foi aplicado'
+    },
+    signedRevisionKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Última revisão do PDF com assinaturas dos signatários (certificado próprio), em atualizações incrementais'
+    },
+    // Validação de longo prazo (PAdES-LTA): último carimbo de documento e validade do certificado da TSA
+    archiveTimestampAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Horário do último carimbo do tempo de documento (PAdES-LTA)'
+    },
+    archiveTimestampExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Expiração do certificado da TSA do último carimbo; o job de recarimbo renova antes dessa data'
+    },
     status: {
       type: DataTypes.ENUM(
         'DRAFT',
@@ -0,0 +1,81 @@
+'use strict';
+const { Model } = require('sequelize');
+
+/**
+ * Versões do arquivo de um documento. Cada etapa que produz um novo PDF (upload, revisão assinada
+ * com certificado, carimbos, certificado anexado, selo PAdES, recarimbo de arquivamento) grava um
+ * arquivo próprio; Document.storageKey/sha256 apontam sempre para a versão atual.
+ */
+module.exports = (sequelize, DataTypes) => {
+  class DocumentVersion extends Model {
+    static associate(models) {
+      DocumentVersion.belongsTo(models.Document, { foreignKey: 'documentId' });
+    }
+  }
+  DocumentVersion.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    versionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    kind: {
+      type: DataTypes.ENUM(
+        'ORIGINAL',             // Arquivo enviado (ou gerado de modelo, já pré-preenchido)
+        'SIGNED_REVISION',      // Revisão incremental com a assinatura ICP-Brasil de um signatário
+        'STAMPED',              // Carimbos visuais das assinaturas
+        'CERTIFICATE_APPENDED', // Certificado de Conclusão anexado ao PDF
+        'PADES_SEALED',         // Selo PAdES da plataforma (com LTV, quando configurado)
+        'ARCHIVE_TIMESTAMP'     // Renovação do carimbo de arquivamento (PAdES-LTA)
+      ),
+      allowNull: false
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    size: DataTypes.INTEGER, // in bytes
+    mimeType: DataTypes.STRING,
+    createdByKind: {
+      type: DataTypes.ENUM('USER', 'SIGNER', 'SYSTEM'),
+      allowNull: false,
+      defaultValue: 'SYSTEM'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'DocumentVersion',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['documentId', 'versionNumber'] },
+      { fields: ['sha256'] }
+    ]
+  });
+  return DocumentVersion;
+};
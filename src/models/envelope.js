@@ -0,0 +1,113 @@
+// src/models/envelope.js
+'use strict';
+const { Model } = require('sequelize');
+
+/**
+ * Envelope: agrupa vários arquivos (Documents) sob o mesmo conjunto de signatários e o mesmo prazo.
+ * O signatário recebe um único link, valida o OTP uma vez e assina todos os arquivos de uma só vez.
+ * Conclusão, certificado e trilha de auditoria são tratados no nível do envelope.
+ */
+module.exports = (sequelize, DataTypes) => {
+  class Envelope extends Model {
+    static associate(models) {
+      Envelope.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
+      Envelope.belongsTo(models.User, { foreignKey: 'ownerId', as: 'owner' });
+      Envelope.belongsTo(models.Folder, { foreignKey: 'folderId', as: 'folder' });
+
+      Envelope.hasMany(models.Document, { foreignKey: 'envelopeId', as: 'documents' });
+      Envelope.hasMany(models.Signer, { foreignKey: 'envelopeId', as: 'Signers' });
+      Envelope.hasOne(models.Certificate, { foreignKey: 'envelopeId' });
+    }
+  }
+  Envelope.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' }
+    },
+    folderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Folders', key: 'id' }
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    deadlineAt: DataTypes.DATE,
+    // --- FLUXO DE ASSINATURA (mesma semântica do Documento avulso) ---
+    signingMode: {
+      type: DataTypes.ENUM('PARALLEL', 'SEQUENTIAL'),
+      defaultValue: 'PARALLEL',
+      allowNull: false,
+    },
+    declinePolicy: {
+      type: DataTypes.ENUM('CANCEL_DOCUMENT', 'REMOVE_SIGNER'),
+      defaultValue: 'CANCEL_DOCUMENT',
+      allowNull: false,
+    },
+    inviteMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Mensagem do convite, reutilizada ao liberar os próximos grupos de assinatura'
+    },
+    // --- LEMBRETES AUTOMÁTICOS (ver reminder.service) ---
+    autoReminders: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    reminderIntervalDays: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    reminderDaysBeforeDeadline: {
+      type: DataTypes.INTEGER,
+      defaultValue: 2,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    maxRemindersPerSigner: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    finalizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Momento em que todos os arquivos do envelope foram finalizados'
+    },
+    status: {
+      type: DataTypes.ENUM(
+        'DRAFT',
+        'READY',
+        'PARTIALLY_SIGNED',
+        'SIGNED',
+        'EXPIRED',
+        'CANCELLED'
+      ),
+      defaultValue: 'DRAFT',
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Envelope',
+    timestamps: true,
+    updatedAt: true
+  });
+  return Envelope;
+};
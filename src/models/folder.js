@@ -8,6 +8,7 @@ module.exports = (sequelize, DataTypes) => {
       Folder.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
       Folder.belongsTo(models.User, { foreignKey: 'ownerId', as: 'creator' });
       Folder.hasMany(models.Document, { foreignKey: 'folderId', as: 'documents' });
+      Folder.hasMany(models.Template, { foreignKey: 'folderId', as: 'templates' });
       
       // Auto-relacionamento (Subpastas)
       Folder.belongsTo(models.Folder, { foreignKey: 'parentId', as: 'parent' });
@@ -4,8 +4,9 @@ const { Model } = require('sequelize');
 module.exports = (sequelize, DataTypes) => {
   class OtpCode extends Model {
     static associate(models) {
-      // No direct association needed based on the diagram, 
-      // recipient is a generic field.
+      // Códigos de assinatura valem apenas para o signatário e o link que os solicitaram
+      OtpCode.belongsTo(models.Signer, { foreignKey: 'signerId' });
+      OtpCode.belongsTo(models.ShareToken, { foreignKey: 'shareTokenId' });
     }
   }
   OtpCode.init({
@@ -38,6 +39,22 @@ module.exports = (sequelize, DataTypes) => {
     context: {
       type: DataTypes.ENUM('LOGIN', 'SIGNING'),
       allowNull: false
+    },
+    // Contexto SIGNING: signatário e link que solicitaram o código
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Signers', key: 'id' }
+    },
+    shareTokenId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'ShareTokens', key: 'id' }
+    },
+    invalidatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Preenchido quando o código é substituído por outro ou excede as tentativas'
     }
   }, {
     sequelize,
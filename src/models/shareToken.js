@@ -5,6 +5,7 @@ module.exports = (sequelize, DataTypes) => {
   class ShareToken extends Model {
     static associate(models) {
       ShareToken.belongsTo(models.Document, { foreignKey: 'documentId' });
+      ShareToken.belongsTo(models.Envelope, { foreignKey: 'envelopeId' });
       ShareToken.belongsTo(models.Signer, { foreignKey: 'signerId' });
     }
   }
@@ -15,11 +16,17 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       allowNull: false
     },
+    // Link de um documento avulso OU de um envelope (um dos dois)
     documentId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: { model: 'Documents', key: 'id' }
     },
+    envelopeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Envelopes', key: 'id' }
+    },
     signerId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -37,6 +44,11 @@ module.exports = (sequelize, DataTypes) => {
     timesUsed: {
       type: DataTypes.INTEGER,
       defaultValue: 0
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Preenchido quando o link é substituído (reenvio/edição do signatário)'
     }
   }, {
     sequelize,
@@ -0,0 +1,75 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SignatureField extends Model {
+    static associate(models) {
+      SignatureField.belongsTo(models.Document, { foreignKey: 'documentId' });
+      SignatureField.belongsTo(models.Signer, { foreignKey: 'signerId' });
+    }
+  }
+  SignatureField.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Signers', key: 'id' }
+    },
+    type: {
+      type: DataTypes.ENUM('SIGNATURE', 'INITIALS', 'DATE', 'TEXT'),
+      allowNull: false,
+      defaultValue: 'SIGNATURE'
+    },
+    // Posição em pontos PDF, origem no canto inferior esquerdo (mesma convenção do pdf-lib)
+    page: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Página (1-based)'
+    },
+    x: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    y: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    width: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    height: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    required: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Conteúdo preenchido pelo signatário (campos TEXT) ou data gravada (campos DATE)'
+    }
+  }, {
+    sequelize,
+    modelName: 'SignatureField',
+    timestamps: false
+  });
+  return SignatureField;
+};
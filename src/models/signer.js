@@ -7,9 +7,14 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       // Um Signatário pertence a um Documento
       Signer.belongsTo(models.Document, { foreignKey: 'documentId' });
+      // ...ou a um Envelope (assina todos os arquivos dele de uma só vez)
+      Signer.belongsTo(models.Envelope, { foreignKey: 'envelopeId' });
       
       // Um Signatário pode ter múltiplos tokens de compartilhamento
       Signer.hasMany(models.ShareToken, { foreignKey: 'signerId' });
+
+      // Campos (assinatura, rubrica, data, texto) posicionados pelo remetente
+      Signer.hasMany(models.SignatureField, { foreignKey: 'signerId', as: 'fields' });
     }
   }
   Signer.init({
@@ -27,6 +32,11 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id' 
       }
     },
+    envelopeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Envelopes', key: 'id' }
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -64,7 +74,8 @@ module.exports = (sequelize, DataTypes) => {
         'VIEWED',
         'SIGNED',
         'DECLINED',
-        'EXPIRED'
+        'EXPIRED',
+        'REMOVED'
       ),
       defaultValue: 'PENDING',
       allowNull: false
@@ -73,6 +84,41 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true,
     },
+    // --- CONVITE E LEMBRETES ---
+    invitedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    remindersSent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastRemindedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    declinedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    declineReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Motivo informado pelo signatário ao recusar a assinatura'
+    },
+    // --- VERIFICAÇÃO POR OTP ---
+    otpFailedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Códigos OTP incorretos seguidos (zera ao verificar ou ao bloquear)'
+    },
+    otpLockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Link de assinatura bloqueado até esta data por excesso de códigos OTP incorretos'
+    },
     // --- NOVOS CAMPOS PARA O CARIMBO VISUAL ---
     ip: {
       type: DataTypes.STRING,
@@ -90,6 +136,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(64),
       allowNull: true,
     },
+    shortCode: {
+      type: DataTypes.STRING(6),
+      allowNull: true,
+      comment: 'Código curto de verificação (6 primeiros caracteres do signatureHash)'
+    },
     signatureArtefactPath: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -105,6 +156,23 @@ module.exports = (sequelize, DataTypes) => {
     signaturePositionPage: {
       type: DataTypes.INTEGER,
       allowNull: true,
+    },
+    // --- ASSINATURA COM CERTIFICADO DIGITAL DO SIGNATÁRIO (ICP-Brasil) ---
+    requiresCertificate: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Exige assinatura com certificado digital próprio (e-CPF); a assinatura eletrônica simples é recusada'
+    },
+    certificateInfoJson: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Certificado usado na assinatura qualificada (titular, emissor, serial, validade, impressão digital, CPF, cadeia confiável, revogação)'
+    },
+    pendingSignatureJson: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Assinatura remota em andamento: revisão preparada e digest aguardando o CMS do cliente'
     }
   }, {
     sequelize,
@@ -0,0 +1,121 @@
+// src/models/template.js
+'use strict';
+const { Model } = require('sequelize');
+
+/**
+ * Modelo de documento reutilizável: PDF armazenado + papéis de signatário ("Contratante",
+ * "Testemunha 1") com os campos posicionados, mensagem padrão, prazo relativo e lembretes.
+ * POST /templates/:id/send cria um Documento a partir do modelo (ver template.service).
+ */
+module.exports = (sequelize, DataTypes) => {
+  class Template extends Model {
+    static associate(models) {
+      Template.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
+      Template.belongsTo(models.User, { foreignKey: 'ownerId', as: 'owner' });
+      Template.belongsTo(models.Folder, { foreignKey: 'folderId', as: 'folder' });
+      Template.hasMany(models.Document, { foreignKey: 'templateId', as: 'documents' });
+    }
+  }
+  Template.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' }
+    },
+    folderId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Se for null, o modelo está na "Raiz"
+      references: { model: 'Folders', key: 'id' }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    mimeType: DataTypes.STRING,
+    size: DataTypes.INTEGER, // in bytes
+    sha256: DataTypes.STRING(64),
+    // Papéis de signatário: [{ name, order, authChannels, requiresCertificate, qualification, fields: [...] }]
+    // Os campos seguem o formato de signatureField.service (já validados contra as páginas do PDF)
+    rolesJson: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Tags de texto desenhadas no envio: [{ text: 'Cliente: {{cliente_nome}}', page, x, y, size }]
+    // Os campos AcroForm do PDF são preenchidos pelas variáveis de mesmo nome (ver pdfPrefill.service)
+    placeholdersJson: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // --- PADRÕES APLICADOS AO DOCUMENTO GERADO ---
+    defaultMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    deadlineDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 },
+      comment: 'Prazo do documento gerado, em dias a partir do envio (null = sem prazo)'
+    },
+    signingMode: {
+      type: DataTypes.ENUM('PARALLEL', 'SEQUENTIAL'),
+      defaultValue: 'PARALLEL',
+      allowNull: false,
+    },
+    declinePolicy: {
+      type: DataTypes.ENUM('CANCEL_DOCUMENT', 'REMOVE_SIGNER'),
+      defaultValue: 'CANCEL_DOCUMENT',
+      allowNull: false,
+    },
+    autoReminders: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    reminderIntervalDays: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    reminderDaysBeforeDeadline: {
+      type: DataTypes.INTEGER,
+      defaultValue: 2,
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    maxRemindersPerSigner: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: { min: 0 }
+    }
+  }, {
+    sequelize,
+    modelName: 'Template',
+    timestamps: true,
+    updatedAt: true
+  });
+  return Template;
+};
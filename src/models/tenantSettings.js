@@ -6,6 +6,12 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       TenantSettings.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
     }
+
+    // A senha da TSA (cifrada, ver utils/secretEncryption) não sai nas respostas da API
+    toJSON() {
+      const { tsaPassword, ...values } = super.toJSON();
+      return { ...values, tsaPasswordSet: Boolean(tsaPassword) };
+    }
   }
   TenantSettings.init({
     id: {
@@ -39,8 +45,46 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true,
       comment: 'Template HTML personalizado para o e-mail de conclusão de assinaturas'
-    }
+    },
     // ------------------
+
+    // Política de finalização: apenas carimbos, carimbos + selo PAdES manual, ou PAdES automático
+    finalizationPolicy: {
+      type: DataTypes.ENUM('VISUAL_ONLY', 'VISUAL_THEN_SEAL', 'AUTO_PADES'),
+      allowNull: false,
+      defaultValue: 'VISUAL_THEN_SEAL'
+    },
+
+    // Anexa o Certificado de Conclusão ao final do PDF assinado
+    appendCertificateToPdf: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    // Carimbo do tempo (RFC 3161) no selo PAdES. Sem URL, usa TSA_URL do .env
+    tsaUrl: DataTypes.STRING,
+    tsaUsername: DataTypes.STRING,
+    tsaPassword: DataTypes.TEXT, // Cifrada (AES-256-GCM)
+    tsaFailurePolicy: {
+      type: DataTypes.ENUM('FAIL_OPEN', 'FAIL_CLOSED'),
+      allowNull: true,
+      comment: 'FAIL_OPEN sela sem carimbo se a TSA falhar; FAIL_CLOSED interrompe o selo'
+    },
+
+    // Validação de longo prazo (PAdES-LTA): DSS + carimbo de documento após o selo PAdES
+    longTermValidation: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    // Dias, após a conclusão, em que o signatário baixa a cópia assinada pelo seu link. Sem valor, usa SIGNED_COPY_ACCESS_DAYS do .env
+    signedCopyAccessDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    }
     
   }, {
     sequelize,
@@ -8,6 +8,9 @@ const authRoutes = require('../features/auth/auth.route');
 const userRoutes = require('../features/user/user.route');
 const tenantRoutes = require('../features/tenant/tenant.route');
 const documentRoutes = require('../features/document/document.route');
+const envelopeRoutes = require('../features/envelope/envelope.route');
+const templateRoutes = require('../features/template/template.route');
+const bulkSendRoutes = require('../features/bulkSend/bulkSend.route');
 // Importamos a nova rota de pastas
 const folderRoutes = require('../features/document/folder.route'); 
 const signerRoutes = require('../features/signer/signer.route');
@@ -16,6 +19,8 @@ const settingsRoutes = require('../features/settings/settings.route');
 const auditRoutes = require('../features/audit/audit.route');
 const subscriptionRoutes = require('../features/subscription/subscription.route');
 const webhookRoutes = require('../features/webhook/webhook.route');
+const verifyRoutes = require('../features/verify/verify.route');
+const fileRoutes = require('../features/file/file.route');
 
 // 2. Inicialização do roteador principal
 const router = Router();
@@ -25,6 +30,9 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/tenants', tenantRoutes);
 router.use('/documents', documentRoutes);
+router.use('/envelopes', envelopeRoutes); // Vários arquivos, mesmos signatários
+router.use('/templates', templateRoutes); // Modelos reutilizáveis com papéis de signatário
+router.use('/bulk-sends', bulkSendRoutes); // Envio em massa a partir de CSV/JSON
 router.use('/folders', folderRoutes); // <--- Nova rota montada aqui
 router.use('/sign', signerRoutes);
 router.use('/contacts', contactRoutes);
@@ -32,6 +40,8 @@ router.use('/settings', settingsRoutes);
 router.use('/audit', auditRoutes);
 router.use('/subscription', subscriptionRoutes);
 router.use('/webhooks', webhookRoutes);
+router.use('/verify', verifyRoutes); // Pública: verificação por QR Code / código
+router.use('/files', fileRoutes); // Pública: downloads por link assinado e com validade
 
 // Rota de Health Check para monitoramento
 router.get('/health', (req, res) => {
@@ -0,0 +1,152 @@
+// src/services/archiveTimestamp.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Document, sequelize } = require('../models');
+const padesService = require('./pades.service');
+const tsaService = require('./tsa.service');
+const documentVersionService = require('./documentVersion.service');
+const storageService = require('./storage.service');
+const auditService = require('../features/audit/audit.service');
+
+// Antecedência (em dias) com que o carimbo é renovado antes de o certificado da TSA expirar
+const DEFAULT_RENEWAL_WINDOW_DAYS = 90;
+
+const sha256Of = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const getRenewalLimit = (now) => {
+  const windowDays = Number(process.env.ARCHIVE_RENEWAL_WINDOW_DAYS) || DEFAULT_RENEWAL_WINDOW_DAYS;
+  return new Date(now.getTime() + windowDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Embute DSS + carimbo de documento (PAdES-LTA) no buffer e registra LTV_APPLIED.
+ * Atualiza os campos de arquivamento do documento em memória; o chamador salva o documento.
+ *
+ * @param {object} document - Instância do Documento.
+ * @param {Buffer} pdfBuffer - PDF já selado.
+ * @param {object} options
+ * @param {object} options.tsa - Configuração da TSA (tsa.service.getTsaConfig).
+ * @param {boolean} [options.renewal=false] - true quando chamado pelo job de recarimbo.
+ * @param {import('sequelize').Transaction} options.transaction
+ * @returns {Promise<{ buffer: Buffer, newSha256: string }>}
+ */
+const applyLongTermValidation = async (document, pdfBuffer, { tsa, renewal = false, transaction }) => {
+  const { buffer, dss, revocation, timestamp, timestampError } = await padesService.addLongTermValidation(pdfBuffer, { tsa });
+  const newSha256 = sha256Of(buffer);
+
+  if (timestamp) {
+    document.archiveTimestampAt = timestamp.genTime;
+    document.archiveTimestampExpiresAt = timestamp.tsaCertificateExpiresAt;
+  }
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind: 'SYSTEM',
+    entityType: 'DOCUMENT',
+    entityId: document.id,
+    action: 'LTV_APPLIED',
+    ip: 'SYSTEM',
+    userAgent: 'SYSTEM',
+    payload: {
+      renewal,
+      previousSha256: sha256Of(pdfBuffer),
+      newSha256,
+      dss,
+      revocation: revocation.statuses,
+      timestamp: timestamp
+        ? {
+          serialNumber: timestamp.serialNumber,
+          genTime: timestamp.genTime.toISOString(),
+          tsaUrl: timestamp.tsaUrl,
+          tsaCertificateExpiresAt: timestamp.tsaCertificateExpiresAt?.toISOString() || null
+        }
+        : null,
+      ...(timestampError && { timestampError })
+    }
+  }, transaction);
+
+  return { buffer, newSha256 };
+};
+
+/**
+ * Renova o carimbo de arquivamento de um documento: novo DSS (com a validação do carimbo anterior)
+ * e novo carimbo de documento, em atualização incremental gravada como nova versão do arquivo.
+ *
+ * @param {string} documentId
+ * @param {Date} now
+ * @returns {Promise<boolean>} true se o documento foi recarimbado.
+ */
+const renewArchiveTimestamp = async (documentId, now = new Date()) => {
+  const transaction = await sequelize.transaction();
+  let newStorageKey = null;
+
+  try {
+    const document = await Document.findByPk(documentId, { lock: transaction.LOCK.UPDATE, transaction });
+
+    // Outra instância pode ter renovado enquanto esperávamos o lock
+    if (!document || !document.archiveTimestampExpiresAt || document.archiveTimestampExpiresAt > getRenewalLimit(now)) {
+      await transaction.commit();
+      return false;
+    }
+
+    const tsa = await tsaService.getTsaConfig(document.tenantId, transaction);
+    if (!tsa.url) {
+      throw new Error('Nenhuma TSA configurada para renovar o carimbo de arquivamento.');
+    }
+
+    // Sem o novo carimbo a renovação não tem efeito: falha da TSA aborta e o job tenta de novo no próximo ciclo
+    const { buffer, newSha256 } = await applyLongTermValidation(document, await storageService.getBuffer(document.storageKey), {
+      tsa: { ...tsa, failurePolicy: 'FAIL_CLOSED' },
+      renewal: true,
+      transaction
+    });
+
+    // A nova versão contém a anterior byte a byte (atualização incremental); a anterior é preservada
+    const version = await documentVersionService.recordVersion(document, {
+      kind: 'ARCHIVE_TIMESTAMP',
+      buffer,
+      reason: 'Renovação do carimbo de arquivamento'
+    }, transaction);
+    newStorageKey = version.storageKey;
+
+    document.storageKey = version.storageKey;
+    document.sha256 = newSha256;
+    await document.save({ transaction });
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.rollback();
+    if (newStorageKey) await storageService.delete(newStorageKey);
+    throw error;
+  }
+};
+
+/**
+ * Renova os carimbos de arquivamento cujo certificado da TSA expira dentro da janela configurada.
+ * @returns {Promise<number>} Quantidade de documentos recarimbados.
+ */
+const renewExpiringArchiveTimestamps = async (now = new Date()) => {
+  const candidates = await Document.findAll({
+    attributes: ['id'],
+    where: { archiveTimestampExpiresAt: { [Op.lte]: getRenewalLimit(now) } }
+  });
+
+  let renewed = 0;
+  for (const { id } of candidates) {
+    try {
+      if (await renewArchiveTimestamp(id, now)) renewed += 1;
+    } catch (error) {
+      console.error(`[ARCHIVE] Falha ao renovar o carimbo do documento ${id}:`, error.message);
+    }
+  }
+  return renewed;
+};
+
+module.exports = {
+  applyLongTermValidation,
+  renewArchiveTimestamp,
+  renewExpiringArchiveTimestamps
+};
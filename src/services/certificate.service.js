@@ -0,0 +1,314 @@
+// src/services/certificate.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { Certificate, User } = require('../models');
+
+const storageService = require('./storage.service');
+const auditService = require('../features/audit/audit.service');
+const { formatAuditLogDescription } = require('../utils/auditFormatter');
+
+const PAGE_MARGIN = 50;
+const LINE_HEIGHT = 12;
+
+const CHANNEL_LABELS = { EMAIL: 'E-mail', SMS: 'SMS', WHATSAPP: 'WhatsApp' };
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+  : '-');
+
+// As fontes padrão do PDF (WinAnsi) não suportam emojis e outros caracteres fora do Latin-1
+const sanitize = (text) => String(text === null || text === undefined ? '-' : text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Escritor simples de texto corrido sobre pdf-lib: quebra linhas e cria novas páginas quando necessário.
+ */
+const createWriter = (pdfDoc, fonts) => {
+  let page = pdfDoc.addPage();
+  let y = page.getHeight() - PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y - height < PAGE_MARGIN) {
+      page = pdfDoc.addPage();
+      y = page.getHeight() - PAGE_MARGIN;
+    }
+  };
+
+  const wrap = (text, font, size, maxWidth) => {
+    const words = sanitize(text).split(' ');
+    const lines = [];
+    let current = '';
+    for (const word of words) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) > maxWidth && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) lines.push(current);
+    return lines;
+  };
+
+  const text = (value, { size = 9, bold = false, color = rgb(0.2, 0.2, 0.2), indent = 0 } = {}) => {
+    const font = bold ? fonts.bold : fonts.regular;
+    const maxWidth = page.getWidth() - PAGE_MARGIN * 2 - indent;
+    for (const line of wrap(value, font, size, maxWidth)) {
+      ensureSpace(LINE_HEIGHT);
+      page.drawText(line, { x: PAGE_MARGIN + indent, y, size, font, color });
+      y -= size + 3;
+    }
+  };
+
+  const gap = (height = 8) => { y -= height; };
+
+  const separator = () => {
+    ensureSpace(10);
+    page.drawLine({
+      start: { x: PAGE_MARGIN, y },
+      end: { x: page.getWidth() - PAGE_MARGIN, y },
+      thickness: 0.5,
+      color: rgb(0.8, 0.8, 0.8),
+    });
+    y -= 10;
+  };
+
+  return { text, gap, separator, ensureSpace };
+};
+
+/**
+ * Gera o PDF do Certificado de Conclusão.
+ *
+ * @param {object} data
+ * @param {object} data.document - Documento finalizado.
+ * @param {Array<object>} data.signers - Todos os signatários do documento.
+ * @param {Array<object>} data.auditTrail - Trilha de auditoria (documento + signatários), em ordem cronológica.
+ * @param {string} data.originalSha256 - Hash do arquivo enviado originalmente.
+ * @param {string} data.finalSha256 - Hash do documento assinado (sem o certificado anexado).
+ * @param {string} [data.ownerName]
+ * @param {Array<{ title: string, id: string, originalSha256: string, finalSha256: string }>} [data.files]
+ *   Arquivos do envelope; quando informado, 'document' é o Envelope e os hashes vêm de cada arquivo.
+ * @returns {Promise<Buffer>}
+ */
+const generateCertificatePdf = async ({ document, signers, auditTrail, originalSha256, finalSha256, ownerName, files = null }) => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`Certificado de Conclusão - ${sanitize(document.title)}`);
+  pdfDoc.setProducer('Doculink');
+
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+  };
+  const w = createWriter(pdfDoc, fonts);
+
+  // 1. Cabeçalho e dados do documento
+  w.text('Certificado de Conclusão', { size: 18, bold: true, color: rgb(0.15, 0.39, 0.92) });
+  w.gap(6);
+  w.text(`Emitido em: ${formatDate(new Date())}`, { size: 8 });
+  w.gap();
+  w.separator();
+
+  w.text(files ? 'Envelope' : 'Documento', { size: 12, bold: true, color: rgb(0, 0, 0) });
+  w.gap(4);
+  w.text(`Título: ${document.title}`);
+  w.text(`ID: ${document.id}`);
+  w.text(`Responsável: ${ownerName || '-'}`);
+  w.text(`Criado em: ${formatDate(document.createdAt)}`);
+  w.text(`Prazo: ${formatDate(document.deadlineAt)}`);
+  w.text(`Status: Concluído`);
+  w.gap(4);
+  if (files) {
+    for (const file of files) {
+      w.ensureSpace(LINE_HEIGHT * 4);
+      w.text(file.title, { bold: true });
+      w.text(`ID: ${file.id}`, { indent: 10 });
+      w.text(`Hash SHA-256 do original: ${file.originalSha256 || 'não registrado'}`, { indent: 10, size: 8 });
+      w.text(`Hash SHA-256 do documento assinado: ${file.finalSha256}`, { indent: 10, size: 8 });
+      w.gap(4);
+    }
+  } else {
+    w.text(`Hash SHA-256 do original: ${originalSha256 || 'não registrado'}`, { size: 8 });
+    w.text(`Hash SHA-256 do documento assinado: ${finalSha256}`, { size: 8 });
+  }
+  w.gap();
+  w.separator();
+
+  // 2. Signatários
+  w.text('Signatários', { size: 12, bold: true, color: rgb(0, 0, 0) });
+  w.gap(4);
+  for (const signer of signers) {
+    w.ensureSpace(LINE_HEIGHT * 6);
+    w.text(`${signer.name} <${signer.email}>`, { bold: true });
+    w.text(`Status: ${signer.status}`, { indent: 10 });
+    w.text(`CPF: ${signer.cpf || 'Não informado'} | Telefone: ${signer.phoneWhatsE164 || 'Não informado'}`, { indent: 10 });
+    if (signer.qualification) w.text(`Qualificação: ${signer.qualification}`, { indent: 10 });
+    w.text(`Canais de autenticação: ${(signer.authChannels || []).map(c => CHANNEL_LABELS[c] || c).join(', ') || '-'}`, { indent: 10 });
+    w.text(`Convidado em: ${formatDate(signer.invitedAt)} | Assinado em: ${formatDate(signer.signedAt)}`, { indent: 10 });
+    w.text(`IP: ${signer.ip || 'Não registrado'}`, { indent: 10 });
+    if (signer.signatureUuid) w.text(`ID da assinatura: ${signer.signatureUuid}`, { indent: 10 });
+    if (signer.signatureHash) w.text(`Hash da assinatura: ${signer.signatureHash}`, { indent: 10, size: 8 });
+    w.gap(6);
+  }
+  w.separator();
+
+  // 3. Trilha de auditoria
+  w.text('Trilha de Auditoria', { size: 12, bold: true, color: rgb(0, 0, 0) });
+  w.gap(4);
+  const signerNames = new Map(signers.map(s => [s.id, s.name]));
+  const fileTitles = new Map((files || []).map(f => [f.id, f.title]));
+  for (const log of auditTrail) {
+    const entry = log.toJSON ? log.toJSON() : log;
+    let subject = '';
+    if (entry.entityType === 'SIGNER') subject = ` [${signerNames.get(entry.entityId) || 'Signatário'}]`;
+    else if (files && entry.entityType === 'DOCUMENT') subject = ` [${fileTitles.get(entry.entityId) || 'Arquivo'}]`;
+    w.ensureSpace(LINE_HEIGHT * 3);
+    w.text(`${formatDate(entry.createdAt)} - ${entry.action}${subject}`, { bold: true, size: 8 });
+    w.text(`${formatAuditLogDescription(entry)} (IP: ${entry.ip || '-'})`, { indent: 10, size: 8 });
+    w.text(`Hash do evento: ${entry.eventHash}`, { indent: 10, size: 7, color: rgb(0.5, 0.5, 0.5) });
+    w.gap(3);
+  }
+
+  const bytes = await pdfDoc.save();
+  return Buffer.from(bytes);
+};
+
+/**
+ * Anexa as páginas do certificado ao final de um PDF.
+ * @returns {Promise<Buffer>}
+ */
+const appendCertificateToPdf = async (pdfBuffer, certificateBuffer) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const certDoc = await PDFDocument.load(certificateBuffer);
+  const pages = await pdfDoc.copyPages(certDoc, certDoc.getPageIndices());
+  pages.forEach(page => pdfDoc.addPage(page));
+  const bytes = await pdfDoc.save();
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera o certificado do documento e grava o arquivo no armazenamento (uploads/{tenantId}/certificates/{docId}.pdf).
+ * O hash registrado é calculado sobre o arquivo gerado.
+ * Se já existir um registro de certificado (ex.: reemissão), ele é atualizado.
+ *
+ * @param {object} document - Documento finalizado.
+ * @param {Array<object>} signers - Todos os signatários do documento.
+ * @param {object} options
+ * @param {string} options.finalSha256 - Hash do documento assinado (padrão: document.sha256).
+ * @param {import('sequelize').Transaction} [options.transaction]
+ * @returns {Promise<{ certificate: object, buffer: Buffer }>}
+ */
+const issueCertificate = async (document, signers, { finalSha256, transaction = null } = {}) => {
+  const auditTrail = await auditService.findDocumentTrail(document.id, signers.map(s => s.id), { transaction });
+  const uploadEntry = auditTrail.find(log => log.action === 'STORAGE_UPLOADED');
+  const owner = await User.findByPk(document.ownerId, { attributes: ['name', 'email'], transaction });
+
+  const buffer = await generateCertificatePdf({
+    document,
+    signers,
+    auditTrail,
+    originalSha256: uploadEntry?.payloadJson?.sha256,
+    finalSha256: finalSha256 || document.sha256,
+    ownerName: owner ? `${owner.name} (${owner.email})` : null,
+  });
+
+  const storageKey = storageService.buildKey(document.tenantId, 'certificates', `${document.id}.pdf`);
+  await storageService.put(storageKey, buffer);
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  let certificate = await Certificate.findOne({ where: { documentId: document.id }, transaction });
+  if (certificate) {
+    await certificate.update({ storageKey, sha256, issuedAt: new Date() }, { transaction });
+  } else {
+    certificate = await Certificate.create({
+      documentId: document.id,
+      storageKey,
+      sha256,
+      issuedAt: new Date()
+    }, { transaction });
+  }
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind: 'SYSTEM',
+    entityType: 'DOCUMENT',
+    entityId: document.id,
+    action: 'CERTIFICATE_ISSUED',
+    payload: { sha256, storageKey }
+  }, transaction);
+
+  return { certificate, buffer };
+};
+
+/**
+ * Gera o certificado único de um envelope e grava no armazenamento (uploads/{tenantId}/certificates/envelope-{id}.pdf).
+ * Lista cada arquivo com o hash original e o final; a trilha inclui envelope, arquivos e signatários.
+ *
+ * @param {object} envelope - Envelope finalizado.
+ * @param {Array<object>} documents - Arquivos do envelope (já com o hash final).
+ * @param {Array<object>} signers - Todos os signatários do envelope.
+ * @param {object} [options]
+ * @param {import('sequelize').Transaction} [options.transaction]
+ * @returns {Promise<{ certificate: object, buffer: Buffer }>}
+ */
+const issueEnvelopeCertificate = async (envelope, documents, signers, { transaction = null } = {}) => {
+  const auditTrail = await auditService.findEnvelopeTrail(
+    envelope.id, documents.map(d => d.id), signers.map(s => s.id), { transaction }
+  );
+  const owner = await User.findByPk(envelope.ownerId, { attributes: ['name', 'email'], transaction });
+
+  const files = documents.map(document => {
+    const uploadEntry = auditTrail.find(log => log.action === 'STORAGE_UPLOADED' && log.entityId === document.id);
+    return {
+      id: document.id,
+      title: document.title,
+      originalSha256: uploadEntry?.payloadJson?.sha256,
+      finalSha256: document.sha256
+    };
+  });
+
+  const buffer = await generateCertificatePdf({
+    document: envelope,
+    signers,
+    auditTrail,
+    files,
+    ownerName: owner ? `${owner.name} (${owner.email})` : null,
+  });
+
+  const storageKey = storageService.buildKey(envelope.tenantId, 'certificates', `envelope-${envelope.id}.pdf`);
+  await storageService.put(storageKey, buffer);
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  let certificate = await Certificate.findOne({ where: { envelopeId: envelope.id }, transaction });
+  if (certificate) {
+    await certificate.update({ storageKey, sha256, issuedAt: new Date() }, { transaction });
+  } else {
+    certificate = await Certificate.create({
+      envelopeId: envelope.id,
+      storageKey,
+      sha256,
+      issuedAt: new Date()
+    }, { transaction });
+  }
+
+  await auditService.createEntry({
+    tenantId: envelope.tenantId,
+    actorKind: 'SYSTEM',
+    entityType: 'ENVELOPE',
+    entityId: envelope.id,
+    action: 'CERTIFICATE_ISSUED',
+    payload: { sha256, storageKey }
+  }, transaction);
+
+  return { certificate, buffer };
+};
+
+module.exports = {
+  generateCertificatePdf,
+  appendCertificateToPdf,
+  issueCertificate,
+  issueEnvelopeCertificate
+};
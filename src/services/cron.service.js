@@ -1,6 +1,9 @@
 const cron = require('node-cron');
-    const { Document, Signer, sequelize } = require('../models');
-    const { Op } = require('sequelize');
+    const reminderService = require('./reminder.service');
+    const expirationService = require('./expiration.service');
+    const archiveTimestampService = require('./archiveTimestamp.service');
+    const bulkSendService = require('../features/bulkSend/bulkSend.service');
+    const signingFlowService = require('./signingFlow.service');
 
     /**
      * Inicia o job que roda todo dia para verificar lembretes.
@@ -9,32 +12,83 @@ const cron = require('node-cron');
       // Agenda para rodar todo dia à 1 da manhã.
       cron.schedule('0 1 * * *', async () => {
         console.log('[CRON] Rodando verificação de lembretes...');
-        
-        const threeDaysFromNow = new Date();
-        threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
 
-        // Busca documentos que precisam de lembrete
-        const documentsToRemind = await Document.findAll({
-          where: {
-            autoReminders: true,
-            status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED'] },
-            deadlineAt: {
-              [Op.between]: [new Date(), threeDaysFromNow]
-            }
-          },
-          include: [{ model: Signer, as: 'Signers' }]
-        });
-
-        for (const doc of documentsToRemind) {
-          for (const signer of doc.Signers) {
-            if (signer.status === 'PENDING' || signer.status === 'VIEWED') {
-              // TODO: Chamar o notificationService para enviar o e-mail de lembrete
-              console.log(`[CRON] Enviando lembrete para ${signer.email} sobre o documento ${doc.title}`);
-            }
-          }
+        try {
+          // Cadência por documento (a cada N dias / X dias antes do prazo / limite por signatário)
+          const sent = await reminderService.sendDueReminders();
+          console.log(`[CRON] ${sent} lembrete(s) enviado(s).`);
+        } catch (error) {
+          console.error('[CRON] Erro ao processar lembretes:', error);
         }
       });
       console.log('[CRON] Agendador de lembretes iniciado.');
     };
 
-    module.exports = { startReminderJob };
\ No newline at end of file
+    /**
+     * Inicia o job que expira documentos (e links de signatários) com prazo vencido.
+     * Pode rodar em várias instâncias ao mesmo tempo: a expiração de cada documento é atômica.
+     */
+    const startExpirationJob = () => {
+      // Agenda para rodar a cada 15 minutos.
+      cron.schedule('*/15 * * * *', async () => {
+        try {
+          const expired = await expirationService.expireOverdueDocuments();
+          if (expired > 0) console.log(`[CRON] ${expired} documento(s)/envelope(s) expirado(s) por prazo vencido.`);
+        } catch (error) {
+          console.error('[CRON] Erro ao expirar documentos:', error);
+        }
+      });
+      console.log('[CRON] Agendador de expiração iniciado.');
+    };
+
+    /**
+     * Inicia o job que renova os carimbos de arquivamento (PAdES-LTA) antes de o certificado da TSA expirar.
+     */
+    const startArchiveTimestampJob = () => {
+      // Agenda para rodar todo dia às 3 da manhã.
+      cron.schedule('0 3 * * *', async () => {
+        try {
+          const renewed = await archiveTimestampService.renewExpiringArchiveTimestamps();
+          if (renewed > 0) console.log(`[CRON] ${renewed} documento(s) recarimbado(s) para arquivamento.`);
+        } catch (error) {
+          console.error('[CRON] Erro ao renovar carimbos de arquivamento:', error);
+        }
+      });
+      console.log('[CRON] Agendador de recarimbo de arquivamento iniciado.');
+    };
+
+    /**
+     * Inicia o job que retoma envios em massa pendentes ou interrompidos por um reinício do servidor.
+     * (O processamento normal começa logo após a criação do envio; ver bulkSend.service.)
+     */
+    const startBulkSendJob = () => {
+      // Agenda para rodar a cada 5 minutos.
+      cron.schedule('*/5 * * * *', async () => {
+        try {
+          const resumed = await bulkSendService.resumeBulkSendJobs();
+          if (resumed > 0) console.log(`[CRON] ${resumed} envio(s) em massa retomado(s).`);
+        } catch (error) {
+          console.error('[CRON] Erro ao retomar envios em massa:', error);
+        }
+      });
+      console.log('[CRON] Agendador de envios em massa iniciado.');
+    };
+
+    /**
+     * Inicia o job que finaliza documentos e envelopes já completos cuja finalização falhou
+     * ou foi interrompida (ela roda logo após a última assinatura; ver signingFlow.service).
+     */
+    const startFinalizationJob = () => {
+      // Agenda para rodar a cada 5 minutos.
+      cron.schedule('*/5 * * * *', async () => {
+        try {
+          const finalized = await signingFlowService.finalizePendingUnits();
+          if (finalized > 0) console.log(`[CRON] ${finalized} documento(s)/envelope(s) finalizado(s).`);
+        } catch (error) {
+          console.error('[CRON] Erro ao finalizar documentos:', error);
+        }
+      });
+      console.log('[CRON] Agendador de finalização iniciado.');
+    };
+
+    module.exports = { startReminderJob, startExpirationJob, startArchiveTimestampJob, startBulkSendJob, startFinalizationJob };
@@ -0,0 +1,97 @@
+// src/services/documentVersion.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { DocumentVersion, Document } = require('../models');
+const storageService = require('./storage.service');
+
+// Sufixo do arquivo gravado para cada tipo de versão
+const KIND_SUFFIX = {
+  ORIGINAL: 'original',
+  SIGNED_REVISION: 'revision',
+  STAMPED: 'stamped',
+  CERTIFICATE_APPENDED: 'certificate',
+  PADES_SEALED: 'pades',
+  ARCHIVE_TIMESTAMP: 'lta'
+};
+
+const sha256Of = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Registra uma nova versão do arquivo do documento.
+ * Com 'storageKey' o arquivo já foi gravado pelo chamador; sem ele, o buffer é gravado em
+ * uploads/{tenantId}/versions/{documentId}-v{n}-{tipo}.pdf.
+ * Deve ser chamado com a linha do documento travada (a numeração é sequencial por documento).
+ *
+ * @param {object} document - Instância do Documento.
+ * @param {object} version
+ * @param {string} version.kind - ORIGINAL | SIGNED_REVISION | STAMPED | CERTIFICATE_APPENDED | PADES_SEALED | ARCHIVE_TIMESTAMP
+ * @param {Buffer} version.buffer - Conteúdo da versão (para hash e tamanho).
+ * @param {string} [version.storageKey]
+ * @param {'USER'|'SIGNER'|'SYSTEM'} [version.actorKind='SYSTEM']
+ * @param {string} [version.actorId]
+ * @param {string} [version.reason]
+ * @param {import('sequelize').Transaction} transaction
+ * @returns {Promise<object>} A versão criada.
+ */
+const recordVersion = async (document, { kind, buffer, storageKey = null, actorKind = 'SYSTEM', actorId = null, reason = null }, transaction) => {
+  const last = await DocumentVersion.max('versionNumber', { where: { documentId: document.id }, transaction });
+  const versionNumber = (last || 0) + 1;
+
+  let key = storageKey;
+  if (!key) {
+    key = storageService.buildKey(document.tenantId, 'versions', `${document.id}-v${versionNumber}-${KIND_SUFFIX[kind]}.pdf`);
+    await storageService.put(key, buffer);
+  }
+
+  return DocumentVersion.create({
+    documentId: document.id,
+    tenantId: document.tenantId,
+    versionNumber,
+    kind,
+    storageKey: key,
+    sha256: sha256Of(buffer),
+    size: buffer.length,
+    mimeType: document.mimeType,
+    createdByKind: actorKind,
+    createdById: actorId,
+    reason
+  }, { transaction });
+};
+
+/**
+ * Versões do documento, da mais antiga para a mais recente.
+ */
+const listVersions = async (documentId, transaction = null) => DocumentVersion.findAll({
+  where: { documentId },
+  order: [['versionNumber', 'ASC']],
+  transaction
+});
+
+/**
+ * Procura uma versão (de qualquer documento) pelo hash do arquivo, com o documento dono.
+ * Havendo mais de uma (ex.: documentos gerados do mesmo modelo sem variáveis), retorna a mais recente.
+ */
+const findVersionByHash = async (sha256) => DocumentVersion.findOne({
+  where: { sha256 },
+  order: [['createdAt', 'DESC']],
+  include: [{ model: Document }]
+});
+
+/**
+ * Versão correspondente a um arquivo do documento (ex.: o atual, em document.storageKey).
+ * Documentos anteriores ao versionamento não têm registro: retorna null.
+ */
+const findVersionByStorageKey = async (documentId, storageKey, transaction = null) => DocumentVersion.findOne({
+  where: { documentId, storageKey },
+  order: [['versionNumber', 'DESC']],
+  transaction
+});
+
+module.exports = {
+  KIND_SUFFIX,
+  recordVersion,
+  listVersions,
+  findVersionByHash,
+  findVersionByStorageKey
+};
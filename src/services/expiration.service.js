@@ -0,0 +1,173 @@
+// src/services/expiration.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { Document, Envelope, Signer, ShareToken, User, sequelize } = require('../models');
+const notificationService = require('./notification.service');
+const signingFlowService = require('./signingFlow.service');
+const auditService = require('../features/audit/audit.service');
+
+const ACTIVE_STATUSES = ['READY', 'PARTIALLY_SIGNED'];
+
+/**
+ * Expira uma unidade de assinatura vencida (Documento ou Envelope) e os links/signatários ainda pendentes.
+ *
+ * A transição é feita com um UPDATE condicional (status ainda ativo e prazo vencido):
+ * se outra instância da API já expirou a unidade, o UPDATE afeta 0 linhas e nada mais é feito.
+ * Isso torna o job idempotente e seguro para rodar em várias instâncias ao mesmo tempo.
+ *
+ * @param {typeof Document|typeof Envelope} Model
+ * @param {string} unitId
+ * @param {Date} now
+ * @returns {Promise<boolean>} true se esta chamada expirou a unidade.
+ */
+const expireSigningUnit = async (Model, unitId, now) => {
+  const transaction = await sequelize.transaction();
+  let document;
+  let expiredSigners = [];
+
+  try {
+    const [affected] = await Model.update({ status: 'EXPIRED' }, {
+      where: {
+        id: unitId,
+        status: { [Op.in]: ACTIVE_STATUSES },
+        deadlineAt: { [Op.lt]: now }
+      },
+      transaction
+    });
+
+    if (affected === 0) {
+      await transaction.commit();
+      return false;
+    }
+
+    document = await Model.findByPk(unitId, { transaction });
+    const scope = signingFlowService.unitScope(document);
+
+    // Os arquivos de um envelope acompanham o status do envelope
+    if (signingFlowService.isEnvelope(document)) {
+      await Document.update({ status: 'EXPIRED' }, { where: { envelopeId: unitId }, transaction });
+    }
+
+    expiredSigners = await Signer.findAll({
+      where: { ...scope, status: { [Op.in]: signingFlowService.PENDING_STATUSES } },
+      transaction
+    });
+
+    // Sem pendentes, a unidade já está completa e só aguarda a finalização (ver signingFlow.finalizeCompletedUnit)
+    if (expiredSigners.length === 0) {
+      await transaction.rollback();
+      return false;
+    }
+
+    await Signer.update({ status: 'EXPIRED' }, {
+      where: { id: expiredSigners.map(s => s.id) },
+      transaction
+    });
+
+    // Invalida imediatamente os links que ainda estavam válidos
+    await ShareToken.update({ expiresAt: now }, {
+      where: { ...scope, expiresAt: { [Op.gt]: now } },
+      transaction
+    });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'SYSTEM',
+      ...signingFlowService.unitAuditEntity(document),
+      action: 'EXPIRED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        deadlineAt: document.deadlineAt,
+        pendingSigners: expiredSigners.length
+      }
+    }, transaction);
+
+    for (const signer of expiredSigners) {
+      await auditService.createEntry({
+        tenantId: document.tenantId,
+        actorKind: 'SYSTEM',
+        entityType: 'SIGNER',
+        entityId: signer.id,
+        action: 'EXPIRED',
+        ip: 'SYSTEM',
+        userAgent: 'SYSTEM',
+        payload: { ...scope, recipient: signer.email }
+      }, transaction);
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  // Notifica o dono (não bloqueia o job)
+  const owner = await User.findByPk(document.ownerId);
+  if (owner) {
+    notificationService.sendExpirationNotice(owner, document, expiredSigners)
+      .catch(err => console.error("Erro ao notificar dono sobre expiração:", err.message));
+  }
+
+  return true;
+};
+
+/**
+ * Expira um documento vencido (ver expireSigningUnit).
+ * @returns {Promise<boolean>} true se esta chamada expirou o documento.
+ */
+const expireDocument = (documentId, now = new Date()) => expireSigningUnit(Document, documentId, now);
+
+/**
+ * Expira um envelope vencido e todos os seus arquivos (ver expireSigningUnit).
+ * @returns {Promise<boolean>} true se esta chamada expirou o envelope.
+ */
+const expireEnvelope = (envelopeId, now = new Date()) => expireSigningUnit(Envelope, envelopeId, now);
+
+/**
+ * Busca documentos avulsos e envelopes com prazo vencido e os expira um a um.
+ * @returns {Promise<number>} Quantidade de documentos/envelopes expirados por esta instância.
+ */
+const expireOverdueDocuments = async (now = new Date()) => {
+  const overdueEnvelopes = await Envelope.findAll({
+    where: {
+      status: { [Op.in]: ACTIVE_STATUSES },
+      deadlineAt: { [Op.lt]: now }
+    },
+    attributes: ['id']
+  });
+
+  let expired = 0;
+  for (const envelope of overdueEnvelopes) {
+    try {
+      if (await expireEnvelope(envelope.id, now)) expired += 1;
+    } catch (error) {
+      console.error(`[CRON] Falha ao expirar envelope ${envelope.id}:`, error.message);
+    }
+  }
+
+  const overdue = await Document.findAll({
+    where: {
+      status: { [Op.in]: ACTIVE_STATUSES },
+      deadlineAt: { [Op.lt]: now }
+    },
+    attributes: ['id']
+  });
+
+  for (const doc of overdue) {
+    try {
+      if (await expireDocument(doc.id, now)) expired += 1;
+    } catch (error) {
+      console.error(`[CRON] Falha ao expirar documento ${doc.id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  expireDocument,
+  expireEnvelope,
+  expireOverdueDocuments
+};
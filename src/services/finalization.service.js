@@ -0,0 +1,510 @@
+// src/services/finalization.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { Document, Envelope, Signer, User, TenantSettings, SignatureField, sequelize } = require('../models');
+
+const notificationService = require('./notification.service');
+const pdfService = require('./pdf.service');
+const padesService = require('./pades.service');
+const certificateService = require('./certificate.service');
+const tsaService = require('./tsa.service');
+const archiveTimestampService = require('./archiveTimestamp.service');
+const documentVersionService = require('./documentVersion.service');
+const storageService = require('./storage.service');
+const auditService = require('../features/audit/audit.service');
+const fileService = require('../features/file/file.service');
+const signedCopyService = require('./signedCopy.service');
+
+/**
+ * Envia os e-mails de conclusão (template customizável do tenant) para o dono e signatários.
+ * Envio assíncrono: falhas são apenas logadas e não afetam a transação.
+ *
+ * Para envelopes, 'document' é o Envelope e 'files' traz os seus arquivos: '{{doc_link}}' aponta
+ * para o primeiro arquivo e '{{doc_links}}' recebe a lista com o link de cada um.
+ * Os links são assinados por destinatário e valem por DOWNLOAD_EMAIL_URL_TTL_HOURS (padrão: 72h).
+ * Os signatários recebem também '{{signed_copy}}': o link da página da cópia assinada (status final,
+ * quem assinou e quando, PDF e certificado), válido pelo prazo do signedCopy.service.
+ */
+const sendCompletionEmails = async (document, signers, transaction, files = [document]) => {
+    // 1. Busca Configurações do Tenant para ver se tem template
+    const tenantSettings = await TenantSettings.findOne({
+        where: { tenantId: document.tenantId },
+        transaction
+    });
+
+    // 2. Links de download: um link assinado por destinatário (o download é auditado em nome de quem o recebeu)
+    const owner = await User.findByPk(document.ownerId, { transaction });
+    const ttlSeconds = (Number(process.env.DOWNLOAD_EMAIL_URL_TTL_HOURS) || 72) * 60 * 60;
+    const buildLinks = (actor) => {
+        const fileUrl = (file) => fileService.createSignedUrl({ kind: 'DOCUMENT', id: file.id }, actor, { ttlSeconds }).url;
+        return {
+            downloadUrl: fileUrl(files[0]),
+            linksHtml: files.length > 1
+                ? `<ul>${files.map(file => `<li><a href="${fileUrl(file)}">${file.title}</a></li>`).join('')}</ul>`
+                : ''
+        };
+    };
+
+    // 3. Define o Template (Customizado ou Padrão)
+    let emailBodyTemplate = tenantSettings?.finalEmailTemplate;
+
+    if (!emailBodyTemplate) {
+        // Template Padrão (Fallback)
+        emailBodyTemplate = `
+            <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #2563EB;">Documento Finalizado</h2>
+                <p>Olá, <strong>{{signer_name}}</strong>.</p>
+                <p>O processo de assinatura do documento <strong>{{doc_title}}</strong> foi concluído por todas as partes.</p>
+                <p>O documento possui validade jurídica e integridade garantida.</p>
+                {{doc_links}}
+                <p style="margin: 30px 0;">
+                    <a href="{{doc_link}}" style="background-color: #10B981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+                        Baixar Documento Assinado
+                    </a>
+                </p>
+                {{signed_copy}}
+                <p><small style="color: #666;">ID do Documento: {{doc_id}}</small></p>
+            </div>
+        `;
+    }
+
+    // 4. Compilação Parcial (variáveis comuns); os links são preenchidos por destinatário
+    // Templates customizados sem '{{doc_links}}' recebem a lista de arquivos ao final
+    if (files.length > 1 && !emailBodyTemplate.includes('{{doc_links}}')) {
+        emailBodyTemplate += '{{doc_links}}';
+    }
+    if (!emailBodyTemplate.includes('{{signed_copy}}')) {
+        emailBodyTemplate += '{{signed_copy}}';
+    }
+
+    const compiledBase = emailBodyTemplate
+        .replace(/{{doc_title}}/g, document.title)
+        .replace(/{{doc_id}}/g, document.id);
+
+    const compileFor = (name, actor, signedCopyHtml = '') => {
+        const { downloadUrl, linksHtml } = buildLinks(actor);
+        return compiledBase
+            .replace(/{{doc_links}}/g, linksHtml)
+            .replace(/{{doc_link}}/g, downloadUrl)
+            .replace(/{{signed_copy}}/g, signedCopyHtml)
+            .replace(/{{signer_name}}/g, name);
+    };
+
+    // 5. Envio para o Dono
+    if (owner) {
+        const ownerHtml = compileFor(owner.name, { actorKind: 'USER', actorId: owner.id });
+        notificationService.sendEmail(document.tenantId, {
+            to: owner.email,
+            subject: `Documento Finalizado: ${document.title}`,
+            html: ownerHtml
+        }).catch(err => console.error("Erro ao notificar dono:", err.message));
+    }
+
+    // 6. Envio para Signatários
+    for (const s of signers) {
+         if (s.email) {
+            const accessLink = await signedCopyService.createAccessLink(document, s, transaction);
+            const signedCopyHtml = accessLink
+                ? `<p>Até ${accessLink.accessUntil.toLocaleDateString('pt-BR')} você pode consultar quem assinou e quando e baixar novamente o documento e o Certificado de Conclusão em <a href="${accessLink.url}">${accessLink.url}</a>.</p>`
+                : '';
+            const signerHtml = compileFor(s.name, { actorKind: 'SIGNER', actorId: s.id }, signedCopyHtml);
+
+            notificationService.sendEmail(document.tenantId, {
+                to: s.email,
+                subject: `Cópia do Documento Assinado: ${document.title}`,
+                html: signerHtml
+            }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message));
+         }
+    }
+};
+
+// Políticas de finalização configuráveis por tenant (TenantSettings.finalizationPolicy)
+const FINALIZATION_POLICIES = ['VISUAL_ONLY', 'VISUAL_THEN_SEAL', 'AUTO_PADES'];
+const DEFAULT_FINALIZATION_POLICY = 'VISUAL_THEN_SEAL';
+
+const sha256Of = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Lê a política de finalização do tenant.
+ * - VISUAL_ONLY: apenas carimbos visuais; o selo PAdES não é permitido.
+ * - VISUAL_THEN_SEAL: carimbos na conclusão; o selo PAdES pode ser aplicado depois, manualmente.
+ * - AUTO_PADES: carimbos e selo PAdES aplicados automaticamente na conclusão.
+ */
+const getFinalizationSettings = async (tenantId, transaction = null) => {
+    const tenantSettings = await TenantSettings.findOne({ where: { tenantId }, transaction });
+    return {
+        policy: tenantSettings?.finalizationPolicy || DEFAULT_FINALIZATION_POLICY,
+        appendCertificate: Boolean(tenantSettings?.appendCertificateToPdf),
+        longTermValidation: Boolean(tenantSettings?.longTermValidation)
+    };
+};
+
+/**
+ * Sela o buffer com PAdES (com carimbo do tempo, se houver TSA configurada) e registra o evento na auditoria.
+ * Se o tenant ativou a validação de longo prazo, acrescenta DSS + carimbo de documento (PAdES-LTA).
+ */
+const sealBuffer = async (document, pdfBuffer, { actor = null, automatic, transaction }) => {
+    const tsa = await tsaService.getTsaConfig(document.tenantId, transaction);
+    const { longTermValidation } = await getFinalizationSettings(document.tenantId, transaction);
+    const { sealedBuffer: signedBuffer, timestamp, timestampError } = await padesService.applyPadesSeal(pdfBuffer, { tsa });
+    const signedSha256 = sha256Of(signedBuffer);
+
+    await auditService.createEntry({
+        tenantId: document.tenantId,
+        actorKind: actor ? 'USER' : 'SYSTEM',
+        actorId: actor ? actor.id : null,
+        entityType: 'DOCUMENT',
+        entityId: document.id,
+        action: 'PADES_SIGNED',
+        ip: 'SYSTEM',
+        userAgent: 'SYSTEM',
+        payload: {
+            newSha256: signedSha256,
+            automatic,
+            timestamp: timestamp
+                ? { serialNumber: timestamp.serialNumber, genTime: timestamp.genTime.toISOString(), tsaUrl: timestamp.tsaUrl }
+                : null,
+            ...(timestampError && { timestampError })
+        }
+    }, transaction);
+
+    if (!longTermValidation) {
+        return { sealedBuffer: signedBuffer, newSha256: signedSha256 };
+    }
+
+    const { buffer, newSha256 } = await archiveTimestampService.applyLongTermValidation(document, signedBuffer, { tsa, transaction });
+    return { sealedBuffer: buffer, newSha256 };
+};
+
+/**
+ * Gera o PDF final com os carimbos visuais (nos campos de cada signatário) e o registro de assinaturas.
+ * Se houve assinaturas com certificado do signatário, parte da última revisão assinada e
+ * acrescenta os carimbos em atualização incremental (reescrever o arquivo as invalidaria).
+ *
+ * @returns {Promise<Buffer>}
+ */
+const buildStampedPdf = async (document, signedSigners, transaction) => {
+    if (!(await storageService.exists(document.storageKey))) {
+        console.error(`[ERRO CRÍTICO] Arquivo não encontrado: ${document.storageKey}`);
+        throw new Error("Arquivo original do documento não encontrado no servidor.");
+    }
+
+    const fields = await SignatureField.findAll({ where: { documentId: document.id }, transaction });
+    if (document.signedRevisionKey) {
+        const revision = await storageService.getBuffer(document.signedRevisionKey);
+        return pdfService.embedSignaturesIncremental(revision, signedSigners, document, fields);
+    }
+    return pdfService.embedSignatures(document.storageKey, signedSigners, document, fields);
+};
+
+/**
+ * Grava o PDF final ao lado do original (sufixo -signed ou -pades) e devolve a nova chave.
+ */
+const writeFinalPdf = async (document, buffer, padesApplied) => {
+    const suffix = padesApplied ? '-pades' : '-signed';
+    const finalStorageKey = document.storageKey.replace(/(\.[\w\d_-]+)$/i, `${suffix}$1`);
+    await storageService.put(finalStorageKey, buffer);
+    return finalStorageKey;
+};
+
+/**
+ * Registra as versões produzidas na finalização, na ordem em que foram geradas:
+ * as intermediárias ganham arquivo próprio e a última é o arquivo final (já gravado em finalStorageKey).
+ *
+ * @param {Array<{ kind: string, buffer: Buffer, reason: string }>} versions
+ */
+const recordFinalizationVersions = async (document, versions, finalStorageKey, transaction, storedKeys) => {
+    for (const [index, version] of versions.entries()) {
+        const isFinal = index === versions.length - 1;
+        const recorded = await documentVersionService.recordVersion(document, {
+            ...version,
+            storageKey: isFinal ? finalStorageKey : null
+        }, transaction);
+        if (!isFinal && recorded?.storageKey) storedKeys.push(recorded.storageKey);
+    }
+};
+
+/**
+ * Finaliza um documento cujas assinaturas obrigatórias foram todas coletadas.
+ * Único ponto de finalização do sistema (chamado pelo signingFlow.finalizeCompletedUnit).
+ * 1. Gera o PDF final com os carimbos visuais (nos campos de cada signatário).
+ * 2. Anexa o Certificado de Conclusão (se o tenant configurou).
+ * 3. Aplica o selo PAdES (política AUTO_PADES).
+ * 4. Emite o certificado, atualiza hash/caminho, status SIGNED e 'finalizedAt'.
+ * 5. Dispara os e-mails de conclusão.
+ *
+ * Roda uma única vez por documento: o chamador reivindica a linha do documento na
+ * própria transação e, se ele já estiver finalizado, nada é feito.
+ *
+ * @param {object} document - Instância do Documento.
+ * @param {Array<object>} signers - Todos os signatários do documento.
+ * @param {object} options
+ * @param {import('sequelize').Transaction} options.transaction
+ * @param {Array<string>} [options.storedKeys] - Recebe as chaves dos arquivos gravados, para o chamador
+ *   apagá-los se a transação for desfeita.
+ */
+const finalizeDocument = async (document, signers, { transaction, storedKeys = [] }) => {
+    // Relê a linha dentro da transação (a instância recebida pode estar desatualizada)
+    await document.reload({ transaction });
+    if (document.finalizedAt) {
+        console.warn(`[FINALIZE] Documento ${document.id} já finalizado. Ignorando.`);
+        return document;
+    }
+
+    console.log(`[FINALIZE] Documento ${document.id} completo. Iniciando geração do PDF final...`);
+
+    const signedSigners = signers.filter(s => s.status === 'SIGNED');
+    const { policy, appendCertificate } = await getFinalizationSettings(document.tenantId, transaction);
+
+    // 1. Embute assinaturas visuais (Carimbo Detalhado: IP, CPF, Hash, UUID)
+    // Cada carimbo vai no campo definido pelo remetente
+    const hasSignedRevision = Boolean(document.signedRevisionKey);
+    let finalPdfBuffer = await buildStampedPdf(document, signedSigners, transaction);
+    const versions = [{ kind: 'STAMPED', buffer: finalPdfBuffer, reason: 'Carimbos visuais das assinaturas' }];
+
+    document.status = 'SIGNED';
+
+    // 2. Certificado anexado ao PDF: é gerado antes do selo, com o hash da versão carimbada.
+    // Com revisões assinadas, o certificado é emitido separadamente (anexá-lo reescreveria o PDF).
+    const certificateAppended = appendCertificate && !hasSignedRevision;
+    let certificate = null;
+    if (certificateAppended) {
+        const issued = await certificateService.issueCertificate(document, signers, {
+            finalSha256: sha256Of(finalPdfBuffer),
+            transaction
+        });
+        certificate = issued.certificate;
+        storedKeys.push(certificate.storageKey);
+        finalPdfBuffer = await certificateService.appendCertificateToPdf(finalPdfBuffer, issued.buffer);
+        versions.push({ kind: 'CERTIFICATE_APPENDED', buffer: finalPdfBuffer, reason: 'Certificado de Conclusão anexado' });
+    }
+
+    // 3. Selo PAdES automático (cobre carimbos e certificado anexado)
+    const padesApplied = policy === 'AUTO_PADES';
+    if (padesApplied) {
+        ({ sealedBuffer: finalPdfBuffer } = await sealBuffer(document, finalPdfBuffer, { automatic: true, transaction }));
+        document.padesSignedAt = new Date();
+        versions.push({ kind: 'PADES_SEALED', buffer: finalPdfBuffer, reason: 'Selo PAdES automático' });
+    }
+
+    // 4. Salva novo PDF Assinado (as etapas intermediárias ficam como versões próprias)
+    const finalStorageKey = await writeFinalPdf(document, finalPdfBuffer, padesApplied);
+    storedKeys.push(finalStorageKey);
+    await recordFinalizationVersions(document, versions, finalStorageKey, transaction, storedKeys);
+
+    const newSha256 = sha256Of(finalPdfBuffer);
+
+    // Certificado separado registra o hash do arquivo final entregue
+    if (!certificate) {
+        ({ certificate } = await certificateService.issueCertificate(document, signers, { finalSha256: newSha256, transaction }));
+        storedKeys.push(certificate.storageKey);
+    }
+
+    document.storageKey = finalStorageKey; // Aponta para o novo arquivo
+    document.sha256 = newSha256;
+    document.finalizedAt = new Date();
+    await document.save({ transaction });
+
+    await auditService.createEntry({
+        tenantId: document.tenantId,
+        actorKind: 'SYSTEM',
+        entityType: 'DOCUMENT',
+        entityId: document.id,
+        action: 'STATUS_CHANGED',
+        payload: {
+            newStatus: 'SIGNED',
+            newSha256,
+            policy,
+            padesApplied,
+            certificateSha256: certificate.sha256,
+            certificateAppended
+        }
+    }, transaction);
+
+    // 5. Envia E-mails de Conclusão (Com Template Customizável)
+    await sendCompletionEmails(document, signedSigners, transaction);
+
+    return document;
+};
+
+/**
+ * Finaliza um envelope cujas assinaturas obrigatórias foram todas coletadas (chamado pelo signingFlow.finalizeCompletedUnit).
+ * Cada arquivo recebe os carimbos dos seus próprios campos (e o selo PAdES, na política AUTO_PADES)
+ * e continua sendo um PDF independente. O Certificado de Conclusão é único para o envelope, nunca é
+ * anexado aos arquivos e registra o hash final de cada um.
+ *
+ * @param {object} envelope - Instância do Envelope (linha reivindicada pelo chamador).
+ * @param {Array<object>} signers - Todos os signatários do envelope.
+ * @param {object} options
+ * @param {import('sequelize').Transaction} options.transaction
+ * @param {Array<string>} [options.storedKeys] - Recebe as chaves dos arquivos gravados (ver finalizeDocument).
+ */
+const finalizeEnvelope = async (envelope, signers, { transaction, storedKeys = [] }) => {
+    await envelope.reload({ transaction });
+    if (envelope.finalizedAt) {
+        console.warn(`[FINALIZE] Envelope ${envelope.id} já finalizado. Ignorando.`);
+        return envelope;
+    }
+
+    console.log(`[FINALIZE] Envelope ${envelope.id} completo. Iniciando geração dos PDFs finais...`);
+
+    const signedSigners = signers.filter(s => s.status === 'SIGNED');
+    const { policy } = await getFinalizationSettings(envelope.tenantId, transaction);
+    const padesApplied = policy === 'AUTO_PADES';
+
+    const documents = await Document.findAll({
+        where: { envelopeId: envelope.id },
+        order: [['createdAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+    });
+
+    const files = [];
+    for (const document of documents) {
+        let finalPdfBuffer = await buildStampedPdf(document, signedSigners, transaction);
+        const versions = [{ kind: 'STAMPED', buffer: finalPdfBuffer, reason: 'Carimbos visuais das assinaturas' }];
+        if (padesApplied) {
+            ({ sealedBuffer: finalPdfBuffer } = await sealBuffer(document, finalPdfBuffer, { automatic: true, transaction }));
+            document.padesSignedAt = new Date();
+            versions.push({ kind: 'PADES_SEALED', buffer: finalPdfBuffer, reason: 'Selo PAdES automático' });
+        }
+
+        const finalStorageKey = await writeFinalPdf(document, finalPdfBuffer, padesApplied);
+        storedKeys.push(finalStorageKey);
+        await recordFinalizationVersions(document, versions, finalStorageKey, transaction, storedKeys);
+
+        document.storageKey = finalStorageKey;
+        document.sha256 = sha256Of(finalPdfBuffer);
+        document.status = 'SIGNED';
+        document.finalizedAt = new Date();
+        await document.save({ transaction });
+
+        files.push({ documentId: document.id, title: document.title, newSha256: document.sha256 });
+    }
+
+    envelope.status = 'SIGNED';
+    envelope.finalizedAt = new Date();
+    await envelope.save({ transaction });
+
+    const { certificate } = await certificateService.issueEnvelopeCertificate(envelope, documents, signers, { transaction });
+    storedKeys.push(certificate.storageKey);
+
+    await auditService.createEntry({
+        tenantId: envelope.tenantId,
+        actorKind: 'SYSTEM',
+        entityType: 'ENVELOPE',
+        entityId: envelope.id,
+        action: 'STATUS_CHANGED',
+        payload: {
+            newStatus: 'SIGNED',
+            policy,
+            padesApplied,
+            files,
+            certificateSha256: certificate.sha256
+        }
+    }, transaction);
+
+    await sendCompletionEmails(envelope, signedSigners, transaction, documents);
+
+    return envelope;
+};
+
+/**
+ * Reemite o certificado do envelope com os hashes atuais de todos os arquivos.
+ */
+const reissueEnvelopeCertificate = async (envelopeId, transaction) => {
+    const envelope = await Envelope.findByPk(envelopeId, { transaction });
+    const documents = await Document.findAll({ where: { envelopeId }, order: [['createdAt', 'ASC']], transaction });
+    const signers = await Signer.findAll({ where: { envelopeId }, transaction });
+    return certificateService.issueEnvelopeCertificate(envelope, documents, signers, { transaction });
+};
+
+/**
+ * Aplica manualmente o selo PAdES a um documento já finalizado (política VISUAL_THEN_SEAL).
+ * O PDF final já contém os carimbos: apenas a assinatura digital é adicionada.
+ * Pode ser executado uma única vez por documento.
+ *
+ * @param {string} docId
+ * @param {object} user - Usuário autenticado.
+ */
+const sealDocument = async (docId, user) => {
+    const transaction = await sequelize.transaction();
+    try {
+        const document = await Document.findOne({
+            where: { id: docId, tenantId: user.tenantId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!document) {
+            const error = new Error('Documento não encontrado.');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const { policy, appendCertificate } = await getFinalizationSettings(document.tenantId, transaction);
+
+        let conflict = null;
+        if (policy === 'VISUAL_ONLY') conflict = 'A política de finalização da organização não permite o selo PAdES.';
+        else if (document.status !== 'SIGNED') conflict = 'O selo PAdES só pode ser aplicado após todas as assinaturas.';
+        else if (document.padesSignedAt) conflict = 'Este documento já possui o selo PAdES.';
+
+        if (conflict) {
+            const error = new Error(conflict);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        if (!(await storageService.exists(document.storageKey))) {
+            throw new Error(`Arquivo físico não encontrado: ${document.storageKey}`);
+        }
+
+        const { sealedBuffer, newSha256 } = await sealBuffer(document, await storageService.getBuffer(document.storageKey), {
+            actor: user,
+            automatic: false,
+            transaction
+        });
+
+        // Substitui o sufixo por -pades.pdf para diferenciar
+        const newStorageKey = document.storageKey.replace(/(-signed)?(\.[\w\d_-]+)$/i, '-pades$2');
+        await storageService.put(newStorageKey, sealedBuffer);
+
+        await documentVersionService.recordVersion(document, {
+            kind: 'PADES_SEALED',
+            buffer: sealedBuffer,
+            storageKey: newStorageKey,
+            actorKind: 'USER',
+            actorId: user.id,
+            reason: 'Selo PAdES aplicado manualmente'
+        }, transaction);
+
+        document.storageKey = newStorageKey;
+        document.sha256 = newSha256;
+        document.padesSignedAt = new Date();
+        await document.save({ transaction });
+
+        // Certificado separado passa a registrar o hash do documento selado
+        // (arquivos de envelope: o certificado é o do envelope)
+        if (document.envelopeId) {
+            await reissueEnvelopeCertificate(document.envelopeId, transaction);
+        } else if (!appendCertificate || document.signedRevisionKey) {
+            const signers = await Signer.findAll({ where: { documentId: document.id }, transaction });
+            await certificateService.issueCertificate(document, signers, { finalSha256: newSha256, transaction });
+        }
+
+        await transaction.commit();
+        return document;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+module.exports = {
+    FINALIZATION_POLICIES,
+    finalizeDocument,
+    finalizeEnvelope,
+    reissueEnvelopeCertificate,
+    sealDocument,
+    sendCompletionEmails
+};
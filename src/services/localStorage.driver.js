@@ -0,0 +1,112 @@
+// src/services/localStorage.driver.js
+'use strict';
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const notFoundError = (key) => {
+  const error = new Error(`Arquivo não encontrado no armazenamento: ${key}`);
+  error.statusCode = 404;
+  error.code = 'STORAGE_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Driver de armazenamento em disco. As chaves ('uploads/{tenantId}/...') são caminhos
+ * relativos à raiz configurada.
+ *
+ * @param {object} [config]
+ * @param {string} [config.root=process.cwd()] - Diretório base das chaves.
+ */
+const createLocalDriver = ({ root = process.cwd() } = {}) => {
+  const baseDir = path.resolve(root);
+
+  // Impede que uma chave aponte para fora da raiz ('../', caminho absoluto)
+  const resolveKey = (key) => {
+    const absolutePath = path.resolve(baseDir, String(key));
+    if (!absolutePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return absolutePath;
+  };
+
+  /**
+   * Grava em um arquivo temporário e renomeia: quem lê nunca vê um arquivo pela metade.
+   * @param {string} key
+   * @param {Buffer|import('stream').Readable} data
+   */
+  const put = async (key, data) => {
+    const absolutePath = resolveKey(key);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+
+    const tempPath = `${absolutePath}.${crypto.randomUUID()}.tmp`;
+    try {
+      if (Buffer.isBuffer(data)) {
+        await fs.writeFile(tempPath, data);
+      } else {
+        await pipeline(data, fsSync.createWriteStream(tempPath));
+      }
+      await fs.rename(tempPath, absolutePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  };
+
+  /**
+   * @returns {Promise<import('stream').Readable>}
+   */
+  const get = async (key) => {
+    const absolutePath = resolveKey(key);
+    try {
+      await fs.access(absolutePath);
+    } catch (error) {
+      throw notFoundError(key);
+    }
+    return fsSync.createReadStream(absolutePath);
+  };
+
+  const remove = async (key) => {
+    await fs.rm(resolveKey(key), { force: true });
+  };
+
+  const exists = async (key) => {
+    try {
+      return (await fs.stat(resolveKey(key))).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Percorre as chaves sob um prefixo (ex.: 'uploads/{tenantId}/'), ignorando gravações em andamento.
+   * @returns {AsyncGenerator<string>}
+   */
+  async function* list(prefix) {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(entryPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+          yield path.relative(baseDir, entryPath).split(path.sep).join('/');
+        }
+      }
+    };
+    yield* walk(resolveKey(prefix.replace(/\/+$/, '')));
+  }
+
+  return { name: 'local', root: baseDir, put, get, delete: remove, exists, list };
+};
+
+module.exports = { createLocalDriver };
@@ -25,6 +25,18 @@ const formatPhoneNumber = (phone) => {
   return digitsOnly;
 };
 
+/**
+ * Escapa texto livre antes de interpolá-lo no HTML dos e-mails.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Obtém as credenciais de envio (Whitelabel).
  * Prioriza as configurações do banco de dados do Tenant.
@@ -260,15 +272,130 @@ const sendOtp = async (recipient, channel, otp, tenantId) => {
   }
 };
 
+/**
+ * Envia um lembrete de assinatura pendente nos canais configurados no signatário.
+ * 
+ * @param {object} signer - Objeto do signatário.
+ * @param {string} token - Token (novo) para o link de assinatura.
+ * @param {object} document - Documento pendente (título e prazo entram na mensagem).
+ */
+const sendSignReminder = async (signer, token, document) => {
+  const signLink = `${process.env.FRONT_URL}/sign/${token}`;
+  const deadlineText = document.deadlineAt
+    ? new Date(document.deadlineAt).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+    : null;
+
+  const messageText = `Olá ${signer.name}, lembrete: o documento "${document.title}" ainda aguarda a sua assinatura.`
+    + (deadlineText ? `\nPrazo: ${deadlineText}.` : '')
+    + `\n\nAcesse para assinar: ${signLink}`;
+
+  const messageHtml = `
+    <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+      <h2>Lembrete de Assinatura</h2>
+      <p>Olá, <strong>${escapeHtml(signer.name)}</strong>.</p>
+      <p>O documento <strong>${escapeHtml(document.title)}</strong> ainda aguarda a sua assinatura.</p>
+      ${deadlineText ? `<p>Prazo para assinatura: <strong>${deadlineText}</strong>.</p>` : ''}
+      <p style="margin: 30px 0;">
+        <a href="${signLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+          Assinar Documento
+        </a>
+      </p>
+      <p><small style="color: #666;">Link seguro: ${signLink}</small></p>
+    </div>
+  `;
+
+  const channels = Array.isArray(signer.authChannels) ? signer.authChannels : ['EMAIL'];
+  const promises = [];
+
+  if (channels.includes('EMAIL') && signer.email) {
+    promises.push(sendEmail(document.tenantId, {
+      to: signer.email,
+      subject: `Lembrete: assinatura pendente - ${escapeHtml(document.title)}`,
+      html: messageHtml
+    }));
+  }
+
+  if (channels.includes('WHATSAPP') && signer.phoneWhatsE164) {
+    promises.push(sendWhatsAppText(document.tenantId, {
+      phone: signer.phoneWhatsE164,
+      message: messageText
+    }));
+  }
+
+  await Promise.all(promises);
+};
+
+/**
+ * Avisa o dono do documento que um signatário recusou a assinatura.
+ * 
+ * @param {object} owner - Usuário dono do documento.
+ * @param {object} document - O documento recusado.
+ * @param {object} signer - O signatário que recusou.
+ * @param {string} reason - Motivo informado pelo signatário.
+ * @param {boolean} documentCancelled - Se a recusa cancelou o documento inteiro.
+ */
+const sendDeclineNotice = async (owner, document, signer, reason, documentCancelled) => {
+  const outcome = documentCancelled
+    ? 'Conforme a política definida para este documento, ele foi <strong>cancelado</strong>.'
+    : 'Conforme a política definida para este documento, o signatário foi removido e o fluxo segue com os demais.';
+
+  await sendEmail(document.tenantId, {
+    to: owner.email,
+    subject: `Assinatura recusada: ${document.title}`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #DC2626;">Assinatura Recusada</h2>
+        <p>Olá, <strong>${owner.name}</strong>.</p>
+        <p><strong>${escapeHtml(signer.name)}</strong> (${escapeHtml(signer.email)}) recusou a assinatura do documento <strong>${escapeHtml(document.title)}</strong>.</p>
+        <p><strong>Motivo:</strong> ${escapeHtml(reason).replace(/\n/g, '<br>')}</p>
+        <p>${outcome}</p>
+        <p><small style="color: #666;">ID do Documento: ${document.id}</small></p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Avisa o dono que o documento expirou automaticamente por prazo vencido.
+ * 
+ * @param {object} owner - Usuário dono do documento.
+ * @param {object} document - O documento expirado.
+ * @param {Array<object>} pendingSigners - Signatários que não assinaram a tempo.
+ */
+const sendExpirationNotice = async (owner, document, pendingSigners) => {
+  const pendingList = pendingSigners.length
+    ? `<ul>${pendingSigners.map(s => `<li>${escapeHtml(s.name)} (${escapeHtml(s.email)})</li>`).join('')}</ul>`
+    : '<p>Nenhum signatário pendente.</p>';
+
+  await sendEmail(document.tenantId, {
+    to: owner.email,
+    subject: `Documento expirado: ${escapeHtml(document.title)}`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #D97706;">Documento Expirado</h2>
+        <p>Olá, <strong>${escapeHtml(owner.name)}</strong>.</p>
+        <p>O prazo do documento <strong>${escapeHtml(document.title)}</strong> venceu antes de todas as assinaturas serem coletadas e ele foi expirado automaticamente.</p>
+        <p><strong>Signatários pendentes:</strong></p>
+        ${pendingList}
+        <p><small style="color: #666;">ID do Documento: ${document.id}</small></p>
+      </div>
+    `
+  });
+};
+
 module.exports = {
   // Funções de Negócio
   sendSignInvite,
   sendOtp,
+  sendSignReminder,
+  sendDeclineNotice,
+  sendExpirationNotice,
   
   // Funções Core (Exportadas para uso genérico, ex: notificação de conclusão)
   sendEmail,
   sendWhatsAppText,
   
   // Utilitários
-  formatPhoneNumber
+  formatPhoneNumber,
+  escapeHtml
 };
\ No newline at end of file
@@ -1,116 +1,466 @@
 // src/services/pades.service.js
 
 const fs = require('fs/promises');
-const path = require('path');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFString, PDFHexString, decodePDFRawStream } = require('pdf-lib');
 const { P12Signer } = require('@signpdf/signer-p12');
-const { sign } = require('@signpdf/signpdf');
-const { pdf_lib_add_placeholder } = require('@signpdf/placeholder-pdf-lib');
+const signpdf = require('@signpdf/signpdf').default;
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const {
+  Signer,
+  DEFAULT_SIGNATURE_LENGTH,
+  DEFAULT_BYTE_RANGE_PLACEHOLDER,
+  SIG_FLAGS,
+  ANNOTATION_FLAGS,
+  SUBFILTER_ADOBE_PKCS7_DETACHED,
+  findByteRange,
+  removeTrailingNewLine,
+} = require('@signpdf/utils');
+const tsaService = require('./tsa.service');
+const revocationService = require('./revocation.service');
+const { loadForIncrementalUpdate } = require('../utils/pdfIncrementalUpdate');
+const { findEmbeddedSignatures, parseSignedData, findAttribute, certificateToDer } = require('../utils/cmsParser');
+
+// O token da TSA (com a cadeia dela) aumenta bastante o CMS: reserva espaço extra no /Contents
+const TIMESTAMPED_SIGNATURE_LENGTH = DEFAULT_SIGNATURE_LENGTH * 3;
+// Carimbo de documento (ETSI.RFC3161): o /Contents é o próprio token da TSA
+const DOCUMENT_TIMESTAMP_LENGTH = DEFAULT_SIGNATURE_LENGTH * 2;
+// Assinatura do signatário (ICP-Brasil): o CMS pode trazer a cadeia completa e carimbo do tempo
+const SIGNER_SIGNATURE_LENGTH = DEFAULT_SIGNATURE_LENGTH * 4;
+
+const buildTsaError = (error) => {
+  const tsaError = new Error(`Falha ao obter o carimbo do tempo da TSA: ${error.message}`);
+  tsaError.statusCode = 502;
+  return tsaError;
+};
 
 /**
- * Desenha os carimbos visuais de assinatura no PDF, incluindo a imagem da assinatura de cada signatário.
- * @param {PDFDocument} pdfDoc - O documento PDF carregado com pdf-lib.
- * @param {Array<object>} signatures - Array com os dados dos signatários, suas posições e o caminho da imagem da assinatura.
+ * Acrescenta o carimbo do tempo ao CMS respeitando a política de falha da TSA.
+ * FAIL_CLOSED: a falha sobe como erro 502. FAIL_OPEN: devolve o CMS sem carimbo e a mensagem da falha.
+ *
+ * @returns {Promise<{ cms: Buffer, timestamp: object|null, timestampError: string|null }>}
  */
-const drawVisualStamps = async (pdfDoc, signatures) => {
-  const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const stampWidth = 180;
-  const stampHeight = 70;
-
-  for (const sig of signatures) {
-    // Pula signatários que não têm uma posição de carimbo definida
-    if (sig.positionX === null || sig.positionY === null || sig.positionPage === null || !sig.artefactPath) {
-      continue;
-    }
+const timestampSignature = async (cms, tsaConfig) => {
+  try {
+    const result = await tsaService.addSignatureTimestamp(cms, tsaConfig);
+    return { cms: result.cms, timestamp: result.timestamp, timestampError: null };
+  } catch (error) {
+    if (tsaConfig.failurePolicy === 'FAIL_CLOSED') throw buildTsaError(error);
+    console.warn('[PAdES Service] Carimbo do tempo indisponível, assinando sem ele:', error.message);
+    return { cms, timestamp: null, timestampError: error.message };
+  }
+};
 
-    const pageIndex = sig.positionPage - 1; // A API é 1-based, o array é 0-based
-    const page = pdfDoc.getPages()[pageIndex];
-    if (!page) continue;
-
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    // Garante que o carimbo não seja desenhado fora dos limites da página
-    const x = Math.min(Math.max(sig.positionX, 0), pageWidth - stampWidth);
-    const y = Math.min(Math.max(sig.positionY, 0), pageHeight - stampHeight);
-
-    // Carrega a imagem da assinatura salva no disco
-    const signatureImagePath = path.join(__dirname, '..', '..', sig.artefactPath);
-    const signatureImageBytes = await fs.readFile(signatureImagePath);
-    const signatureImage = await pdfDoc.embedPng(signatureImageBytes);
-
-    // Escala a imagem da assinatura para caber proporcionalmente no carimbo
-    const imageDims = signatureImage.scaleToFit(stampWidth * 0.8, stampHeight * 0.6);
-
-    // Desenha a imagem da assinatura no PDF, centralizada dentro da área do carimbo
-    page.drawImage(signatureImage, {
-      x: x + (stampWidth - imageDims.width) / 2,
-      y: y + 20,
-      width: imageDims.width,
-      height: imageDims.height,
-    });
-    
-    // Desenha o texto informativo (nome e data) abaixo da imagem da assinatura
-    const signedAt = new Date(sig.signedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
-    page.drawText(`Assinado por: ${sig.name}\nEm: ${signedAt}`, {
-        x: x + 5,
-        y: y + 5,
-        font: helveticaFont,
-        size: 7,
-        lineHeight: 9,
-        color: rgb(0.2, 0.2, 0.2),
-    });
+/**
+ * Assinador P12 que acrescenta um carimbo do tempo RFC 3161 ao CMS gerado.
+ * Guarda o resultado em 'timestamp' / 'timestampError' para a auditoria.
+ */
+class TimestampingP12Signer extends P12Signer {
+  constructor(p12Buffer, options, tsaConfig) {
+    super(p12Buffer, options);
+    this.tsaConfig = tsaConfig;
+    this.timestamp = null;
+    this.timestampError = null;
+  }
 
-    // Desenha uma borda sutil ao redor do carimbo
-    page.drawRectangle({
-      x,
-      y,
-      width: stampWidth,
-      height: stampHeight,
-      borderColor: rgb(0.7, 0.7, 0.7),
-      borderWidth: 0.5,
-    });
+  async sign(pdfBuffer, signingTime = undefined) {
+    const result = await timestampSignature(await super.sign(pdfBuffer, signingTime), this.tsaConfig);
+    this.timestamp = result.timestamp;
+    this.timestampError = result.timestampError;
+    return result.cms;
   }
+}
+
+/**
+ * Gera o CMS (adbe.pkcs7.detached) de um A1 sobre os bytes informados, com carimbo do tempo
+ * quando houver TSA configurada. Usado na assinatura com o certificado do próprio signatário.
+ *
+ * @param {Buffer} content - Bytes cobertos pelo /ByteRange (ver getSignedContent).
+ * @param {Buffer} p12Buffer
+ * @param {string} passphrase
+ * @param {object} [options]
+ * @param {object} [options.tsa] - Configuração da TSA (tsa.service.getTsaConfig).
+ * @param {Date} [options.signingTime]
+ * @returns {Promise<{ cms: Buffer, timestamp: object|null, timestampError: string|null }>}
+ */
+const signWithP12 = async (content, p12Buffer, passphrase, { tsa = null, signingTime } = {}) => {
+  const cms = await new P12Signer(p12Buffer, { passphrase }).sign(content, signingTime);
+  if (!tsa?.url) return { cms, timestamp: null, timestampError: null };
+  return timestampSignature(cms, tsa);
 };
 
 /**
- * Aplica os carimbos visuais e uma assinatura digital PAdES criptográfica a um buffer de PDF.
- * @param {Buffer} pdfBuffer - O conteúdo do PDF original a ser assinado.
- * @param {Array<object>} signaturesToApply - Dados dos signatários com posições e caminhos de artefatos.
- * @returns {Promise<Buffer>} - O buffer do novo PDF finalizado e assinado digitalmente.
+ * Aplica a assinatura digital PAdES da plataforma (selo) a um buffer de PDF.
+ * Não desenha carimbos: o PDF recebido já deve conter as assinaturas visuais
+ * (ver finalization.service), para que elas não sejam aplicadas duas vezes.
+ *
+ * @param {Buffer} pdfBuffer - O conteúdo do PDF a ser selado.
+ * @param {object} [options]
+ * @param {object} [options.tsa] - Configuração da TSA (ver tsa.service.getTsaConfig). Sem URL, sela sem carimbo do tempo.
+ * @returns {Promise<{ sealedBuffer: Buffer, timestamp: object|null, timestampError: string|null }>}
  */
-const applyPadesSignatureWithStamps = async (pdfBuffer, signaturesToApply) => {
+const applyPadesSeal = async (pdfBuffer, { tsa = null } = {}) => {
   try {
     // Carrega o certificado A1 da plataforma e a senha do .env
     const p12Buffer = await fs.readFile(process.env.PADES_CERTIFICATE_PATH);
-    const signer = new P12Signer(p12Buffer, { password: process.env.PADES_CERTIFICATE_PASSWORD });
-
-    // PASSO 1: Adicionar os carimbos visuais
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-    await drawVisualStamps(pdfDoc, signaturesToApply);
-    
-    // Salva o PDF com os carimbos em um buffer intermediário
-    const pdfWithStampsBuffer = await pdfDoc.save({ useObjectStreams: false });
-
-    // PASSO 2: Aplicar a assinatura digital criptográfica
-    // Carregamos o PDF (já com os carimbos) novamente para adicionar o placeholder da assinatura digital
-    const placeholderPdf = await PDFDocument.load(pdfWithStampsBuffer);
-    const finalPdf = await pdf_lib_add_placeholder({
-      pdfDoc: placeholderPdf,
+    const signerOptions = { passphrase: process.env.PADES_CERTIFICATE_PASSWORD || '' };
+    const useTsa = Boolean(tsa?.url);
+    const signer = useTsa
+      ? new TimestampingP12Signer(p12Buffer, signerOptions, tsa)
+      : new P12Signer(p12Buffer, signerOptions);
+
+    // Adiciona o placeholder da assinatura digital (o pdf-lib altera o documento em memória).
+    // PDF que já contém assinaturas (revisões assinadas pelos signatários) recebe o selo em
+    // atualização incremental; os demais são regravados por inteiro.
+    const hasSignatures = findEmbeddedSignatures(pdfBuffer).length > 0;
+    const update = hasSignatures ? await loadForIncrementalUpdate(pdfBuffer) : null;
+    const pdfDoc = update ? update.pdfDoc : await PDFDocument.load(pdfBuffer);
+    pdflibAddPlaceholder({
+      pdfDoc,
       reason: 'Documento finalizado e selado pela Plataforma Doculink',
       contactInfo: 'contato@doculink.com',
       name: 'Doculink Assinador Digital',
       location: 'Brasil',
+      signatureLength: useTsa ? TIMESTAMPED_SIGNATURE_LENGTH : DEFAULT_SIGNATURE_LENGTH,
     });
+    const pdfWithPlaceholder = update ? update.save() : await pdfDoc.save({ useObjectStreams: false });
 
     // Assina digitalmente o documento (incluindo os carimbos), selando sua integridade
-    const signedPdfBuffer = await sign(finalPdf, signer);
-    return Buffer.from(signedPdfBuffer);
+    const signedPdfBuffer = await signpdf.sign(Buffer.from(pdfWithPlaceholder), signer);
+    return {
+      sealedBuffer: Buffer.from(signedPdfBuffer),
+      timestamp: useTsa ? signer.timestamp : null,
+      timestampError: useTsa ? signer.timestampError : null,
+    };
 
   } catch (error) {
-    console.error('[PAdES Service] Erro ao aplicar assinatura digital com carimbos:', error);
+    console.error('[PAdES Service] Erro ao aplicar assinatura digital:', error);
+    // Falhas da TSA com política FAIL_CLOSED sobem com a mensagem original
+    if (error.statusCode) throw error;
     throw new Error('Falha no processo de assinatura digital PAdES.');
   }
 };
 
+/**
+ * "Assinador" de carimbo de documento: o conteúdo do /Contents é o TimeStampToken
+ * emitido sobre os bytes cobertos pelo /ByteRange.
+ */
+class DocumentTimestampSigner extends Signer {
+  constructor(tsaConfig) {
+    super();
+    this.tsaConfig = tsaConfig;
+    this.timestamp = null;
+  }
+
+  async sign(pdfBuffer) {
+    const { tokenAsn1, serialNumber, genTime } = await tsaService.requestTimestamp(pdfBuffer, this.tsaConfig);
+    // O arquivo precisa ser recarimbado antes que o certificado da TSA expire
+    const expirations = parseSignedData(tokenAsn1).certificates.map(cert => cert.validity.notAfter);
+    this.timestamp = {
+      serialNumber,
+      genTime,
+      tsaUrl: this.tsaConfig.url,
+      tsaCertificateExpiresAt: expirations.length ? new Date(Math.min(...expirations)) : null,
+    };
+    return Buffer.from(forge.asn1.toDer(tokenAsn1).getBytes(), 'binary');
+  }
+}
+
+/**
+ * Certificados de todas as assinaturas do PDF, incluindo os das TSAs
+ * (atributo id-aa-timeStampToken e carimbos de documento anteriores).
+ */
+const collectPdfCertificates = (pdfBuffer) => {
+  const { asn1 } = forge;
+  const certificates = [];
+
+  for (const { contentsDer } of findEmbeddedSignatures(pdfBuffer)) {
+    if (!contentsDer) continue;
+    try {
+      const signedData = parseSignedData(asn1.fromDer(contentsDer, { strict: false }));
+      certificates.push(...signedData.certificates);
+
+      const unsignedAttrs = signedData.signerInfos[0].value
+        .find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 1);
+      const token = findAttribute(unsignedAttrs?.value, tsaService.OID_TIMESTAMP_TOKEN);
+      if (token) certificates.push(...parseSignedData(token).certificates);
+    } catch (error) {
+      console.warn('[PAdES Service] Assinatura ilegível ignorada no DSS:', error.message);
+    }
+  }
+
+  return revocationService.uniqueCertificates(certificates);
+};
+
+/**
+ * Acrescenta certificados e respostas OCSP/CRL ao Document Security Store (/DSS do catálogo).
+ * Itens já presentes no DSS (mesmo conteúdo) não são duplicados.
+ *
+ * @returns {{ certs: number, ocsps: number, crls: number }} Quantidade de itens adicionados.
+ */
+const addToDss = (pdfDoc, { certs, ocsps, crls }) => {
+  const { context, catalog } = pdfDoc;
+  let dss = catalog.lookupMaybe(PDFName.of('DSS'), PDFDict);
+  if (!dss) {
+    dss = context.obj({});
+    catalog.set(PDFName.of('DSS'), context.register(dss));
+  }
+
+  const digest = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+  const added = {};
+
+  for (const [key, buffers] of [['Certs', certs], ['OCSPs', ocsps], ['CRLs', crls]]) {
+    let array = dss.lookupMaybe(PDFName.of(key), PDFArray);
+    if (!array) {
+      array = context.obj([]);
+      dss.set(PDFName.of(key), array);
+    }
+
+    const existing = new Set(array.asArray().map(ref => digest(decodePDFRawStream(context.lookup(ref)).decode())));
+    added[key] = 0;
+    for (const buffer of buffers) {
+      const hash = digest(buffer);
+      if (existing.has(hash)) continue;
+      existing.add(hash);
+      array.push(context.register(context.flateStream(buffer)));
+      added[key] += 1;
+    }
+  }
+
+  return { certs: added.Certs, ocsps: added.OCSPs, crls: added.CRLs };
+};
+
+/**
+ * Cria um dicionário de assinatura (com placeholders de /ByteRange e /Contents) e o campo
+ * de formulário que o referencia. Sem widgets informados, o campo fica invisível na primeira página.
+ *
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {object} options
+ * @param {object} options.dictionary - Entradas do dicionário (Type, SubFilter, Name, M...).
+ * @param {string} options.fieldName - Nome (único) do campo.
+ * @param {number} options.signatureLength - Capacidade do /Contents em dígitos hexadecimais.
+ * @param {Array<{ pageIndex: number, rect: number[], appearanceRef?: object }>} [options.widgets]
+ */
+const addSignaturePlaceholder = (pdfDoc, { dictionary, fieldName, signatureLength, widgets = [] }) => {
+  const { context, catalog } = pdfDoc;
+  const pages = pdfDoc.getPages();
+
+  const byteRange = PDFArray.withContext(context);
+  byteRange.push(PDFNumber.of(0));
+  for (let i = 0; i < 3; i += 1) byteRange.push(PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER));
+
+  // /ByteRange antes de /Contents: é a ordem que o cálculo do intervalo espera
+  const signatureDictRef = context.register(context.obj({
+    Filter: 'Adobe.PPKLite',
+    ...dictionary,
+    ByteRange: byteRange,
+    Contents: PDFHexString.of('0'.repeat(signatureLength)),
+  }));
+
+  let acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (!acroForm) {
+    acroForm = context.obj({ Fields: [] });
+    catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+  }
+  let fields = acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) {
+    fields = context.obj([]);
+    acroForm.set(PDFName.of('Fields'), fields);
+  }
+  const sigFlags = acroForm.lookupMaybe(PDFName.of('SigFlags'), PDFNumber)?.asNumber() || 0;
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(sigFlags | SIG_FLAGS.SIGNATURES_EXIST | SIG_FLAGS.APPEND_ONLY));
+
+  // Campo com um widget por área visível (ex.: assinatura + rubricas do mesmo signatário)
+  const fieldRef = context.nextRef();
+  const widgetSpecs = widgets.length > 0 ? widgets : [{ pageIndex: 0, rect: [0, 0, 0, 0] }];
+  const widgetRefs = widgetSpecs.map(({ pageIndex, rect, appearanceRef }) => {
+    const page = pages[pageIndex];
+    const widgetRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      Parent: fieldRef,
+      Rect: rect,
+      F: ANNOTATION_FLAGS.PRINT,
+      P: page.ref,
+      ...(appearanceRef && { AP: { N: appearanceRef } }),
+    }));
+
+    let annotations = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (!annotations) {
+      annotations = context.obj([]);
+      page.node.set(PDFName.of('Annots'), annotations);
+    }
+    annotations.push(widgetRef);
+    return widgetRef;
+  });
+
+  context.assign(fieldRef, context.obj({
+    FT: 'Sig',
+    T: PDFString.of(fieldName),
+    V: signatureDictRef,
+    Kids: widgetRefs,
+  }));
+  fields.push(fieldRef);
+};
+
+/**
+ * Cria o dicionário /DocTimeStamp (com placeholders) e o campo de assinatura invisível que o referencia.
+ */
+const addDocumentTimestampPlaceholder = (pdfDoc) => {
+  const fields = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict)?.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  addSignaturePlaceholder(pdfDoc, {
+    dictionary: { Type: 'DocTimeStamp', SubFilter: 'ETSI.RFC3161' },
+    // Nome do campo precisa ser único no formulário
+    fieldName: `DocTimeStamp${(fields?.size() || 0) + 1}`,
+    signatureLength: DOCUMENT_TIMESTAMP_LENGTH,
+  });
+};
+
+/**
+ * Acrescenta, em atualização incremental, o campo de assinatura de um signatário (com as aparências
+ * dos carimbos já embutidas no documento) e calcula o /ByteRange a ser assinado.
+ *
+ * @param {object} update - Retorno de loadForIncrementalUpdate, já com as aparências embutidas.
+ * @param {object} options
+ * @param {string} options.fieldName
+ * @param {string} options.signerName
+ * @param {Date} options.signingTime
+ * @param {Array<object>} [options.widgets] - Ver addSignaturePlaceholder.
+ * @returns {{ pdf: Buffer, byteRange: number[], digest: Buffer }} PDF com o /Contents ainda vazio e o SHA-256 dos bytes a assinar.
+ */
+const prepareSignerRevision = (update, { fieldName, signerName, signingTime, widgets = [] }) => {
+  addSignaturePlaceholder(update.pdfDoc, {
+    dictionary: {
+      Type: 'Sig',
+      SubFilter: SUBFILTER_ADOBE_PKCS7_DETACHED,
+      Name: PDFString.of(signerName),
+      Reason: PDFString.of('Assinatura com certificado digital do signatário'),
+      M: PDFString.fromDate(signingTime),
+    },
+    fieldName,
+    signatureLength: SIGNER_SIGNATURE_LENGTH,
+    widgets,
+  });
+
+  return prepareByteRange(update.save());
+};
+
+/**
+ * Preenche o /ByteRange do placeholder e devolve o SHA-256 do conteúdo a ser assinado
+ * (mesmo cálculo do @signpdf, mas sem assinar: permite assinatura remota por hash).
+ *
+ * @param {Buffer} pdfBuffer - PDF com um único placeholder pendente.
+ * @returns {{ pdf: Buffer, byteRange: number[], digest: Buffer }}
+ */
+const prepareByteRange = (pdfBuffer) => {
+  let pdf = removeTrailingNewLine(pdfBuffer);
+  const { byteRangePlaceholder, byteRangePlaceholderPosition } = findByteRange(pdf);
+  if (!byteRangePlaceholder) {
+    throw new Error('Placeholder de assinatura não encontrado no PDF.');
+  }
+
+  const byteRangeEnd = byteRangePlaceholderPosition + byteRangePlaceholder.length;
+  const placeholderPos = pdf.indexOf('<', pdf.indexOf('/Contents ', byteRangeEnd));
+  const placeholderEnd = pdf.indexOf('>', placeholderPos) + 1;
+  const byteRange = [0, placeholderPos, placeholderEnd, pdf.length - placeholderEnd];
+
+  let actualByteRange = `/ByteRange [${byteRange.join(' ')}]`;
+  actualByteRange += ' '.repeat(byteRangePlaceholder.length - actualByteRange.length);
+  pdf = Buffer.concat([pdf.slice(0, byteRangePlaceholderPosition), Buffer.from(actualByteRange), pdf.slice(byteRangeEnd)]);
+
+  const digest = crypto.createHash('sha256')
+    .update(pdf.slice(0, byteRange[1]))
+    .update(pdf.slice(byteRange[2]))
+    .digest();
+
+  return { pdf, byteRange, digest };
+};
+
+/**
+ * Bytes cobertos pelo /ByteRange (o que o CMS assina).
+ */
+const getSignedContent = (pdf, byteRange) => Buffer.concat([pdf.slice(0, byteRange[1]), pdf.slice(byteRange[2])]);
+
+/**
+ * Grava o CMS (DER) no /Contents preparado por prepareByteRange.
+ */
+const insertSignature = (pdf, byteRange, cmsDer) => {
+  const capacity = byteRange[2] - byteRange[1] - 2;
+  const hex = Buffer.from(cmsDer).toString('hex');
+  if (hex.length > capacity) {
+    const error = new Error(`A assinatura (${hex.length / 2} bytes) excede o espaço reservado no PDF (${capacity / 2} bytes).`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return Buffer.concat([
+    pdf.slice(0, byteRange[1] + 1),
+    Buffer.from(hex.padEnd(capacity, '0')),
+    pdf.slice(byteRange[2] - 1),
+  ]);
+};
+
+/**
+ * Validação de longo prazo (PAdES-LTA), em atualizações incrementais que preservam as assinaturas existentes:
+ * 1. DSS com a cadeia de certificados de todas as assinaturas e carimbos já presentes + respostas OCSP/CRL.
+ * 2. Carimbo do tempo de documento (ETSI.RFC3161) cobrindo o arquivo inteiro, inclusive o DSS.
+ * Chamado novamente (recarimbo), acrescenta a validação do carimbo anterior e um novo carimbo.
+ * Se algum certificado constar como revogado, nada é aplicado (erro 422).
+ *
+ * @param {Buffer} pdfBuffer - PDF já selado (ver applyPadesSeal).
+ * @param {object} [options]
+ * @param {object} [options.tsa] - Configuração da TSA. Sem URL, embute apenas o DSS (PAdES-LT).
+ * @returns {Promise<{ buffer: Buffer, dss: object, revocation: object, timestamp: object|null, timestampError: string|null }>}
+ */
+const addLongTermValidation = async (pdfBuffer, { tsa = null } = {}) => {
+  try {
+    const certificates = collectPdfCertificates(pdfBuffer);
+    const { ocsps, crls, statuses, errors } = await revocationService.collectRevocationData(certificates);
+    if (errors.length > 0) {
+      console.warn('[PAdES Service] Dados de revogação incompletos:', errors);
+    }
+    const revoked = statuses.filter(status => status.status === 'revoked');
+    if (revoked.length > 0) {
+      const error = new Error(`Certificado revogado: ${revoked.map(status => status.subject).join(', ')}. A validação de longo prazo não foi aplicada.`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const update = await loadForIncrementalUpdate(pdfBuffer);
+    const dss = addToDss(update.pdfDoc, { certs: certificates.map(certificateToDer), ocsps, crls });
+    let buffer = update.save();
+
+    let timestamp = null;
+    let timestampError = null;
+    if (tsa?.url) {
+      try {
+        const timestampUpdate = await loadForIncrementalUpdate(buffer);
+        addDocumentTimestampPlaceholder(timestampUpdate.pdfDoc);
+        const signer = new DocumentTimestampSigner(tsa);
+        buffer = Buffer.from(await signpdf.sign(timestampUpdate.save(), signer));
+        timestamp = signer.timestamp;
+      } catch (error) {
+        if (tsa.failurePolicy === 'FAIL_CLOSED') throw buildTsaError(error);
+        console.warn('[PAdES Service] Carimbo de documento indisponível, mantendo apenas o DSS:', error.message);
+        timestampError = error.message;
+      }
+    }
+
+    return { buffer, dss, revocation: { statuses, errors }, timestamp, timestampError };
+
+  } catch (error) {
+    console.error('[PAdES Service] Erro ao aplicar validação de longo prazo:', error);
+    if (error.statusCode) throw error;
+    throw new Error('Falha ao aplicar a validação de longo prazo (PAdES-LTA).');
+  }
+};
+
 module.exports = {
-  applyPadesSignatureWithStamps,
-};
\ No newline at end of file
+  applyPadesSeal,
+  addLongTermValidation,
+  prepareSignerRevision,
+  getSignedContent,
+  insertSignature,
+  signWithP12,
+  timestampSignature,
+};
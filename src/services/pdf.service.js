@@ -1,131 +1,356 @@
 // src/services/pdf.service.js
 'use strict';
 
-const fs = require('fs/promises');
-const path = require('path');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const QRCode = require('qrcode');
+const { buildVerificationUrl } = require('../features/verify/verify.service');
+const { loadForIncrementalUpdate } = require('../utils/pdfIncrementalUpdate');
+const storageService = require('./storage.service');
+
+// Tamanho do carimbo para posições escolhidas pelo próprio signatário (endpoint /position, legado)
+const LEGACY_STAMP_WIDTH = 180;
+const LEGACY_STAMP_HEIGHT = 70;
+
+const formatDateBR = (date) => new Date(date).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+
+const getInitials = (name) => String(name || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => part[0].toUpperCase())
+  .join('.') + '.';
 
 /**
- * Embute as assinaturas visuais detalhadas (Estilo Clicksign).
+ * Converte a posição salva pelo signatário (legado) em um campo SIGNATURE equivalente.
  */
-const embedSignatures = async (originalPdfPath, signers, documentData) => {
-  try {
-    const resolvedPdfPath = path.isAbsolute(originalPdfPath) 
-      ? originalPdfPath 
-      : path.join(process.cwd(), originalPdfPath);
+const legacyPositionField = (signer) => {
+  if (signer.signaturePositionX == null || signer.signaturePositionY == null || signer.signaturePositionPage == null) {
+    return null;
+  }
+  return {
+    signerId: signer.id,
+    type: 'SIGNATURE',
+    page: signer.signaturePositionPage,
+    x: signer.signaturePositionX,
+    y: signer.signaturePositionY,
+    width: LEGACY_STAMP_WIDTH,
+    height: LEGACY_STAMP_HEIGHT
+  };
+};
 
-    const pdfBuffer = await fs.readFile(resolvedPdfPath);
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+/**
+ * Gera (uma vez por signatário) o QR Code que aponta para a verificação pública da assinatura.
+ * @returns {Promise<import('pdf-lib').PDFImage|null>}
+ */
+const embedVerificationQr = async (pdfDoc, signer, cache) => {
+  const code = signer.signatureUuid || signer.shortCode;
+  if (!code) return null;
+  if (!cache.has(code)) {
+    const png = await QRCode.toBuffer(buildVerificationUrl(code), { type: 'png', margin: 1, width: 150, errorCorrectionLevel: 'M' });
+    cache.set(code, await pdfDoc.embedPng(png));
+  }
+  return cache.get(code);
+};
 
-    // Dimensões do carimbo
-    const stampWidth = 500; // Mais largo para caber o texto ao lado
-    const stampHeight = 100;
-    const verticalMargin = 30; 
-    
-    // Pega a última página (ou cria uma nova se não couber, mas aqui vamos na ultima)
-    // Se quiser adicionar uma página de logs separada (como na img1), a lógica seria: pdfDoc.addPage()
-    // Aqui faremos desenhado na página (estilo img2)
-    let page = pdfDoc.getPage(pdfDoc.getPageCount() - 1);
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    
-    const signedSigners = signers.filter(s => s.status === 'SIGNED');
+/**
+ * Escreve um texto centralizado no retângulo, reduzindo a fonte até caber.
+ */
+const drawTextInBox = (page, text, box, font, maxSize = 12) => {
+  let size = Math.min(maxSize, box.height * 0.6);
+  while (size > 4 && font.widthOfTextAtSize(text, size) > box.width - 4) size -= 0.5;
 
-    // Se tiver muitos signatários, adiciona nova página de logs
-    const requiredHeight = signedSigners.length * (stampHeight + 20) + 100;
-    if (requiredHeight > pageHeight) {
-        page = pdfDoc.addPage();
+  page.drawText(text, {
+    x: box.x + (box.width - font.widthOfTextAtSize(text, size)) / 2,
+    y: box.y + (box.height - size) / 2,
+    size,
+    font,
+    color: rgb(0.1, 0.1, 0.1),
+  });
+};
+
+/**
+ * Desenha os campos de cada signatário (assinatura, rubrica, data, texto) no retângulo definido.
+ * Signatários sem campos, mas com posição salva via /position, recebem um carimbo nessa posição.
+ * Usado pelos dois pipelines (carimbo visual e PAdES).
+ *
+ * @param {PDFDocument} pdfDoc - Documento carregado com pdf-lib.
+ * @param {Array<object>} signers - Signatários que assinaram (id, name, signedAt, signatureArtefactPath, posição legada).
+ * @param {Array<object>} fields - Campos do documento (SignatureField).
+ * @param {Map} [qrCache] - Cache de QR Codes já embutidos neste PDF.
+ */
+const drawSignatureFields = async (pdfDoc, signers, fields = [], qrCache = new Map()) => {
+  const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+
+  for (const signer of signers) {
+    let signerFields = fields.filter(f => f.signerId === signer.id);
+    if (signerFields.length === 0) {
+      const legacy = legacyPositionField(signer);
+      signerFields = legacy ? [legacy] : [];
     }
+    if (signerFields.length === 0) continue;
 
-    let currentY = page.getHeight() - 50; // Começa do topo
+    let signatureImage = null;
+    if (signer.signatureArtefactPath && signerFields.some(f => f.type === 'SIGNATURE')) {
+      try {
+        signatureImage = await pdfDoc.embedPng(await storageService.getBuffer(signer.signatureArtefactPath));
+      } catch (e) { console.error('Erro img assinatura:', e); }
+    }
 
-    // Título da página de assinaturas se for nova página ou apenas rodapé
-    page.drawText('Registro de Assinaturas', {
-        x: 50,
-        y: currentY,
-        size: 14,
-        font: helveticaBold,
-        color: rgb(0, 0, 0),
-    });
-    currentY -= 40;
-
-    for (const signer of signedSigners) {
-      // 1. Carrega Imagem da Assinatura (se tiver desenhado)
-      let signatureImage = null;
-      if (signer.signatureArtefactPath) {
-          try {
-            let imgPath = signer.signatureArtefactPath;
-            if (!path.isAbsolute(imgPath)) imgPath = path.join(process.cwd(), imgPath);
-            const imgBytes = await fs.readFile(imgPath);
-            signatureImage = await pdfDoc.embedPng(imgBytes);
-          } catch(e) { console.error('Erro img assinatura:', e); }
-      }
+    for (const field of signerFields) {
+      const page = pages[field.page - 1];
+      if (!page) continue;
+
+      const box = { x: field.x, y: field.y, width: field.width, height: field.height };
+
+      if (field.type === 'SIGNATURE') {
+        // Reserva uma faixa inferior para o nome/data quando o campo é alto o suficiente
+        const captionHeight = box.height >= 40 ? 16 : 0;
+        const imageArea = { ...box, y: box.y + captionHeight, height: box.height - captionHeight };
 
-      // 2. Prepara os Textos (Baseado na sua referência)
-      const signedAt = new Date(signer.signedAt).toLocaleString('pt-BR');
-      const docIdClean = documentData.id;
-      const sigIdClean = signer.signatureUuid || signer.id; // Usa o UUID gerado
-      
-      const textLines = [
-        `Assinado por: ${signer.name}`,
-        `CPF: ${signer.cpf || 'Não informado'}`,
-        `E-mail: ${signer.email}`,
-        `Data/Hora: ${signedAt}`,
-        `IP: ${signer.ip || 'Não registrado'}`,
-        `ID Assinatura: ${sigIdClean}`,
-        `Hash Doc: ${documentData.sha256 ? documentData.sha256.substring(0, 20) + '...' : 'N/A'}`
-      ];
-
-      // 3. Desenha a Imagem (Esquerda)
-      if (signatureImage) {
-          const imgDims = signatureImage.scaleToFit(150, 80);
+        // QR Code de verificação à direita, se o campo comportar
+        const qrImage = box.height >= 40 && box.width >= 120 ? await embedVerificationQr(pdfDoc, signer, qrCache) : null;
+        if (qrImage) {
+          const qrSize = Math.min(box.height - 4, 50);
+          page.drawImage(qrImage, { x: box.x + box.width - qrSize - 2, y: box.y + (box.height - qrSize) / 2, width: qrSize, height: qrSize });
+          imageArea.width -= qrSize + 4;
+        }
+
+        if (signatureImage) {
+          const dims = signatureImage.scaleToFit(imageArea.width * 0.9, imageArea.height * 0.9);
           page.drawImage(signatureImage, {
-              x: 50,
-              y: currentY - 80,
-              width: imgDims.width,
-              height: imgDims.height
-          });
-      } else {
-          // Placeholder se não tiver imagem desenhada
-          page.drawText('(Assinatura Eletrônica)', {
-              x: 60,
-              y: currentY - 50,
-              size: 10,
-              font: helveticaFont,
-              color: rgb(0.5, 0.5, 0.5)
+            x: imageArea.x + (imageArea.width - dims.width) / 2,
+            y: imageArea.y + (imageArea.height - dims.height) / 2,
+            width: dims.width,
+            height: dims.height,
           });
-      }
+        } else {
+          drawTextInBox(page, signer.name, imageArea, helveticaFont);
+        }
 
-      // 4. Desenha o Texto (Direita da imagem)
-      let textY = currentY - 10;
-      for (const line of textLines) {
-          page.drawText(line, {
-              x: 220, // Deslocado para direita
-              y: textY,
-              size: 9,
-              font: helveticaFont,
-              color: rgb(0.2, 0.2, 0.2),
+        if (captionHeight) {
+          page.drawText(`Assinado por: ${signer.name}\nEm: ${formatDateBR(signer.signedAt)}`, {
+            x: box.x + 3,
+            y: box.y + 9,
+            font: helveticaFont,
+            size: 6,
+            lineHeight: 7,
+            maxWidth: imageArea.width - 6,
+            color: rgb(0.2, 0.2, 0.2),
           });
-          textY -= 12; // Espaçamento entre linhas
-      }
+        }
 
-      // 5. Linha divisória
-      page.drawLine({
-          start: { x: 50, y: currentY - 90 },
-          end: { x: 550, y: currentY - 90 },
-          thickness: 1,
-          color: rgb(0.8, 0.8, 0.8),
-      });
-
-      currentY -= 110; // Próximo bloco
-      
-      // Se estourar a página, cria nova
-      if (currentY < 50) {
-          page = pdfDoc.addPage();
-          currentY = page.getHeight() - 50;
+        page.drawRectangle({ ...box, borderColor: rgb(0.7, 0.7, 0.7), borderWidth: 0.5 });
+      } else if (field.type === 'INITIALS') {
+        drawTextInBox(page, getInitials(signer.name), box, helveticaFont, 16);
+      } else if (field.type === 'DATE') {
+        const value = field.value || new Date(signer.signedAt).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+        drawTextInBox(page, value, box, helveticaFont);
+      } else if (field.type === 'TEXT' && field.value) {
+        // A fonte padrão (WinAnsi) não codifica emojis e afins
+        page.drawText(field.value.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?'), {
+          x: box.x + 2,
+          y: box.y + box.height - 11,
+          size: 9,
+          lineHeight: 11,
+          maxWidth: box.width - 4,
+          font: helveticaFont,
+          color: rgb(0.1, 0.1, 0.1),
+        });
       }
     }
+  }
+};
+
+/**
+ * Desenha o "Registro de Assinaturas" (dados de cada signatário + QR Code) no fim do documento,
+ * criando páginas novas quando necessário.
+ *
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {Array<object>} signedSigners
+ * @param {object} documentData
+ * @param {Map} [qrCache]
+ */
+const drawSignatureRegistry = async (pdfDoc, signedSigners, documentData, qrCache = new Map()) => {
+  const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  // Dimensões do carimbo
+  const stampWidth = 500; // Mais largo para caber o texto ao lado
+  const stampHeight = 100;
+  const verticalMargin = 30; 
+  
+  // Pega a última página (ou cria uma nova se não couber, mas aqui vamos na ultima)
+  // Se quiser adicionar uma página de logs separada (como na img1), a lógica seria: pdfDoc.addPage()
+  // Aqui faremos desenhado na página (estilo img2)
+  let page = pdfDoc.getPage(pdfDoc.getPageCount() - 1);
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  
+  // Se tiver muitos signatários, adiciona nova página de logs
+  const requiredHeight = signedSigners.length * (stampHeight + 20) + 100;
+  if (requiredHeight > pageHeight) {
+      page = pdfDoc.addPage();
+  }
+
+  let currentY = page.getHeight() - 50; // Começa do topo
+
+  // Título da página de assinaturas se for nova página ou apenas rodapé
+  page.drawText('Registro de Assinaturas', {
+      x: 50,
+      y: currentY,
+      size: 14,
+      font: helveticaBold,
+      color: rgb(0, 0, 0),
+  });
+  currentY -= 40;
+
+  for (const signer of signedSigners) {
+    // 1. Carrega Imagem da Assinatura (se tiver desenhado)
+    let signatureImage = null;
+    if (signer.signatureArtefactPath) {
+        try {
+          const imgBytes = await storageService.getBuffer(signer.signatureArtefactPath);
+          signatureImage = await pdfDoc.embedPng(imgBytes);
+        } catch(e) { console.error('Erro img assinatura:', e); }
+    }
+
+    // 2. Prepara os Textos (Baseado na sua referência)
+    const signedAt = new Date(signer.signedAt).toLocaleString('pt-BR');
+    const docIdClean = documentData.id;
+    const sigIdClean = signer.signatureUuid || signer.id; // Usa o UUID gerado
+    
+    const textLines = [
+      `Assinado por: ${signer.name}`,
+      `CPF: ${signer.cpf || 'Não informado'}`,
+      `E-mail: ${signer.email}`,
+      `Data/Hora: ${signedAt}`,
+      `IP: ${signer.ip || 'Não registrado'}`,
+      `ID Assinatura: ${sigIdClean}`,
+      `Hash Doc: ${documentData.sha256 ? documentData.sha256.substring(0, 20) + '...' : 'N/A'}`
+    ];
+    // Assinatura qualificada: identifica o certificado ICP-Brasil usado
+    const certificateInfo = signer.certificateInfoJson;
+    if (certificateInfo) {
+      textLines.push(`Certificado: ${certificateInfo.issuer} (série ${certificateInfo.serialNumber})`.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?'));
+    }
+    const lineSpacing = textLines.length > 7 ? 11 : 12;
+
+    // 3. Desenha a Imagem (Esquerda)
+    if (signatureImage) {
+        const imgDims = signatureImage.scaleToFit(150, 80);
+        page.drawImage(signatureImage, {
+            x: 50,
+            y: currentY - 80,
+            width: imgDims.width,
+            height: imgDims.height
+        });
+    } else {
+        // Placeholder se não tiver imagem desenhada
+        page.drawText(certificateInfo ? (certificateInfo.chainTrusted === true ? '(Assinatura Digital ICP-Brasil)' : '(Assinatura Digital)') : '(Assinatura Eletrônica)', {
+            x: 60,
+            y: currentY - 50,
+            size: 10,
+            font: helveticaFont,
+            color: rgb(0.5, 0.5, 0.5)
+        });
+    }
+
+    // 4. Desenha o Texto (Direita da imagem)
+    let textY = currentY - 10;
+    for (const line of textLines) {
+        page.drawText(line, {
+            x: 220, // Deslocado para direita
+            y: textY,
+            size: 9,
+            font: helveticaFont,
+            color: rgb(0.2, 0.2, 0.2),
+        });
+        textY -= lineSpacing; // Espaçamento entre linhas
+    }
+
+    // 4b. QR Code de verificação pública (Direita)
+    const qrImage = await embedVerificationQr(pdfDoc, signer, qrCache);
+    if (qrImage) {
+        page.drawImage(qrImage, { x: 480, y: currentY - 80, width: 65, height: 65 });
+        page.drawText('Verifique', { x: 495, y: currentY - 88, size: 6, font: helveticaFont, color: rgb(0.5, 0.5, 0.5) });
+    }
+
+    // 5. Linha divisória
+    page.drawLine({
+        start: { x: 50, y: currentY - 90 },
+        end: { x: 550, y: currentY - 90 },
+        thickness: 1,
+        color: rgb(0.8, 0.8, 0.8),
+    });
+
+    currentY -= 110; // Próximo bloco
+    
+    // Se estourar a página, cria nova
+    if (currentY < 50) {
+        page = pdfDoc.addPage();
+        currentY = page.getHeight() - 50;
+    }
+  }
+};
+
+/**
+ * Gera as aparências (Form XObjects) dos campos de um signatário que assina com certificado próprio.
+ * O carimbo passa a fazer parte da própria assinatura (widget do campo /Sig) em vez de ser desenhado
+ * no conteúdo da página, o que manteria as revisões anteriores intactas mas fora da área assinada.
+ *
+ * @param {import('pdf-lib').PDFDocument} pdfDoc - Documento que receberá o campo de assinatura.
+ * @param {object} signer - Signatário (name, signedAt, signatureUuid já definidos).
+ * @param {Array<object>} fields - Campos do signatário (objetos simples), com os valores já resolvidos.
+ * @returns {Promise<Array<{ pageIndex: number, rect: number[], appearanceRef: object }>>}
+ */
+const buildSignatureAppearances = async (pdfDoc, signer, fields = []) => {
+  let signerFields = fields.filter(f => f.signerId === signer.id);
+  if (signerFields.length === 0) {
+    const legacy = legacyPositionField(signer);
+    signerFields = legacy ? [legacy] : [];
+  }
+  if (signerFields.length === 0) return [];
+
+  // Cada campo é desenhado numa página própria, do tamanho do campo, e embutido como XObject
+  const stampDoc = await PDFDocument.create();
+  const stampFields = signerFields.map((field, index) => {
+    stampDoc.addPage([field.width, field.height]);
+    return { ...field, page: index + 1, x: 0, y: 0 };
+  });
+  await drawSignatureFields(stampDoc, [signer], stampFields);
+
+  const embeddedPages = await pdfDoc.embedPdf(await stampDoc.save(), stampFields.map((_, index) => index));
+  const pageCount = pdfDoc.getPageCount();
+  const widgets = [];
+  for (const [index, embedded] of embeddedPages.entries()) {
+    // Sem o save() do pdf-lib (atualização incremental), o XObject precisa ser gravado explicitamente
+    await embedded.embed();
+    const { page, x, y, width, height } = signerFields[index];
+    if (page < 1 || page > pageCount) continue;
+    widgets.push({ pageIndex: page - 1, rect: [x, y, x + width, y + height], appearanceRef: embedded.ref });
+  }
+  return widgets;
+};
+
+/**
+ * Embute as assinaturas visuais detalhadas (Estilo Clicksign).
+ * Cada assinatura é desenhada no campo definido pelo remetente e o registro detalhado
+ * de todos os signatários é adicionado ao final.
+ *
+ * @param {string} originalStorageKey - Chave do PDF original no armazenamento.
+ * @param {Array<object>} signers
+ * @param {object} documentData
+ * @param {Array<object>} [fields] - Campos do documento (SignatureField).
+ */
+const embedSignatures = async (originalStorageKey, signers, documentData, fields = []) => {
+  try {
+    const pdfBuffer = await storageService.getBuffer(originalStorageKey);
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const signedSigners = signers.filter(s => s.status === 'SIGNED');
+
+    // Carimbos nos campos posicionados (antes do registro, que pode criar novas páginas)
+    const qrCache = new Map();
+    await drawSignatureFields(pdfDoc, signedSigners, fields, qrCache);
+    await drawSignatureRegistry(pdfDoc, signedSigners, documentData, qrCache);
 
     const finalPdfBytes = await pdfDoc.save();
     return Buffer.from(finalPdfBytes);
@@ -136,4 +361,32 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
   }
 };
 
-module.exports = { embedSignatures };
\ No newline at end of file
+/**
+ * Variante de embedSignatures para PDFs que já contêm assinaturas dos signatários (certificado próprio).
+ * Os carimbos de quem assinou eletronicamente e o registro são acrescentados em atualização
+ * incremental, preservando cada revisão assinada. Os signatários com certificado já têm o
+ * carimbo na aparência da própria assinatura.
+ *
+ * @param {Buffer} pdfBuffer - Última revisão assinada.
+ * @param {Array<object>} signers
+ * @param {object} documentData
+ * @param {Array<object>} [fields]
+ * @returns {Promise<Buffer>}
+ */
+const embedSignaturesIncremental = async (pdfBuffer, signers, documentData, fields = []) => {
+  try {
+    const update = await loadForIncrementalUpdate(pdfBuffer);
+    const signedSigners = signers.filter(s => s.status === 'SIGNED');
+
+    const qrCache = new Map();
+    await drawSignatureFields(update.pdfDoc, signedSigners.filter(s => !s.certificateInfoJson), fields, qrCache);
+    await drawSignatureRegistry(update.pdfDoc, signedSigners, documentData, qrCache);
+
+    return update.save();
+  } catch (error) {
+    console.error("[PDF Service] Erro:", error);
+    throw error;
+  }
+};
+
+module.exports = { embedSignatures, embedSignaturesIncremental, buildSignatureAppearances, drawSignatureFields };
\ No newline at end of file
@@ -0,0 +1,171 @@
+// src/services/pdfPrefill.service.js
+'use strict';
+
+const { PDFDocument, StandardFonts, rgb, PDFTextField, PDFCheckBox, PDFDropdown, PDFRadioGroup, PDFOptionList } = require('pdf-lib');
+
+// {{cliente_nome}}, {{ valor.total }}
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const DEFAULT_FONT_SIZE = 11;
+const MAX_PLACEHOLDER_LENGTH = 500;
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Nomes das variáveis usadas em um texto com tags {{variavel}}.
+ * @returns {string[]}
+ */
+const extractVariableNames = (text) => [...String(text).matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+
+// Só as chaves do próprio objeto: {{constructor}} ou {{toString}} não podem vir do protótipo
+const interpolate = (text, variables) => String(text)
+  .replace(VARIABLE_PATTERN, (_, name) => String(Object.hasOwn(variables, name) ? variables[name] : ''));
+
+/**
+ * Valida o objeto de variáveis (valores simples: texto, número ou booleano).
+ * @returns {object}
+ */
+const normalizeVariables = (variables) => {
+  if (variables == null) return {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw buildError("As variáveis devem ser um objeto { nome: valor }.");
+  }
+  for (const [name, value] of Object.entries(variables)) {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw buildError(`Variável '${name}': use apenas texto, número ou booleano.`);
+    }
+  }
+  return variables;
+};
+
+/**
+ * Valida e normaliza as tags de texto a desenhar no PDF.
+ * Coordenadas em pontos PDF, origem no canto inferior esquerdo, página 1-based
+ * (mesma convenção dos campos de assinatura).
+ *
+ * @param {Array<object>} placeholders - [{ text: 'Cliente: {{cliente_nome}}', page, x, y, size }]
+ * @param {Array<{ width: number, height: number }>} pageSizes
+ * @returns {Array<object>}
+ */
+const normalizePlaceholders = (placeholders, pageSizes) => {
+  if (placeholders == null) return [];
+  if (!Array.isArray(placeholders)) {
+    throw buildError('As tags de texto devem ser uma lista.');
+  }
+
+  return placeholders.map((placeholder, index) => {
+    const text = String(placeholder.text || '');
+    if (!text.trim() || text.length > MAX_PLACEHOLDER_LENGTH) {
+      throw buildError(`Tag ${index + 1}: o texto é obrigatório (máx. ${MAX_PLACEHOLDER_LENGTH} caracteres).`);
+    }
+
+    const page = Number(placeholder.page);
+    const [x, y] = [placeholder.x, placeholder.y].map(Number);
+    const size = placeholder.size == null ? DEFAULT_FONT_SIZE : Number(placeholder.size);
+
+    if (!Number.isInteger(page) || page < 1 || page > pageSizes.length) {
+      throw buildError(`Tag ${index + 1}: página inválida (o documento tem ${pageSizes.length} página(s)).`);
+    }
+    if (![x, y, size].every(Number.isFinite) || size <= 0) {
+      throw buildError(`Tag ${index + 1}: coordenadas ou tamanho de fonte inválidos.`);
+    }
+    const { width: pageWidth, height: pageHeight } = pageSizes[page - 1];
+    if (x < 0 || y < 0 || x > pageWidth || y > pageHeight) {
+      throw buildError(`Tag ${index + 1}: a posição está fora dos limites da página ${page}.`);
+    }
+
+    return { text, page, x, y, size };
+  });
+};
+
+/**
+ * Preenche o PDF com as variáveis: campos AcroForm com o mesmo nome da variável
+ * e tags {{variavel}} desenhadas nas coordenadas definidas. Se algum campo foi preenchido, o formulário
+ * é achatado (flatten) para que o conteúdo gerado fique fixo antes do cálculo do hash.
+ *
+ * @param {Buffer} pdfBuffer
+ * @param {object} prefill
+ * @param {object} [prefill.variables] - { cliente_nome: 'Fulano', valor: 'R$ 1.000,00' }
+ * @param {Array<object>} [prefill.placeholders] - Tags de texto (ver normalizePlaceholders).
+ * @returns {Promise<{ buffer: Buffer, formFields: string[], placeholders: Array<object> }>}
+ */
+const fillPdf = async (pdfBuffer, { variables = {}, placeholders = [] }) => {
+  const values = normalizeVariables(variables);
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer);
+  } catch (error) {
+    throw buildError('Não foi possível preencher o PDF (arquivo inválido ou protegido).');
+  }
+
+  const normalized = normalizePlaceholders(placeholders, pdfDoc.getPages().map(page => page.getSize()));
+  const missing = [...new Set(normalized.flatMap(placeholder => extractVariableNames(placeholder.text)))]
+    .filter(name => !Object.hasOwn(values, name));
+  if (missing.length > 0) {
+    throw buildError(`Variáveis não informadas: ${missing.join(', ')}.`);
+  }
+
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const form = pdfDoc.getForm();
+  const formFields = [];
+
+  try {
+    for (const field of form.getFields()) {
+      const name = field.getName();
+      if (!Object.hasOwn(values, name)) continue;
+      const value = values[name];
+
+      if (field instanceof PDFTextField) {
+        field.setText(String(value));
+      } else if (field instanceof PDFCheckBox) {
+        if (value === true || ['true', 'sim', 'x', '1'].includes(String(value).toLowerCase())) field.check();
+        else field.uncheck();
+      } else if (field instanceof PDFDropdown || field instanceof PDFRadioGroup || field instanceof PDFOptionList) {
+        const acceptsAnyValue = field instanceof PDFDropdown && field.isEditable();
+        if (!acceptsAnyValue && !field.getOptions().includes(String(value))) {
+          throw new Error(`'${value}' não é uma opção do campo '${name}' (${field.getOptions().join(', ')})`);
+        }
+        field.select(String(value));
+      } else {
+        continue;
+      }
+      formFields.push(name);
+    }
+
+    if (formFields.length > 0) {
+      form.updateFieldAppearances(font);
+      form.flatten();
+    }
+
+    const pages = pdfDoc.getPages();
+    for (const placeholder of normalized) {
+      pages[placeholder.page - 1].drawText(interpolate(placeholder.text, values), {
+        x: placeholder.x,
+        y: placeholder.y,
+        size: placeholder.size,
+        font,
+        color: rgb(0, 0, 0)
+      });
+    }
+  } catch (error) {
+    // Opção inexistente em lista, caractere fora do WinAnsi etc.
+    throw buildError(`Não foi possível preencher o PDF: ${error.message}`);
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    formFields,
+    placeholders: normalized
+  };
+};
+
+module.exports = {
+  extractVariableNames,
+  normalizeVariables,
+  normalizePlaceholders,
+  fillPdf
+};
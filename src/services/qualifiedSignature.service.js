@@ -0,0 +1,586 @@
+// src/services/qualifiedSignature.service.js
+'use strict';
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument } = require('pdf-lib');
+const { Signer, SignatureField, sequelize } = require('../models');
+
+const padesService = require('./pades.service');
+const pdfService = require('./pdf.service');
+const tsaService = require('./tsa.service');
+const signingFlowService = require('./signingFlow.service');
+const signatureFieldService = require('./signatureField.service');
+const documentVersionService = require('./documentVersion.service');
+const storageService = require('./storage.service');
+const trustStoreService = require('./trustStore.service');
+const revocationService = require('./revocation.service');
+const { validatePdfSignatures } = require('./signatureValidation.service');
+const auditService = require('../features/audit/audit.service');
+const { loadForIncrementalUpdate } = require('../utils/pdfIncrementalUpdate');
+const { parseSignedData, certificateToDer } = require('../utils/cmsParser');
+const { onlyDigits } = require('../utils/validators');
+
+const { asn1, pki } = forge;
+
+/**
+ * Assinatura com o certificado digital do próprio signatário (e-CPF ICP-Brasil).
+ *
+ * Dois modos:
+ * - A1: o signatário envia o .p12 e a senha; o servidor assina e descarta o arquivo.
+ * - Remoto (hash): o servidor prepara a revisão e devolve o digest do /ByteRange;
+ *   o cliente (token A3, nuvem) devolve o CMS, que é conferido antes de ser embutido.
+ *
+ * Cada assinatura vira uma revisão incremental do PDF (Document.signedRevisionKey aponta
+ * para a mais recente); a finalização acrescenta carimbos/selo sem reescrever as anteriores.
+ */
+
+// OID ICP-Brasil (DOC-ICP-04): dados do titular pessoa física no otherName do SubjectAltName
+const OID_ICP_BRASIL_PF_DATA = '2.16.76.1.3.1';
+const OID_SUBJECT_ALT_NAME = '2.5.29.17';
+
+// Validade da revisão preparada para assinatura remota
+const PENDING_SIGNATURE_TTL_MINUTES = 10;
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sha256Of = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const decodeBase64 = (value, label) => {
+  const buffer = typeof value === 'string' ? Buffer.from(value.replace(/^data:[^,]*,/, ''), 'base64') : null;
+  if (!buffer || buffer.length === 0) {
+    throw buildError(`${label} (Base64) é obrigatório.`);
+  }
+  return buffer;
+};
+
+/**
+ * Lê a chave e os certificados de um A1 (.p12). O certificado do signatário é o da chave privada.
+ * @returns {{ certificate: object, chain: Array<object> }}
+ */
+const parseP12 = (p12Buffer, password) => {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(p12Buffer.toString('binary')), password || '');
+  } catch (error) {
+    throw buildError('Não foi possível abrir o certificado: arquivo inválido ou senha incorreta.');
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag] || []),
+  ];
+  const certificates = (p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag] || [])
+    .map(bag => bag.cert)
+    .filter(Boolean);
+
+  const privateKey = keyBags[0]?.key;
+  const certificate = privateKey && certificates.find(cert => cert.publicKey.n && cert.publicKey.n.equals(privateKey.n));
+  if (!certificate) {
+    throw buildError('O arquivo não contém um certificado RSA com a respectiva chave privada.');
+  }
+
+  return { certificate, chain: certificates.filter(cert => cert !== certificate) };
+};
+
+/**
+ * Lê um certificado X.509 em PEM ou DER (Base64).
+ */
+const parseCertificate = (value) => {
+  try {
+    if (typeof value === 'string' && value.includes('-----BEGIN CERTIFICATE-----')) {
+      return pki.certificateFromPem(value);
+    }
+    return pki.certificateFromAsn1(asn1.fromDer(decodeBase64(value, 'Certificado').toString('binary')));
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw buildError('Certificado inválido. Envie o certificado X.509 (RSA) em PEM ou DER (Base64).');
+  }
+};
+
+/**
+ * CPF do titular de um e-CPF: otherName 2.16.76.1.3.1 do SubjectAltName
+ * (nascimento DDMMAAAA + CPF), com o CN "NOME:CPF" como alternativa.
+ * @returns {string|null}
+ */
+const extractCpf = (certificate) => {
+  const extension = certificate.extensions.find(ext => ext.id === OID_SUBJECT_ALT_NAME);
+  if (extension) {
+    try {
+      const generalNames = asn1.fromDer(extension.value).value;
+      for (const name of generalNames) {
+        // otherName [0] { type-id OID, value [0] EXPLICIT ANY }
+        if (name.tagClass !== asn1.Class.CONTEXT_SPECIFIC || name.type !== 0) continue;
+        if (asn1.derToOid(name.value[0].value) !== OID_ICP_BRASIL_PF_DATA) continue;
+        const inner = name.value[1].value[0];
+        const data = Array.isArray(inner.value) ? inner.value.map(part => part.value).join('') : inner.value;
+        const cpf = onlyDigits(String(data).slice(8, 19));
+        if (cpf.length === 11) return cpf;
+      }
+    } catch (e) {
+      // SubjectAltName malformado: tenta o CN
+    }
+  }
+
+  const commonName = certificate.subject.getField('CN')?.value || '';
+  const match = /:(\d{11})$/.exec(commonName);
+  return match ? match[1] : null;
+};
+
+const describeCertificate = (certificate, cpf) => ({
+  subject: certificate.subject.getField('CN')?.value || null,
+  issuer: certificate.issuer.getField('CN')?.value || null,
+  serialNumber: certificate.serialNumber,
+  notBefore: certificate.validity.notBefore.toISOString(),
+  notAfter: certificate.validity.notAfter.toISOString(),
+  fingerprintSha256: sha256Of(certificateToDer(certificate)),
+  cpf,
+});
+
+/**
+ * Confere validade do certificado e se o CPF do titular é o do signatário.
+ * @returns {object} Dados do certificado para auditoria (Signer.certificateInfoJson).
+ */
+const assertCertificateMatchesSigner = (certificate, signer, now = new Date()) => {
+  const signerCpf = onlyDigits(signer.cpf);
+  if (signerCpf.length !== 11) {
+    throw buildError('Informe seu CPF antes de assinar com certificado digital.', 409);
+  }
+  if (now < certificate.validity.notBefore || now > certificate.validity.notAfter) {
+    throw buildError('O certificado digital está fora do prazo de validade.');
+  }
+
+  const certificateCpf = extractCpf(certificate);
+  if (!certificateCpf) {
+    throw buildError('O certificado não identifica um CPF (e-CPF ICP-Brasil).');
+  }
+  if (certificateCpf !== signerCpf) {
+    throw buildError('O CPF do certificado digital não corresponde ao CPF do signatário.', 403);
+  }
+
+  return describeCertificate(certificate, certificateCpf);
+};
+
+/**
+ * Sem raízes confiáveis (ICP_BRASIL_ROOTS_DIR) não há como distinguir um e-CPF de um
+ * certificado autoassinado: a assinatura com certificado fica indisponível.
+ */
+const assertTrustRootsConfigured = () => {
+  if (!trustStoreService.getTrustedRoots()) {
+    throw buildError('A assinatura com certificado digital não está disponível: nenhuma raiz confiável (ICP-Brasil) configurada.', 503);
+  }
+};
+
+/**
+ * Verifica a cadeia do certificado até uma raiz confiável (ver trustStore.service).
+ * @returns {true}
+ */
+const assertTrustedChain = (certificate, intermediates = []) => {
+  assertTrustRootsConfigured();
+  if (!trustStoreService.isTrustedChain(certificate, intermediates)) {
+    throw buildError('O certificado digital não pertence a uma cadeia confiável (ICP-Brasil).', 403);
+  }
+  return true;
+};
+
+/**
+ * Consulta a revogação do certificado e da sua cadeia (OCSP/CRL, ver revocation.service).
+ * Recusa se algum estiver revogado; sem resposta dos responders, a situação fica registrada.
+ * @returns {Promise<string>} Situação do certificado do signatário ('good', 'unknown' ou 'unavailable').
+ */
+const assertNotRevoked = async (certificate, intermediates = []) => {
+  const certificates = revocationService.uniqueCertificates([certificate, ...intermediates]);
+  const { statuses, errors } = await revocationService.collectRevocationData(certificates);
+  if (statuses.some(status => status.status === 'revoked')) {
+    throw buildError('O certificado digital (ou um certificado da sua cadeia) está revogado.', 403);
+  }
+  if (errors.length > 0) {
+    console.warn('[Qualified Signature] Revogação do certificado não confirmada:', errors);
+  }
+  return statuses.find(status => status.serialNumber === certificate.serialNumber)?.status || 'unavailable';
+};
+
+/**
+ * Última revisão assinada do documento ou, na primeira assinatura com certificado,
+ * o original normalizado (xref clássica) para receber atualizações incrementais.
+ * @returns {Promise<{ key: string|null, buffer: Buffer }>}
+ */
+const loadBaseRevision = async (document) => {
+  if (document.signedRevisionKey) {
+    return { key: document.signedRevisionKey, buffer: await storageService.getBuffer(document.signedRevisionKey) };
+  }
+  const original = await PDFDocument.load(await storageService.getBuffer(document.storageKey));
+  return { key: null, buffer: Buffer.from(await original.save({ useObjectStreams: false })) };
+};
+
+const revisionKeyFor = (document, suffix) => storageService.buildKey(document.tenantId, 'revisions', `${document.id}-${suffix}.pdf`);
+
+/**
+ * Com a unidade já travada, trava e recarrega o signatário e confere que a assinatura ainda cabe.
+ * Envios simultâneos do mesmo signatário passam todos pelo resolveSignerToken; aqui só o primeiro segue.
+ * @returns {Promise<object>} Signatário recarregado.
+ */
+const lockPendingSigner = async (lockedUnit, signer, transaction) => {
+  if (!['READY', 'PARTIALLY_SIGNED'].includes(lockedUnit.status)) {
+    throw buildError(`O documento não aceita mais assinaturas (status: ${lockedUnit.status}).`, 409);
+  }
+  const lockedSigner = await Signer.findByPk(signer.id, { lock: transaction.LOCK.UPDATE, transaction });
+  if (!lockedSigner || !signingFlowService.PENDING_STATUSES.includes(lockedSigner.status)) {
+    throw buildError('A assinatura deste signatário já foi registrada.', 409);
+  }
+  return lockedSigner;
+};
+
+/**
+ * Acrescenta à revisão base o campo de assinatura do signatário, com os carimbos dos seus
+ * campos neste arquivo como aparência, e calcula o digest a ser assinado.
+ */
+const prepareRevision = async (document, base, signer, { fieldValues, signedAt, signatureUuid }) => {
+  const fields = await SignatureField.findAll({ where: { signerId: signer.id, documentId: document.id } });
+  const values = signatureFieldService.resolveFieldValues(fields, fieldValues, signedAt);
+
+  const stampSigner = { ...signer.get({ plain: true }), signedAt, signatureUuid, signatureArtefactPath: null };
+  const stampFields = fields.map(field => ({
+    ...field.get({ plain: true }),
+    value: values.has(field.id) ? values.get(field.id) : field.value,
+  }));
+
+  const update = await loadForIncrementalUpdate(base.buffer);
+  const widgets = await pdfService.buildSignatureAppearances(update.pdfDoc, stampSigner, stampFields);
+  return padesService.prepareSignerRevision(update, {
+    fieldName: `Assinatura_${signer.id}`,
+    signerName: signer.name,
+    signingTime: signedAt,
+    widgets,
+  });
+};
+
+const describeTimestamp = (timestamp) => (timestamp
+  ? { serialNumber: timestamp.serialNumber, genTime: timestamp.genTime.toISOString(), tsaUrl: timestamp.tsaUrl }
+  : null);
+
+/**
+ * Registra a assinatura qualificada: grava as revisões, atualiza o signatário, audita e avança o fluxo.
+ * Em envelopes há uma revisão por arquivo, todas com o mesmo certificado e o mesmo momento de assinatura.
+ * Deve ser chamado com a linha da unidade (documento ou envelope) travada.
+ *
+ * @param {object} unit - Documento ou Envelope.
+ * @param {Array<{ document: object, buffer: Buffer, timestamp: object|null, timestampError: string|null }>} revisions
+ */
+const finishSignature = async (unit, signer, revisions, details, transaction) => {
+  const { certificateInfo, signedAt, signatureUuid, fieldValues, method, clientFingerprint, ip, userAgent } = details;
+
+  for (const { document, buffer } of revisions) {
+    // Uma chave por assinatura: nunca sobrescreve o arquivo de uma versão já registrada
+    const revisionKey = revisionKeyFor(document, `${signer.id}-${signatureUuid}`);
+    await storageService.put(revisionKey, buffer);
+    document.signedRevisionKey = revisionKey;
+    await document.save({ transaction });
+
+    await documentVersionService.recordVersion(document, {
+      kind: 'SIGNED_REVISION',
+      buffer,
+      storageKey: revisionKey,
+      actorKind: 'SIGNER',
+      actorId: signer.id,
+      reason: `Assinatura com certificado digital de ${signer.name}`
+    }, transaction);
+  }
+
+  await signatureFieldService.applyFieldValues(signer, fieldValues, signedAt, transaction);
+
+  // O hash da assinatura é o da própria revisão assinada (em envelopes, o dos hashes de cada revisão)
+  const revisionHashes = revisions.map(({ buffer }) => sha256Of(buffer));
+  const signatureHash = revisionHashes.length === 1 ? revisionHashes[0] : sha256Of(revisionHashes.join(''));
+  const shortCode = signatureHash.substring(0, 6).toUpperCase();
+
+  signer.status = 'SIGNED';
+  signer.signedAt = signedAt;
+  signer.signatureHash = signatureHash;
+  signer.shortCode = shortCode;
+  signer.ip = ip;
+  signer.signatureUuid = signatureUuid;
+  signer.certificateInfoJson = certificateInfo;
+  signer.pendingSignatureJson = null;
+  await signer.save({ transaction });
+
+  const [{ timestamp }] = revisions;
+  const timestampError = revisions.map(r => r.timestampError).find(Boolean);
+  await auditService.createEntry({
+    tenantId: unit.tenantId,
+    actorKind: 'SIGNER',
+    actorId: signer.id,
+    ...signingFlowService.unitAuditEntity(unit),
+    action: 'SIGNED',
+    ip,
+    userAgent,
+    payload: {
+      mode: 'QUALIFIED',
+      method,
+      signatureHash,
+      shortCode,
+      clientFingerprint,
+      ip,
+      certificate: certificateInfo,
+      timestamp: describeTimestamp(timestamp),
+      ...(timestampError && { timestampError }),
+      ...(signingFlowService.isEnvelope(unit) && {
+        documents: revisions.map((revision, index) => ({
+          documentId: revision.document.id,
+          revisionSha256: revisionHashes[index],
+          timestamp: describeTimestamp(revision.timestamp)
+        }))
+      })
+    }
+  }, transaction);
+
+  const { isComplete } = await signingFlowService.advanceSigningFlow(unit, { transaction });
+  return { shortCode, signatureHash, isComplete };
+};
+
+/**
+ * Assina com o A1 (.p12) do signatário. O arquivo e a senha não são armazenados.
+ * Em envelopes, cada arquivo recebe a sua revisão assinada.
+ *
+ * @param {object} unit - Documento ou Envelope.
+ * @param {object} signer
+ * @param {object} data - { p12 (Base64), password, fieldValues, clientFingerprint }
+ * @param {object} context - { ip, userAgent }
+ * @returns {Promise<{ shortCode: string, signatureHash: string, isComplete: boolean }>}
+ */
+const signWithP12 = async (unit, signer, data, context) => {
+  const p12Buffer = decodeBase64(data.p12, 'Certificado A1 (.p12)');
+  const { certificate, chain } = parseP12(p12Buffer, data.password);
+  const certificateInfo = assertCertificateMatchesSigner(certificate, signer);
+  certificateInfo.chainTrusted = assertTrustedChain(certificate, chain);
+  certificateInfo.revocationStatus = await assertNotRevoked(certificate, chain);
+
+  const transaction = await sequelize.transaction();
+  try {
+    const lockedUnit = await signingFlowService.lockSigningUnit(unit, transaction);
+    const lockedSigner = await lockPendingSigner(lockedUnit, signer, transaction);
+    const documents = await signingFlowService.getUnitDocuments(lockedUnit, transaction);
+
+    const signedAt = new Date();
+    const signatureUuid = uuidv4();
+    const tsa = await tsaService.getTsaConfig(unit.tenantId, transaction);
+
+    const revisions = [];
+    for (const document of documents) {
+      const { pdf, byteRange } = await prepareRevision(document, await loadBaseRevision(document), lockedSigner, {
+        fieldValues: data.fieldValues,
+        signedAt,
+        signatureUuid,
+      });
+
+      const { cms, timestamp, timestampError } = await padesService.signWithP12(
+        padesService.getSignedContent(pdf, byteRange), p12Buffer, data.password || '', { tsa, signingTime: signedAt }
+      );
+      revisions.push({ document, buffer: padesService.insertSignature(pdf, byteRange, cms), timestamp, timestampError });
+    }
+
+    const result = await finishSignature(lockedUnit, lockedSigner, revisions, {
+      certificateInfo,
+      signedAt,
+      signatureUuid,
+      fieldValues: data.fieldValues,
+      method: 'A1',
+      clientFingerprint: data.clientFingerprint,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    }, transaction);
+
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Assinatura remota, etapa 1: prepara a revisão com o campo do signatário e devolve o
+ * digest (SHA-256) dos bytes do /ByteRange, a ser usado como messageDigest do CMS.
+ * Em envelopes, devolve um digest por arquivo em 'documents' (o cliente assina cada um).
+ *
+ * @param {object} data - { certificate (PEM ou DER Base64), fieldValues }
+ * @returns {Promise<{ digest: string, digestBase64: string, algorithm: string, byteRange: number[], signingTime: Date, expiresAt: Date, documents: Array<object> }>}
+ */
+const prepareRemoteSignature = async (unit, signer, data) => {
+  assertTrustRootsConfigured();
+  const certificate = parseCertificate(data.certificate);
+  const certificateInfo = assertCertificateMatchesSigner(certificate, signer);
+
+  const signedAt = new Date();
+  const signatureUuid = uuidv4();
+
+  const prepared = [];
+  for (const document of await signingFlowService.getUnitDocuments(unit)) {
+    const base = await loadBaseRevision(document);
+    const { pdf, byteRange, digest } = await prepareRevision(document, base, signer, {
+      fieldValues: data.fieldValues,
+      signedAt,
+      signatureUuid,
+    });
+
+    const pendingKey = revisionKeyFor(document, `${signer.id}-${signatureUuid}-pending`);
+    await storageService.put(pendingKey, pdf);
+    prepared.push({ document, pendingKey, baseRevisionKey: base.key, byteRange, digest });
+  }
+
+  const expiresAt = new Date(signedAt.getTime() + PENDING_SIGNATURE_TTL_MINUTES * 60 * 1000);
+  signer.pendingSignatureJson = {
+    documents: prepared.map(({ document, pendingKey, baseRevisionKey, byteRange, digest }) => ({
+      documentId: document.id,
+      pendingKey,
+      baseRevisionKey,
+      byteRange,
+      digest: digest.toString('hex'),
+    })),
+    certificateInfo,
+    signedAt: signedAt.toISOString(),
+    signatureUuid,
+    fieldValues: data.fieldValues || {},
+    expiresAt: expiresAt.toISOString(),
+  };
+  await signer.save();
+
+  const documents = prepared.map(({ document, byteRange, digest }) => ({
+    documentId: document.id,
+    title: document.title,
+    digest: digest.toString('hex'),
+    digestBase64: digest.toString('base64'),
+    byteRange,
+  }));
+  // Documento avulso: o digest único também vai no nível superior
+  const [single] = documents;
+
+  return {
+    ...(documents.length === 1 && { digest: single.digest, digestBase64: single.digestBase64, byteRange: single.byteRange }),
+    algorithm: 'SHA-256',
+    signingTime: signedAt,
+    expiresAt,
+    documents,
+  };
+};
+
+/**
+ * Confere o CMS recebido contra a revisão preparada de um arquivo e devolve o PDF preparado.
+ * O CMS precisa cobrir exatamente os bytes preparados, com o certificado informado na etapa 1.
+ */
+const verifyRemoteCms = async (pendingDocument, certificateInfo, cmsDer) => {
+  const pdf = await storageService.getBuffer(pendingDocument.pendingKey);
+  const signed = padesService.insertSignature(pdf, pendingDocument.byteRange, cmsDer);
+
+  const validation = (await validatePdfSignatures(signed)).signatures
+    .find(s => s.byteRange.join(' ') === pendingDocument.byteRange.join(' '));
+  const valid = validation
+    && validation.intact
+    && validation.signatureVerified === true
+    && validation.certificateChain[0]?.fingerprintSha256 === certificateInfo.fingerprintSha256;
+  if (!valid) {
+    throw buildError('A assinatura enviada não corresponde ao documento preparado ou ao certificado informado.');
+  }
+  return pdf;
+};
+
+/**
+ * Assinatura remota, etapa 2: recebe o CMS (adbe.pkcs7.detached) gerado pelo cliente,
+ * confere digest, assinatura e certificado e registra a revisão.
+ *
+ * @param {object} data - { cms (Base64), clientFingerprint } ou, em envelopes,
+ *   { signatures: [{ documentId, cms }], clientFingerprint }
+ * @param {object} context - { ip, userAgent }
+ */
+const completeRemoteSignature = async (unit, signer, data, context) => {
+  const pending = signer.pendingSignatureJson;
+  if (!pending || !Array.isArray(pending.documents)) {
+    throw buildError('Nenhuma assinatura preparada. Inicie a assinatura com certificado novamente.', 409);
+  }
+  if (new Date() > new Date(pending.expiresAt)) {
+    throw buildError('A assinatura preparada expirou. Inicie a assinatura com certificado novamente.', 409);
+  }
+
+  const cmsByDocument = new Map();
+  if (Array.isArray(data.signatures)) {
+    data.signatures.forEach(item => cmsByDocument.set(item?.documentId, item?.cms));
+  } else if (pending.documents.length === 1) {
+    cmsByDocument.set(pending.documents[0].documentId, data.cms);
+  }
+
+  const verified = [];
+  for (const pendingDocument of pending.documents) {
+    if (!cmsByDocument.has(pendingDocument.documentId)) {
+      throw buildError(`Assinatura CMS não enviada para o arquivo ${pendingDocument.documentId}.`);
+    }
+    const cmsDer = decodeBase64(cmsByDocument.get(pendingDocument.documentId), 'Assinatura CMS');
+    const pdf = await verifyRemoteCms(pendingDocument, pending.certificateInfo, cmsDer);
+    verified.push({ pendingDocument, cmsDer, pdf });
+  }
+
+  const { certificates } = parseSignedData(asn1.fromDer(verified[0].cmsDer.toString('binary'), { strict: false }));
+  const certificate = certificates.find(cert => sha256Of(certificateToDer(cert)) === pending.certificateInfo.fingerprintSha256);
+  const certificateInfo = {
+    ...pending.certificateInfo,
+    chainTrusted: assertTrustedChain(certificate, certificates),
+    revocationStatus: await assertNotRevoked(certificate, certificates)
+  };
+
+  const transaction = await sequelize.transaction();
+  try {
+    const lockedUnit = await signingFlowService.lockSigningUnit(unit, transaction);
+    const lockedSigner = await lockPendingSigner(lockedUnit, signer, transaction);
+    // Outra preparação (ou conclusão) pode ter substituído a revisão conferida acima
+    if (lockedSigner.pendingSignatureJson?.signatureUuid !== pending.signatureUuid) {
+      throw buildError('A assinatura preparada foi substituída. Inicie a assinatura com certificado novamente.', 409);
+    }
+    const documents = await signingFlowService.getUnitDocuments(lockedUnit, transaction);
+    const tsa = await tsaService.getTsaConfig(unit.tenantId, transaction);
+
+    const revisions = [];
+    for (const { pendingDocument, cmsDer, pdf } of verified) {
+      const document = documents.find(d => d.id === pendingDocument.documentId);
+      if (!document || (document.signedRevisionKey || null) !== pendingDocument.baseRevisionKey) {
+        throw buildError('Outra assinatura foi registrada enquanto esta era preparada. Inicie a assinatura com certificado novamente.', 409);
+      }
+
+      // Carimbo do tempo sobre a assinatura do cliente (atributo não assinado: não altera o que foi conferido)
+      const { cms, timestamp, timestampError } = tsa.url
+        ? await padesService.timestampSignature(cmsDer, tsa)
+        : { cms: cmsDer, timestamp: null, timestampError: null };
+      revisions.push({ document, buffer: padesService.insertSignature(pdf, pendingDocument.byteRange, cms), timestamp, timestampError });
+    }
+
+    const result = await finishSignature(lockedUnit, lockedSigner, revisions, {
+      certificateInfo,
+      signedAt: new Date(pending.signedAt),
+      signatureUuid: pending.signatureUuid,
+      fieldValues: pending.fieldValues,
+      method: 'REMOTE',
+      clientFingerprint: data.clientFingerprint,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    }, transaction);
+
+    await transaction.commit();
+    for (const { pendingDocument } of verified) {
+      await storageService.delete(pendingDocument.pendingKey);
+    }
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  extractCpf,
+  signWithP12,
+  prepareRemoteSignature,
+  completeRemoteSignature,
+};
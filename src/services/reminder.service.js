@@ -0,0 +1,133 @@
+// src/services/reminder.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { Document, Envelope, Signer, sequelize } = require('../models');
+const notificationService = require('./notification.service');
+const signingFlowService = require('./signingFlow.service');
+const auditService = require('../features/audit/audit.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decide se um signatário deve receber lembrete agora, conforme a cadência do documento:
+ * - a cada 'reminderIntervalDays' dias desde o convite (ou último lembrete);
+ * - uma vez ao entrar na janela de 'reminderDaysBeforeDeadline' dias antes do prazo;
+ * - nunca acima de 'maxRemindersPerSigner' lembretes.
+ * @param {object} document - Documento com as configurações de lembrete.
+ * @param {object} signer - Signatário pendente.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isReminderDue = (document, signer, now = new Date()) => {
+  if (signer.remindersSent >= document.maxRemindersPerSigner) return false;
+
+  // Documentos antigos não possuem 'invitedAt': usa a criação do documento
+  const invitedAt = signer.invitedAt || document.createdAt;
+  const lastContact = signer.lastRemindedAt || invitedAt;
+
+  if (document.reminderIntervalDays > 0) {
+    if (now.getTime() - new Date(lastContact).getTime() >= document.reminderIntervalDays * DAY_MS) {
+      return true;
+    }
+  }
+
+  if (document.deadlineAt && document.reminderDaysBeforeDeadline > 0) {
+    const deadline = new Date(document.deadlineAt);
+    const windowStart = new Date(deadline.getTime() - document.reminderDaysBeforeDeadline * DAY_MS);
+    const alreadyRemindedInWindow = signer.lastRemindedAt && new Date(signer.lastRemindedAt) >= windowStart;
+
+    if (now >= windowStart && now < deadline && !alreadyRemindedInWindow) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Envia um lembrete para o signatário com um novo link de assinatura.
+ * O link antigo continua válido; o novo token é necessário porque o token original não é armazenado.
+ * @param {object} document - Documento ou Envelope.
+ */
+const sendReminder = async (document, signer) => {
+  const transaction = await sequelize.transaction();
+  let token;
+
+  try {
+    token = await signingFlowService.createShareToken(document, signer, transaction);
+
+    signer.remindersSent += 1;
+    signer.lastRemindedAt = new Date();
+    await signer.save({ transaction });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'SYSTEM',
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'REMINDER_SENT',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        ...signingFlowService.unitScope(document),
+        recipient: signer.email,
+        channels: signer.authChannels,
+        reminderNumber: signer.remindersSent
+      }
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await notificationService.sendSignReminder(signer, token, document);
+};
+
+/**
+ * Percorre os documentos e envelopes com lembretes automáticos ativos e envia os lembretes devidos.
+ * Em modo sequencial, apenas o grupo liberado recebe lembretes.
+ * @returns {Promise<number>} Quantidade de lembretes enviados.
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const query = {
+    where: {
+      autoReminders: true,
+      status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED'] },
+      [Op.or]: [
+        { deadlineAt: null },
+        { deadlineAt: { [Op.gt]: now } }
+      ]
+    },
+    include: [{ model: Signer, as: 'Signers' }]
+  };
+  const documents = [...await Envelope.findAll(query), ...await Document.findAll(query)];
+
+  let sent = 0;
+  for (const doc of documents) {
+    const activeOrder = signingFlowService.getActiveSigningOrder(doc, doc.Signers);
+
+    for (const signer of doc.Signers) {
+      if (!signingFlowService.PENDING_STATUSES.includes(signer.status)) continue;
+      if (activeOrder !== null && signer.order !== activeOrder) continue;
+      if (!isReminderDue(doc, signer, now)) continue;
+
+      try {
+        await sendReminder(doc, signer);
+        sent += 1;
+      } catch (error) {
+        console.error(`[CRON] Falha ao enviar lembrete para ${signer.email} (documento ${doc.id}):`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  isReminderDue,
+  sendReminder,
+  sendDueReminders
+};
@@ -0,0 +1,425 @@
+// src/services/revocation.service.js
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const forge = require('node-forge');
+const trustStoreService = require('./trustStore.service');
+const { certificateToDer } = require('../utils/cmsParser');
+const { assertPublicHttpUrl } = require('../utils/networkGuard');
+
+const { asn1, pki } = forge;
+
+const OID_SHA1 = '1.3.14.3.2.26';
+const OID_OCSP_ACCESS = '1.3.6.1.5.5.7.48.1';
+const OID_OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1';
+const OID_OCSP_NONCE = '1.3.6.1.5.5.7.48.1.2';
+const OID_AUTHORITY_INFO_ACCESS = '1.3.6.1.5.5.7.1.1';
+const OID_CRL_DISTRIBUTION_POINTS = '2.5.29.31';
+// id-kp-OCSPSigning (RFC 6960 §4.2.2.2): responder delegado pelo emissor
+const OID_KP_OCSP_SIGNING = '1.3.6.1.5.5.7.3.9';
+
+// Algoritmos de assinatura de respostas OCSP e CRLs que o crypto nativo verifica
+const SIGNATURE_DIGESTS = {
+  '1.2.840.113549.1.1.5': 'sha1',
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512'
+};
+
+const DEFAULT_TIMEOUT_MS = 5000;
+// Orçamento total das consultas: roda com o documento travado (finalização, recarimbo)
+const DEFAULT_TOTAL_TIMEOUT_MS = 15000;
+// Tolerância de relógio para thisUpdate/nextUpdate
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+let responderCertificatesCache;
+
+/**
+ * Responders configurados no .env. Quando definidos, substituem as URLs dos certificados
+ * (AIA / CRL Distribution Points) — útil para apontar para um stub local em desenvolvimento.
+ * Só esses responders podem estar na rede interna. REVOCATION_RESPONDER_CERT (PEM) indica o
+ * certificado que assina as respostas deles, quando não é o emissor nem um responder delegado.
+ */
+const getRevocationConfig = () => ({
+  ocspUrl: process.env.REVOCATION_OCSP_URL || null,
+  crlUrl: process.env.REVOCATION_CRL_URL || null,
+  timeoutMs: Number(process.env.REVOCATION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  totalTimeoutMs: Number(process.env.REVOCATION_TOTAL_TIMEOUT_MS) || DEFAULT_TOTAL_TIMEOUT_MS
+});
+
+/**
+ * Certificados de responders configurados localmente (RFC 6960 §4.2.2.2, "Trusted Responder").
+ * @returns {crypto.X509Certificate[]}
+ */
+const getConfiguredResponderCertificates = () => {
+  const certPath = process.env.REVOCATION_RESPONDER_CERT || null;
+  if (responderCertificatesCache?.path === certPath) return responderCertificatesCache.certificates;
+
+  let certificates = [];
+  if (certPath) {
+    try {
+      const pem = fs.readFileSync(certPath, 'latin1');
+      certificates = (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+        .map(block => new crypto.X509Certificate(block));
+    } catch (error) {
+      console.warn('[Revocation] Certificado do responder configurado indisponível:', error.message);
+    }
+  }
+  responderCertificatesCache = { path: certPath, certificates };
+  return certificates;
+};
+
+/**
+ * Coleta as URIs (GeneralName uniformResourceIdentifier, [6]) de uma extensão.
+ */
+const collectUris = (node, uris = []) => {
+  if (node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 6 && !node.constructed) {
+    uris.push(node.value);
+  } else if (Array.isArray(node.value)) {
+    node.value.forEach(child => collectUris(child, uris));
+  }
+  return uris;
+};
+
+const extensionUris = (cert, oid, accessMethod = null) => {
+  const extension = cert.extensions.find(ext => ext.id === oid);
+  if (!extension) return [];
+  try {
+    const parsed = asn1.fromDer(extension.value);
+    // AIA: SEQUENCE OF AccessDescription { accessMethod, accessLocation }
+    const nodes = accessMethod
+      ? parsed.value.filter(desc => asn1.derToOid(desc.value[0].value) === accessMethod)
+      : [parsed];
+    return nodes.flatMap(node => collectUris(node)).filter(uri => /^https?:\/\//i.test(uri));
+  } catch (e) {
+    return [];
+  }
+};
+
+const sha1 = (bytes) => crypto.createHash('sha1').update(Buffer.from(bytes, 'binary')).digest().toString('binary');
+
+const normalizeSerial = (hex) => String(hex).toLowerCase().replace(/^0+/, '');
+
+const toX509 = (cert) => new crypto.X509Certificate(certificateToDer(cert));
+
+const parseTime = (node) => (node.type === asn1.Type.GENERALIZEDTIME
+  ? asn1.generalizedTimeToDate(node.value)
+  : asn1.utcTimeToDate(node.value));
+
+// Hash da chave pública do emissor (conteúdo do BIT STRING = RSAPublicKey)
+const issuerKeyHashOf = (issuer) => pki.getPublicKeyFingerprint(issuer.publicKey, { type: 'RSAPublicKey', md: forge.md.sha1.create() }).getBytes();
+
+/**
+ * Monta um OCSPRequest (RFC 6960 §4.1) para um certificado, com a extensão de nonce (§4.4.1) se informada.
+ * @param {object} cert
+ * @param {object} issuer
+ * @param {Buffer} [nonce]
+ * @returns {Buffer}
+ */
+const buildOcspRequest = (cert, issuer, nonce = null) => {
+  const issuerNameDer = asn1.toDer(pki.distinguishedNameToAsn1(issuer.subject)).getBytes();
+
+  const certId = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_SHA1).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, sha1(issuerNameDer)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, issuerKeyHashOf(issuer)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(cert.serialNumber))
+  ]);
+
+  const tbsRequest = [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [           // requestList
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [certId])
+    ])
+  ];
+  if (nonce) {
+    // requestExtensions [2] EXPLICIT Extensions { nonce: OCTET STRING (OCTET STRING) }
+    tbsRequest.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_OCSP_NONCE).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+            asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, nonce.toString('binary'))).getBytes())
+        ])
+      ])
+    ]));
+  }
+
+  const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbsRequest)
+  ]);
+  return Buffer.from(asn1.toDer(request).getBytes(), 'binary');
+};
+
+/**
+ * Confere uma assinatura (RSA PKCS#1 v1.5 ou ECDSA) sobre 'tbs' com a chave de um dos certificados.
+ * @returns {crypto.X509Certificate|null} O certificado que verificou.
+ */
+const findSigner = (tbsDer, algorithmOid, signature, candidates) => {
+  const digest = SIGNATURE_DIGESTS[algorithmOid];
+  if (!digest) throw new Error(`Algoritmo de assinatura não suportado (${algorithmOid}).`);
+  return candidates.find((candidate) => {
+    try {
+      return crypto.verify(digest, tbsDer, candidate.publicKey, signature);
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+};
+
+/**
+ * Lê e confere um OCSPResponse (RFC 6960): assinatura do emissor, de um responder delegado por ele
+ * (id-kp-OCSPSigning) ou de um responder configurado; SingleResponse do certificado consultado;
+ * janela thisUpdate/nextUpdate; e o nonce, quando o responder o devolve.
+ *
+ * @param {Buffer} responseDer
+ * @param {object} options
+ * @param {object} options.cert - Certificado consultado (forge).
+ * @param {object} options.issuer - Emissor (forge).
+ * @param {Buffer} [options.nonce] - Nonce enviado no pedido.
+ * @param {crypto.X509Certificate[]} [options.trustedResponders] - Responders configurados localmente.
+ * @param {Date} [options.now]
+ * @returns {'good'|'revoked'|'unknown'}
+ */
+const verifyOcspResponse = (responseDer, { cert, issuer, nonce = null, trustedResponders = [], now = new Date() }) => {
+  const response = asn1.fromDer(responseDer.toString('binary'));
+  const responseStatus = response.value[0].value.charCodeAt(0);
+  if (responseStatus !== 0 || !response.value[1]) {
+    throw new Error(`Responder OCSP retornou status ${responseStatus}.`);
+  }
+
+  const responseBytes = response.value[1].value[0];
+  if (asn1.derToOid(responseBytes.value[0].value) !== OID_OCSP_BASIC) {
+    throw new Error('Tipo de resposta OCSP não suportado.');
+  }
+  // BIT STRINGs sem decodificar: a assinatura ECDSA também é um DER e o forge tentaria lê-la
+  const basic = asn1.fromDer(responseBytes.value[1].value, { decodeBitStrings: false });
+  const [tbsResponseData, signatureAlgorithm, signatureBits, certsNode] = basic.value;
+
+  // 1. Quem assinou: o emissor, um responder delegado pelo emissor ou um responder configurado
+  const issuerX509 = toX509(issuer);
+  const delegated = (certsNode ? certsNode.value[0].value : []).flatMap((node) => {
+    try {
+      const candidate = new crypto.X509Certificate(Buffer.from(asn1.toDer(node).getBytes(), 'binary'));
+      const authorized = candidate.checkIssued(issuerX509) && candidate.verify(issuerX509.publicKey)
+        && (candidate.keyUsage || []).includes(OID_KP_OCSP_SIGNING)
+        && now >= new Date(candidate.validFrom) && now <= new Date(candidate.validTo);
+      return authorized ? [candidate] : [];
+    } catch (error) {
+      return [];
+    }
+  });
+
+  const signer = findSigner(
+    Buffer.from(asn1.toDer(tbsResponseData).getBytes(), 'binary'),
+    asn1.derToOid(signatureAlgorithm.value[0].value),
+    Buffer.from(signatureBits.value.slice(1), 'binary'),
+    [issuerX509, ...delegated, ...trustedResponders]
+  );
+  if (!signer) {
+    throw new Error('Assinatura da resposta OCSP inválida ou responder não autorizado.');
+  }
+
+  // 2. SingleResponse do certificado consultado (serial + hash da chave do emissor)
+  const fields = tbsResponseData.value;
+  // version [0] é opcional: 'responses' é o primeiro SEQUENCE após responderID e producedAt
+  const responses = fields.filter(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.SEQUENCE).pop();
+  const issuerKeyHash = issuerKeyHashOf(issuer);
+  const single = responses.value.find(({ value: [certId] }) =>
+    normalizeSerial(forge.util.bytesToHex(certId.value[3].value)) === normalizeSerial(cert.serialNumber)
+    && certId.value[2].value === issuerKeyHash);
+  if (!single) {
+    throw new Error('A resposta OCSP não se refere ao certificado consultado.');
+  }
+
+  // 3. Janela de validade da resposta
+  const [, certStatus, thisUpdateNode, ...rest] = single.value;
+  const nextUpdateNode = rest.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+  if (parseTime(thisUpdateNode) > new Date(now.getTime() + CLOCK_SKEW_MS)) {
+    throw new Error('Resposta OCSP com thisUpdate no futuro.');
+  }
+  if (nextUpdateNode && parseTime(nextUpdateNode.value[0]) < new Date(now.getTime() - CLOCK_SKEW_MS)) {
+    throw new Error('Resposta OCSP expirada (nextUpdate no passado).');
+  }
+
+  // 4. Nonce: muitos responders usam respostas pré-assinadas e não o devolvem; se devolverem, precisa conferir
+  // responseExtensions [1] vem depois de 'responses' (responderID byName também é [1])
+  const extensionsNode = fields.slice(fields.indexOf(responses) + 1).find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 1);
+  const nonceExtension = extensionsNode?.value[0].value.find(ext => asn1.derToOid(ext.value[0].value) === OID_OCSP_NONCE);
+  if (nonceExtension && nonce) {
+    const extnValue = nonceExtension.value[nonceExtension.value.length - 1].value;
+    let echoed = extnValue;
+    try {
+      echoed = asn1.fromDer(extnValue).value;
+    } catch (error) {
+      // Alguns responders devolvem o nonce sem o OCTET STRING interno
+    }
+    if (!Buffer.from(echoed, 'binary').equals(nonce)) {
+      throw new Error('Nonce da resposta OCSP não confere.');
+    }
+  }
+
+  return ['good', 'revoked', 'unknown'][certStatus.type] || 'unknown';
+};
+
+/**
+ * Lê e confere uma CRL (RFC 5280 §5): assinatura do emissor (ou de um responder configurado),
+ * nextUpdate e presença do serial na lista de revogados.
+ *
+ * @returns {'good'|'revoked'}
+ */
+const verifyCrl = (crlDer, { cert, issuer, trustedResponders = [], now = new Date() }) => {
+  const crl = asn1.fromDer(crlDer.toString('binary'), { decodeBitStrings: false });
+  const [tbsCertList, signatureAlgorithm, signatureBits] = crl.value;
+
+  const signer = findSigner(
+    Buffer.from(asn1.toDer(tbsCertList).getBytes(), 'binary'),
+    asn1.derToOid(signatureAlgorithm.value[0].value),
+    Buffer.from(signatureBits.value.slice(1), 'binary'),
+    [toX509(issuer), ...trustedResponders]
+  );
+  if (!signer) {
+    throw new Error('Assinatura da CRL inválida ou emissor não reconhecido.');
+  }
+
+  // tbsCertList: version? signature issuer thisUpdate nextUpdate? revokedCertificates? [0] crlExtensions?
+  const fields = tbsCertList.value.filter(node => node.tagClass === asn1.Class.UNIVERSAL);
+  const offset = fields[0].type === asn1.Type.INTEGER ? 1 : 0;
+  const [, , , nextUpdateNode, revokedNode] = fields.slice(offset);
+  const hasNextUpdate = nextUpdateNode && [asn1.Type.UTCTIME, asn1.Type.GENERALIZEDTIME].includes(nextUpdateNode.type);
+  if (hasNextUpdate && parseTime(nextUpdateNode) < new Date(now.getTime() - CLOCK_SKEW_MS)) {
+    throw new Error('CRL expirada (nextUpdate no passado).');
+  }
+
+  const revokedList = hasNextUpdate ? revokedNode : nextUpdateNode;
+  const serial = normalizeSerial(cert.serialNumber);
+  const revoked = revokedList?.type === asn1.Type.SEQUENCE
+    && revokedList.value.some(entry => normalizeSerial(forge.util.bytesToHex(entry.value[0].value)) === serial);
+  return revoked ? 'revoked' : 'good';
+};
+
+const fetchOcspResponse = async (url, cert, issuer, { timeout, restricted, trustedResponders }) => {
+  const nonce = crypto.randomBytes(16);
+  const response = await axios.post(url, buildOcspRequest(cert, issuer, nonce), {
+    headers: { 'Content-Type': 'application/ocsp-request' },
+    responseType: 'arraybuffer',
+    timeout,
+    ...(restricted && { maxRedirects: 0 })
+  });
+  const der = Buffer.from(response.data);
+  return { der, status: verifyOcspResponse(der, { cert, issuer, nonce, trustedResponders }) };
+};
+
+const fetchCrl = async (url, { timeout, restricted }) => {
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout, ...(restricted && { maxRedirects: 0 }) });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Coleta dados de revogação (OCSP, com CRL como alternativa) para uma lista de certificados.
+ * Certificados autoassinados (raízes) não têm revogação a consultar e são ignorados.
+ *
+ * Proteções (as URLs vêm de certificados enviados por signatários):
+ * - URLs dos certificados só são consultadas se o certificado for de uma AC do trust store
+ *   (ICP_BRASIL_ROOTS_DIR) e apontarem para hosts públicos, sem seguir redirecionamentos;
+ *   os responders do .env (REVOCATION_OCSP_URL / REVOCATION_CRL_URL) são sempre aceitos.
+ * - Respostas OCSP e CRLs têm a assinatura conferida; respostas inválidas contam como erro.
+ * - As consultas têm um orçamento total (REVOCATION_TOTAL_TIMEOUT_MS), além do timeout de cada uma.
+ *
+ * @param {Array<object>} certificates - Certificados forge (signatários e cadeias).
+ * @returns {Promise<{ ocsps: Buffer[], crls: Buffer[], statuses: Array<object>, errors: string[] }>}
+ *   statuses[].status: 'good' | 'revoked' | 'unknown' | 'unavailable'.
+ */
+const collectRevocationData = async (certificates) => {
+  const config = getRevocationConfig();
+  const trustedResponders = getConfiguredResponderCertificates();
+  const deadline = Date.now() + config.totalTimeoutMs;
+  const result = { ocsps: [], crls: [], statuses: [], errors: [] };
+  const fetchedCrls = new Map();
+
+  for (const cert of certificates) {
+    if (cert.isIssuer(cert)) continue;
+    // 'a.isIssuer(b)' do forge: b é o emissor de a
+    const issuer = certificates.find(candidate => candidate !== cert && cert.isIssuer(candidate));
+    const subject = cert.subject.getField('CN')?.value || cert.serialNumber;
+    const status = { subject, serialNumber: cert.serialNumber, source: null, status: 'unavailable' };
+    result.statuses.push(status);
+
+    // Sem o emissor não há como montar o pedido OCSP nem conferir a assinatura da CRL
+    if (!issuer) {
+      result.errors.push(`${subject}: emissor ausente da cadeia.`);
+      continue;
+    }
+
+    const fromTrustedCa = trustStoreService.isTrustedChain(cert, certificates, { validityCheckDate: null });
+    const sources = [
+      ...(config.ocspUrl ? [{ source: 'OCSP', url: config.ocspUrl, configured: true }]
+        : extensionUris(cert, OID_AUTHORITY_INFO_ACCESS, OID_OCSP_ACCESS).map(url => ({ source: 'OCSP', url, configured: false }))),
+      ...(config.crlUrl ? [{ source: 'CRL', url: config.crlUrl, configured: true }]
+        : extensionUris(cert, OID_CRL_DISTRIBUTION_POINTS).map(url => ({ source: 'CRL', url, configured: false })))
+    ];
+
+    for (const { source, url, configured } of sources) {
+      const timeout = Math.min(config.timeoutMs, deadline - Date.now());
+      if (timeout <= 0) {
+        result.errors.push(`${source} ${url} (${subject}): tempo total das consultas de revogação esgotado.`);
+        break;
+      }
+
+      try {
+        if (!configured) {
+          if (!fromTrustedCa) throw new Error('certificado fora das ACs confiáveis; URL do certificado não consultada.');
+          await assertPublicHttpUrl(url, 'URL de revogação');
+        }
+        const options = { timeout, restricted: !configured, trustedResponders: configured ? trustedResponders : [] };
+
+        if (source === 'OCSP') {
+          const { der, status: certStatus } = await fetchOcspResponse(url, cert, issuer, options);
+          result.ocsps.push(der);
+          Object.assign(status, { source, status: certStatus });
+        } else {
+          // A mesma lista pode cobrir vários certificados do mesmo emissor
+          if (!fetchedCrls.has(url)) fetchedCrls.set(url, await fetchCrl(url, options));
+          const der = fetchedCrls.get(url);
+          const certStatus = verifyCrl(der, { cert, issuer, trustedResponders: options.trustedResponders });
+          if (!result.crls.includes(der)) result.crls.push(der);
+          Object.assign(status, { source, status: certStatus });
+        }
+        break;
+      } catch (error) {
+        result.errors.push(`${source} ${url} (${subject}): ${error.message}`);
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Remove certificados repetidos (mesmo DER).
+ */
+const uniqueCertificates = (certificates) => {
+  const seen = new Set();
+  return certificates.filter(cert => {
+    const fingerprint = crypto.createHash('sha256').update(certificateToDer(cert)).digest('hex');
+    if (seen.has(fingerprint)) return false;
+    seen.add(fingerprint);
+    return true;
+  });
+};
+
+module.exports = {
+  getRevocationConfig,
+  buildOcspRequest,
+  verifyOcspResponse,
+  verifyCrl,
+  collectRevocationData,
+  uniqueCertificates
+};
@@ -0,0 +1,191 @@
+// src/services/s3Storage.driver.js
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EMPTY_PAYLOAD_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Codificação exigida pela AWS (RFC 3986: além de encodeURIComponent, escapa !'()*)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const notFoundError = (key) => {
+  const error = new Error(`Arquivo não encontrado no armazenamento: ${key}`);
+  error.statusCode = 404;
+  error.code = 'STORAGE_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Assina uma requisição com AWS Signature Version 4 (serviço 's3').
+ * Todos os cabeçalhos recebidos (incluindo 'host', 'x-amz-date' e 'x-amz-content-sha256') entram na assinatura.
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.canonicalUri - Caminho já codificado (ex.: '/bucket/uploads/a.pdf').
+ * @param {string} request.canonicalQuery - Query ordenada e codificada ('' se não houver).
+ * @param {object} request.headers - Nomes em minúsculas.
+ * @param {object} credentials - { region, accessKeyId, secretAccessKey }
+ * @returns {string} Valor do cabeçalho Authorization.
+ */
+const signRequest = ({ method, canonicalUri, canonicalQuery, headers }, { region, accessKeyId, secretAccessKey }) => {
+  const amzDate = headers['x-amz-date'];
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const canonicalHeaders = headerNames
+    .map(name => `${name}:${String(headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Driver para S3 e serviços compatíveis (MinIO, R2, Spaces...), sem SDK: requisições REST assinadas (SigV4).
+ * Com 'forcePathStyle' o bucket vai no caminho (http://host/bucket/chave), que é o formato aceito pelo MinIO local.
+ *
+ * @param {object} config
+ * @param {string} [config.endpoint] - Ex.: http://127.0.0.1:9000 (padrão: https://s3.{region}.amazonaws.com).
+ * @param {string} [config.region='us-east-1']
+ * @param {string} config.bucket
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @param {boolean} [config.forcePathStyle=true]
+ */
+const createS3Driver = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, timeout = DEFAULT_TIMEOUT_MS }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('Armazenamento S3 sem configuração: informe S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY.');
+  }
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const credentials = { region, accessKeyId, secretAccessKey };
+
+  /**
+   * Executa uma operação no bucket. Respostas fora de 2xx (exceto as listadas em 'allowStatus') viram erro.
+   */
+  const request = async (method, key, { query = {}, body = null, headers = {}, responseType = 'text', allowStatus = [] } = {}) => {
+    const keyPath = key ? `/${String(key).split('/').map(encodeRfc3986).join('/')}` : '/';
+    const canonicalUri = forcePathStyle ? `/${bucket}${key ? keyPath : ''}` : keyPath;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const signedHeaders = {
+      host,
+      'x-amz-content-sha256': body ? sha256Hex(body) : EMPTY_PAYLOAD_SHA256,
+      'x-amz-date': new Date().toISOString().replace(/[-:]|\.\d{3}/g, ''),
+      ...headers
+    };
+    const authorization = signRequest({ method, canonicalUri, canonicalQuery, headers: signedHeaders }, credentials);
+
+    // O 'host' assinado é o mesmo que o Node envia a partir da URL
+    const { host: _host, ...requestHeaders } = signedHeaders;
+    const response = await axios({
+      method,
+      url: `${baseUrl.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`,
+      headers: { ...requestHeaders, authorization },
+      data: body || undefined,
+      responseType,
+      transformResponse: data => data,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout,
+      validateStatus: () => true
+    });
+
+    if ((response.status >= 200 && response.status < 300) || allowStatus.includes(response.status)) {
+      return response;
+    }
+
+    const errorBody = responseType === 'stream' ? (await readStream(response.data)).toString() : String(response.data || '');
+    const code = errorBody.match(/<Code>([^<]*)<\/Code>/)?.[1];
+    throw new Error(`Falha no armazenamento S3 (${method} ${key || bucket}): HTTP ${response.status}${code ? ` ${code}` : ''}.`);
+  };
+
+  /**
+   * @param {string} key
+   * @param {Buffer|import('stream').Readable} data - Streams são lidos por inteiro (o hash do corpo entra na assinatura).
+   */
+  const put = async (key, data) => {
+    const body = Buffer.isBuffer(data) ? data : await readStream(data);
+    await request('PUT', key, { body, headers: { 'content-type': 'application/octet-stream' } });
+  };
+
+  /**
+   * @returns {Promise<import('stream').Readable>}
+   */
+  const get = async (key) => {
+    const response = await request('GET', key, { responseType: 'stream', allowStatus: [404] });
+    if (response.status === 404) {
+      response.data.resume();
+      throw notFoundError(key);
+    }
+    return response.data;
+  };
+
+  const remove = async (key) => {
+    // DELETE em chave inexistente também responde 204
+    await request('DELETE', key);
+  };
+
+  const exists = async (key) => {
+    const response = await request('HEAD', key, { allowStatus: [404] });
+    return response.status !== 404;
+  };
+
+  /**
+   * Percorre as chaves sob um prefixo (ListObjectsV2, paginado).
+   * @returns {AsyncGenerator<string>}
+   */
+  async function* list(prefix) {
+    let continuationToken = null;
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const { data: xml } = await request('GET', null, { query });
+      for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        yield decodeXml(match[1]);
+      }
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? decodeXml(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)?.[1] || '')
+        : null;
+    } while (continuationToken);
+  }
+
+  return { name: 's3', bucket, put, get, delete: remove, exists, list };
+};
+
+module.exports = { createS3Driver, signRequest };
@@ -0,0 +1,166 @@
+// src/services/signatureField.service.js
+'use strict';
+
+const { PDFDocument } = require('pdf-lib');
+const { SignatureField } = require('../models');
+const storageService = require('./storage.service');
+
+const FIELD_TYPES = ['SIGNATURE', 'INITIALS', 'DATE', 'TEXT'];
+const MAX_TEXT_LENGTH = 500;
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lê as dimensões das páginas do PDF do documento (para validar os campos).
+ * Aceita um registro com 'storageKey' (documento, modelo) ou o conteúdo em 'buffer' (arquivo ainda não armazenado).
+ * @param {{ storageKey?: string, buffer?: Buffer }} source
+ * @returns {Promise<Array<{ width: number, height: number }>>}
+ */
+const getPdfPageSizes = async (source) => {
+  const pdfBuffer = source.buffer || await storageService.getBuffer(source.storageKey);
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  return pdfDoc.getPages().map(page => page.getSize());
+};
+
+/**
+ * Valida e normaliza as definições de campos enviadas pelo remetente.
+ * Coordenadas em pontos PDF, origem no canto inferior esquerdo, página 1-based.
+ *
+ * @param {Array<object>} fields - [{ type, page, x, y, width, height, required, label }]
+ * @param {Array<{ width: number, height: number }>} pageSizes
+ * @returns {Array<object>}
+ */
+const normalizeFieldDefinitions = (fields, pageSizes) => {
+  if (!Array.isArray(fields)) {
+    throw buildError('Os campos do signatário devem ser uma lista.');
+  }
+
+  return fields.map((field, index) => {
+    const type = field.type || 'SIGNATURE';
+    if (!FIELD_TYPES.includes(type)) {
+      throw buildError(`Campo ${index + 1}: tipo inválido. Use ${FIELD_TYPES.join(', ')}.`);
+    }
+
+    const page = Number(field.page);
+    const [x, y, width, height] = [field.x, field.y, field.width, field.height].map(Number);
+
+    if (!Number.isInteger(page) || page < 1 || page > pageSizes.length) {
+      throw buildError(`Campo ${index + 1}: página inválida (o documento tem ${pageSizes.length} página(s)).`);
+    }
+    if ([x, y, width, height].some(n => !Number.isFinite(n)) || x < 0 || y < 0 || width <= 0 || height <= 0) {
+      throw buildError(`Campo ${index + 1}: posição e tamanho (x, y, width, height) são obrigatórios e positivos.`);
+    }
+
+    const { width: pageWidth, height: pageHeight } = pageSizes[page - 1];
+    if (x + width > pageWidth || y + height > pageHeight) {
+      throw buildError(`Campo ${index + 1}: o retângulo ultrapassa os limites da página ${page}.`);
+    }
+
+    return {
+      type,
+      page,
+      x,
+      y,
+      width,
+      height,
+      required: field.required !== undefined ? Boolean(field.required) : true,
+      label: field.label || null
+    };
+  });
+};
+
+/**
+ * Cria os campos de um signatário.
+ */
+const createSignerFields = async (document, signer, fields, transaction = null) => {
+  return SignatureField.bulkCreate(
+    fields.map(field => ({ ...field, documentId: document.id, signerId: signer.id })),
+    { transaction }
+  );
+};
+
+/**
+ * Calcula os valores dos campos de um signatário no momento da assinatura, sem gravar.
+ * - TEXT: valor enviado em 'fieldValues' (obrigatório se o campo for 'required').
+ * - DATE: data da assinatura.
+ * SIGNATURE e INITIALS são desenhados a partir da assinatura/nome e não guardam valor.
+ *
+ * @param {Array<object>} fields - Campos (SignatureField) do signatário.
+ * @param {object} fieldValues - Mapa { [fieldId]: string }.
+ * @param {Date} signedAt
+ * @returns {Map<string, string|null>} Valor de cada campo TEXT/DATE, por id.
+ */
+const resolveFieldValues = (fields, fieldValues = {}, signedAt) => {
+  const values = new Map();
+
+  for (const field of fields) {
+    if (field.type === 'TEXT') {
+      const raw = fieldValues[field.id];
+      const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+      if (!value && field.required) {
+        throw buildError(`O campo "${field.label || 'Texto'}" é obrigatório.`);
+      }
+      if (value.length > MAX_TEXT_LENGTH) {
+        throw buildError(`O campo "${field.label || 'Texto'}" excede ${MAX_TEXT_LENGTH} caracteres.`);
+      }
+      values.set(field.id, value || null);
+    } else if (field.type === 'DATE') {
+      values.set(field.id, signedAt.toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' }));
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Grava os valores preenchidos pelo signatário no momento da assinatura (ver resolveFieldValues).
+ *
+ * @param {object} signer
+ * @param {object} fieldValues - Mapa { [fieldId]: string }.
+ * @param {Date} signedAt
+ * @param {import('sequelize').Transaction} [transaction]
+ */
+const applyFieldValues = async (signer, fieldValues = {}, signedAt, transaction = null) => {
+  const fields = await SignatureField.findAll({ where: { signerId: signer.id }, transaction });
+  const values = resolveFieldValues(fields, fieldValues, signedAt);
+
+  for (const field of fields) {
+    if (!values.has(field.id)) continue;
+    field.value = values.get(field.id);
+    await field.save({ transaction });
+  }
+
+  return fields;
+};
+
+/**
+ * Formato público de um campo (resumo do signatário / API).
+ */
+const serializeField = (field) => ({
+  id: field.id,
+  signerId: field.signerId,
+  type: field.type,
+  page: field.page,
+  x: field.x,
+  y: field.y,
+  width: field.width,
+  height: field.height,
+  required: field.required,
+  label: field.label,
+  value: field.value
+});
+
+module.exports = {
+  FIELD_TYPES,
+  getPdfPageSizes,
+  normalizeFieldDefinitions,
+  createSignerFields,
+  resolveFieldValues,
+  applyFieldValues,
+  serializeField
+};
@@ -0,0 +1,331 @@
+// src/services/signatureValidation.service.js
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { parseTimeStampToken, verifyTimeStampToken } = require('./tsa.service');
+const { OID_TST_INFO, findEmbeddedSignatures, parseSignedData, findAttribute } = require('../utils/cmsParser');
+const { checkUpdatesAfterRevision } = require('../utils/pdfRevisionCheck');
+
+const { asn1, pki } = forge;
+
+// OIDs usados na leitura do CMS (PKCS#7 SignedData)
+const OID = {
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+};
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+};
+
+// Algoritmos de assinatura RSA que o node-forge consegue verificar
+const RSA_SIGNATURE_OIDS = [
+  '1.2.840.113549.1.1.1',  // rsaEncryption
+  '1.2.840.113549.1.1.5',  // sha1WithRSAEncryption
+  '1.2.840.113549.1.1.11', // sha256WithRSAEncryption
+  '1.2.840.113549.1.1.12', // sha384WithRSAEncryption
+  '1.2.840.113549.1.1.13', // sha512WithRSAEncryption
+];
+
+const DSS_REGEX = /\/DSS\s*(\d+\s+\d+\s+R|<<)/;
+
+let platformCertificateCache;
+
+const normalizeSerial = (hex) => String(hex).toLowerCase().replace(/^0+/, '');
+
+/**
+ * Impressão digital (SHA-256 do DER) de um certificado forge.
+ */
+const certificateFingerprint = (cert) => {
+  const der = asn1.toDer(pki.certificateToAsn1(cert)).getBytes();
+  return crypto.createHash('sha256').update(Buffer.from(der, 'binary')).digest('hex');
+};
+
+/**
+ * Lê (uma vez) o certificado A1 da plataforma para reconhecer o selo próprio.
+ * @returns {string|null} Impressão digital do certificado ou null se não configurado.
+ */
+const getPlatformFingerprint = () => {
+  if (platformCertificateCache !== undefined) return platformCertificateCache;
+
+  platformCertificateCache = null;
+  try {
+    const p12Der = fs.readFileSync(process.env.PADES_CERTIFICATE_PATH).toString('binary');
+    const p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(p12Der), process.env.PADES_CERTIFICATE_PASSWORD || '');
+    const bags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    // O P12 da plataforma contém apenas o certificado do titular (sem cadeia)
+    if (bags[0]?.cert) platformCertificateCache = certificateFingerprint(bags[0].cert);
+  } catch (error) {
+    console.warn('[Validator] Certificado da plataforma indisponível:', error.message);
+  }
+  return platformCertificateCache;
+};
+
+const describeName = (name) => {
+  const attr = (shortName) => name.getField(shortName)?.value || null;
+  return {
+    commonName: attr('CN'),
+    organization: attr('O'),
+    country: attr('C'),
+  };
+};
+
+const describeCertificate = (cert) => ({
+  subject: describeName(cert.subject),
+  issuer: describeName(cert.issuer),
+  serialNumber: cert.serialNumber,
+  notBefore: cert.validity.notBefore,
+  notAfter: cert.validity.notAfter,
+  selfSigned: cert.isIssuer(cert),
+  fingerprintSha256: certificateFingerprint(cert),
+});
+
+/**
+ * Monta a cadeia a partir do certificado do signatário usando os certificados presentes no CMS.
+ */
+const buildChain = (signerCert, certificates) => {
+  const chain = [signerCert];
+  let current = signerCert;
+  while (!current.isIssuer(current) && chain.length < 10) {
+    const issuer = certificates.find(c => c !== current && current.isIssuer(c) && !chain.includes(c));
+    if (!issuer) break;
+    chain.push(issuer);
+    current = issuer;
+  }
+  return chain;
+};
+
+/**
+ * Extrai os campos de um SignerInfo (RFC 5652) a partir do ASN.1.
+ */
+const parseSignerInfo = (signerInfoAsn1) => {
+  const parts = signerInfoAsn1.value;
+  const issuerAndSerial = parts[1];
+  const info = {
+    issuer: pki.RDNAttributesAsArray(issuerAndSerial.value[0]),
+    serialNumber: forge.util.bytesToHex(issuerAndSerial.value[1].value),
+    digestAlgorithmOid: asn1.derToOid(parts[2].value[0].value),
+    signedAttrs: null,
+    signatureAlgorithmOid: null,
+    signature: null,
+    unsignedAttrs: [],
+  };
+
+  let index = 3;
+  if (parts[index].tagClass === asn1.Class.CONTEXT_SPECIFIC && parts[index].type === 0) {
+    info.signedAttrs = parts[index];
+    index += 1;
+  }
+  info.signatureAlgorithmOid = asn1.derToOid(parts[index].value[0].value);
+  info.signature = parts[index + 1].value;
+  const unsigned = parts[index + 2];
+  if (unsigned && unsigned.tagClass === asn1.Class.CONTEXT_SPECIFIC && unsigned.type === 1) {
+    info.unsignedAttrs = unsigned.value;
+  }
+  return info;
+};
+
+/**
+ * Assinatura CMS e certificado (uso estendido timeStamping) do token de carimbo do tempo.
+ */
+const isTimeStampTokenVerified = (tokenAsn1) => {
+  try {
+    verifyTimeStampToken(tokenAsn1);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const parseAsn1Time = (node) => {
+  if (!node) return null;
+  if (node.type === asn1.Type.UTCTIME) return asn1.utcTimeToDate(node.value);
+  if (node.type === asn1.Type.GENERALIZEDTIME) return asn1.generalizedTimeToDate(node.value);
+  return null;
+};
+
+/**
+ * Valida uma assinatura embutida (um /ByteRange + /Contents).
+ * Reconhece também carimbos de documento (ETSI.RFC3161), cujo /Contents é um token de TSA.
+ */
+const validateEmbeddedSignature = (pdfBuffer, { byteRange, contentsDer }, platformFingerprint) => {
+  const [start1, length1, start2, length2] = byteRange;
+  const result = {
+    type: 'SIGNATURE',
+    byteRange,
+    coversWholeDocument: start1 === 0 && start2 + length2 === pdfBuffer.length,
+    modifiedAfterSigning: start2 + length2 !== pdfBuffer.length,
+    digestAlgorithm: null,
+    digestMatches: false,
+    signatureVerified: null,
+    intact: false,
+    signingTime: null,
+    hasTimestamp: false,
+    timestamp: null,
+    certificateChain: [],
+    isPlatformSeal: false,
+    error: null,
+  };
+
+  try {
+    if (!contentsDer || start2 + length2 > pdfBuffer.length) {
+      throw new Error('ByteRange fora dos limites do arquivo.');
+    }
+
+    const cms = asn1.fromDer(contentsDer, { strict: false });
+    const { eContentType, eContent, certificates, signerInfos } = parseSignedData(cms);
+
+    const signerInfo = parseSignerInfo(signerInfos[0]);
+    const algorithm = DIGEST_ALGORITHMS[signerInfo.digestAlgorithmOid];
+    if (!algorithm) throw new Error(`Algoritmo de digest não suportado (${signerInfo.digestAlgorithmOid}).`);
+    result.digestAlgorithm = algorithm;
+
+    // 1. Digest dos bytes cobertos pela assinatura
+    const signedContent = Buffer.concat([
+      pdfBuffer.slice(start1, start1 + length1),
+      pdfBuffer.slice(start2, start2 + length2),
+    ]);
+    const signedAttrs = signerInfo.signedAttrs ? signerInfo.signedAttrs.value : [];
+    const messageDigest = findAttribute(signedAttrs, OID.messageDigest);
+
+    if (eContentType === OID_TST_INFO) {
+      // Carimbo de documento: o TSTInfo carimba os bytes do PDF e o messageDigest cobre o TSTInfo
+      result.type = 'DOCUMENT_TIMESTAMP';
+      const tstInfo = parseTimeStampToken(cms);
+      const imprintAlgorithm = DIGEST_ALGORITHMS[tstInfo.hashAlgorithm];
+      const imprintMatches = Boolean(imprintAlgorithm)
+        && tstInfo.hashedMessage.equals(crypto.createHash(imprintAlgorithm).update(signedContent).digest());
+      const tokenDigest = crypto.createHash(algorithm).update(Buffer.from(eContent, 'binary')).digest();
+
+      result.digestMatches = imprintMatches && Boolean(messageDigest) && Buffer.from(messageDigest.value, 'binary').equals(tokenDigest);
+      result.signingTime = tstInfo.genTime;
+      result.hasTimestamp = true;
+      result.timestamp = {
+        serialNumber: tstInfo.serialNumber,
+        genTime: tstInfo.genTime,
+        imprintMatches,
+        verified: isTimeStampTokenVerified(cms),
+      };
+    } else {
+      const contentDigest = crypto.createHash(algorithm).update(signedContent).digest();
+      result.digestMatches = Boolean(messageDigest) && Buffer.from(messageDigest.value, 'binary').equals(contentDigest);
+      result.signingTime = parseAsn1Time(findAttribute(signedAttrs, OID.signingTime));
+
+      const timestampToken = findAttribute(signerInfo.unsignedAttrs, OID.timeStampToken);
+      result.hasTimestamp = Boolean(timestampToken);
+      if (timestampToken) {
+        try {
+          const tstInfo = parseTimeStampToken(timestampToken);
+          // O carimbo deve ter sido emitido sobre o valor desta assinatura
+          const imprintMatches = DIGEST_ALGORITHMS[tstInfo.hashAlgorithm] === 'sha256'
+            && tstInfo.hashedMessage.equals(crypto.createHash('sha256').update(Buffer.from(signerInfo.signature, 'binary')).digest());
+          result.timestamp = {
+            serialNumber: tstInfo.serialNumber,
+            genTime: tstInfo.genTime,
+            imprintMatches,
+            verified: isTimeStampTokenVerified(timestampToken),
+          };
+        } catch (e) {
+          result.timestamp = { error: e.message };
+        }
+      }
+    }
+
+    // 2. Certificado do signatário e cadeia
+    const signerCert = certificates.find(c => normalizeSerial(c.serialNumber) === normalizeSerial(signerInfo.serialNumber))
+      || certificates[0];
+
+    if (signerCert) {
+      result.certificateChain = buildChain(signerCert, certificates).map(describeCertificate);
+      result.isPlatformSeal = result.type === 'SIGNATURE'
+        && Boolean(platformFingerprint) && result.certificateChain[0].fingerprintSha256 === platformFingerprint;
+      if (result.signingTime) {
+        result.certificateChain[0].validAtSigningTime =
+          result.signingTime >= signerCert.validity.notBefore && result.signingTime <= signerCert.validity.notAfter;
+      }
+    }
+
+    // 3. Assinatura sobre os atributos assinados (re-codificados como SET, RFC 5652 §5.4).
+    // Algoritmos que não conseguimos verificar (ex.: ECDSA) deixam signatureVerified em null: não é íntegra.
+    if (signerCert && signerInfo.signedAttrs && RSA_SIGNATURE_OIDS.includes(signerInfo.signatureAlgorithmOid)) {
+      const attrsDer = asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttrs)).getBytes();
+      const md = forge.md[algorithm].create();
+      md.update(attrsDer);
+      try {
+        result.signatureVerified = signerCert.publicKey.verify(md.digest().getBytes(), signerInfo.signature);
+      } catch (e) {
+        result.signatureVerified = false;
+      }
+    }
+
+    result.intact = result.digestMatches && result.signatureVerified === true
+      && (result.type !== 'DOCUMENT_TIMESTAMP' || result.timestamp.verified);
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+};
+
+/**
+ * Selo da plataforma íntegro: a assinatura confere e, se o arquivo continua depois dela,
+ * as revisões seguintes são apenas DSS e carimbos de documento (validação de longo prazo).
+ * Outras assinaturas depois do selo, ou qualquer outra alteração, quebram o selo.
+ */
+const checkPlatformSeal = async (pdfBuffer, seal, signatures) => {
+  if (!seal.intact) return { intact: false, changesAfterSeal: [] };
+
+  const sealEnd = seal.byteRange[2] + seal.byteRange[3];
+  const laterSignatures = signatures.filter(s => s.byteRange[2] + s.byteRange[3] > sealEnd);
+  if (laterSignatures.some(s => s.type !== 'DOCUMENT_TIMESTAMP')) {
+    return { intact: false, changesAfterSeal: ['Assinatura acrescentada depois do selo da plataforma.'] };
+  }
+
+  const { allowed, changes } = await checkUpdatesAfterRevision(pdfBuffer, sealEnd);
+  return { intact: allowed, changesAfterSeal: changes };
+};
+
+/**
+ * Localiza e valida todas as assinaturas PAdES/CMS embutidas em um PDF.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{ signatures: Array<object>, platformSeal: { present: boolean, intact: boolean, changesAfterSeal: string[] }, longTermValidation: object }>}
+ */
+const validatePdfSignatures = async (pdfBuffer) => {
+  const platformFingerprint = getPlatformFingerprint();
+  const signatures = findEmbeddedSignatures(pdfBuffer)
+    .map(embedded => validateEmbeddedSignature(pdfBuffer, embedded, platformFingerprint));
+
+  // O selo mais recente é o que vale para o arquivo atual
+  const platformSignatures = signatures.filter(s => s.isPlatformSeal);
+  const latestSeal = platformSignatures.reduce((latest, s) => (
+    !latest || s.byteRange[2] + s.byteRange[3] > latest.byteRange[2] + latest.byteRange[3] ? s : latest
+  ), null);
+  const sealCheck = latestSeal
+    ? await checkPlatformSeal(pdfBuffer, latestSeal, signatures)
+    : { intact: false, changesAfterSeal: [] };
+
+  const documentTimestamps = signatures.filter(s => s.type === 'DOCUMENT_TIMESTAMP');
+  return {
+    signatures,
+    platformSeal: {
+      present: platformSignatures.length > 0,
+      ...sealCheck,
+    },
+    longTermValidation: {
+      dssPresent: DSS_REGEX.test(pdfBuffer.toString('latin1')),
+      documentTimestamps: documentTimestamps.length,
+      lastTimestampAt: documentTimestamps.length ? documentTimestamps[documentTimestamps.length - 1].signingTime : null,
+    },
+  };
+};
+
+module.exports = {
+  validatePdfSignatures,
+};
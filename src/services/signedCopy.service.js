@@ -0,0 +1,68 @@
+// src/services/signedCopy.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { Envelope, ShareToken, TenantSettings } = require('../models');
+
+/*
+ * Cópia assinada: depois da conclusão, o signatário volta pelo seu link para ver o status final
+ * e baixar o PDF assinado e o Certificado de Conclusão (somente leitura, downloads auditados).
+ * O acesso vale por TenantSettings.signedCopyAccessDays dias a partir de finalizedAt
+ * (sem valor no tenant, SIGNED_COPY_ACCESS_DAYS do .env; padrão: 30). Zero desativa o acesso.
+ */
+
+const DEFAULT_ACCESS_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} tenantId
+ * @param {import('sequelize').Transaction} [transaction]
+ * @returns {Promise<number>}
+ */
+const getAccessDays = async (tenantId, transaction = null) => {
+  const settings = await TenantSettings.findOne({ where: { tenantId }, transaction });
+  if (settings?.signedCopyAccessDays != null) return settings.signedCopyAccessDays;
+
+  const envDays = Number.parseInt(process.env.SIGNED_COPY_ACCESS_DAYS, 10);
+  return Number.isInteger(envDays) && envDays >= 0 ? envDays : DEFAULT_ACCESS_DAYS;
+};
+
+/**
+ * Fim do acesso à cópia assinada da unidade (Documento ou Envelope já finalizado).
+ * @returns {Promise<Date|null>} null se a unidade ainda não foi finalizada.
+ */
+const getAccessUntil = async (unit, transaction = null) => {
+  if (!unit.finalizedAt) return null;
+  const days = await getAccessDays(unit.tenantId, transaction);
+  return new Date(new Date(unit.finalizedAt).getTime() + days * DAY_MS);
+};
+
+/**
+ * Gera um link do signatário para a página da cópia assinada (enviado no e-mail de conclusão).
+ * O ShareToken vale até o fim do acesso; os links de convite anteriores continuam funcionando.
+ *
+ * @param {object} unit - Documento ou Envelope finalizado.
+ * @param {object} signer
+ * @param {import('sequelize').Transaction} [transaction]
+ * @returns {Promise<{ url: string, accessUntil: Date }|null>} null se o acesso estiver desativado.
+ */
+const createAccessLink = async (unit, signer, transaction = null) => {
+  const accessUntil = await getAccessUntil(unit, transaction);
+  if (!accessUntil || accessUntil <= new Date()) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await ShareToken.create({
+    ...(unit instanceof Envelope ? { envelopeId: unit.id } : { documentId: unit.id }),
+    signerId: signer.id,
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: accessUntil
+  }, { transaction });
+
+  return { url: `${process.env.FRONT_URL}/sign/${token}/completed`, accessUntil };
+};
+
+module.exports = {
+  getAccessDays,
+  getAccessUntil,
+  createAccessLink
+};
@@ -0,0 +1,384 @@
+// src/services/signingFlow.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Document, Envelope, Signer, ShareToken, sequelize } = require('../models');
+const notificationService = require('./notification.service');
+const finalizationService = require('./finalization.service');
+const storageService = require('./storage.service');
+const auditService = require('../features/audit/audit.service');
+
+// Status em que o signatário ainda deve assinar
+const PENDING_STATUSES = ['PENDING', 'VIEWED'];
+
+// Status em que a unidade ainda recebe assinaturas (e pode ser finalizada)
+const ACTIVE_STATUSES = ['READY', 'PARTIALLY_SIGNED'];
+
+/*
+ * Unidade de assinatura: um Documento avulso ou um Envelope (vários arquivos, mesmos signatários).
+ * Ambos têm signingMode, declinePolicy, inviteMessage, deadlineAt e status com a mesma semântica,
+ * então o fluxo abaixo vale para os dois; só muda onde ficam os signatários e os links.
+ */
+const isEnvelope = (unit) => unit instanceof Envelope;
+
+/**
+ * Filtro dos signatários e links da unidade ({ documentId } ou { envelopeId }).
+ */
+const unitScope = (unit) => (isEnvelope(unit) ? { envelopeId: unit.id } : { documentId: unit.id });
+
+/**
+ * Entidade de auditoria da unidade.
+ */
+const unitAuditEntity = (unit) => ({ entityType: isEnvelope(unit) ? 'ENVELOPE' : 'DOCUMENT', entityId: unit.id });
+
+/**
+ * Trava a linha da unidade: assinaturas/recusas simultâneas são serializadas.
+ */
+const lockSigningUnit = (unit, transaction) => (isEnvelope(unit) ? Envelope : Document)
+  .findByPk(unit.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+/**
+ * Arquivos da unidade: o próprio documento ou os arquivos do envelope, na ordem de envio.
+ */
+const getUnitDocuments = async (unit, transaction = null) => {
+  if (!isEnvelope(unit)) return [unit];
+  return Document.findAll({ where: { envelopeId: unit.id }, order: [['createdAt', 'ASC']], transaction });
+};
+
+/**
+ * Atualiza o status da unidade (e dos arquivos do envelope, que acompanham o envelope).
+ */
+const setUnitStatus = async (unit, status, transaction) => {
+  unit.status = status;
+  await unit.save({ transaction });
+  if (isEnvelope(unit)) {
+    await Document.update({ status }, { where: { envelopeId: unit.id }, transaction });
+  }
+};
+
+/**
+ * Retorna a ordem (grupo) de assinatura que está liberada no momento.
+ * Em modo PARALLEL todos assinam ao mesmo tempo, então não existe grupo ativo (null).
+ * Em modo SEQUENTIAL é a menor 'order' entre os signatários ainda pendentes.
+ * @param {object} document - Documento (precisa de 'signingMode').
+ * @param {Array<object>} signers - Todos os signatários do documento.
+ * @returns {number|null}
+ */
+const getActiveSigningOrder = (document, signers) => {
+  if (document.signingMode !== 'SEQUENTIAL') return null;
+
+  const pendingOrders = signers
+    .filter(s => PENDING_STATUSES.includes(s.status))
+    .map(s => s.order);
+
+  if (pendingOrders.length === 0) return null;
+  return Math.min(...pendingOrders);
+};
+
+/**
+ * O documento está completo quando não resta ninguém pendente e houve ao menos uma assinatura.
+ * Signatários que recusaram (com a política REMOVE_SIGNER) deixam de ser obrigatórios.
+ */
+const isSigningComplete = (signers) => {
+  const hasPending = signers.some(s => PENDING_STATUSES.includes(s.status));
+  const hasSigned = signers.some(s => s.status === 'SIGNED');
+  return !hasPending && hasSigned;
+};
+
+/**
+ * Resume o progresso de assinaturas de um documento para o dashboard.
+ * Signatários que recusaram (e foram removidos do conjunto obrigatório) não entram no total.
+ * @param {Array<object>} signers - Todos os signatários do documento.
+ * @returns {{ signed: number, total: number, percentage: number, pending: Array<object> }}
+ */
+const buildSigningProgress = (signers) => {
+  const required = signers.filter(s => s.status === 'SIGNED' || PENDING_STATUSES.includes(s.status));
+  const signed = required.filter(s => s.status === 'SIGNED').length;
+
+  return {
+    signed,
+    total: required.length,
+    percentage: required.length ? Math.round((signed / required.length) * 100) : 0,
+    pending: required
+      .filter(s => PENDING_STATUSES.includes(s.status))
+      .map(s => ({ id: s.id, name: s.name, email: s.email, order: s.order, status: s.status }))
+  };
+};
+
+/**
+ * Indica se o signatário pertence ao grupo liberado para assinar.
+ */
+const isSignerTurn = (document, signer, signers) => {
+  const activeOrder = getActiveSigningOrder(document, signers);
+  return activeOrder === null || signer.order === activeOrder;
+};
+
+/**
+ * Cria um ShareToken para o signatário. Apenas o hash é persistido.
+ * @param {object} unit - Documento ou Envelope.
+ * @returns {Promise<string>} O token em texto puro (só existe em memória).
+ */
+const createShareToken = async (unit, signer, transaction = null) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const expiresAt = unit.deadlineAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+  await ShareToken.create({
+    ...unitScope(unit),
+    signerId: signer.id,
+    tokenHash,
+    expiresAt,
+  }, { transaction });
+
+  return token;
+};
+
+/**
+ * Localiza o ShareToken pelo token em texto puro, com a unidade (Documento ou Envelope) e o signatário.
+ * @returns {Promise<object|null>}
+ */
+const findShareToken = (token) => ShareToken.findOne({
+  where: { tokenHash: crypto.createHash('sha256').update(token).digest('hex') },
+  include: [
+    { model: Document, as: 'Document' },
+    { model: Envelope, as: 'Envelope' },
+    { model: Signer, as: 'Signer' }
+  ]
+});
+
+/**
+ * Revoga todos os links ainda ativos do signatário (o link antigo deixa de funcionar).
+ * @returns {Promise<number>} Quantidade de tokens revogados.
+ */
+const revokeSignerTokens = async (signer, transaction = null) => {
+  const [revoked] = await ShareToken.update({ revokedAt: new Date() }, {
+    where: { signerId: signer.id, revokedAt: null },
+    transaction
+  });
+  return revoked;
+};
+
+/**
+ * Gera um novo ShareToken para o signatário, registra o convite na auditoria
+ * e dispara a notificação nos canais configurados.
+ * @param {object} params.document - Documento ou Envelope.
+ * @returns {Promise<string>} O token em texto puro (só existe em memória).
+ */
+const issueSignerInvite = async ({ document, signer, message, actor, transaction }) => {
+  const token = await createShareToken(document, signer, transaction);
+
+  signer.invitedAt = new Date();
+  await signer.save({ transaction });
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind: actor ? 'USER' : 'SYSTEM',
+    actorId: actor ? actor.id : null,
+    entityType: 'SIGNER',
+    entityId: signer.id,
+    action: 'INVITED',
+    ip: 'SYSTEM',
+    userAgent: 'SYSTEM',
+    payload: { ...unitScope(document), recipient: signer.email, order: signer.order }
+  }, transaction);
+
+  // Envio de notificação (Email/Whatsapp)
+  await notificationService.sendSignInvite(signer, token, message, document.tenantId);
+
+  return token;
+};
+
+/**
+ * Convida os signatários do grupo liberado que ainda não receberam link.
+ * Usado ao adicionar signatários e sempre que um grupo termina de assinar.
+ * @param {object} document - Documento ou Envelope alvo.
+ * @param {object} options
+ * @param {string} [options.message] - Mensagem personalizada (padrão: document.inviteMessage).
+ * @param {object} [options.actor] - Usuário que disparou a ação (null = sistema).
+ * @param {import('sequelize').Transaction} [options.transaction]
+ * @returns {Promise<Array<object>>} Signatários convidados nesta chamada.
+ */
+const inviteActiveSigners = async (document, { message, actor = null, transaction = null } = {}) => {
+  const signers = await Signer.findAll({
+    where: unitScope(document),
+    order: [['order', 'ASC']],
+    transaction
+  });
+
+  const activeOrder = getActiveSigningOrder(document, signers);
+  const candidates = signers.filter(s =>
+    PENDING_STATUSES.includes(s.status) && (activeOrder === null || s.order === activeOrder)
+  );
+  if (candidates.length === 0) return [];
+
+  // Quem já possui um ShareToken ativo já foi convidado (tokens revogados por edição não contam)
+  const existingTokens = await ShareToken.findAll({
+    where: { signerId: candidates.map(s => s.id), revokedAt: null },
+    attributes: ['signerId'],
+    transaction
+  });
+  const alreadyInvited = new Set(existingTokens.map(t => t.signerId));
+
+  const invited = [];
+  for (const signer of candidates) {
+    if (alreadyInvited.has(signer.id)) continue;
+
+    await issueSignerInvite({
+      document,
+      signer,
+      message: message !== undefined ? message : document.inviteMessage,
+      actor,
+      transaction
+    });
+    invited.push(signer);
+  }
+
+  return invited;
+};
+
+/**
+ * Finaliza uma unidade cujas assinaturas obrigatórias foram todas coletadas, em transação própria.
+ *
+ * A finalização é reivindicada com um UPDATE condicional (status ainda ativo e sem 'finalizedAt'):
+ * se outra requisição ou o job já finalizou a unidade, o UPDATE afeta 0 linhas e nada é feito.
+ * Se falhar, a transação é desfeita (a unidade volta ao status anterior), os arquivos gravados
+ * nesta tentativa são apagados e o job de finalização tenta de novo.
+ *
+ * @param {object} unit - Documento ou Envelope.
+ * @returns {Promise<boolean>} true se esta chamada finalizou a unidade.
+ */
+const finalizeCompletedUnit = async (unit) => {
+  const Model = isEnvelope(unit) ? Envelope : Document;
+  const transaction = await sequelize.transaction();
+  const storedKeys = [];
+
+  try {
+    const [claimed] = await Model.update({ status: 'SIGNED' }, {
+      where: { id: unit.id, status: { [Op.in]: ACTIVE_STATUSES }, finalizedAt: null },
+      transaction
+    });
+    if (claimed === 0) {
+      await transaction.commit();
+      return false;
+    }
+
+    const claimedUnit = await Model.findByPk(unit.id, { transaction });
+    const signers = await Signer.findAll({ where: unitScope(claimedUnit), transaction });
+    if (!isSigningComplete(signers)) {
+      await transaction.rollback();
+      return false;
+    }
+
+    if (isEnvelope(claimedUnit)) {
+      await finalizationService.finalizeEnvelope(claimedUnit, signers, { transaction, storedKeys });
+    } else {
+      await finalizationService.finalizeDocument(claimedUnit, signers, { transaction, storedKeys });
+    }
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.rollback();
+    for (const key of storedKeys.filter(Boolean)) {
+      await storageService.delete(key)
+        .catch(err => console.error(`[FINALIZE] Erro ao apagar ${key}:`, err.message));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Finaliza as unidades completas que ainda não foram finalizadas (falha na finalização
+ * logo após a última assinatura ou reinício do servidor no meio dela). Usado pelo job.
+ * @returns {Promise<number>} Quantidade de unidades finalizadas.
+ */
+const finalizePendingUnits = async () => {
+  // Todos os obrigatórios assinaram: ninguém pendente e ao menos uma assinatura
+  const completedWhere = (table, column) => ({
+    status: { [Op.in]: ACTIVE_STATUSES },
+    finalizedAt: null,
+    [Op.and]: [
+      sequelize.literal(`NOT EXISTS (SELECT 1 FROM "Signers" s WHERE s."${column}" = "${table}"."id" AND s."status" IN (${PENDING_STATUSES.map(status => sequelize.escape(status)).join(', ')}))`),
+      sequelize.literal(`EXISTS (SELECT 1 FROM "Signers" s WHERE s."${column}" = "${table}"."id" AND s."status" = 'SIGNED')`)
+    ]
+  });
+
+  const units = [
+    ...await Document.findAll({ where: { envelopeId: null, ...completedWhere('Document', 'documentId') } }),
+    ...await Envelope.findAll({ where: completedWhere('Envelope', 'envelopeId') })
+  ];
+
+  let finalized = 0;
+  for (const unit of units) {
+    try {
+      if (await finalizeCompletedUnit(unit)) finalized += 1;
+    } catch (error) {
+      console.error(`[FINALIZE] Erro ao finalizar ${unit.id}:`, error.message);
+    }
+  }
+  return finalized;
+};
+
+/**
+ * Avança o fluxo após qualquer mudança nos signatários (assinatura, recusa, edição, remoção).
+ * Vale para documentos avulsos e envelopes (ver unitScope).
+ * - Se todos os obrigatórios assinaram: agenda a finalização do documento (ou de todos os arquivos
+ *   do envelope) para depois do commit, em transação própria (ver finalizeCompletedUnit).
+ * - Caso contrário: marca PARTIALLY_SIGNED (se já houver assinaturas) e
+ *   convida quem está liberado e ainda não tem link ativo.
+ * Deve ser chamado dentro da transação que alterou os signatários.
+ * @returns {Promise<{ isComplete: boolean, invited: Array<object> }>}
+ */
+const advanceSigningFlow = async (document, { actor = null, transaction } = {}) => {
+  const signers = await Signer.findAll({ where: unitScope(document), transaction });
+
+  if (isSigningComplete(signers)) {
+    // Carimbos, TSA e certificado não seguram a trava da unidade nem desfazem a assinatura:
+    // uma falha aqui fica para o job de finalização
+    transaction.afterCommit(() => finalizeCompletedUnit(document)
+      .catch(error => console.error(`[FINALIZE] Erro ao finalizar ${document.id}:`, error.message)));
+    return { isComplete: true, invited: [] };
+  }
+
+  // Ainda faltam assinaturas: se alguém já assinou, o documento passa a PARTIALLY_SIGNED
+  const hasSigned = signers.some(s => s.status === 'SIGNED');
+  if (hasSigned && document.status === 'READY') {
+    await setUnitStatus(document, 'PARTIALLY_SIGNED', transaction);
+
+    const progress = buildSigningProgress(signers);
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'SYSTEM',
+      ...unitAuditEntity(document),
+      action: 'STATUS_CHANGED',
+      payload: { newStatus: 'PARTIALLY_SIGNED', signed: progress.signed, total: progress.total }
+    }, transaction);
+  }
+
+  const invited = await inviteActiveSigners(document, { actor, transaction });
+  return { isComplete: false, invited };
+};
+
+module.exports = {
+  PENDING_STATUSES,
+  ACTIVE_STATUSES,
+  isEnvelope,
+  unitScope,
+  unitAuditEntity,
+  lockSigningUnit,
+  getUnitDocuments,
+  setUnitStatus,
+  getActiveSigningOrder,
+  isSigningComplete,
+  buildSigningProgress,
+  isSignerTurn,
+  createShareToken,
+  findShareToken,
+  revokeSignerTokens,
+  issueSignerInvite,
+  inviteActiveSigners,
+  finalizeCompletedUnit,
+  finalizePendingUnits,
+  advanceSigningFlow
+};
@@ -0,0 +1,101 @@
+// src/services/storage.service.js
+'use strict';
+
+const fsSync = require('fs');
+const { createLocalDriver } = require('./localStorage.driver');
+const { createS3Driver } = require('./s3Storage.driver');
+
+/**
+ * Armazenamento dos arquivos da plataforma (documentos e versões, revisões assinadas,
+ * imagens de assinatura, certificados e modelos).
+ *
+ * As chaves mantêm o formato 'uploads/{tenantId}/...' gravado em storageKey, então os registros
+ * existentes continuam válidos em qualquer driver. O driver é escolhido por STORAGE_DRIVER:
+ *  - 'local' (padrão): disco, a partir de STORAGE_LOCAL_ROOT (padrão: diretório de trabalho).
+ *  - 's3': S3 ou compatível (MinIO): S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID,
+ *    S3_SECRET_ACCESS_KEY e S3_FORCE_PATH_STYLE ('false' para o estilo virtual-host da AWS).
+ *
+ * Para trocar de driver com arquivos existentes, use 'npm run storage:migrate'.
+ */
+
+const DRIVERS = ['local', 's3'];
+
+const drivers = new Map();
+
+/**
+ * Cria (uma vez) o driver pelo nome, com a configuração do .env.
+ * @param {'local'|'s3'} [name=process.env.STORAGE_DRIVER]
+ */
+const getDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!DRIVERS.includes(name)) {
+    throw new Error(`Driver de armazenamento desconhecido: '${name}'. Use ${DRIVERS.join(' ou ')}.`);
+  }
+  if (!drivers.has(name)) {
+    drivers.set(name, name === 's3'
+      ? createS3Driver({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+      })
+      : createLocalDriver({ root: process.env.STORAGE_LOCAL_ROOT || process.cwd() }));
+  }
+  return drivers.get(name);
+};
+
+/**
+ * Monta uma chave no formato histórico: buildKey(tenantId, 'certificates', 'x.pdf') → 'uploads/{tenantId}/certificates/x.pdf'.
+ */
+const buildKey = (...segments) => ['uploads', ...segments].join('/');
+
+/**
+ * Grava (ou substitui) o arquivo da chave.
+ * @param {string} key
+ * @param {Buffer|import('stream').Readable} data
+ */
+const put = (key, data) => getDriver().put(key, data);
+
+/**
+ * Grava um arquivo do disco local (ex.: upload temporário do multer) na chave.
+ */
+const putFile = (key, filePath) => put(key, fsSync.createReadStream(filePath));
+
+/**
+ * Abre o arquivo da chave para leitura. Erro 404 (code STORAGE_NOT_FOUND) se não existir.
+ * @returns {Promise<import('stream').Readable>}
+ */
+const get = (key) => getDriver().get(key);
+
+/**
+ * Lê o arquivo inteiro (PDFs e imagens processados em memória).
+ * @returns {Promise<Buffer>}
+ */
+const getBuffer = async (key) => {
+  const chunks = [];
+  for await (const chunk of await get(key)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Remove o arquivo da chave (sem erro se já não existir).
+ */
+const remove = (key) => getDriver().delete(key);
+
+/**
+ * @returns {Promise<boolean>}
+ */
+const exists = (key) => getDriver().exists(key);
+
+module.exports = {
+  DRIVERS,
+  getDriver,
+  buildKey,
+  put,
+  putFile,
+  get,
+  getBuffer,
+  delete: remove,
+  exists
+};
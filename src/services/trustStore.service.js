@@ -0,0 +1,79 @@
+// src/services/trustStore.service.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+let trustedRootsCache;
+
+/**
+ * Raízes confiáveis (ex.: AC Raiz ICP-Brasil v5+) lidas de ICP_BRASIL_ROOTS_DIR (.crt/.cer/.pem, PEM ou DER).
+ * @returns {object|null} CA store do forge; null sem o diretório configurado.
+ */
+const getTrustedRoots = () => {
+  if (trustedRootsCache !== undefined) return trustedRootsCache;
+
+  trustedRootsCache = null;
+  const dir = process.env.ICP_BRASIL_ROOTS_DIR;
+  if (!dir) return trustedRootsCache;
+
+  const roots = [];
+  for (const file of fs.readdirSync(dir).filter(name => /\.(crt|cer|pem)$/i.test(name))) {
+    const content = fs.readFileSync(path.join(dir, file));
+    try {
+      const text = content.toString('latin1');
+      roots.push(text.includes('-----BEGIN CERTIFICATE-----')
+        ? pki.certificateFromPem(text)
+        : pki.certificateFromAsn1(asn1.fromDer(text)));
+    } catch (error) {
+      console.warn(`[Trust Store] Raiz ignorada (${file}):`, error.message);
+    }
+  }
+  trustedRootsCache = pki.createCaStore(roots);
+  return trustedRootsCache;
+};
+
+/**
+ * Ordena a cadeia a partir do certificado informado ('a.isIssuer(b)' do forge: b é o emissor de a).
+ * Certificados autoassinados ficam de fora: a raiz vem do CA store.
+ */
+const orderChain = (certificate, intermediates = []) => {
+  const chain = [certificate];
+  let current = certificate;
+  while (chain.length < 10) {
+    const issuer = intermediates.find(c => !chain.includes(c) && current.isIssuer(c) && !c.isIssuer(c));
+    if (!issuer) break;
+    chain.push(issuer);
+    current = issuer;
+  }
+  return chain;
+};
+
+/**
+ * Verifica a cadeia do certificado até uma raiz confiável.
+ *
+ * @param {object} certificate - Certificado forge.
+ * @param {Array<object>} [intermediates]
+ * @param {object} [options]
+ * @param {Date|null} [options.validityCheckDate=new Date()] - null ignora as datas de validade
+ *   (ex.: só para saber se o certificado foi emitido por uma AC confiável).
+ * @returns {boolean} false também quando não há raízes configuradas.
+ */
+const isTrustedChain = (certificate, intermediates = [], { validityCheckDate = new Date() } = {}) => {
+  const caStore = getTrustedRoots();
+  if (!caStore) return false;
+  try {
+    return pki.verifyCertificateChain(caStore, orderChain(certificate, intermediates), { validityCheckDate });
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  getTrustedRoots,
+  orderChain,
+  isTrustedChain
+};
@@ -0,0 +1,278 @@
+// src/services/tsa.service.js
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const forge = require('node-forge');
+const { TenantSettings } = require('../models');
+const { OID_TST_INFO, parseSignedData } = require('../utils/cmsParser');
+const { assertPublicHttpUrl } = require('../utils/networkGuard');
+const { decryptSecret } = require('../utils/secretEncryption');
+
+const { asn1 } = forge;
+
+const OID_SHA256 = '2.16.840.1.101.3.4.2.1';
+const OID_TIMESTAMP_TOKEN = '1.2.840.113549.1.9.16.2.14';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+// id-kp-timeStamping (RFC 3161 §2.3): obrigatório no certificado da TSA
+const OID_KP_TIME_STAMPING = '1.3.6.1.5.5.7.3.8';
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  [OID_SHA256]: 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Algoritmos de assinatura do SignerInfo que o crypto nativo verifica (RSA PKCS#1 v1.5 e ECDSA)
+const SIGNATURE_ALGORITHM_OIDS = [
+  '1.2.840.113549.1.1.1',  // rsaEncryption
+  '1.2.840.113549.1.1.5',  // sha1WithRSAEncryption
+  '1.2.840.113549.1.1.11', // sha256WithRSAEncryption
+  '1.2.840.113549.1.1.12', // sha384WithRSAEncryption
+  '1.2.840.113549.1.1.13', // sha512WithRSAEncryption
+  '1.2.840.10045.4.3.2',   // ecdsa-with-SHA256
+  '1.2.840.10045.4.3.3',   // ecdsa-with-SHA384
+  '1.2.840.10045.4.3.4'    // ecdsa-with-SHA512
+];
+
+const TSA_FAILURE_POLICIES = ['FAIL_OPEN', 'FAIL_CLOSED'];
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Resolve a configuração da TSA: a do tenant (TenantSettings) tem prioridade sobre a global (.env).
+ * A URL do tenant só pode apontar para hosts públicos ('publicHostOnly'); a do .env pode ser local.
+ * @returns {Promise<{ url: string|null, username: string|null, password: string|null, failurePolicy: string, publicHostOnly: boolean }>}
+ */
+const getTsaConfig = async (tenantId, transaction = null) => {
+  const settings = tenantId ? await TenantSettings.findOne({ where: { tenantId }, transaction }) : null;
+
+  const useTenant = Boolean(settings?.tsaUrl);
+  return {
+    url: useTenant ? settings.tsaUrl : (process.env.TSA_URL || null),
+    username: useTenant ? settings.tsaUsername : (process.env.TSA_USERNAME || null),
+    password: useTenant ? decryptSecret(settings.tsaPassword) : (process.env.TSA_PASSWORD || null),
+    failurePolicy: settings?.tsaFailurePolicy || process.env.TSA_FAILURE_POLICY || 'FAIL_OPEN',
+    publicHostOnly: useTenant
+  };
+};
+
+const integerFromHex = (hex) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(hex));
+
+const algorithmIdentifier = (oid) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+]);
+
+/**
+ * Monta um TimeStampReq (RFC 3161 §2.4.1) para o hash SHA-256 informado.
+ * @param {Buffer} digest - Hash SHA-256 do dado a ser carimbado.
+ * @param {string} nonceHex - Nonce em hexadecimal.
+ * @returns {Buffer} DER do pedido.
+ */
+const buildTimeStampRequest = (digest, nonceHex) => {
+  const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      algorithmIdentifier(OID_SHA256),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, digest.toString('binary'))
+    ]),
+    integerFromHex(nonceHex),
+    // certReq: pede que a TSA inclua o próprio certificado no token
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff))
+  ]);
+  return Buffer.from(asn1.toDer(request).getBytes(), 'binary');
+};
+
+const asn1TimeToDate = (node) => (node.type === asn1.Type.GENERALIZEDTIME
+  ? asn1.generalizedTimeToDate(node.value)
+  : asn1.utcTimeToDate(node.value));
+
+/**
+ * Extrai o TSTInfo (serial, horário, imprint, nonce) de um TimeStampToken (ContentInfo/SignedData).
+ * @param {object} tokenAsn1 - ASN.1 (forge) do token.
+ */
+const parseTimeStampToken = (tokenAsn1) => {
+  const { eContentType, eContent } = parseSignedData(tokenAsn1);
+  if (eContentType !== OID_TST_INFO || !eContent) {
+    throw new Error('Token de carimbo do tempo sem TSTInfo.');
+  }
+  const tstInfo = asn1.fromDer(eContent).value;
+
+  const messageImprint = tstInfo[2];
+  const nonceNode = tstInfo.slice(5).find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER);
+
+  return {
+    policy: asn1.derToOid(tstInfo[1].value),
+    hashAlgorithm: asn1.derToOid(messageImprint.value[0].value[0].value),
+    hashedMessage: Buffer.from(messageImprint.value[1].value, 'binary'),
+    serialNumber: forge.util.bytesToHex(tstInfo[3].value),
+    genTime: asn1TimeToDate(tstInfo[4]),
+    nonce: nonceNode ? forge.util.bytesToHex(nonceNode.value) : null
+  };
+};
+
+const findSignedAttribute = (signedAttrs, oid) => {
+  const attr = signedAttrs.find(a => asn1.derToOid(a.value[0].value) === oid);
+  return attr ? attr.value[1].value[0] : null;
+};
+
+/**
+ * Confere a assinatura CMS de um TimeStampToken (RFC 3161 §2.4.2 / RFC 5652 §5.4):
+ * atributos contentType (TSTInfo) e messageDigest, assinatura do SignerInfo com a chave de um
+ * certificado incluído no token, uso estendido timeStamping e validade do certificado no genTime.
+ * A cadeia da TSA não é conferida aqui.
+ *
+ * @param {object} tokenAsn1 - ASN.1 (forge) do token.
+ * @returns {crypto.X509Certificate} Certificado da TSA que assinou o token.
+ * @throws {Error} Se o token não for uma assinatura válida de uma TSA.
+ */
+const verifyTimeStampToken = (tokenAsn1) => {
+  const { eContent } = parseSignedData(tokenAsn1);
+  const signedData = tokenAsn1.value[1].value[0].value;
+
+  // Certificados lidos pelo crypto nativo (o forge descarta os de chave ECDSA)
+  const certSet = signedData.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+  const certificates = (certSet ? certSet.value : []).flatMap((node) => {
+    try {
+      return [new crypto.X509Certificate(Buffer.from(asn1.toDer(node).getBytes(), 'binary'))];
+    } catch (error) {
+      return [];
+    }
+  });
+
+  const [, sid, digestAlgorithmNode, ...rest] = signedData[signedData.length - 1].value[0].value;
+  const signedAttrsNode = rest[0]?.tagClass === asn1.Class.CONTEXT_SPECIFIC && rest[0].type === 0 ? rest.shift() : null;
+  const [signatureAlgorithmNode, signatureNode] = rest;
+
+  const digestAlgorithm = DIGEST_ALGORITHMS[asn1.derToOid(digestAlgorithmNode.value[0].value)];
+  const signatureAlgorithmOid = asn1.derToOid(signatureAlgorithmNode.value[0].value);
+  if (!digestAlgorithm || !SIGNATURE_ALGORITHM_OIDS.includes(signatureAlgorithmOid)) {
+    throw new Error('Algoritmo da assinatura do carimbo do tempo não suportado.');
+  }
+  if (!signedAttrsNode) {
+    throw new Error('Carimbo do tempo sem atributos assinados.');
+  }
+
+  const contentType = findSignedAttribute(signedAttrsNode.value, OID_CONTENT_TYPE);
+  const messageDigest = findSignedAttribute(signedAttrsNode.value, OID_MESSAGE_DIGEST);
+  if (!contentType || asn1.derToOid(contentType.value) !== OID_TST_INFO || !messageDigest
+    || !Buffer.from(messageDigest.value, 'binary').equals(crypto.createHash(digestAlgorithm).update(Buffer.from(eContent, 'binary')).digest())) {
+    throw new Error('Os atributos assinados do carimbo do tempo não correspondem ao TSTInfo.');
+  }
+
+  // Atributos assinados re-codificados como SET (RFC 5652 §5.4)
+  const signedAttrsDer = Buffer.from(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttrsNode.value)).getBytes(), 'binary');
+  const signature = Buffer.from(signatureNode.value, 'binary');
+
+  // sid por emissor/serial restringe os candidatos; por subjectKeyIdentifier, vale o certificado que verificar
+  const serialHex = sid.type === asn1.Type.SEQUENCE ? forge.util.bytesToHex(sid.value[1].value).replace(/^0+/, '').toLowerCase() : null;
+  const tsaCertificate = certificates
+    .filter(cert => !serialHex || cert.serialNumber.replace(/^0+/, '').toLowerCase() === serialHex)
+    .find((cert) => {
+      try {
+        return crypto.verify(digestAlgorithm, signedAttrsDer, cert.publicKey, signature);
+      } catch (error) {
+        return false;
+      }
+    });
+  if (!tsaCertificate) {
+    throw new Error('Assinatura do carimbo do tempo inválida ou certificado da TSA ausente do token.');
+  }
+
+  if (!(tsaCertificate.keyUsage || []).includes(OID_KP_TIME_STAMPING)) {
+    throw new Error('O certificado da TSA não tem o uso estendido timeStamping.');
+  }
+  const { genTime } = parseTimeStampToken(tokenAsn1);
+  if (genTime < new Date(tsaCertificate.validFrom) || genTime > new Date(tsaCertificate.validTo)) {
+    throw new Error('O certificado da TSA não era válido no horário do carimbo.');
+  }
+
+  return tsaCertificate;
+};
+
+/**
+ * Solicita um carimbo do tempo RFC 3161 para os bytes informados.
+ *
+ * @param {Buffer} data - Dados a carimbar (para PAdES: o valor da assinatura do SignerInfo).
+ * @param {object} config - Ver getTsaConfig.
+ * @returns {Promise<{ tokenAsn1: object, serialNumber: string, genTime: Date }>}
+ */
+const requestTimestamp = async (data, config) => {
+  const digest = crypto.createHash('sha256').update(data).digest();
+  // Nonce positivo (bit mais alto zerado para não virar INTEGER negativo)
+  const nonceHex = '0' + crypto.randomBytes(8).toString('hex').slice(1);
+
+  // Confere de novo no envio (o DNS pode ter mudado desde que a URL foi salva) e não segue redirecionamentos
+  if (config.publicHostOnly) await assertPublicHttpUrl(config.url, 'URL da TSA');
+
+  const response = await axios.post(config.url, buildTimeStampRequest(digest, nonceHex), {
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    auth: config.username ? { username: config.username, password: config.password || '' } : undefined,
+    responseType: 'arraybuffer',
+    timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+    ...(config.publicHostOnly && { maxRedirects: 0 })
+  });
+
+  const timeStampResp = asn1.fromDer(Buffer.from(response.data).toString('binary'));
+  const status = forge.util.bytesToHex(timeStampResp.value[0].value[0].value);
+  // 0 = granted, 1 = grantedWithMods
+  if (!['00', '01'].includes(status) || !timeStampResp.value[1]) {
+    throw new Error(`A TSA recusou o pedido (status ${parseInt(status, 16)}).`);
+  }
+
+  const tokenAsn1 = timeStampResp.value[1];
+  const info = parseTimeStampToken(tokenAsn1);
+  verifyTimeStampToken(tokenAsn1);
+
+  if (info.hashAlgorithm !== OID_SHA256 || !info.hashedMessage.equals(digest)) {
+    throw new Error('O carimbo do tempo não corresponde aos dados enviados.');
+  }
+  if (info.nonce && info.nonce.replace(/^0+/, '') !== nonceHex.replace(/^0+/, '')) {
+    throw new Error('Nonce do carimbo do tempo não confere.');
+  }
+
+  return { tokenAsn1, serialNumber: info.serialNumber, genTime: info.genTime };
+};
+
+/**
+ * Acrescenta o token como atributo não assinado (id-aa-timeStampToken) ao SignerInfo de um CMS.
+ *
+ * @param {Buffer} cmsDer - CMS (ContentInfo/SignedData) gerado pelo assinador.
+ * @param {object} config - Configuração da TSA.
+ * @returns {Promise<{ cms: Buffer, timestamp: { serialNumber: string, genTime: Date, tsaUrl: string } }>}
+ */
+const addSignatureTimestamp = async (cmsDer, config) => {
+  const contentInfo = asn1.fromDer(cmsDer.toString('binary'));
+  const signedData = contentInfo.value[1].value[0];
+  const signerInfos = signedData.value[signedData.value.length - 1];
+  const signerInfo = signerInfos.value[0];
+
+  // O carimbo é feito sobre o valor da assinatura (RFC 3161, Apêndice A)
+  const signatureNode = signerInfo.value.find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING);
+  const { tokenAsn1, serialNumber, genTime } = await requestTimestamp(Buffer.from(signatureNode.value, 'binary'), config);
+
+  signerInfo.value.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_TIMESTAMP_TOKEN).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [tokenAsn1])
+    ])
+  ]));
+
+  return {
+    cms: Buffer.from(asn1.toDer(contentInfo).getBytes(), 'binary'),
+    timestamp: { serialNumber, genTime, tsaUrl: config.url }
+  };
+};
+
+module.exports = {
+  TSA_FAILURE_POLICIES,
+  OID_TIMESTAMP_TOKEN,
+  getTsaConfig,
+  buildTimeStampRequest,
+  parseTimeStampToken,
+  verifyTimeStampToken,
+  requestTimestamp,
+  addSignatureTimestamp
+};
@@ -23,7 +23,10 @@ const formatAuditLogDescription = (log) => {
     case 'OTP_VERIFIED':
       return 'Identidade verificada com sucesso via código OTP.';
     case 'OTP_FAILED':
-      return 'Falha na verificação de identidade (Código OTP inválido).';
+      if (payload.reason === 'Expired or Not Found') {
+        return 'Falha na verificação de identidade (Código OTP expirado ou inexistente).';
+      }
+      return `Falha na verificação de identidade (Código OTP inválido${payload.attempts ? `, tentativa ${payload.attempts}` : ''})${payload.codeInvalidated ? '; o código foi invalidado' : ''}.`;
 
     // --- GESTÃO DE USUÁRIOS ---
     case 'USER_CREATED':
@@ -34,38 +37,92 @@ const formatAuditLogDescription = (log) => {
       return 'A senha de acesso foi alterada.';
 
     // --- DOCUMENTOS ---
-    case 'CREATED': // Contexto: Documento
+    case 'CREATED': // Contexto: Documento, Envelope ou Modelo
+      if (log.entityType === 'TEMPLATE') {
+        return `Modelo "${payload.name || 'Sem nome'}" foi criado com os papéis: ${(payload.roles || []).join(', ')}.`;
+      }
+      if (log.entityType === 'ENVELOPE') {
+        return `Envelope "${payload.title || 'Sem título'}" foi criado com ${(payload.documents || []).length} arquivo(s).`;
+      }
       return `Documento "${payload.title || 'Sem título'}" foi criado.`;
-    case 'STORAGE_UPLOADED':
-      return `Arquivo original "${payload.fileName || 'PDF'}" foi enviado para o armazenamento seguro.`;
+    case 'STORAGE_UPLOADED': {
+      const base = payload.templateId
+        ? `Documento gerado a partir do modelo "${payload.fileName || 'PDF'}" e armazenado com segurança.`
+        : `Arquivo original "${payload.fileName || 'PDF'}" foi enviado para o armazenamento seguro.`;
+      return payload.prefill
+        ? `${base} Conteúdo pré-preenchido com ${Object.keys(payload.prefill.variables || {}).length} variável(is).`
+        : base;
+    }
     case 'VIEWED':
-      return 'O documento foi visualizado pelo signatário.';
+      return log.entityType === 'ENVELOPE'
+        ? 'O envelope foi visualizado pelo signatário.'
+        : 'O documento foi visualizado pelo signatário.';
+    case 'EXPIRED':
+      return log.entityType === 'SIGNER'
+        ? `O link de assinatura de ${payload.recipient || 'um signatário'} expirou (prazo vencido).`
+        : `O prazo do ${log.entityType === 'ENVELOPE' ? 'envelope' : 'documento'} venceu e ele foi expirado automaticamente.`;
     case 'STATUS_CHANGED':
       const statusMap = {
         'CANCELLED': 'cancelado',
         'EXPIRED': 'expirado',
         'SIGNED': 'finalizado',
+        'PARTIALLY_SIGNED': 'parcialmente assinado',
         'READY': 'pronto para envio'
       };
       const newStatus = statusMap[payload.newStatus] || payload.newStatus;
-      return `O status do documento mudou para "${newStatus}".`;
+      return `O status do ${log.entityType === 'ENVELOPE' ? 'envelope' : 'documento'} mudou para "${newStatus}".`;
     
     // --- ASSINATURAS ---
     case 'INVITED':
       return `Convite para assinar enviado para ${payload.recipient || 'um signatário'}.`;
+    case 'INVITE_RESENT':
+      return `Convite reenviado para ${payload.recipient || 'o signatário'} com um novo link (o anterior foi revogado).`;
+    case 'REMINDER_SENT':
+      return `Lembrete de assinatura enviado para ${payload.recipient || 'o signatário'} (${payload.reminderNumber || 1}º lembrete).`;
+    case 'SIGNER_UPDATED':
+      return `Dados do signatário atualizados (${Object.keys(payload.changes || {}).join(', ') || 'sem alterações'}). Links anteriores foram revogados.`;
+    case 'SIGNER_REMOVED':
+      return `O signatário ${payload.recipient || 'pendente'} foi removido do documento.`;
+    case 'SIGNER_REPLACED':
+      return `O signatário ${payload.recipient || 'pendente'} foi substituído por ${payload.newRecipient || 'outro signatário'}.`;
     case 'SIGNED':
+      if (payload.mode === 'QUALIFIED') {
+        const issuer = payload.certificate?.issuer ? ` emitido por ${payload.certificate.issuer}` : '';
+        return `Assinatura realizada com certificado digital ICP-Brasil${issuer}.`;
+      }
       return 'Assinatura realizada e registrada com sucesso.';
+    case 'DECLINED':
+      return `O signatário recusou a assinatura. Motivo: "${payload.reason || 'não informado'}".`;
     case 'PADES_SIGNED':
+      if (payload.timestamp) {
+        return `O documento recebeu a assinatura digital (PAdES) da plataforma, com carimbo do tempo nº ${payload.timestamp.serialNumber} (${new Date(payload.timestamp.genTime).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}).`;
+      }
       return 'O documento recebeu a assinatura digital (PAdES) da plataforma, garantindo sua integridade.';
+    case 'LTV_APPLIED':
+      if (!payload.timestamp) {
+        return 'Dados de validação de longo prazo (certificados e revogação) foram embutidos no documento.';
+      }
+      return payload.renewal
+        ? `O carimbo do tempo de arquivamento foi renovado (nº ${payload.timestamp.serialNumber}), estendendo a validade das assinaturas.`
+        : `Dados de validação de longo prazo e carimbo do tempo de documento (nº ${payload.timestamp.serialNumber}) foram embutidos (PAdES-LTA).`;
     case 'CERTIFICATE_ISSUED':
-      return 'Certificado de conclusão de assinaturas gerado.';
+      return log.entityType === 'ENVELOPE'
+        ? 'Certificado de conclusão do envelope (todos os arquivos) gerado.'
+        : 'Certificado de conclusão de assinaturas gerado.';
 
     // --- OUTROS ---
-    case 'DOWNLOADED':
-      return 'O arquivo do documento foi baixado.';
+    case 'DOWNLOADED': {
+      const via = { SIGNED_URL: ' por link assinado', SIGNER_LINK: ' pelo signatário, após a conclusão' }[payload.via] || '';
+      if (payload.file === 'CERTIFICATE') return `O Certificado de Conclusão foi baixado${via}.`;
+      if (payload.file === 'VERSION') return `A versão ${payload.versionNumber} do arquivo foi baixada${via}.`;
+      return `O arquivo do documento${payload.versionNumber ? ` (versão ${payload.versionNumber})` : ''} foi baixado${via}.`;
+    }
     case 'API_KEY_GENERATED':
       return 'Uma nova chave de API foi gerada para integrações.';
     case 'ACCOUNT_LOCKED':
+      if (log.entityType === 'SIGNER') {
+        return `O link do signatário foi bloqueado temporariamente após ${payload.failedAttempts || 'várias'} tentativas com código OTP incorreto.`;
+      }
       return 'A conta foi bloqueada temporariamente por excesso de tentativas falhas.';
 
     default:
@@ -78,9 +135,9 @@ const formatAuditLogDescription = (log) => {
  * Identifica a categoria do evento para ícones ou filtros no frontend.
  */
 const getLogCategory = (action) => {
-  if (['LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'OTP_SENT', 'OTP_VERIFIED'].includes(action)) return 'security';
+  if (['LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'OTP_SENT', 'OTP_VERIFIED', 'OTP_FAILED', 'ACCOUNT_LOCKED'].includes(action)) return 'security';
   if (['CREATED', 'STATUS_CHANGED', 'STORAGE_UPLOADED', 'CERTIFICATE_ISSUED'].includes(action)) return 'document';
-  if (['INVITED', 'SIGNED', 'VIEWED'].includes(action)) return 'signer';
+  if (['INVITED', 'INVITE_RESENT', 'REMINDER_SENT', 'SIGNER_UPDATED', 'SIGNER_REMOVED', 'SIGNER_REPLACED', 'SIGNED', 'DECLINED', 'VIEWED'].includes(action)) return 'signer';
   return 'system';
 };
 
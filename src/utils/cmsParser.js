@@ -0,0 +1,93 @@
+// src/utils/cmsParser.js
+'use strict';
+
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+const OID_TST_INFO = '1.2.840.113549.1.9.16.1.4';
+
+const BYTE_RANGE_REGEX = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+
+/**
+ * Localiza as assinaturas embutidas (pares /ByteRange + /Contents) de um PDF.
+ * Placeholders ainda não assinados (ByteRange com asteriscos) não casam com a regex.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Array<{ byteRange: number[], contentsDer: string|null }>} DER do /Contents em string binária (forge).
+ */
+const findEmbeddedSignatures = (pdfBuffer) => {
+  const text = pdfBuffer.toString('latin1');
+  const found = [];
+
+  for (const match of text.matchAll(BYTE_RANGE_REGEX)) {
+    const byteRange = match.slice(1, 5).map(Number);
+    const [start1, length1, start2] = byteRange;
+    let contentsDer = null;
+    if (start1 + length1 < start2 && start2 <= pdfBuffer.length) {
+      // /Contents fica entre os dois intervalos, como <hex> (com zeros de preenchimento)
+      const contentsHex = pdfBuffer.slice(start1 + length1 + 1, start2 - 1).toString('latin1').replace(/(00)+$/, '');
+      contentsDer = forge.util.hexToBytes(contentsHex);
+    }
+    found.push({ byteRange, contentsDer });
+  }
+  return found;
+};
+
+/**
+ * Decompõe um ContentInfo/SignedData (RFC 5652) sem depender do 'messageFromAsn1' do forge,
+ * que só aceita conteúdo do tipo Data (tokens de carimbo do tempo usam TSTInfo).
+ *
+ * @param {object} contentInfo - ASN.1 (forge).
+ * @returns {{ eContentType: string, eContent: string|null, certificates: Array<object>, signerInfos: Array<object> }}
+ */
+const parseSignedData = (contentInfo) => {
+  const signedData = contentInfo.value[1].value[0];
+  const parts = signedData.value;
+  const encapContentInfo = parts[2];
+
+  let eContent = null;
+  if (encapContentInfo.value[1]) {
+    // [0] EXPLICIT OCTET STRING (pode vir "constructed" em BER)
+    const octets = encapContentInfo.value[1].value[0];
+    eContent = Array.isArray(octets.value) ? octets.value.map(part => part.value).join('') : octets.value;
+  }
+
+  const certificates = [];
+  const certSet = parts.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+  for (const certAsn1 of certSet ? certSet.value : []) {
+    try {
+      certificates.push(pki.certificateFromAsn1(certAsn1));
+    } catch (e) {
+      // Certificados com algoritmos não suportados pelo forge (ex.: ECDSA) são ignorados
+    }
+  }
+
+  return {
+    eContentType: asn1.derToOid(encapContentInfo.value[0].value),
+    eContent,
+    certificates,
+    signerInfos: parts[parts.length - 1].value
+  };
+};
+
+/**
+ * Valor (primeiro elemento do SET) de um atributo CMS, procurado pelo OID.
+ */
+const findAttribute = (attributes, oid) => {
+  const attr = (attributes || []).find(a => asn1.derToOid(a.value[0].value) === oid);
+  return attr ? attr.value[1].value[0] : null;
+};
+
+/**
+ * DER (Buffer) de um certificado forge.
+ */
+const certificateToDer = (cert) => Buffer.from(asn1.toDer(pki.certificateToAsn1(cert)).getBytes(), 'binary');
+
+module.exports = {
+  OID_TST_INFO,
+  findEmbeddedSignatures,
+  parseSignedData,
+  findAttribute,
+  certificateToDer
+};
@@ -0,0 +1,77 @@
+// src/utils/csv.js
+'use strict';
+
+/**
+ * Leitor de CSV (RFC 4180): campos entre aspas, aspas duplicadas ("") e quebras de linha dentro de aspas.
+ * O separador é detectado pela primeira linha (',' ou ';' — o Excel em pt-BR exporta com ';').
+ *
+ * @param {string} text - Conteúdo do arquivo.
+ * @returns {Array<object>} Uma entrada por linha, com as colunas do cabeçalho como chaves.
+ */
+const parseCsv = (text) => {
+  const content = String(text).replace(/^\uFEFF/, ''); // BOM do Excel
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(cols => cols.some(col => col.trim() !== ''));
+  const keys = header.map(key => key.trim());
+
+  return rows.map(cols => Object.fromEntries(keys.map((key, index) => [key, (cols[index] ?? '').trim()])));
+};
+
+/**
+ * Serializa linhas em CSV (separador ';', compatível com o Excel em pt-BR).
+ * Células que a planilha interpretaria como fórmula (=, +, -, @, tab ou CR no início) recebem um "'" na frente.
+ *
+ * @param {string[]} columns
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cols => cols.map(escape).join(';'))
+    .join('\r\n');
+};
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,204 @@
+// src/utils/localRevocationServer.js
+'use strict';
+
+/**
+ * Responder OCSP + CRL local, SOMENTE para desenvolvimento e testes.
+ * Responde "good" para qualquer certificado (exceto os seriais em 'revokedSerials'),
+ * assinando com um certificado próprio autoassinado. Não serve como fonte de confiança real.
+ *
+ * Uso: node src/utils/localRevocationServer.js [porta]
+ *   REVOCATION_OCSP_URL=http://127.0.0.1:<porta>/ocsp
+ *   REVOCATION_CRL_URL=http://127.0.0.1:<porta>/crl
+ *   REVOCATION_RESPONDER_CERT=<PEM gravado na inicialização> (as respostas são assinadas por ele)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+const OID_OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1';
+const OID_SHA256_WITH_RSA = '1.2.840.113549.1.1.11';
+
+const OCSP_STATUS = { SUCCESSFUL: 0, MALFORMED_REQUEST: 1 };
+
+const seq = (values) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+const generalizedTime = (date) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+const utcTime = (date) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(date));
+const sha256WithRsa = () => seq([
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_SHA256_WITH_RSA).getBytes()),
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+]);
+
+const createResponderCredentials = () => {
+  const { privateKey: privateKeyPem } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const privateKey = pki.privateKeyFromPem(privateKeyPem);
+
+  const cert = pki.createCertificate();
+  cert.publicKey = pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const attrs = [{ name: 'commonName', value: 'Doculink Local Revocation (testes)' }, { name: 'countryName', value: 'BR' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([
+    { name: 'keyUsage', digitalSignature: true, cRLSign: true },
+    { name: 'extKeyUsage', OCSPSigning: true }
+  ]);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  return { cert, privateKey };
+};
+
+/**
+ * Assina (sha256WithRSA) o DER informado e devolve o BIT STRING da assinatura.
+ */
+const signatureBitString = (der, privateKey) => {
+  const md = forge.md.sha256.create();
+  md.update(der);
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, String.fromCharCode(0) + privateKey.sign(md));
+};
+
+/**
+ * OCSPResponse com um SingleResponse por CertID pedido.
+ */
+const buildOcspResponse = (requestDer, { cert, privateKey }, revokedSerials) => {
+  const tbsRequest = asn1.fromDer(requestDer.toString('binary')).value[0];
+  const requestList = tbsRequest.value.find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.SEQUENCE);
+  const now = new Date();
+
+  const singleResponses = requestList.value.map(request => {
+    const certId = request.value[0];
+    const serial = forge.util.bytesToHex(certId.value[3].value).replace(/^0+/, '');
+    const certStatus = revokedSerials.has(serial)
+      // revoked [1] IMPLICIT RevokedInfo { revocationTime }
+      ? asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [generalizedTime(now)])
+      // good [0] IMPLICIT NULL
+      : asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, '');
+    return seq([certId, certStatus, generalizedTime(now)]);
+  });
+
+  const tbsResponseData = seq([
+    // responderID byName [1]
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [pki.distinguishedNameToAsn1(cert.subject)]),
+    generalizedTime(now),
+    seq(singleResponses)
+  ]);
+
+  const basicResponse = seq([
+    tbsResponseData,
+    sha256WithRsa(),
+    signatureBitString(asn1.toDer(tbsResponseData).getBytes(), privateKey),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [seq([pki.certificateToAsn1(cert)])])
+  ]);
+
+  return seq([
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(OCSP_STATUS.SUCCESSFUL)),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [seq([
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_OCSP_BASIC).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(basicResponse).getBytes())
+    ])])
+  ]);
+};
+
+/**
+ * CRL v2 emitida pelo certificado do stub (lista os seriais revogados configurados).
+ */
+const buildCrl = ({ cert, privateKey }, revokedSerials) => {
+  const now = new Date();
+  const tbsFields = [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    sha256WithRsa(),
+    pki.distinguishedNameToAsn1(cert.subject),
+    utcTime(now),
+    utcTime(new Date(now.getTime() + 24 * 60 * 60 * 1000))
+  ];
+  if (revokedSerials.size > 0) {
+    tbsFields.push(seq([...revokedSerials].map(serial => seq([
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(serial.length % 2 ? `0${serial}` : serial)),
+      utcTime(now)
+    ]))));
+  }
+  const tbsCertList = seq(tbsFields);
+
+  return seq([tbsCertList, sha256WithRsa(), signatureBitString(asn1.toDer(tbsCertList).getBytes(), privateKey)]);
+};
+
+const toBuffer = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+
+/**
+ * Inicia o stub de revogação.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 0 escolhe uma porta livre.
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string[]} [options.revokedSerials] - Seriais (hex) a reportar como revogados.
+ * @returns {Promise<{ ocspUrl: string, crlUrl: string, certificate: object, close: () => Promise<void> }>}
+ */
+const startLocalRevocationServer = ({ port = 0, host = '127.0.0.1', revokedSerials = [] } = {}) => {
+  const credentials = createResponderCredentials();
+  const revoked = new Set(revokedSerials.map(serial => String(serial).toLowerCase().replace(/^0+/, '')));
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.startsWith('/crl')) {
+      res.writeHead(200, { 'Content-Type': 'application/pkix-crl' }).end(toBuffer(buildCrl(credentials, revoked)));
+      return;
+    }
+    if (req.method !== 'POST' || !req.url.startsWith('/ocsp')) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        body = toBuffer(buildOcspResponse(Buffer.concat(chunks), credentials, revoked));
+      } catch (error) {
+        body = toBuffer(seq([
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(OCSP_STATUS.MALFORMED_REQUEST))
+        ]));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/ocsp-response' }).end(body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const base = `http://${host}:${server.address().port}`;
+      resolve({
+        ocspUrl: `${base}/ocsp`,
+        crlUrl: `${base}/crl`,
+        certificate: credentials.cert,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+};
+
+module.exports = { startLocalRevocationServer };
+
+if (require.main === module) {
+  startLocalRevocationServer({ port: Number(process.argv[2]) || 3181 })
+    .then(({ ocspUrl, crlUrl, certificate }) => {
+      const certPath = path.join(os.tmpdir(), 'doculink-local-revocation.pem');
+      fs.writeFileSync(certPath, pki.certificateToPem(certificate));
+      console.log(`[Local Revocation] OCSP em ${ocspUrl} | CRL em ${crlUrl}`);
+      console.log(`[Local Revocation] Use REVOCATION_RESPONDER_CERT=${certPath}`);
+    })
+    .catch(error => {
+      console.error('[Local Revocation] Falha ao iniciar:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,188 @@
+// src/utils/localTsaServer.js
+'use strict';
+
+/**
+ * TSA (RFC 3161) local, SOMENTE para desenvolvimento e testes.
+ * Gera um certificado autoassinado ao iniciar e responde a 'application/timestamp-query'.
+ * Não inclui o atributo signingCertificate (ESSCertID), então validadores estritos
+ * (ex.: 'openssl ts -verify') recusam os tokens; para produção configure uma TSA real.
+ *
+ * Uso: node src/utils/localTsaServer.js [porta]  →  TSA_URL=http://127.0.0.1:<porta>
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+const OID_TST_INFO = '1.2.840.113549.1.9.16.1.4';
+// Política de testes (arco de exemplo, não registrado)
+const OID_TEST_POLICY = '1.2.3.4.1';
+
+const PKI_STATUS = { GRANTED: 0, REJECTION: 2 };
+
+const integer = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+
+/**
+ * Certificado autoassinado com extendedKeyUsage timeStamping (crítico, RFC 3161 §2.3).
+ * Com 'timeStampingUsage' falso, o certificado sai sem esse uso (para testar a recusa do token).
+ */
+const createTsaCredentials = ({ timeStampingUsage = true } = {}) => {
+  // Gera a chave pelo crypto nativo (bem mais rápido que o forge puro)
+  const { privateKey: privateKeyPem } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const privateKey = pki.privateKeyFromPem(privateKeyPem);
+
+  const cert = pki.createCertificate();
+  cert.publicKey = pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const attrs = [{ name: 'commonName', value: 'Doculink Local TSA (testes)' }, { name: 'countryName', value: 'BR' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+    { name: 'extKeyUsage', critical: true, ...(timeStampingUsage ? { timeStamping: true } : { serverAuth: true }) }
+  ]);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  return { cert, privateKey };
+};
+
+/**
+ * Lê o TimeStampReq: devolve o messageImprint (ASN.1 original) e o nonce, se houver.
+ */
+const parseRequest = (der) => {
+  const fields = asn1.fromDer(der.toString('binary')).value;
+  const messageImprint = fields[1];
+  if (!messageImprint || messageImprint.type !== asn1.Type.SEQUENCE) {
+    throw new Error('messageImprint ausente.');
+  }
+  const nonce = fields.slice(2).find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER);
+  return { messageImprint, nonce };
+};
+
+const buildTstInfo = ({ messageImprint, nonce }, serialNumber, genTime) => {
+  const fields = [
+    integer(1),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_TEST_POLICY).getBytes()),
+    messageImprint,
+    integer(serialNumber),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(genTime))
+  ];
+  if (nonce) fields.push(nonce);
+  return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, fields)).getBytes();
+};
+
+/**
+ * Assina o TSTInfo como SignedData (eContentType id-ct-TSTInfo).
+ */
+const buildToken = (tstInfoDer, { cert, privateKey }) => {
+  const p7 = forge.pkcs7.createSignedData();
+  // Com 'content' objeto e 'contentInfo' preenchido o forge não gera um ContentInfo do tipo Data
+  p7.content = forge.util.createBuffer(tstInfoDer);
+  p7.contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_TST_INFO).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, tstInfoDer)
+    ])
+  ]);
+  p7.addCertificate(cert);
+  p7.addSigner({
+    key: privateKey,
+    certificate: cert,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: OID_TST_INFO },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime }
+    ]
+  });
+  p7.sign();
+  return p7.toAsn1();
+};
+
+const buildResponse = (status, token = null, statusText = null) => {
+  const statusInfo = [integer(status)];
+  if (statusText) {
+    statusInfo.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, forge.util.encodeUtf8(statusText))
+    ]));
+  }
+  const response = [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, statusInfo)];
+  if (token) response.push(token);
+  return Buffer.from(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, response)).getBytes(), 'binary');
+};
+
+/**
+ * Inicia a TSA local.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 0 escolhe uma porta livre.
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.username] - Se informado, exige Basic Auth.
+ * @param {string} [options.password]
+ * @param {boolean} [options.timeStampingUsage=true] - Falso gera um certificado sem o uso timeStamping.
+ * @returns {Promise<{ url: string, certificate: object, close: () => Promise<void> }>}
+ */
+const startLocalTsa = ({ port = 0, host = '127.0.0.1', username = null, password = '', timeStampingUsage = true } = {}) => {
+  const credentials = createTsaCredentials({ timeStampingUsage });
+  let nextSerial = 1;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    if (username) {
+      const expected = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+      if (req.headers.authorization !== expected) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="tsa"' }).end();
+        return;
+      }
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        const request = parseRequest(Buffer.concat(chunks));
+        const tstInfoDer = buildTstInfo(request, nextSerial++, new Date());
+        body = buildResponse(PKI_STATUS.GRANTED, buildToken(tstInfoDer, credentials));
+      } catch (error) {
+        body = buildResponse(PKI_STATUS.REJECTION, null, error.message);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' }).end(body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        certificate: credentials.cert,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+};
+
+module.exports = { startLocalTsa };
+
+if (require.main === module) {
+  startLocalTsa({ port: Number(process.argv[2]) || 3180 })
+    .then(({ url }) => console.log(`[Local TSA] Ouvindo em ${url}`))
+    .catch(error => {
+      console.error('[Local TSA] Falha ao iniciar:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,162 @@
+// src/utils/migrateStorage.js
+'use strict';
+
+/**
+ * Migra os arquivos dos tenants entre drivers de armazenamento (ex.: disco local → S3/MinIO).
+ * Cada arquivo é lido da origem, conferido contra o hash registrado no banco (versões, documentos,
+ * certificados e modelos; imagens de assinatura não têm hash registrado), gravado no destino e
+ * relido de lá para conferir o hash da cópia. Arquivos já presentes no destino com o mesmo conteúdo são pulados,
+ * então a migração pode ser repetida até não restarem falhas.
+ *
+ * Uso: npm run storage:migrate -- --to s3 [--from local] [--tenant <id>] [--delete-source] [--dry-run]
+ * Depois de migrar, ajuste STORAGE_DRIVER e reinicie a API.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+const sha256Of = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Hashes registrados para as chaves do tenant. Versões vêm por último: é o registro mais específico.
+ * @returns {Promise<Map<string, string>>}
+ */
+const loadExpectedHashes = async (models, tenantId) => {
+  const { Document, DocumentVersion, Certificate, Template } = models;
+  const [documents, certificates, templates, versions] = await Promise.all([
+    Document.findAll({ where: { tenantId }, attributes: ['storageKey', 'sha256'] }),
+    Certificate.findAll({ where: { storageKey: { [Op.like]: `uploads/${tenantId}/%` } }, attributes: ['storageKey', 'sha256'] }),
+    Template.findAll({ where: { tenantId }, attributes: ['storageKey', 'sha256'] }),
+    DocumentVersion.findAll({ where: { tenantId }, attributes: ['storageKey', 'sha256'] })
+  ]);
+
+  const hashes = new Map();
+  for (const record of [...documents, ...certificates, ...templates, ...versions]) {
+    if (record.storageKey && record.sha256) hashes.set(record.storageKey, record.sha256);
+  }
+  return hashes;
+};
+
+/**
+ * Migra os arquivos de um tenant (chaves sob uploads/{tenantId}/).
+ *
+ * @param {object} options
+ * @param {object} options.source - Driver de origem (storageService.getDriver).
+ * @param {object} options.destination - Driver de destino.
+ * @param {string} options.tenantId
+ * @param {Map<string, string>} options.expectedHashes - Chave → SHA-256 registrado.
+ * @param {boolean} [options.deleteSource=false] - Remove da origem após a cópia conferida.
+ * @param {boolean} [options.dryRun=false] - Apenas lê e confere a origem.
+ * @returns {Promise<{ tenantId: string, total: number, copied: number, skipped: number, failed: Array<{ key: string, reason: string }> }>}
+ */
+const migrateTenantFiles = async ({ source, destination, tenantId, expectedHashes, deleteSource = false, dryRun = false }) => {
+  const report = { tenantId, total: 0, copied: 0, skipped: 0, failed: [] };
+
+  for await (const key of source.list(`uploads/${tenantId}/`)) {
+    report.total += 1;
+    try {
+      const buffer = await readAll(await source.get(key));
+      const sha256 = sha256Of(buffer);
+
+      const expected = expectedHashes.get(key);
+      if (expected && expected !== sha256) {
+        report.failed.push({ key, reason: `hash da origem (${sha256}) diverge do registrado (${expected})` });
+        continue;
+      }
+
+      const alreadyCopied = await destination.exists(key)
+        && sha256Of(await readAll(await destination.get(key))) === sha256;
+
+      if (!alreadyCopied && !dryRun) {
+        await destination.put(key, buffer);
+        const copiedSha256 = sha256Of(await readAll(await destination.get(key)));
+        if (copiedSha256 !== sha256) {
+          report.failed.push({ key, reason: `hash da cópia (${copiedSha256}) diverge da origem (${sha256})` });
+          continue;
+        }
+      }
+
+      if (alreadyCopied) report.skipped += 1;
+      else report.copied += 1;
+
+      if (deleteSource && !dryRun) await source.delete(key);
+    } catch (error) {
+      report.failed.push({ key, reason: error.message });
+    }
+  }
+
+  return report;
+};
+
+const parseArgs = (argv) => {
+  const args = { from: 'local', to: null, tenant: null, deleteSource: false, dryRun: false };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--from') args.from = argv[++index];
+    else if (arg === '--to') args.to = argv[++index];
+    else if (arg === '--tenant') args.tenant = argv[++index];
+    else if (arg === '--delete-source') args.deleteSource = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else throw new Error(`Argumento desconhecido: ${arg}`);
+  }
+  if (!args.to) throw new Error('Informe o driver de destino (--to local|s3).');
+  if (args.from === args.to) throw new Error('Origem e destino devem ser drivers diferentes.');
+  return args;
+};
+
+const main = async () => {
+  require('dotenv').config();
+  const args = parseArgs(process.argv.slice(2));
+
+  const storageService = require('../services/storage.service');
+  const models = require('../models');
+
+  const source = storageService.getDriver(args.from);
+  const destination = storageService.getDriver(args.to);
+
+  const tenants = args.tenant
+    ? [{ id: args.tenant }]
+    : await models.Tenant.findAll({ attributes: ['id'], order: [['createdAt', 'ASC']] });
+
+  let failures = 0;
+  try {
+    for (const tenant of tenants) {
+      const expectedHashes = await loadExpectedHashes(models, tenant.id);
+      const report = await migrateTenantFiles({
+        source,
+        destination,
+        tenantId: tenant.id,
+        expectedHashes,
+        deleteSource: args.deleteSource,
+        dryRun: args.dryRun
+      });
+
+      console.log(`[Storage] Tenant ${tenant.id}: ${report.total} arquivo(s), ${report.copied} ${args.dryRun ? 'a copiar' : 'copiado(s)'}, ${report.skipped} já no destino, ${report.failed.length} falha(s).`);
+      for (const failure of report.failed) {
+        console.error(`[Storage]   ${failure.key}: ${failure.reason}`);
+      }
+      failures += report.failed.length;
+    }
+  } finally {
+    await models.sequelize.close();
+  }
+
+  return failures;
+};
+
+module.exports = { loadExpectedHashes, migrateTenantFiles };
+
+if (require.main === module) {
+  main()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('[Storage] Falha na migração:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,81 @@
+// src/utils/networkGuard.js
+'use strict';
+
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Proteção contra SSRF para URLs que o servidor acessa a partir de dados de terceiros
+ * (TSA configurada pelo tenant, responders OCSP/CRL de certificados enviados por signatários):
+ * só http/https e apenas hosts que resolvem para endereços públicos.
+ */
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+const buildError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Endereço de loopback, rede privada, link-local, multicast ou reservado.
+ * @param {string} address - IPv4 ou IPv6 (inclusive IPv4 mapeado em IPv6).
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedRanges.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Garante que a URL é http(s) e que o host resolve apenas para endereços públicos.
+ *
+ * @param {string} value
+ * @param {string} [label] - Nome do campo nas mensagens de erro.
+ * @returns {Promise<URL>}
+ * @throws {Error} 400 se a URL for inválida, de outro protocolo ou apontar para a rede interna.
+ */
+const assertPublicHttpUrl = async (value, label = 'URL') => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw buildError(`${label} inválida.`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw buildError(`${label} deve usar http ou https.`);
+  }
+  if (url.username || url.password) {
+    throw buildError(`${label} não pode conter credenciais; use os campos de usuário e senha.`);
+  }
+
+  // Hostname de IPv6 vem entre colchetes
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw buildError(`${label}: não foi possível resolver o host ${hostname}.`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw buildError(`${label} aponta para um endereço de rede interna, o que não é permitido.`);
+  }
+  return url;
+};
+
+module.exports = { isPrivateAddress, assertPublicHttpUrl };
@@ -0,0 +1,51 @@
+// src/utils/pagination.js
+'use strict';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Lê page/limit da query string (paginação por offset, 1-based).
+ * @returns {{ page: number, limit: number, offset: number }}
+ */
+const parsePagination = ({ page, limit } = {}) => {
+  const parsedPage = Math.max(parseInt(page, 10) || 1, 1);
+  const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page: parsedPage, limit: parsedLimit, offset: (parsedPage - 1) * parsedLimit };
+};
+
+/**
+ * Lê sortBy/sortOrder da query string contra uma lista de colunas permitidas.
+ *
+ * @param {object} query - { sortBy, sortOrder }
+ * @param {object} columns - Apelido aceito → coluna (ex.: { created: 'createdAt' }).
+ * @param {string} defaultColumn
+ * @returns {[string, 'ASC'|'DESC']}
+ */
+const parseSort = ({ sortBy, sortOrder } = {}, columns, defaultColumn) => {
+  if (sortBy && !columns[sortBy]) {
+    const error = new Error(`Ordenação inválida. Use: ${Object.keys(columns).join(', ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const column = sortBy ? columns[sortBy] : defaultColumn;
+  const direction = String(sortOrder || '').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  return [column, direction];
+};
+
+/**
+ * Monta a resposta paginada (mesmo formato da listagem de auditoria).
+ */
+const buildPage = ({ count, rows }, { page, limit }) => ({
+  totalItems: count,
+  totalPages: Math.ceil(count / limit),
+  currentPage: page,
+  data: rows
+});
+
+/**
+ * Escapa os curingas do LIKE/ILIKE (%, _ e a barra de escape) em um termo de busca.
+ */
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, character => `\\${character}`);
+
+module.exports = { parsePagination, parseSort, buildPage, escapeLike };
@@ -0,0 +1,134 @@
+// src/utils/pdfIncrementalUpdate.js
+'use strict';
+
+const crypto = require('crypto');
+const { PDFDocument, PDFNumber } = require('pdf-lib');
+
+/**
+ * Atualização incremental de PDF (ISO 32000-1 §7.5.6).
+ *
+ * O 'save()' do pdf-lib reescreve o arquivo inteiro, o que invalida assinaturas já existentes.
+ * Aqui o PDF é carregado no pdf-lib apenas para edição em memória; ao salvar, somente os
+ * objetos novos ou alterados são acrescentados ao final do arquivo original, com uma nova
+ * seção xref apontando para a anterior (/Prev). Os bytes assinados ficam intactos.
+ *
+ * Uso:
+ *   const update = await loadForIncrementalUpdate(pdfBuffer);
+ *   update.pdfDoc.catalog.set(...);
+ *   const newBuffer = update.save();
+ */
+
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return Buffer.from(bytes);
+};
+
+const objectDigest = (object) => crypto.createHash('sha1').update(serializeObject(object)).digest('hex');
+
+/**
+ * Offset da última seção xref do arquivo (valor após o último 'startxref').
+ */
+const findLastStartXref = (pdfBuffer) => {
+  const tail = pdfBuffer.slice(Math.max(0, pdfBuffer.length - 2048)).toString('latin1');
+  const match = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail);
+  if (!match) {
+    throw new Error('PDF sem "startxref" no final do arquivo; atualização incremental impossível.');
+  }
+  return Number(match[1]);
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+/**
+ * Monta a tabela xref (subseções contíguas) para as entradas informadas.
+ */
+const buildXrefTable = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.objectNumber - b.objectNumber);
+  const subsections = [];
+  for (const entry of sorted) {
+    const current = subsections[subsections.length - 1];
+    if (current && current.start + current.entries.length === entry.objectNumber) {
+      current.entries.push(entry);
+    } else {
+      subsections.push({ start: entry.objectNumber, entries: [entry] });
+    }
+  }
+
+  let table = 'xref\n';
+  for (const { start, entries: subsectionEntries } of subsections) {
+    table += `${start} ${subsectionEntries.length}\n`;
+    for (const entry of subsectionEntries) {
+      // Cada entrada tem exatamente 20 bytes
+      table += `${pad(entry.offset, 10)} ${pad(entry.generationNumber, 5)} n \n`;
+    }
+  }
+  return table;
+};
+
+/**
+ * Carrega um PDF para edição com salvamento incremental.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{ pdfDoc: import('pdf-lib').PDFDocument, save: () => Buffer }>}
+ */
+const loadForIncrementalUpdate = async (pdfBuffer) => {
+  const prevStartXref = findLastStartXref(pdfBuffer);
+  // 'updateMetadata: false' evita que o pdf-lib altere o dicionário /Info sem necessidade
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+
+  const snapshot = new Map();
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    snapshot.set(ref.tag, objectDigest(object));
+  }
+
+  const save = () => {
+    const { context } = pdfDoc;
+    const changed = context.enumerateIndirectObjects()
+      .filter(([ref, object]) => snapshot.get(ref.tag) !== objectDigest(object));
+
+    if (changed.length === 0) return pdfBuffer;
+
+    // O arquivo original pode não terminar com quebra de linha
+    const chunks = [pdfBuffer];
+    let offset = pdfBuffer.length;
+    if (pdfBuffer[pdfBuffer.length - 1] !== 0x0a) {
+      chunks.push(Buffer.from('\n'));
+      offset += 1;
+    }
+
+    const entries = [];
+    for (const [ref, object] of changed) {
+      const header = Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1');
+      const body = serializeObject(object);
+      const footer = Buffer.from('\nendobj\n', 'latin1');
+      entries.push({ objectNumber: ref.objectNumber, generationNumber: ref.generationNumber, offset });
+      chunks.push(header, body, footer);
+      offset += header.length + body.length + footer.length;
+    }
+
+    const xrefOffset = offset;
+    const { Root, Info, ID, Encrypt } = context.trailerInfo;
+    const trailerDict = context.obj({
+      Size: PDFNumber.of(context.largestObjectNumber + 1),
+      Root,
+      ...(Info && { Info }),
+      ...(ID && { ID }),
+      ...(Encrypt && { Encrypt }),
+      Prev: PDFNumber.of(prevStartXref)
+    });
+
+    chunks.push(
+      Buffer.from(buildXrefTable(entries), 'latin1'),
+      Buffer.from('trailer\n', 'latin1'),
+      serializeObject(trailerDict),
+      Buffer.from(`\nstartxref\n${xrefOffset}\n%%EOF\n`, 'latin1')
+    );
+
+    return Buffer.concat(chunks);
+  };
+
+  return { pdfDoc, save };
+};
+
+module.exports = { loadForIncrementalUpdate };
@@ -0,0 +1,177 @@
+// src/utils/pdfRevisionCheck.js
+'use strict';
+
+const { PDFDocument, PDFDict, PDFArray, PDFRef, PDFName, PDFNumber } = require('pdf-lib');
+
+/**
+ * Confere o que mudou num PDF depois de uma revisão assinada (ISO 32000-1 §12.8.2.2).
+ *
+ * Depois do selo, a plataforma só acrescenta dados de validação de longo prazo: o /DSS
+ * (certificados e respostas OCSP/CRL) e carimbos de documento (/DocTimeStamp) em campos
+ * invisíveis. Qualquer outra alteração (conteúdo de página, anotações visíveis, metadados,
+ * objetos substituídos...) significa que o documento selado foi modificado.
+ *
+ * A comparação é feita objeto a objeto entre a revisão assinada (bytes até o fim do /ByteRange)
+ * e o arquivo completo, como o pdf-lib os resolve (a última definição de cada objeto prevalece).
+ */
+
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return Buffer.from(bytes);
+};
+
+const sameObject = (a, b) => a !== undefined && b !== undefined && serializeObject(a).equals(serializeObject(b));
+
+const sameTrailerEntry = (a, b) => (a === undefined && b === undefined) || sameObject(a, b);
+
+/**
+ * Nomes das chaves com valor diferente entre dois dicionários (incluídas e removidas).
+ */
+const changedKeys = (baseDict, dict) => {
+  const keys = new Set([...baseDict.keys(), ...dict.keys()].map(key => key.decodeText()));
+  return [...keys].filter(key => !sameObject(baseDict.get(PDFName.of(key)), dict.get(PDFName.of(key))));
+};
+
+/**
+ * O array só recebeu itens no final (campos do formulário, anotações da página).
+ */
+const isAppendOnly = (baseArray, array) => {
+  if (!(baseArray instanceof PDFArray) || !(array instanceof PDFArray) || array.size() < baseArray.size()) return false;
+  return baseArray.asArray().every((item, index) => sameObject(item, array.get(index)));
+};
+
+/**
+ * Valor da chave: array direto ou referenciado (a referência não pode ter mudado).
+ */
+const isAppendOnlyEntry = (baseDict, dict, key) => {
+  const baseValue = baseDict.get(PDFName.of(key));
+  const value = dict.get(PDFName.of(key));
+  if (baseValue === undefined) return value instanceof PDFArray;
+  if (baseValue instanceof PDFRef) return sameObject(baseValue, value);
+  return isAppendOnly(baseValue, value);
+};
+
+const isAcroFormUpdate = (baseAcroForm, acroForm) => acroForm instanceof PDFDict
+  && changedKeys(baseAcroForm, acroForm).every(key => key === 'SigFlags' || (key === 'Fields' && isAppendOnlyEntry(baseAcroForm, acroForm, 'Fields')));
+
+const isCatalogUpdate = (baseCatalog, catalog) => changedKeys(baseCatalog, catalog).every((key) => {
+  if (key === 'DSS') return true;
+  if (key !== 'AcroForm') return false;
+  // Formulário direto no catálogo; um formulário referenciado é conferido como objeto próprio
+  const baseAcroForm = baseCatalog.get(PDFName.of('AcroForm'));
+  return baseAcroForm instanceof PDFDict && isAcroFormUpdate(baseAcroForm, catalog.get(PDFName.of('AcroForm')));
+});
+
+const isPageUpdate = (basePage, page) => changedKeys(basePage, page)
+  .every(key => key === 'Annots' && isAppendOnlyEntry(basePage, page, 'Annots'));
+
+/**
+ * Anotação nova só é aceita se for o widget invisível de um campo de assinatura (/Rect sem área).
+ */
+const isInvisibleWidget = (dict) => {
+  if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) return false;
+  const rect = dict.lookupMaybe(PDFName.of('Rect'), PDFArray);
+  if (!rect || rect.size() !== 4) return false;
+  const [x1, y1, x2, y2] = rect.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : NaN));
+  return (x1 === x2 || y1 === y2) && ![x1, y1, x2, y2].some(Number.isNaN);
+};
+
+/**
+ * Referências (tags) que só podem mudar por acréscimo: o /DSS e seus valores, o formulário,
+ * a lista de campos e as listas de anotações das páginas da revisão assinada.
+ */
+const collectUpdatableRefs = (baseDoc) => {
+  const { catalog, context } = baseDoc;
+  const refs = { dss: new Set(), acroForm: null, appendOnly: new Set(), pages: new Map() };
+
+  const dssRef = catalog.get(PDFName.of('DSS'));
+  if (dssRef instanceof PDFRef) {
+    refs.dss.add(dssRef.tag);
+    const dss = context.lookup(dssRef);
+    if (dss instanceof PDFDict) {
+      dss.values().filter(value => value instanceof PDFRef).forEach(ref => refs.dss.add(ref.tag));
+    }
+  }
+
+  const acroFormRef = catalog.get(PDFName.of('AcroForm'));
+  const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (acroFormRef instanceof PDFRef) refs.acroForm = acroFormRef.tag;
+  const fieldsRef = acroForm?.get(PDFName.of('Fields'));
+  if (fieldsRef instanceof PDFRef) refs.appendOnly.add(fieldsRef.tag);
+
+  for (const page of baseDoc.getPages()) {
+    refs.pages.set(page.ref.tag, page.node);
+    const annotsRef = page.node.get(PDFName.of('Annots'));
+    if (annotsRef instanceof PDFRef) refs.appendOnly.add(annotsRef.tag);
+  }
+  return refs;
+};
+
+/**
+ * Verifica se, depois da revisão que termina em 'revisionEnd', o PDF recebeu apenas
+ * atualizações de DSS e/ou carimbos de documento.
+ *
+ * @param {Buffer} pdfBuffer - Arquivo completo.
+ * @param {number} revisionEnd - Fim (exclusivo) da revisão assinada: início + tamanho do segundo intervalo do /ByteRange.
+ * @returns {Promise<{ allowed: boolean, changes: string[] }>} 'changes' descreve as alterações não permitidas.
+ */
+const checkUpdatesAfterRevision = async (pdfBuffer, revisionEnd) => {
+  if (revisionEnd >= pdfBuffer.length) return { allowed: true, changes: [] };
+  // Atualizações incrementais terminam em %%EOF; outros bytes no final não são uma revisão
+  if (!/%%EOF\s*$/.test(pdfBuffer.subarray(Math.max(revisionEnd, pdfBuffer.length - 1024)).toString('latin1'))) {
+    return { allowed: false, changes: ['Bytes acrescentados após a última revisão.'] };
+  }
+
+  let baseDoc;
+  let currentDoc;
+  try {
+    // 'updateMetadata: false' impede o pdf-lib de alterar o /Info em memória (e gerar diferenças falsas)
+    baseDoc = await PDFDocument.load(pdfBuffer.subarray(0, revisionEnd), { updateMetadata: false });
+    currentDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  } catch (error) {
+    return { allowed: false, changes: [`Revisões posteriores ilegíveis: ${error.message}`] };
+  }
+
+  const changes = [];
+  const baseRoot = baseDoc.context.trailerInfo.Root;
+  if (!sameTrailerEntry(baseRoot, currentDoc.context.trailerInfo.Root)
+    || !sameTrailerEntry(baseDoc.context.trailerInfo.Info, currentDoc.context.trailerInfo.Info)) {
+    changes.push('Trailer (/Root ou /Info) substituído.');
+  }
+
+  const refs = collectUpdatableRefs(baseDoc);
+  for (const [ref, object] of currentDoc.context.enumerateIndirectObjects()) {
+    const baseObject = baseDoc.context.lookup(ref);
+
+    if (baseObject === undefined) {
+      // Objeto novo: só é alcançável por objetos existentes, conferidos abaixo. Anotações (/Subtype + /Rect,
+      // o /Type é opcional) precisam ser widgets invisíveis, como os dos carimbos de documento
+      if (object instanceof PDFDict && object.has(PDFName.of('Subtype')) && object.has(PDFName.of('Rect'))
+        && !isInvisibleWidget(object)) {
+        changes.push(`Anotação visível acrescentada (objeto ${ref.objectNumber}).`);
+      }
+      continue;
+    }
+    if (sameObject(baseObject, object)) continue;
+
+    let allowed = false;
+    if (refs.dss.has(ref.tag)) {
+      allowed = true;
+    } else if (ref.tag === baseRoot?.tag) {
+      allowed = object instanceof PDFDict && isCatalogUpdate(baseObject, object);
+    } else if (ref.tag === refs.acroForm) {
+      allowed = isAcroFormUpdate(baseObject, object);
+    } else if (refs.appendOnly.has(ref.tag)) {
+      allowed = isAppendOnly(baseObject, object);
+    } else if (refs.pages.has(ref.tag)) {
+      allowed = object instanceof PDFDict && isPageUpdate(baseObject, object);
+    }
+
+    if (!allowed) changes.push(`Objeto ${ref.objectNumber} ${ref.generationNumber} alterado após a assinatura.`);
+  }
+
+  return { allowed: changes.length === 0, changes };
+};
+
+module.exports = { checkUpdatesAfterRevision };
@@ -0,0 +1,49 @@
+// src/utils/secretEncryption.js
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Cifra de segredos guardados no banco (ex.: senha da TSA do tenant) com AES-256-GCM.
+ * A chave vem de SETTINGS_ENCRYPTION_KEY (ou, na falta dela, de JWT_SECRET); trocar a chave
+ * torna ilegíveis os segredos já gravados, que precisam ser informados de novo.
+ *
+ * Formato: 'enc:v1:<iv>:<tag>:<cifrado>' (Base64). Valores sem o prefixo são de antes da cifra
+ * e são devolvidos como estão.
+ */
+
+const PREFIX = 'enc:v1:';
+
+const getKey = () => {
+  const secret = process.env.SETTINGS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) throw new Error('Configure SETTINGS_ENCRYPTION_KEY (ou JWT_SECRET) para cifrar segredos das configurações.');
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * @param {string} plainText
+ * @returns {string}
+ */
+const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * @param {string|null} value - Valor gravado (cifrado ou legado em texto puro).
+ * @returns {string|null}
+ */
+const decryptSecret = (value) => {
+  if (!isEncryptedSecret(value)) return value ?? null;
+
+  const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encryptSecret, decryptSecret, isEncryptedSecret };
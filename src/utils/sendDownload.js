@@ -0,0 +1,35 @@
+// src/utils/sendDownload.js
+'use strict';
+
+const { pipeline } = require('stream/promises');
+
+// Nome do arquivo no Content-Disposition: versão ASCII para clientes antigos + UTF-8 (RFC 6266)
+const contentDisposition = (fileName, type) => {
+  const asciiName = fileName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E]|["\\]/g, '_');
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Envia o arquivo aberto (stream) na resposta. PDFs abrem no navegador por padrão;
+ * '?download=1' força o download.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ stream: import('stream').Readable, fileName: string, mimeType: string }} download
+ */
+const sendDownload = async (req, res, { stream, fileName, mimeType }) => {
+  const forceDownload = ['1', 'true'].includes(String(req.query.download));
+  res.status(200);
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(fileName, forceDownload ? 'attachment' : 'inline'));
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Cabeçalhos já enviados: resta encerrar a conexão (o pipeline já destruiu a resposta)
+    console.error(`[Download] Falha ao enviar '${fileName}':`, error.message);
+  }
+};
+
+module.exports = { sendDownload };
@@ -0,0 +1,30 @@
+// src/utils/validators.js
+'use strict';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164: '+', código do país e até 15 dígitos no total
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+const isValidEmail = (email) => EMAIL_PATTERN.test(String(email || '').trim());
+
+const isValidE164 = (phone) => E164_PATTERN.test(String(phone || '').trim());
+
+/**
+ * Valida o CPF pelos dígitos verificadores (aceita com ou sem máscara).
+ */
+const isValidCpf = (cpf) => {
+  const digits = onlyDigits(cpf);
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+
+  const checkDigit = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i += 1) sum += Number(digits[i]) * (length + 1 - i);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+};
+
+module.exports = { onlyDigits, isValidEmail, isValidE164, isValidCpf };
@@ -0,0 +1,83 @@
+// tests/bulkSend.service.test.js
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+
+const { BulkSendJob, Document, Tenant, sequelize } = require('../src/models');
+const bulkSendService = require('../src/features/bulkSend/bulkSend.service');
+const documentService = require('../src/features/document/document.service');
+const { createRowLock, createTransaction } = require('./helpers/transactions');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const user = { id: '22222222-2222-4222-8222-222222222222', tenantId: TENANT_ID };
+
+const recipients = (count) => Array.from({ length: count }, (_, index) => ({
+  name: `Destinatário ${index + 1}`,
+  email: `destinatario${index + 1}@example.com`
+}));
+
+describe('bulkSend.service reserva do limite do plano', () => {
+  let jobs;
+  let tenantLock;
+
+  beforeEach(() => {
+    jobs = [];
+    // Trava da linha do tenant (SELECT ... FOR UPDATE): liberada no commit/rollback da transação
+    tenantLock = createRowLock();
+
+    mock.method(sequelize, 'transaction', async () => createTransaction());
+    mock.method(Tenant, 'findByPk', async (id, options) => {
+      if (options.lock) options.transaction.releases.push(await tenantLock.acquire());
+      return { id, plan: { price: '0', documentLimit: 10 } };
+    });
+    mock.method(Document, 'count', async () => 3);
+    mock.method(BulkSendJob, 'findAll', async ({ where }) => jobs.filter(job =>
+      job.tenantId === where.tenantId
+      && where.status[Op.in].includes(job.status)
+      && (!where.id || job.id !== where.id[Op.ne])));
+    mock.method(BulkSendJob, 'create', async (values) => {
+      // Cede a vez antes de gravar, como um INSERT real
+      await new Promise(resolve => setImmediate(resolve));
+      const job = { id: `job-${jobs.length + 1}`, ...values };
+      jobs.push(job);
+      return job;
+    });
+    // O processamento em segundo plano não interessa aqui: nenhum job é reivindicado
+    mock.method(BulkSendJob, 'update', async () => [0]);
+    mock.method(documentService, 'findDocumentById', async (id) => ({ id, mimeType: 'application/pdf', envelopeId: null }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('conta as linhas não enviadas de envios em andamento', async () => {
+    jobs.push({ id: 'job-a', tenantId: TENANT_ID, status: 'PROCESSING', totalRows: 6, processedRows: 1 });
+    jobs.push({ id: 'job-b', tenantId: TENANT_ID, status: 'COMPLETED', totalRows: 50, processedRows: 50 });
+
+    // 3 documentos + 5 linhas reservadas
+    await documentService.assertCanCreateDocuments(user, 2);
+    await assert.rejects(documentService.assertCanCreateDocuments(user, 3), { statusCode: 403, message: /8\/10/ });
+  });
+
+  it('não conta a reserva do próprio envio ao gerar os seus documentos', async () => {
+    jobs.push({ id: 'job-a', tenantId: TENANT_ID, status: 'PROCESSING', totalRows: 7, processedRows: 0 });
+
+    await assert.rejects(documentService.assertCanCreateDocuments(user), { statusCode: 403 });
+    await documentService.assertCanCreateDocuments({ ...user, bulkSendJobId: 'job-a' });
+  });
+
+  it('não deixa dois envios simultâneos usarem a mesma cota', async () => {
+    const results = await Promise.allSettled([
+      bulkSendService.createBulkSend({ sourceType: 'DOCUMENT', sourceId: 'doc-1', recipients: recipients(4), user }),
+      bulkSendService.createBulkSend({ sourceType: 'DOCUMENT', sourceId: 'doc-1', recipients: recipients(4), user })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 403);
+    assert.equal(jobs.length, 1);
+    assert.equal(Tenant.findByPk.mock.calls.every(call => call.arguments[1].lock), true);
+  });
+});
@@ -0,0 +1,26 @@
+// tests/csv.test.js
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsv } = require('../src/utils/csv');
+
+describe('csv toCsv', () => {
+  it('neutraliza células que a planilha executaria como fórmula', () => {
+    const csv = toCsv(['name', 'email', 'errors'], [
+      { name: '=HYPERLINK("http://example.com";"clique")', email: '@SUM(A1)', errors: '-2+3' },
+      { name: '+55 11 99999-0000', email: '\tmaria@example.com', errors: '\r=1' }
+    ]);
+
+    const [, first, second] = csv.split('\r\n');
+    assert.equal(first, `"'=HYPERLINK(""http://example.com"";""clique"")";'@SUM(A1);'-2+3`);
+    assert.ok(second.startsWith(`'+55 11 99999-0000;'\tmaria@example.com;"'\r=1"`));
+  });
+
+  it('mantém os demais valores e volta a ser lido pelo parseCsv', () => {
+    const csv = toCsv(['row', 'name', 'status'], [{ row: 1, name: 'Maria; Silva', status: 'SENT' }]);
+
+    assert.deepEqual(parseCsv(csv), [{ row: '1', name: 'Maria; Silva', status: 'SENT' }]);
+  });
+});
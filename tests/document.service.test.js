@@ -0,0 +1,49 @@
+// tests/document.service.test.js
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Document, Signer, sequelize } = require('../src/models');
+const documentService = require('../src/features/document/document.service');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const user = { id: '22222222-2222-4222-8222-222222222222', tenantId: TENANT_ID };
+
+// SQL do WHERE montado para a listagem (sem banco: só a geração da consulta)
+const renderWhere = (where) => sequelize.getQueryInterface().queryGenerator
+  .selectQuery(Document.getTableName(), { where }, Document);
+
+describe('document.service findAllDocuments', () => {
+  let where;
+
+  beforeEach(() => {
+    mock.method(Document, 'findAndCountAll', async (options) => {
+      ({ where } = options);
+      return { count: 0, rows: [] };
+    });
+    mock.method(Signer, 'findAll', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('filtra por signatário com subconsulta restrita ao tenant', async () => {
+    await documentService.findAllDocuments(user, { signerEmail: ' maria@example.com ', signerCpf: '529.982.247-25' });
+
+    const sql = renderWhere(where);
+    assert.equal(Signer.findAll.mock.callCount(), 0);
+    assert.match(sql, /JOIN "Documents" d ON d."id" = s."documentId"\s+WHERE d."tenantId" = '11111111-1111-4111-8111-111111111111'/);
+    assert.match(sql, /JOIN "Envelopes" e ON e."id" = s."envelopeId"\s+WHERE e."tenantId" = '11111111-1111-4111-8111-111111111111'/);
+    assert.match(sql, /s."email" ILIKE 'maria@example.com'/);
+    assert.match(sql, /regexp_replace\(s."cpf", '\[\^0-9\]', '', 'g'\) = '52998224725'/);
+  });
+
+  it('trata % e _ da busca e do e-mail como texto', async () => {
+    await documentService.findAllDocuments(user, { search: '100%_final', signerEmail: '%' });
+
+    assert.equal(where.title[Object.getOwnPropertySymbols(where.title)[0]], '%100\\%\\_final%');
+    assert.match(renderWhere(where), /s."email" ILIKE '\\%'/);
+  });
+});
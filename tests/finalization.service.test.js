@@ -0,0 +1,303 @@
+// tests/finalization.service.test.js
+'use strict';
+
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Armazenamento local em diretório temporário (definido antes de carregar os serviços)
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'finalization-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+const { Document, Envelope, Signer, TenantSettings, SignatureField, User, sequelize } = require('../src/models');
+const finalizationService = require('../src/services/finalization.service');
+const signingFlowService = require('../src/services/signingFlow.service');
+const pdfService = require('../src/services/pdf.service');
+const padesService = require('../src/services/pades.service');
+const tsaService = require('../src/services/tsa.service');
+const certificateService = require('../src/services/certificate.service');
+const documentVersionService = require('../src/services/documentVersion.service');
+const auditService = require('../src/features/audit/audit.service');
+const { createRowLock, createTransaction } = require('./helpers/transactions');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const ORIGINAL_KEY = `uploads/${TENANT_ID}/contrato.pdf`;
+
+const user = { id: '22222222-2222-4222-8222-222222222222', tenantId: TENANT_ID };
+
+describe('finalization.service', () => {
+  let row;
+  let calls;
+  let settings;
+
+  // Instância do documento ligada à "linha" compartilhada (reload/save leem e gravam nela)
+  const loadDocument = () => {
+    const document = Document.build({ ...row });
+    mock.method(document, 'reload', async () => {
+      document.set(row);
+      return document;
+    });
+    mock.method(document, 'save', async () => {
+      Object.assign(row, document.get({ plain: true }));
+      return document;
+    });
+    return document;
+  };
+
+  const signedSigners = () => [
+    Signer.build({ id: '33333333-3333-4333-8333-333333333333', documentId: row.id, name: 'Ana', status: 'SIGNED', signedAt: new Date() }),
+    Signer.build({ id: '44444444-4444-4444-8444-444444444444', documentId: row.id, name: 'Bruno', status: 'SIGNED', signedAt: new Date() })
+  ];
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(storageRoot, 'uploads', TENANT_ID), { recursive: true });
+    fs.writeFileSync(path.join(storageRoot, ORIGINAL_KEY), '%PDF-original');
+
+    row = {
+      id: '55555555-5555-4555-8555-555555555555',
+      tenantId: TENANT_ID,
+      ownerId: user.id,
+      title: 'Contrato',
+      storageKey: ORIGINAL_KEY,
+      sha256: 'original',
+      status: 'PARTIALLY_SIGNED',
+      finalizedAt: null,
+      padesSignedAt: null,
+      signedRevisionKey: null
+    };
+    calls = { stamps: 0, seals: 0, versions: [], audits: [] };
+    settings = { finalizationPolicy: 'VISUAL_ONLY', appendCertificateToPdf: false, longTermValidation: false };
+
+    mock.method(TenantSettings, 'findOne', async () => settings);
+    mock.method(SignatureField, 'findAll', async () => []);
+    mock.method(User, 'findByPk', async () => null);
+    mock.method(Signer, 'findAll', async () => signedSigners());
+    mock.method(pdfService, 'embedSignatures', async () => {
+      calls.stamps += 1;
+      // Cede a vez: dá chance a uma finalização concorrente de avançar, se não houver lock
+      await new Promise(resolve => setImmediate(resolve));
+      return Buffer.from('%PDF-stamped');
+    });
+    mock.method(padesService, 'applyPadesSeal', async (buffer) => {
+      calls.seals += 1;
+      return { sealedBuffer: Buffer.concat([buffer, Buffer.from('-sealed')]), timestamp: null };
+    });
+    mock.method(tsaService, 'getTsaConfig', async () => ({ url: null }));
+    mock.method(certificateService, 'issueCertificate', async () => ({
+      certificate: { sha256: 'certificate-sha256' },
+      buffer: Buffer.from('%PDF-certificate')
+    }));
+    mock.method(documentVersionService, 'recordVersion', async (document, version) => {
+      calls.versions.push(version.kind);
+    });
+    mock.method(auditService, 'createEntry', async (entry) => {
+      calls.audits.push(entry);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(path.join(storageRoot, 'uploads'), { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  describe('finalizeDocument', () => {
+    it('VISUAL_ONLY: grava apenas os carimbos visuais', async () => {
+      const document = loadDocument();
+      await finalizationService.finalizeDocument(document, signedSigners(), { transaction: createTransaction() });
+
+      assert.equal(row.status, 'SIGNED');
+      assert.ok(row.finalizedAt instanceof Date);
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-signed.pdf`);
+      assert.equal(row.padesSignedAt, null);
+      assert.equal(calls.stamps, 1);
+      assert.equal(calls.seals, 0);
+      assert.deepEqual(calls.versions, ['STAMPED']);
+      assert.equal(fs.readFileSync(path.join(storageRoot, row.storageKey), 'utf8'), '%PDF-stamped');
+
+      const statusEntry = calls.audits.find(entry => entry.action === 'STATUS_CHANGED');
+      assert.equal(statusEntry.payload.policy, 'VISUAL_ONLY');
+      assert.equal(statusEntry.payload.padesApplied, false);
+    });
+
+    it('VISUAL_THEN_SEAL: conclui sem selo e permite o selo manual depois', async () => {
+      settings.finalizationPolicy = 'VISUAL_THEN_SEAL';
+      const document = loadDocument();
+      await finalizationService.finalizeDocument(document, signedSigners(), { transaction: createTransaction() });
+
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-signed.pdf`);
+      assert.equal(calls.seals, 0);
+
+      const transaction = createTransaction();
+      mock.method(sequelize, 'transaction', async () => transaction);
+      mock.method(Document, 'findOne', async () => loadDocument());
+
+      await finalizationService.sealDocument(row.id, user);
+
+      assert.equal(transaction.committed, true);
+      assert.equal(calls.stamps, 1, 'o selo manual não carimba de novo');
+      assert.equal(calls.seals, 1);
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-pades.pdf`);
+      assert.ok(row.padesSignedAt instanceof Date);
+      assert.deepEqual(calls.versions, ['STAMPED', 'PADES_SEALED']);
+      assert.equal(fs.readFileSync(path.join(storageRoot, row.storageKey), 'utf8'), '%PDF-stamped-sealed');
+    });
+
+    it('AUTO_PADES: carimba e sela na conclusão', async () => {
+      settings.finalizationPolicy = 'AUTO_PADES';
+      const document = loadDocument();
+      await finalizationService.finalizeDocument(document, signedSigners(), { transaction: createTransaction() });
+
+      assert.equal(row.status, 'SIGNED');
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-pades.pdf`);
+      assert.ok(row.padesSignedAt instanceof Date);
+      assert.equal(calls.stamps, 1);
+      assert.equal(calls.seals, 1);
+      assert.deepEqual(calls.versions, ['STAMPED', 'PADES_SEALED']);
+
+      const statusEntry = calls.audits.find(entry => entry.action === 'STATUS_CHANGED');
+      assert.equal(statusEntry.payload.padesApplied, true);
+    });
+
+    it('não faz nada se o documento já foi finalizado', async () => {
+      row.status = 'SIGNED';
+      row.finalizedAt = new Date();
+      const document = loadDocument();
+      await finalizationService.finalizeDocument(document, signedSigners(), { transaction: createTransaction() });
+
+      assert.equal(calls.stamps, 0);
+      assert.equal(row.storageKey, ORIGINAL_KEY);
+    });
+  });
+
+  describe('sealDocument', () => {
+    const expectConflict = async (message) => {
+      const transaction = createTransaction();
+      mock.method(sequelize, 'transaction', async () => transaction);
+      mock.method(Document, 'findOne', async () => loadDocument());
+
+      await assert.rejects(finalizationService.sealDocument(row.id, user), (error) => {
+        assert.equal(error.statusCode, 409);
+        assert.match(error.message, message);
+        return true;
+      });
+      assert.equal(transaction.rolledBack, true);
+      assert.equal(calls.seals, 0);
+    };
+
+    it('recusa o selo na política VISUAL_ONLY', async () => {
+      row.status = 'SIGNED';
+      await expectConflict(/não permite o selo PAdES/);
+    });
+
+    it('recusa o selo antes da conclusão', async () => {
+      settings.finalizationPolicy = 'VISUAL_THEN_SEAL';
+      await expectConflict(/após todas as assinaturas/);
+    });
+
+    it('recusa um segundo selo', async () => {
+      settings.finalizationPolicy = 'VISUAL_THEN_SEAL';
+      row.status = 'SIGNED';
+      row.padesSignedAt = new Date();
+      await expectConflict(/já possui o selo PAdES/);
+    });
+
+    it('devolve 404 para documento de outro tenant', async () => {
+      const transaction = createTransaction();
+      mock.method(sequelize, 'transaction', async () => transaction);
+      mock.method(Document, 'findOne', async () => null);
+
+      await assert.rejects(finalizationService.sealDocument(row.id, user), { statusCode: 404 });
+      assert.equal(transaction.rolledBack, true);
+    });
+  });
+
+  describe('últimas assinaturas', () => {
+    let rowLock;
+
+    // Mesmo fluxo do commitSignature: trava a unidade, avança o fluxo e faz commit
+    const lastSignature = async () => {
+      const transaction = createTransaction();
+      const document = loadDocument();
+      try {
+        await signingFlowService.lockSigningUnit(document, transaction);
+        const result = await signingFlowService.advanceSigningFlow(document, { transaction });
+        await transaction.commit();
+        return { result, transaction };
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    };
+
+    beforeEach(() => {
+      rowLock = createRowLock();
+      mock.method(sequelize, 'transaction', async () => createTransaction());
+
+      // lockSigningUnit -> Document.findByPk(..., { lock }) trava a linha até o fim da transação
+      mock.method(Document, 'findByPk', async (id, { lock, transaction } = {}) => {
+        if (lock) transaction.releases.push(await rowLock.acquire());
+        return loadDocument();
+      });
+
+      // Reivindicação da finalização: UPDATE condicional, que também trava a linha
+      mock.method(Document, 'update', async (values, { transaction }) => {
+        transaction.releases.push(await rowLock.acquire());
+        if (!signingFlowService.ACTIVE_STATUSES.includes(row.status) || row.finalizedAt) return [0];
+        const previous = { ...row };
+        transaction.undo.push(() => {
+          for (const key of Object.keys(row)) delete row[key];
+          Object.assign(row, previous);
+        });
+        Object.assign(row, values);
+        return [1];
+      });
+    });
+
+    it('finaliza o documento exatamente uma vez, fora da transação da assinatura', async () => {
+      settings.finalizationPolicy = 'AUTO_PADES';
+
+      const signatures = await Promise.all([lastSignature(), lastSignature(), lastSignature()]);
+
+      assert.ok(signatures.every(({ result }) => result.isComplete));
+      assert.ok(signatures.every(({ transaction }) => transaction.committed && !transaction.rolledBack));
+      assert.equal(calls.stamps, 1);
+      assert.equal(calls.seals, 1);
+      assert.deepEqual(calls.versions, ['STAMPED', 'PADES_SEALED']);
+      assert.equal(calls.audits.filter(entry => entry.action === 'STATUS_CHANGED' && entry.payload.newStatus === 'SIGNED').length, 1);
+      assert.equal(row.status, 'SIGNED');
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-pades.pdf`);
+    });
+
+    it('mantém a assinatura se a finalização falhar e o job conclui depois', async () => {
+      const failure = new Error('falha ao emitir o certificado');
+      mock.method(certificateService, 'issueCertificate', async () => { throw failure; }, { times: 1 });
+      mock.method(console, 'error', () => {});
+
+      const { result, transaction } = await lastSignature();
+
+      assert.equal(result.isComplete, true);
+      assert.equal(transaction.committed, true);
+      assert.equal(transaction.rolledBack, false);
+      assert.equal(row.status, 'PARTIALLY_SIGNED');
+      assert.equal(row.finalizedAt, null);
+      assert.equal(row.storageKey, ORIGINAL_KEY);
+      assert.equal(fs.existsSync(path.join(storageRoot, `uploads/${TENANT_ID}/contrato-signed.pdf`)), false, 'o PDF final da tentativa é apagado');
+
+      mock.method(Document, 'findAll', async () => [loadDocument()]);
+      mock.method(Envelope, 'findAll', async () => []);
+
+      assert.equal(await signingFlowService.finalizePendingUnits(), 1);
+      assert.equal(row.status, 'SIGNED');
+      assert.ok(row.finalizedAt instanceof Date);
+      assert.equal(row.storageKey, `uploads/${TENANT_ID}/contrato-signed.pdf`);
+      assert.equal(fs.readFileSync(path.join(storageRoot, row.storageKey), 'utf8'), '%PDF-stamped');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/helpers/certificates.js
+'use strict';
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const { asn1, pki } = forge;
+
+const OID_AUTHORITY_INFO_ACCESS = '1.3.6.1.5.5.7.1.1';
+const OID_OCSP_ACCESS = '1.3.6.1.5.5.7.48.1';
+
+/**
+ * Par de chaves RSA 2048 (gerado pelo crypto do Node, bem mais rápido que o do forge).
+ * @returns {{ privateKey: object, publicKey: object }} Chaves no formato do forge.
+ */
+const createKeyPair = () => {
+  const { privateKey: privateKeyPem } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const privateKey = pki.privateKeyFromPem(privateKeyPem);
+  return { privateKey, publicKey: pki.setRsaPublicKey(privateKey.n, privateKey.e) };
+};
+
+/**
+ * Certificado de testes válido por um dia: autoassinado ou emitido por 'issuer'.
+ *
+ * @param {object} options
+ * @param {string} options.commonName - CN do titular (e-CPF: "NOME:CPF").
+ * @param {{ cert: object, privateKey: object }} [options.issuer] - AC emissora (padrão: autoassinado).
+ * @param {boolean} [options.ca] - Certificado de AC (basicConstraints + keyCertSign/cRLSign).
+ * @param {string} [options.ocspUrl] - Responder OCSP anunciado no AIA.
+ * @param {string} [options.crlUrl] - Ponto de distribuição da LCR.
+ * @returns {{ cert: object, privateKey: object }}
+ */
+const createCertificate = ({ commonName, issuer = null, ca = false, ocspUrl = null, crlUrl = null }) => {
+  const keys = createKeyPair();
+  const cert = pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: commonName }, { name: 'countryName', value: 'BR' }]);
+  cert.setIssuer((issuer ? issuer.cert : cert).subject.attributes);
+
+  const extensions = ca
+    ? [{ name: 'basicConstraints', cA: true }, { name: 'keyUsage', keyCertSign: true, cRLSign: true }]
+    : [{ name: 'keyUsage', digitalSignature: true, nonRepudiation: true }];
+  if (ocspUrl) {
+    // AIA: SEQUENCE OF AccessDescription { id-ad-ocsp, uniformResourceIdentifier [6] }
+    extensions.push({
+      id: OID_AUTHORITY_INFO_ACCESS,
+      value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_OCSP_ACCESS).getBytes()),
+          asn1.create(asn1.Class.CONTEXT_SPECIFIC, 6, false, ocspUrl)
+        ])
+      ])
+    });
+  }
+  if (crlUrl) {
+    extensions.push({ name: 'cRLDistributionPoints', altNames: [{ type: 6, value: crlUrl }] });
+  }
+  cert.setExtensions(extensions);
+  cert.sign((issuer || keys).privateKey, forge.md.sha256.create());
+  // Ida e volta pelo PEM: como nos certificados extraídos do PDF, as extensões ficam em DER
+  return { cert: pki.certificateFromPem(pki.certificateToPem(cert)), privateKey: keys.privateKey };
+};
+
+/**
+ * Empacota o certificado (e a cadeia) em um .p12, como entregue pelas ACs.
+ * @returns {Buffer}
+ */
+const toP12Buffer = ({ cert, privateKey }, chain = [], password = 'teste') => {
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert, ...chain.map(item => item.cert)], password, { algorithm: '3des' });
+  return Buffer.from(asn1.toDer(p12Asn1).getBytes(), 'binary');
+};
+
+module.exports = { createCertificate, toP12Buffer };
@@ -0,0 +1,51 @@
+// tests/helpers/transactions.js
+'use strict';
+
+/**
+ * Fila de "locks" de linha: simula o SELECT ... FOR UPDATE (ou o UPDATE) do Postgres.
+ * 'acquire' resolve com a função que libera a linha; guarde-a em transaction.releases
+ * para que a linha só seja liberada no commit/rollback da transação que a travou.
+ */
+const createRowLock = () => {
+  let tail = Promise.resolve();
+  return {
+    acquire() {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      const acquired = tail.then(() => release);
+      tail = tail.then(() => released);
+      return acquired;
+    }
+  };
+};
+
+/**
+ * Transação falsa: libera os locks no fim, desfaz as alterações registradas em 'undo'
+ * no rollback e roda os ganchos afterCommit depois do commit (como o Sequelize).
+ */
+const createTransaction = () => {
+  const transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    releases: [],
+    undo: [],
+    afterCommitHooks: [],
+    committed: false,
+    rolledBack: false,
+    afterCommit(fn) {
+      transaction.afterCommitHooks.push(fn);
+    },
+    async commit() {
+      transaction.committed = true;
+      transaction.releases.forEach(release => release());
+      for (const hook of transaction.afterCommitHooks) await hook(transaction);
+    },
+    async rollback() {
+      transaction.rolledBack = true;
+      transaction.undo.reverse().forEach(undo => undo());
+      transaction.releases.forEach(release => release());
+    }
+  };
+  return transaction;
+};
+
+module.exports = { createRowLock, createTransaction };
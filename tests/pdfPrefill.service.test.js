@@ -0,0 +1,55 @@
+// tests/pdfPrefill.service.test.js
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+
+const pdfPrefillService = require('../src/services/pdfPrefill.service');
+
+// PDF de uma página com os campos de texto informados
+const buildPdf = async (fieldNames = []) => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([595, 842]);
+  const form = pdfDoc.getForm();
+  fieldNames.forEach((name, index) => {
+    form.createTextField(name).addToPage(page, { x: 50, y: 700 - index * 40, width: 200, height: 20 });
+  });
+  return Buffer.from(await pdfDoc.save());
+};
+
+const fieldNamesOf = async (buffer) => (await PDFDocument.load(buffer)).getForm().getFields().map(field => field.getName());
+
+describe('pdfPrefill.service fillPdf', () => {
+  it('não aceita nomes herdados do protótipo como variáveis informadas', async () => {
+    const placeholders = [{ text: '{{constructor}} {{toString}}', page: 1, x: 50, y: 50 }];
+
+    await assert.rejects(
+      pdfPrefillService.fillPdf(await buildPdf(), { variables: {}, placeholders }),
+      { statusCode: 400, message: /constructor, toString/ }
+    );
+  });
+
+  it('ignora campos do formulário com nome de propriedade do protótipo', async () => {
+    const result = await pdfPrefillService.fillPdf(await buildPdf(['constructor']), { variables: { cliente: 'Maria' } });
+
+    assert.deepEqual(result.formFields, []);
+    assert.deepEqual(await fieldNamesOf(result.buffer), ['constructor']);
+  });
+
+  it('mantém o formulário quando só há tags de texto', async () => {
+    const result = await pdfPrefillService.fillPdf(await buildPdf(['observacoes']), {
+      variables: { cliente: 'Maria' },
+      placeholders: [{ text: 'Cliente: {{cliente}}', page: 1, x: 50, y: 50 }]
+    });
+
+    assert.deepEqual(await fieldNamesOf(result.buffer), ['observacoes']);
+  });
+
+  it('achata o formulário quando algum campo foi preenchido', async () => {
+    const result = await pdfPrefillService.fillPdf(await buildPdf(['cliente', 'observacoes']), { variables: { cliente: 'Maria' } });
+
+    assert.deepEqual(result.formFields, ['cliente']);
+    assert.deepEqual(await fieldNamesOf(result.buffer), []);
+  });
+});
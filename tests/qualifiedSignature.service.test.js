@@ -0,0 +1,131 @@
+// tests/qualifiedSignature.service.test.js
+'use strict';
+
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pki } = require('node-forge');
+
+const { createCertificate, toP12Buffer } = require('./helpers/certificates');
+
+const CPF = '52998224725';
+
+// e-CPF de testes (CN "NOME:CPF") em um .p12 com a cadeia, como entregue pelas ACs
+const toP12Base64 = (certificate, chain = []) => toP12Buffer(certificate, chain).toString('base64');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qualified-signature-test-'));
+const rootCa = createCertificate({ commonName: 'AC Raiz de Testes', ca: true });
+fs.writeFileSync(path.join(tempDir, 'raiz.pem'), pki.certificateToPem(rootCa.cert));
+process.env.ICP_BRASIL_ROOTS_DIR = tempDir;
+
+const { Signer, sequelize } = require('../src/models');
+const qualifiedSignatureService = require('../src/services/qualifiedSignature.service');
+const trustStoreService = require('../src/services/trustStore.service');
+const revocationService = require('../src/services/revocation.service');
+const signingFlowService = require('../src/services/signingFlow.service');
+const { createTransaction } = require('./helpers/transactions');
+
+const signer = { id: 'signer-1', cpf: CPF, requiresCertificate: true };
+const unit = { id: 'document-1', tenantId: 'tenant-1' };
+const trustedP12 = toP12Base64(createCertificate({ commonName: `MARIA TESTE:${CPF}`, issuer: rootCa }), [rootCa]);
+
+const revocationResult = (status) => async (certificates) => ({
+  ocsps: [],
+  crls: [],
+  statuses: [{ subject: 'MARIA TESTE', serialNumber: certificates[0].serialNumber, source: 'OCSP', status }],
+  errors: []
+});
+
+describe('qualifiedSignature.service signWithP12', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('recusa a assinatura sem raízes confiáveis configuradas', async () => {
+    mock.method(trustStoreService, 'getTrustedRoots', () => null);
+    mock.method(revocationService, 'collectRevocationData', revocationResult('good'));
+
+    await assert.rejects(
+      qualifiedSignatureService.signWithP12(unit, signer, { p12: trustedP12, password: 'teste' }, {}),
+      { statusCode: 503 }
+    );
+    assert.equal(revocationService.collectRevocationData.mock.callCount(), 0);
+  });
+
+  it('recusa prepareRemoteSignature sem raízes confiáveis configuradas', async () => {
+    mock.method(trustStoreService, 'getTrustedRoots', () => null);
+
+    await assert.rejects(
+      qualifiedSignatureService.prepareRemoteSignature(unit, signer, { certificate: pki.certificateToPem(rootCa.cert) }),
+      { statusCode: 503 }
+    );
+  });
+
+  it('recusa um certificado autoassinado', async () => {
+    const selfSigned = toP12Base64(createCertificate({ commonName: `MARIA TESTE:${CPF}` }));
+
+    await assert.rejects(
+      qualifiedSignatureService.signWithP12(unit, signer, { p12: selfSigned, password: 'teste' }, {}),
+      { statusCode: 403, message: /cadeia confiável/ }
+    );
+  });
+
+  it('recusa um certificado revogado', async () => {
+    mock.method(revocationService, 'collectRevocationData', revocationResult('revoked'));
+
+    await assert.rejects(
+      qualifiedSignatureService.signWithP12(unit, signer, { p12: trustedP12, password: 'teste' }, {}),
+      { statusCode: 403, message: /revogado/ }
+    );
+  });
+
+  it('segue para a assinatura com cadeia confiável e certificado não revogado', async () => {
+    mock.method(revocationService, 'collectRevocationData', revocationResult('good'));
+    // Sem banco: a transação marca o ponto em que as conferências do certificado já passaram
+    const reached = new Error('transação iniciada');
+    mock.method(sequelize, 'transaction', async () => { throw reached; });
+
+    await assert.rejects(qualifiedSignatureService.signWithP12(unit, signer, { p12: trustedP12, password: 'teste' }, {}), reached);
+    assert.equal(revocationService.collectRevocationData.mock.callCount(), 1);
+  });
+
+  describe('sob a trava da unidade', () => {
+    let transaction;
+
+    const mockLockedState = ({ unitStatus, signerStatus }) => {
+      transaction = createTransaction();
+      mock.method(revocationService, 'collectRevocationData', revocationResult('good'));
+      mock.method(sequelize, 'transaction', async () => transaction);
+      mock.method(signingFlowService, 'lockSigningUnit', async () => ({ ...unit, status: unitStatus }));
+      mock.method(signingFlowService, 'getUnitDocuments', async () => { throw new Error('não deveria seguir'); });
+      mock.method(Signer, 'findByPk', async () => ({ ...signer, status: signerStatus }));
+    };
+
+    it('recusa quando o signatário já assinou em outra requisição', async () => {
+      mockLockedState({ unitStatus: 'PARTIALLY_SIGNED', signerStatus: 'SIGNED' });
+
+      await assert.rejects(
+        qualifiedSignatureService.signWithP12(unit, signer, { p12: trustedP12, password: 'teste' }, {}),
+        { statusCode: 409 }
+      );
+      assert.deepEqual(Signer.findByPk.mock.calls[0].arguments, [signer.id, { lock: 'UPDATE', transaction }]);
+      assert.equal(transaction.rolledBack, true);
+    });
+
+    it('recusa quando o documento deixou de aceitar assinaturas', async () => {
+      mockLockedState({ unitStatus: 'CANCELLED', signerStatus: 'PENDING' });
+
+      await assert.rejects(
+        qualifiedSignatureService.signWithP12(unit, signer, { p12: trustedP12, password: 'teste' }, {}),
+        { statusCode: 409 }
+      );
+      assert.equal(Signer.findByPk.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// tests/revocation.service.test.js
+'use strict';
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pki } = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+
+const { createCertificate } = require('./helpers/certificates');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revocation-test-'));
+const rootCa = createCertificate({ commonName: 'AC Raiz de Testes', ca: true });
+fs.writeFileSync(path.join(tempDir, 'raiz.pem'), pki.certificateToPem(rootCa.cert));
+process.env.ICP_BRASIL_ROOTS_DIR = tempDir;
+
+const revocationService = require('../src/services/revocation.service');
+const padesService = require('../src/services/pades.service');
+const { startLocalRevocationServer } = require('../src/utils/localRevocationServer');
+
+const REVOCATION_ENV = ['REVOCATION_OCSP_URL', 'REVOCATION_CRL_URL', 'REVOCATION_RESPONDER_CERT'];
+
+describe('revocation.service', () => {
+  let leaf;
+  let responder;
+  let responderCertPath;
+
+  before(async () => {
+    leaf = createCertificate({ commonName: 'Signatário de Testes', issuer: rootCa });
+    responder = await startLocalRevocationServer({ revokedSerials: [] });
+    responderCertPath = path.join(tempDir, 'responder.pem');
+    fs.writeFileSync(responderCertPath, pki.certificateToPem(responder.certificate));
+  });
+
+  after(async () => {
+    await responder.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    REVOCATION_ENV.forEach(name => delete process.env[name]);
+    mock.restoreAll();
+  });
+
+  it('aceita a resposta OCSP do responder configurado', async () => {
+    process.env.REVOCATION_OCSP_URL = responder.ocspUrl;
+    process.env.REVOCATION_RESPONDER_CERT = responderCertPath;
+
+    const result = await revocationService.collectRevocationData([leaf.cert, rootCa.cert]);
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.ocsps.length, 1);
+    assert.deepEqual(result.statuses, [{
+      subject: 'Signatário de Testes', serialNumber: leaf.cert.serialNumber, source: 'OCSP', status: 'good'
+    }]);
+  });
+
+  it('reporta certificados revogados via OCSP e via CRL', async () => {
+    const revokedResponder = await startLocalRevocationServer({ revokedSerials: [leaf.cert.serialNumber] });
+    const certPath = path.join(tempDir, 'responder-revogado.pem');
+    fs.writeFileSync(certPath, pki.certificateToPem(revokedResponder.certificate));
+    process.env.REVOCATION_RESPONDER_CERT = certPath;
+
+    try {
+      process.env.REVOCATION_OCSP_URL = revokedResponder.ocspUrl;
+      const viaOcsp = await revocationService.collectRevocationData([leaf.cert, rootCa.cert]);
+      assert.equal(viaOcsp.statuses[0].source, 'OCSP');
+      assert.equal(viaOcsp.statuses[0].status, 'revoked');
+
+      delete process.env.REVOCATION_OCSP_URL;
+      process.env.REVOCATION_CRL_URL = revokedResponder.crlUrl;
+      const viaCrl = await revocationService.collectRevocationData([leaf.cert, rootCa.cert]);
+      assert.equal(viaCrl.statuses[0].source, 'CRL');
+      assert.equal(viaCrl.statuses[0].status, 'revoked');
+      assert.equal(viaCrl.crls.length, 1);
+    } finally {
+      await revokedResponder.close();
+    }
+  });
+
+  it('recusa respostas assinadas por um responder não autorizado', async () => {
+    // Sem REVOCATION_RESPONDER_CERT, o certificado do stub não é o emissor nem um responder delegado
+    process.env.REVOCATION_OCSP_URL = responder.ocspUrl;
+    process.env.REVOCATION_CRL_URL = responder.crlUrl;
+
+    const result = await revocationService.collectRevocationData([leaf.cert, rootCa.cert]);
+
+    assert.equal(result.statuses[0].status, 'unavailable');
+    assert.equal(result.ocsps.length, 0);
+    assert.equal(result.crls.length, 0);
+    assert.match(result.errors[0], /não autorizado/);
+    assert.match(result.errors[1], /Assinatura da CRL inválida/);
+  });
+
+  it('recusa uma resposta OCSP adulterada', async () => {
+    process.env.REVOCATION_OCSP_URL = responder.ocspUrl;
+    process.env.REVOCATION_RESPONDER_CERT = responderCertPath;
+    const { ocsps: [der] } = await revocationService.collectRevocationData([leaf.cert, rootCa.cert]);
+
+    // Troca o status "good" ([0] IMPLICIT NULL = 0x80 0x00) por "unknown" ([2] = 0x82 0x00)
+    const tampered = Buffer.from(der);
+    const offset = tampered.indexOf(Buffer.from([0x80, 0x00, 0x18]));
+    assert.ok(offset > 0);
+    tampered[offset] = 0x82;
+
+    assert.throws(
+      () => revocationService.verifyOcspResponse(tampered, {
+        cert: leaf.cert,
+        issuer: rootCa.cert,
+        trustedResponders: [new crypto.X509Certificate(pki.certificateToPem(responder.certificate))]
+      }),
+      /Assinatura da resposta OCSP inválida/
+    );
+  });
+
+  it('não consulta URLs de certificados fora das ACs confiáveis', async () => {
+    const otherCa = createCertificate({ commonName: 'AC Desconhecida', ca: true });
+    const untrusted = createCertificate({
+      commonName: 'Signatário Desconhecido', issuer: otherCa, ocspUrl: responder.ocspUrl, crlUrl: responder.crlUrl
+    });
+
+    const result = await revocationService.collectRevocationData([untrusted.cert, otherCa.cert]);
+
+    assert.equal(result.statuses[0].status, 'unavailable');
+    assert.equal(result.errors.length, 2);
+    result.errors.forEach(message => assert.match(message, /fora das ACs confiáveis/));
+  });
+
+  it('não consulta URLs de certificados que apontam para a rede interna', async () => {
+    const internal = createCertificate({
+      commonName: 'Signatário Interno', issuer: rootCa, ocspUrl: responder.ocspUrl, crlUrl: 'http://169.254.169.254/crl'
+    });
+
+    const result = await revocationService.collectRevocationData([internal.cert, rootCa.cert]);
+
+    assert.equal(result.statuses[0].status, 'unavailable');
+    assert.equal(result.errors.length, 2);
+    result.errors.forEach(message => assert.match(message, /rede interna/));
+  });
+
+  it('não aplica a validação de longo prazo quando há certificado revogado', async () => {
+    mock.method(revocationService, 'collectRevocationData', async () => ({
+      ocsps: [],
+      crls: [],
+      statuses: [{ subject: 'Signatário de Testes', serialNumber: leaf.cert.serialNumber, source: 'OCSP', status: 'revoked' }],
+      errors: []
+    }));
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([595, 842]);
+    const pdfBuffer = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+    await assert.rejects(padesService.addLongTermValidation(pdfBuffer), { statusCode: 422, message: /Signatário de Testes/ });
+  });
+});
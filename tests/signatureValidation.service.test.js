@@ -0,0 +1,126 @@
+// tests/signatureValidation.service.test.js
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { asn1 } = require('node-forge');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+
+const { createCertificate, toP12Buffer } = require('./helpers/certificates');
+
+/**
+ * Certificado A1 (P12) autoassinado da "plataforma", gravado em diretório temporário.
+ */
+const createPlatformP12 = (dir) => {
+  const p12Path = path.join(dir, 'platform.p12');
+  fs.writeFileSync(p12Path, toP12Buffer(createCertificate({ commonName: 'Doculink Testes' })));
+  return p12Path;
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-validation-test-'));
+process.env.PADES_CERTIFICATE_PATH = createPlatformP12(tempDir);
+process.env.PADES_CERTIFICATE_PASSWORD = 'teste';
+
+const { validatePdfSignatures } = require('../src/services/signatureValidation.service');
+const padesService = require('../src/services/pades.service');
+const { loadForIncrementalUpdate } = require('../src/utils/pdfIncrementalUpdate');
+const { findEmbeddedSignatures } = require('../src/utils/cmsParser');
+const { startLocalTsa } = require('../src/utils/localTsaServer');
+
+const createPdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([595, 842]);
+  page.drawText('Contrato de teste', { x: 50, y: 780, size: 14, font: await pdfDoc.embedFont(StandardFonts.Helvetica) });
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+};
+
+/**
+ * Atualização incremental que altera o conteúdo da primeira página (adulteração "válida" em PDF).
+ */
+const drawOnFirstPage = async (pdfBuffer, text) => {
+  const update = await loadForIncrementalUpdate(pdfBuffer);
+  const font = await update.pdfDoc.embedFont(StandardFonts.Helvetica);
+  update.pdfDoc.getPages()[0].drawText(text, { x: 50, y: 700, size: 14, font });
+  return update.save();
+};
+
+describe('signatureValidation.service', () => {
+  let sealed;
+  let tsa;
+
+  before(async () => {
+    ({ sealedBuffer: sealed } = await padesService.applyPadesSeal(await createPdf()));
+    tsa = await startLocalTsa();
+  });
+
+  after(async () => {
+    await tsa.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reconhece o selo íntegro da plataforma', async () => {
+    const { signatures, platformSeal } = await validatePdfSignatures(sealed);
+
+    assert.equal(signatures.length, 1);
+    assert.equal(signatures[0].signatureVerified, true);
+    assert.equal(signatures[0].intact, true);
+    assert.deepEqual(platformSeal, { present: true, intact: true, changesAfterSeal: [] });
+  });
+
+  it('quebra o selo quando o conteúdo é alterado em uma revisão posterior', async () => {
+    const tampered = await drawOnFirstPage(sealed, 'Valor: R$ 1.000.000,00');
+    const { signatures, platformSeal } = await validatePdfSignatures(tampered);
+
+    // A assinatura em si continua conferindo com os bytes que cobre...
+    assert.equal(signatures[0].intact, true);
+    assert.equal(signatures[0].modifiedAfterSigning, true);
+    // ...mas o arquivo não é mais o que foi selado
+    assert.equal(platformSeal.present, true);
+    assert.equal(platformSeal.intact, false);
+    assert.ok(platformSeal.changesAfterSeal.length > 0);
+  });
+
+  it('quebra o selo com bytes arbitrários acrescentados ao final', async () => {
+    const tampered = Buffer.concat([sealed, Buffer.from('\n1 0 obj\n(conteúdo extra)\nendobj\n')]);
+    const { platformSeal } = await validatePdfSignatures(tampered);
+
+    assert.equal(platformSeal.intact, false);
+  });
+
+  it('mantém o selo íntegro depois do DSS e do carimbo de documento', async () => {
+    const { buffer } = await padesService.addLongTermValidation(sealed, { tsa: { url: tsa.url } });
+    const { signatures, platformSeal, longTermValidation } = await validatePdfSignatures(buffer);
+
+    assert.equal(longTermValidation.dssPresent, true);
+    assert.equal(longTermValidation.documentTimestamps, 1);
+    const documentTimestamp = signatures.find(s => s.type === 'DOCUMENT_TIMESTAMP');
+    assert.equal(documentTimestamp.intact, true);
+    assert.equal(documentTimestamp.timestamp.verified, true);
+    assert.deepEqual(platformSeal, { present: true, intact: true, changesAfterSeal: [] });
+
+    // Alteração depois do carimbo de documento também quebra o selo
+    const tampered = await drawOnFirstPage(buffer, 'Cláusula nova');
+    assert.equal((await validatePdfSignatures(tampered)).platformSeal.intact, false);
+  });
+
+  it('não considera íntegra uma assinatura com algoritmo não suportado', async () => {
+    // Troca o algoritmo do SignerInfo por ecdsa-with-SHA256: o digest ainda confere, mas a assinatura não é verificável
+    const [{ byteRange, contentsDer }] = findEmbeddedSignatures(sealed);
+    const cms = asn1.fromDer(contentsDer, { strict: false });
+    const signedData = cms.value[1].value[0];
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+    const signatureAlgorithm = signerInfo.value.find((node, index) => index > 3 && node.type === asn1.Type.SEQUENCE);
+    signatureAlgorithm.value[0].value = asn1.oidToDer('1.2.840.10045.4.3.2').getBytes();
+
+    const modified = padesService.insertSignature(sealed, byteRange, Buffer.from(asn1.toDer(cms).getBytes(), 'binary'));
+    const { signatures, platformSeal } = await validatePdfSignatures(modified);
+
+    assert.equal(signatures[0].digestMatches, true);
+    assert.equal(signatures[0].signatureVerified, null);
+    assert.equal(signatures[0].intact, false);
+    assert.equal(platformSeal.intact, false);
+  });
+});
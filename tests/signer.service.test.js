@@ -0,0 +1,47 @@
+// tests/signer.service.test.js
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Signer } = require('../src/models');
+const signerService = require('../src/features/signer/signer.service');
+
+const buildSigner = (values) => {
+  const signer = Signer.build({ name: 'Maria', email: 'maria@example.com', ...values });
+  mock.method(signer, 'save', async () => signer);
+  return signer;
+};
+
+describe('signer.service identifySigner', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('não troca o CPF cadastrado de quem assina com certificado', async () => {
+    const signer = buildSigner({ cpf: '529.982.247-25', requiresCertificate: true });
+
+    await assert.rejects(signerService.identifySigner(signer, { cpf: '11144477735' }), { statusCode: 403 });
+    assert.equal(signer.cpf, '529.982.247-25');
+    assert.equal(signer.save.mock.callCount(), 0);
+
+    await signerService.identifySigner(signer, { cpf: '52998224725' });
+    assert.equal(signer.cpf, '529.982.247-25');
+  });
+
+  it('grava o CPF de quem assina com certificado e ainda não tem CPF', async () => {
+    const signer = buildSigner({ cpf: null, requiresCertificate: true });
+
+    await signerService.identifySigner(signer, { cpf: '529.982.247-25' });
+    assert.equal(signer.cpf, '52998224725');
+    await assert.rejects(signerService.identifySigner(signer, { cpf: '11144477735' }), { statusCode: 403 });
+  });
+
+  it('atualiza o CPF de quem assina sem certificado', async () => {
+    const signer = buildSigner({ cpf: '52998224725', requiresCertificate: false });
+
+    await signerService.identifySigner(signer, { cpf: '11144477735' });
+    assert.equal(signer.cpf, '11144477735');
+    assert.equal(signer.save.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/template.service.test.js
+'use strict';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Template, sequelize } = require('../src/models');
+const templateService = require('../src/features/template/template.service');
+const auditService = require('../src/features/audit/audit.service');
+const storageService = require('../src/services/storage.service');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const user = { id: '22222222-2222-4222-8222-222222222222', tenantId: TENANT_ID };
+
+describe('template.service', () => {
+  let template;
+  let transaction;
+  let audits;
+
+  beforeEach(() => {
+    template = Template.build({
+      id: '33333333-3333-4333-8333-333333333333',
+      tenantId: TENANT_ID,
+      ownerId: user.id,
+      name: 'Contrato de locação',
+      storageKey: `uploads/${TENANT_ID}/templates/33333333-3333-4333-8333-333333333333.pdf`,
+      sha256: 'a'.repeat(64),
+      rolesJson: [{ name: 'Locatário', order: 0, fields: [] }],
+      placeholdersJson: [],
+      reminderIntervalDays: 3,
+      maxRemindersPerSigner: 3
+    }, { isNewRecord: false, raw: true });
+    mock.method(template, 'save', async () => template);
+    mock.method(template, 'destroy', async () => {});
+
+    transaction = { committed: false, rolledBack: false };
+    transaction.commit = async () => { transaction.committed = true; };
+    transaction.rollback = async () => { transaction.rolledBack = true; };
+    audits = [];
+
+    mock.method(sequelize, 'transaction', async () => transaction);
+    mock.method(Template, 'findOne', async () => template);
+    mock.method(auditService, 'createEntry', async (entry) => { audits.push(entry); });
+    mock.method(storageService, 'delete', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('updateTemplate', () => {
+    for (const [key, value] of [['reminderIntervalDays', 'abc'], ['reminderDaysBeforeDeadline', -1], ['maxRemindersPerSigner', 1.5], ['maxRemindersPerSigner', '']]) {
+      it(`recusa ${key} = ${JSON.stringify(value)}`, async () => {
+        await assert.rejects(templateService.updateTemplate(template.id, { [key]: value }, user), { statusCode: 400 });
+        assert.equal(template.save.mock.callCount(), 0);
+        assert.equal(transaction.rolledBack, true);
+      });
+    }
+
+    it('aceita zero e números em texto (multipart) e registra a alteração na auditoria', async () => {
+      await templateService.updateTemplate(template.id, { reminderIntervalDays: '0', maxRemindersPerSigner: 5 }, user);
+
+      assert.equal(template.reminderIntervalDays, 0);
+      assert.equal(template.maxRemindersPerSigner, 5);
+      assert.equal(transaction.committed, true);
+      assert.equal(audits.length, 1);
+      assert.equal(audits[0].action, 'UPDATED');
+      assert.equal(audits[0].entityType, 'TEMPLATE');
+      assert.deepEqual(audits[0].payload.changes.sort(), ['maxRemindersPerSigner', 'reminderIntervalDays']);
+    });
+  });
+
+  describe('deleteTemplate', () => {
+    it('registra a remoção na auditoria e apaga o PDF depois do commit', async () => {
+      mock.method(storageService, 'delete', async () => {
+        assert.equal(transaction.committed, true);
+      });
+
+      await templateService.deleteTemplate(template.id, user);
+
+      assert.equal(template.destroy.mock.callCount(), 1);
+      assert.equal(audits[0].action, 'DELETED');
+      assert.equal(audits[0].entityId, template.id);
+      assert.deepEqual(storageService.delete.mock.calls[0].arguments, [template.storageKey]);
+    });
+  });
+});
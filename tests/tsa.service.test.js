@@ -0,0 +1,71 @@
+// tests/tsa.service.test.js
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const forge = require('node-forge');
+
+const tsaService = require('../src/services/tsa.service');
+const { startLocalTsa } = require('../src/utils/localTsaServer');
+
+const { asn1 } = forge;
+
+// Cópia independente do token (o ASN.1 do forge é mutável)
+const cloneToken = (tokenAsn1) => asn1.fromDer(asn1.toDer(tokenAsn1).getBytes());
+
+describe('tsa.service', () => {
+  let tsa;
+  let tsaWithoutUsage;
+
+  before(async () => {
+    tsa = await startLocalTsa();
+    tsaWithoutUsage = await startLocalTsa({ timeStampingUsage: false });
+  });
+
+  after(async () => {
+    await tsa.close();
+    await tsaWithoutUsage.close();
+  });
+
+  it('aceita um carimbo assinado por certificado com uso timeStamping', async () => {
+    const { tokenAsn1, genTime } = await tsaService.requestTimestamp(Buffer.from('dados'), { url: tsa.url });
+
+    assert.ok(genTime instanceof Date);
+    const certificate = tsaService.verifyTimeStampToken(tokenAsn1);
+    assert.match(certificate.subject, /Doculink Local TSA/);
+  });
+
+  it('recusa carimbo de TSA sem o uso estendido timeStamping', async () => {
+    await assert.rejects(
+      tsaService.requestTimestamp(Buffer.from('dados'), { url: tsaWithoutUsage.url }),
+      /uso estendido timeStamping/
+    );
+  });
+
+  it('recusa token com TSTInfo alterado', async () => {
+    const { tokenAsn1 } = await tsaService.requestTimestamp(Buffer.from('dados'), { url: tsa.url });
+    const tampered = cloneToken(tokenAsn1);
+
+    // Troca o serial dentro do TSTInfo (eContent): o messageDigest assinado deixa de conferir
+    const octets = tampered.value[1].value[0].value[2].value[1].value[0];
+    const tstInfo = asn1.fromDer(octets.value);
+    tstInfo.value[3].value = forge.util.hexToBytes('7f7f');
+    octets.value = asn1.toDer(tstInfo).getBytes();
+
+    assert.throws(() => tsaService.verifyTimeStampToken(tampered), /atributos assinados/);
+  });
+
+  it('recusa token com assinatura adulterada', async () => {
+    const { tokenAsn1 } = await tsaService.requestTimestamp(Buffer.from('dados'), { url: tsa.url });
+    const tampered = cloneToken(tokenAsn1);
+
+    const signedData = tampered.value[1].value[0].value;
+    const signerInfo = signedData[signedData.length - 1].value[0];
+    const signatureNode = signerInfo.value.find((node, index) => index > 3 && node.type === asn1.Type.OCTETSTRING);
+    const signature = Buffer.from(signatureNode.value, 'binary');
+    signature[signature.length - 1] ^= 0xff;
+    signatureNode.value = signature.toString('binary');
+
+    assert.throws(() => tsaService.verifyTimeStampToken(tampered), /Assinatura do carimbo do tempo inválida/);
+  });
+});
@@ -0,0 +1,123 @@
+// tests/verify.service.test.js
+'use strict';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Document, DocumentVersion, Signer } = require('../src/models');
+const verifyService = require('../src/features/verify/verify.service');
+const rateLimit = require('../src/middlewares/rateLimit');
+
+const HASH = 'a'.repeat(64);
+
+const signedSigner = {
+  id: 'signer-1',
+  documentId: 'document-1',
+  envelopeId: null,
+  name: 'Maria Teste',
+  email: 'maria@example.com',
+  cpf: '52998224725',
+  status: 'SIGNED',
+  order: 0,
+  signedAt: new Date('2026-01-10T12:00:00Z'),
+  signatureUuid: '3f1c2a9e-8b7d-4c6e-9a1b-2c3d4e5f6a7b',
+  shortCode: 'A1B2C3'
+};
+
+const document = {
+  id: 'document-1',
+  title: 'Contrato de prestação de serviços',
+  status: 'SIGNED',
+  envelopeId: null,
+  sha256: 'b'.repeat(64),
+  Signers: [signedSigner],
+  Tenant: { name: 'Empresa Exemplo' }
+};
+
+describe('verify.service verifyCode', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('responde ao código curto só com a validade e a data da assinatura', async () => {
+    mock.method(Signer, 'findAll', async () => [signedSigner]);
+    mock.method(Document, 'findByPk', async () => document);
+
+    const result = await verifyService.verifyCode('a1b2c3');
+
+    assert.deepEqual(Object.keys(result).sort(), ['matchedBy', 'message', 'signedAt', 'valid']);
+    assert.equal(result.valid, true);
+    assert.equal(Document.findByPk.mock.callCount(), 0);
+    assert.ok(!JSON.stringify(result).includes('Maria'));
+  });
+
+  it('mostra os detalhes pelo ID da assinatura', async () => {
+    mock.method(Signer, 'findAll', async () => [signedSigner]);
+    mock.method(Document, 'findByPk', async () => document);
+
+    const result = await verifyService.verifyCode(signedSigner.signatureUuid);
+
+    assert.equal(result.matchedBy, 'SIGNATURE_ID');
+    assert.equal(result.document.title, document.title);
+    assert.equal(result.signature.cpf, '***.982.247-**');
+  });
+
+  it('encontra o documento pelo hash de uma versão anterior', async () => {
+    mock.method(Document, 'findOne', async () => null);
+    mock.method(DocumentVersion, 'findAll', async ({ where }) => (where.sha256 === HASH
+      ? [{ documentId: 'document-1', kind: 'ORIGINAL' }]
+      : []));
+    mock.method(Document, 'findByPk', async () => document);
+
+    const result = await verifyService.verifyCode(HASH.toUpperCase());
+
+    assert.equal(result.matchedBy, 'DOCUMENT_HASH');
+    assert.equal(result.matchedVersion, 'ORIGINAL');
+    assert.equal(result.document.id, 'document-1');
+  });
+
+  it('recusa um hash de versão compartilhado por vários documentos', async () => {
+    mock.method(Document, 'findOne', async () => null);
+    mock.method(DocumentVersion, 'findAll', async () => [
+      { documentId: 'document-1', kind: 'ORIGINAL' },
+      { documentId: 'document-2', kind: 'ORIGINAL' }
+    ]);
+
+    await assert.rejects(verifyService.verifyCode(HASH), { statusCode: 409 });
+  });
+
+  it('não encontra hashes desconhecidos', async () => {
+    mock.method(Document, 'findOne', async () => null);
+    mock.method(DocumentVersion, 'findAll', async () => []);
+
+    await assert.rejects(verifyService.verifyCode(HASH), { statusCode: 404 });
+  });
+});
+
+describe('rateLimit', () => {
+  const run = (middleware, ip) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    middleware({ ip }, res, () => { passed = true; });
+    return { passed, res };
+  };
+
+  it('bloqueia o IP que passa do limite na janela', () => {
+    const middleware = rateLimit({ windowMs: 60 * 1000, max: 2, message: 'Aguarde.' });
+
+    assert.equal(run(middleware, '203.0.113.1').passed, true);
+    assert.equal(run(middleware, '203.0.113.1').passed, true);
+    const blocked = run(middleware, '203.0.113.1');
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 429);
+    assert.ok(Number(blocked.res.headers['Retry-After']) > 0);
+
+    assert.equal(run(middleware, '203.0.113.2').passed, true);
+  });
+});